@@ -0,0 +1,580 @@
+const fs = require('fs');
+const path = require('path');
+const { findSections, normalizeHeading, insertSection } = require('./markdown');
+
+// Modules read for their exports, and the largest module read; bigger files are usually bundles or generated code
+const MAX_API_FILES = 200;
+const MAX_API_FILE_SIZE = 256 * 1024;
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+
+// Tests, examples and tooling configuration have no public API
+const NON_API_PATTERN = /(^|\/)(tests?|__tests__|spec|e2e|fixtures?|examples?|scripts|benchmarks?)\/|\.(test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$|_test\.py$|(^|\/)(setup|conftest|manage)\.py$|(^|\/)[^/]*\.config\.[^/]+$/i;
+
+// Words that look like method calls at the start of a line but are statements
+const STATEMENT_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'super', 'constructor'];
+
+// Signatures longer than this many lines are cut off; class bodies may be much longer
+const MAX_SIGNATURE_LINES = 50;
+const MAX_BODY_LINES = 5000;
+
+/**
+ * Collapses whitespace so multi-line signatures fit on one line
+ * @param {string} text - The text
+ * @returns {string} - The text on one line
+ */
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')').replace(/,\s*\)/g, ')').trim();
+}
+
+/**
+ * Reads the text from an opening bracket up to its matching closing bracket, across lines
+ * @param {string[]} lines - The source lines
+ * @param {number} start - Line of the opening bracket
+ * @param {number} column - Column of the opening bracket
+ * @param {number} [maxLines] - How many lines to read at most
+ * @returns {{ text: string, endLine: number }} - The text including the brackets, and the line it ends on
+ */
+function readBalanced(lines, start, column, maxLines = MAX_SIGNATURE_LINES) {
+    const open = lines[start][column];
+    const close = { '(': ')', '{': '}', '[': ']' }[open];
+    let depth = 0;
+    let text = '';
+    
+    for (let index = start; index < lines.length && index < start + maxLines; index++) {
+        const line = index === start ? lines[index].slice(column) : lines[index];
+        for (let position = 0; position < line.length; position++) {
+            const char = line[position];
+            if (char === open) {
+                depth++;
+            } else if (char === close) {
+                depth--;
+            }
+            if (depth === 0) {
+                return { text: text + line.slice(0, position + 1), endLine: index };
+            }
+        }
+        text += `${line}\n`;
+    }
+    
+    return { text, endLine: start };
+}
+
+/**
+ * Splits the `{type}` off the start of a JSDoc tag, allowing nested braces in the type
+ * @param {string} text - The tag text after the tag name
+ * @returns {{ type: string, text: string }} - The type without its braces, and the rest of the tag
+ */
+function readTagType(text) {
+    if (!text.startsWith('{')) {
+        return { type: '', text };
+    }
+    
+    let depth = 0;
+    for (let position = 0; position < text.length; position++) {
+        depth += text[position] === '{' ? 1 : text[position] === '}' ? -1 : 0;
+        if (depth === 0) {
+            return { type: text.slice(1, position).trim(), text: text.slice(position + 1).trim() };
+        }
+    }
+    return { type: '', text };
+}
+
+/**
+ * Parses a JSDoc/TSDoc comment
+ * @param {string} comment - The comment, including its delimiters
+ * @returns {{ description: string, params: { name: string, type: string, description: string }[], returns: { type: string, description: string }|null }} - The documentation
+ */
+function parseJsDoc(comment) {
+    const lines = comment
+        .replace(/^\/\*\*/, '')
+        .replace(/\*\/$/, '')
+        .split(/\r?\n/)
+        .map(line => line.replace(/^\s*\* ?/, '').trimEnd());
+    const description = [];
+    const tags = [];
+    
+    for (const line of lines) {
+        if (/^@\w+/.test(line.trim())) {
+            tags.push(line.trim());
+        } else if (tags.length > 0) {
+            tags[tags.length - 1] += ` ${line.trim()}`;
+        } else {
+            description.push(line);
+        }
+    }
+    
+    const doc = { description: firstParagraph(description.join('\n')), params: [], returns: null };
+    
+    for (const tag of tags) {
+        const [, name, rest] = tag.match(/^@(\w+)\s*([\s\S]*)$/);
+        const { type, text } = readTagType(rest);
+        const param = text.match(/^\[?([\w.$]+)(?:=[^\]]*)?\]?\s*(?:-\s*)?(.*)$/);
+        if (['param', 'arg', 'argument'].includes(name) && param && !param[1].includes('.')) {
+            doc.params.push({ name: param[1], type, description: param[2].trim() });
+        } else if (['returns', 'return'].includes(name)) {
+            doc.returns = { type, description: text.replace(/^-\s*/, '').trim() };
+        }
+    }
+    
+    return doc;
+}
+
+/**
+ * Keeps the first paragraph of a description, on one line
+ * @param {string} text - The description
+ * @returns {string} - The first paragraph
+ */
+function firstParagraph(text) {
+    return text.trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lists the documented methods of a JavaScript or TypeScript class
+ * @param {string[]} lines - The source lines
+ * @param {number} start - Line of the class declaration
+ * @param {string} className - The class name
+ * @returns {Object[]} - The methods as API symbols
+ */
+function readJsClassMethods(lines, start, className) {
+    const column = lines[start].indexOf('{');
+    if (column === -1) {
+        return [];
+    }
+    
+    const { endLine } = readBalanced(lines, start, column, MAX_BODY_LINES);
+    const methods = [];
+    let pendingDoc = null;
+    let depth = 1;
+    
+    for (let index = start + 1; index < endLine; index++) {
+        const line = lines[index];
+        const lineDepth = depth;
+        depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+        
+        // Only members of the class itself, not statements inside method bodies
+        if (lineDepth !== 1) {
+            continue;
+        }
+        
+        if (/^\s*\/\*\*/.test(line)) {
+            let end = index;
+            while (end < endLine && !lines[end].includes('*/')) {
+                end++;
+            }
+            pendingDoc = parseJsDoc(lines.slice(index, end + 1).join('\n').trim());
+            index = end;
+            continue;
+        }
+        
+        const method = line.match(/^\s+(?:(?:public|static|async|override|readonly)\s+)*(?:get\s+|set\s+)?(\w+)\s*(?:<[^>]*>)?\(/);
+        if (method && !STATEMENT_KEYWORDS.includes(method[1]) && !/^\s+(private|protected)\s/.test(line) && !method[1].startsWith('_')) {
+            const params = readBalanced(lines, index, line.indexOf('(', line.indexOf(method[1])));
+            const returnType = (lines[params.endLine].slice(lines[params.endLine].lastIndexOf(')') + 1).match(/^\s*:\s*([^{]+?)\s*\{?\s*$/) || [])[1];
+            const isStatic = /^\s+(?:\w+\s+)*static\s/.test(line);
+            methods.push({
+                name: `${className}${isStatic ? '.' : '#'}${method[1]}`,
+                kind: 'method',
+                signature: collapseWhitespace(`${className}${isStatic ? '.' : '#'}${method[1]}${params.text}${returnType ? `: ${returnType}` : ''}`),
+                ...(pendingDoc || { description: '', params: [], returns: null })
+            });
+        }
+        
+        if (line.trim() && !/^\s*(\*|\/\/)/.test(line)) {
+            pendingDoc = null;
+        }
+    }
+    
+    return methods;
+}
+
+/**
+ * Finds the top-level declarations of a JavaScript or TypeScript module with their doc comments
+ * @param {string[]} lines - The source lines
+ * @returns {{ declarations: Map<string, Object>, exported: string[] }} - Declarations by name, and the names exported with `export`
+ */
+function readJsDeclarations(lines) {
+    const declarations = new Map();
+    const exported = [];
+    let pendingDoc = null;
+    
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        
+        if (/^\/\*\*/.test(line)) {
+            let end = index;
+            while (end < lines.length - 1 && !lines[end].includes('*/')) {
+                end++;
+            }
+            pendingDoc = parseJsDoc(lines.slice(index, end + 1).join('\n'));
+            index = end;
+            continue;
+        }
+        
+        const doc = pendingDoc || { description: '', params: [], returns: null };
+        const isExport = /^export\s/.test(line);
+        let declaration = null;
+        
+        const fn = line.match(/^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\*?\s+(\w+)\s*(?:<[^>]*>)?\(/);
+        const arrow = line.match(/^(?:export\s+)?(?:const|let|var)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\s*\w*\s*)?\(/);
+        const cls = line.match(/^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+(\w+)/);
+        const type = line.match(/^(?:export\s+)?(?:declare\s+)?(interface|type|enum)\s+(\w+)/);
+        const constant = line.match(/^(?:export\s+)?(?:const|let|var)\s+(\w+)/);
+        
+        if (fn || arrow) {
+            const name = (fn || arrow)[1];
+            const params = readBalanced(lines, index, line.indexOf('(', line.indexOf(name) + name.length));
+            const returnType = (lines[params.endLine].slice(lines[params.endLine].lastIndexOf(')') + 1).match(/^\s*:\s*([^{=]+?)\s*(?:\{|=>|;)?\s*$/) || [])[1];
+            declaration = {
+                name,
+                kind: 'function',
+                signature: collapseWhitespace(`${name}${params.text}${returnType ? `: ${returnType}` : ''}`),
+                ...doc
+            };
+            index = Math.max(index, params.endLine);
+        } else if (cls) {
+            declaration = { name: cls[1], kind: 'class', signature: `class ${cls[1]}`, ...doc, methods: readJsClassMethods(lines, index, cls[1]) };
+        } else if (type) {
+            declaration = { name: type[2], kind: 'type', signature: `${type[1]} ${type[2]}`, ...doc };
+        } else if (constant) {
+            declaration = { name: constant[1], kind: 'constant', signature: constant[1], ...doc };
+        }
+        
+        if (declaration && !declarations.has(declaration.name)) {
+            declarations.set(declaration.name, declaration);
+            if (isExport) {
+                exported.push(declaration.name);
+            }
+        }
+        
+        if (line.trim() && !/^\s*(\/\/|@)/.test(line)) {
+            pendingDoc = null;
+        }
+    }
+    
+    return { declarations, exported };
+}
+
+/**
+ * Extracts the exported API of a JavaScript or TypeScript module, from `module.exports`, `exports.x` and `export`
+ * @param {string} content - The source code
+ * @returns {Object[]} - API symbols in export order
+ */
+function extractJsApi(content) {
+    const lines = content.split(/\r?\n/);
+    const { declarations, exported } = readJsDeclarations(lines);
+    const names = [...exported];
+    
+    lines.forEach((line, index) => {
+        const object = line.match(/^module\.exports\s*=\s*\{/);
+        const single = line.match(/^module\.exports\s*=\s*(\w+)\s*;?\s*$/);
+        const property = line.match(/^(?:module\.)?exports\.(\w+)\s*=\s*(\w+)?/);
+        const list = line.match(/^export\s*\{/);
+        const defaultExport = line.match(/^export\s+default\s+(\w+)\s*;?\s*$/);
+        
+        if (object || list) {
+            const body = readBalanced(lines, index, line.indexOf('{')).text
+                .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '')
+                .slice(1, -1);
+            for (const entry of body.split(',')) {
+                const match = entry.trim().match(/^(\w+)(?:\s*(?::|as)\s*(\w+))?$/);
+                if (match) {
+                    names.push(object && match[2] ? match[2] : match[1]);
+                }
+            }
+        } else if (single || defaultExport) {
+            names.push((single || defaultExport)[1]);
+        } else if (property) {
+            const target = property[2] && declarations.has(property[2]) ? property[2] : property[1];
+            names.push(target);
+        }
+    });
+    
+    const symbols = [];
+    for (const name of new Set(names)) {
+        const declaration = declarations.get(name);
+        if (declaration) {
+            const { methods, ...symbol } = declaration;
+            symbols.push(symbol, ...(methods || []));
+        }
+    }
+    
+    return symbols;
+}
+
+/**
+ * Reads the docstring that starts on a line, if any
+ * @param {string[]} lines - The source lines
+ * @param {number} start - The line after a `def` or `class` header
+ * @returns {string|null} - The docstring text
+ */
+function readPythonDocstring(lines, start) {
+    let index = start;
+    while (index < lines.length && !lines[index].trim()) {
+        index++;
+    }
+    
+    const opening = (lines[index] || '').match(/^\s*[rRuU]?("""|''')(.*)$/);
+    if (!opening) {
+        return null;
+    }
+    
+    const [, quote, rest] = opening;
+    if (rest.includes(quote)) {
+        return rest.slice(0, rest.indexOf(quote));
+    }
+    
+    const text = [rest];
+    for (let end = index + 1; end < lines.length; end++) {
+        if (lines[end].includes(quote)) {
+            text.push(lines[end].slice(0, lines[end].indexOf(quote)));
+            break;
+        }
+        text.push(lines[end]);
+    }
+    return text.map(line => line.trim()).join('\n');
+}
+
+/**
+ * Turns a Python `def` header and docstring into an API symbol
+ * @param {string} name - Display name of the function
+ * @param {string} header - The header from `def` up to the colon
+ * @param {string|null} docstring - The docstring
+ * @param {string} kind - function or method
+ * @returns {Object} - The API symbol
+ */
+function buildPythonSymbol(name, header, docstring, kind) {
+    const parameters = (header.match(/\(([\s\S]*)\)/) || [])[1] || '';
+    const returnType = (header.match(/\)\s*->\s*(.+?)\s*:?\s*$/) || [])[1] || '';
+    
+    // Google-style "Args:" sections document the parameters
+    const argDocs = {};
+    const args = (docstring || '').match(/^(?:Args|Arguments|Parameters):\s*\n([\s\S]*?)(?:\n\s*\n|\n\w+:\s*\n|$)/m);
+    for (const line of (args ? args[1] : '').split('\n')) {
+        const match = line.match(/^\s*\*{0,2}(\w+)(?:\s*\([^)]*\))?:\s*(.+)$/);
+        if (match) {
+            argDocs[match[1]] = match[2].trim();
+        }
+    }
+    const returnsDoc = ((docstring || '').match(/^Returns?:\s*\n\s*(.+)$/m) || [])[1] || '';
+    
+    const params = collapseWhitespace(parameters)
+        .split(',')
+        .map(parameter => parameter.trim().match(/^\*{0,2}(\w+)\s*(?::\s*([^=]+?))?\s*(?:=.*)?$/))
+        .filter(match => match && !['self', 'cls'].includes(match[1]))
+        .map(match => ({ name: match[1], type: match[2] || '', description: argDocs[match[1]] || '' }));
+    
+    return {
+        name,
+        kind,
+        signature: collapseWhitespace(`${name}(${parameters.replace(/^\s*(self|cls)\s*,?\s*/, '')})${returnType ? ` -> ${returnType}` : ''}`),
+        description: firstParagraph(docstring || ''),
+        params,
+        returns: returnType || returnsDoc ? { type: returnType, description: returnsDoc.trim() } : null
+    };
+}
+
+/**
+ * Reads a Python `def` header, which may span several lines
+ * @param {string[]} lines - The source lines
+ * @param {number} start - Line of the `def`
+ * @returns {{ header: string, endLine: number }} - The header and the line it ends on
+ */
+function readPythonHeader(lines, start) {
+    const column = lines[start].indexOf('(');
+    if (column === -1) {
+        return { header: lines[start], endLine: start };
+    }
+    
+    const params = readBalanced(lines, start, column);
+    const tail = lines[params.endLine].slice(lines[params.endLine].lastIndexOf(')') + 1);
+    return { header: `${lines[start].slice(0, column)}${params.text}${tail}`, endLine: params.endLine };
+}
+
+/**
+ * Extracts the public API of a Python module: top-level functions and classes with their docstrings,
+ * limited to `__all__` when the module defines it
+ * @param {string} content - The source code
+ * @returns {Object[]} - API symbols in source order
+ */
+function extractPythonApi(content) {
+    const lines = content.split(/\r?\n/);
+    const all = content.match(/^__all__\s*=\s*[[(]([\s\S]*?)[\])]/m);
+    const allNames = all ? [...all[1].matchAll(/(["'])(\w+)\1/g)].map(match => match[2]) : null;
+    const isPublic = name => (allNames ? allNames.includes(name) : !name.startsWith('_'));
+    const symbols = [];
+    let currentClass = null;
+    
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const fn = line.match(/^(?:async\s+)?def\s+(\w+)/);
+        const cls = line.match(/^class\s+(\w+)\s*(\([^)]*\))?\s*:/);
+        const method = line.match(/^( {4}|\t)(?:async\s+)?def\s+(\w+)/);
+        
+        if (/^\S/.test(line) && !line.startsWith('@') && !line.startsWith('#')) {
+            currentClass = null;
+        }
+        
+        if (fn && isPublic(fn[1])) {
+            const { header, endLine } = readPythonHeader(lines, index);
+            symbols.push(buildPythonSymbol(fn[1], header, readPythonDocstring(lines, endLine + 1), 'function'));
+            index = endLine;
+        } else if (cls && isPublic(cls[1])) {
+            const docstring = readPythonDocstring(lines, index + 1);
+            symbols.push({
+                name: cls[1],
+                kind: 'class',
+                signature: `class ${cls[1]}${cls[2] || ''}`,
+                description: firstParagraph(docstring || ''),
+                params: [],
+                returns: null
+            });
+            currentClass = cls[1];
+        } else if (method && currentClass && !method[2].startsWith('_')) {
+            const { header, endLine } = readPythonHeader(lines, index);
+            symbols.push(buildPythonSymbol(`${currentClass}.${method[2]}`, header.trim(), readPythonDocstring(lines, endLine + 1), 'method'));
+            index = endLine;
+        }
+    }
+    
+    return symbols;
+}
+
+/**
+ * Extracts the public API of a project from its JavaScript, TypeScript and Python modules
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {{ file: string, language: string, symbols: Object[] }[]} - Modules with at least one public symbol
+ */
+function extractApi(rootPath, workspaceData) {
+    const modules = [];
+    const files = workspaceData.files
+        .filter(filePath => !NON_API_PATTERN.test(filePath))
+        .filter(filePath => JS_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) || path.extname(filePath).toLowerCase() === '.py')
+        .filter(filePath => !/\.min\.js$/i.test(filePath))
+        .slice(0, MAX_API_FILES);
+    
+    for (const filePath of files) {
+        let content;
+        try {
+            if (fs.statSync(path.join(rootPath, filePath)).size > MAX_API_FILE_SIZE) {
+                continue;
+            }
+            content = fs.readFileSync(path.join(rootPath, filePath), 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error);
+            continue;
+        }
+        
+        const isPython = path.extname(filePath).toLowerCase() === '.py';
+        const symbols = isPython ? extractPythonApi(content) : extractJsApi(content);
+        if (symbols.length > 0) {
+            modules.push({ file: filePath, language: isPython ? 'python' : 'javascript', symbols });
+        }
+    }
+    
+    return modules;
+}
+
+/**
+ * Formats the API of one module for the prompt
+ * @param {{ file: string, symbols: Object[] }} module - A module from extractApi
+ * @returns {string} - One line per symbol, followed by its documented parameters
+ */
+function formatModuleApi(module) {
+    return module.symbols.map(symbol => {
+        const returns = symbol.returns && symbol.returns.type ? ` -> ${symbol.returns.type}` : '';
+        const kind = symbol.signature.startsWith(`${symbol.kind} `) || /^(interface|type|enum|class) /.test(symbol.signature) ? '' : `${symbol.kind} `;
+        const lines = [`- ${kind}${symbol.signature}${returns && !symbol.signature.includes(returns.trim()) ? returns : ''}${symbol.description ? `: ${symbol.description}` : ''}`];
+        for (const param of symbol.params.filter(candidate => candidate.description)) {
+            lines.push(`    ${param.name}${param.type ? ` (${param.type})` : ''}: ${param.description}`);
+        }
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/**
+ * Turns the API listing into context packer candidates, one per module
+ * @param {{ file: string, symbols: Object[] }[]} api - Modules from extractApi
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - Candidates for packContext
+ */
+function getApiCandidates(api) {
+    return api.map(module => ({ filePath: module.file, content: formatModuleApi(module), rank: 1, category: 'api' }));
+}
+
+/**
+ * Escapes text for inline Markdown
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeInline(text) {
+    // Code spans are left alone, Markdown does not unescape inside them
+    return text
+        .split(/(`[^`]*`)/)
+        .map((part, index) => (index % 2 === 1 ? part : part.replace(/([<>*_|])/g, '\\$1')))
+        .join('');
+}
+
+/**
+ * Renders the API listing as a README section with signatures and descriptions
+ * @param {{ file: string, symbols: Object[] }[]} api - Modules from extractApi
+ * @returns {string} - The `## API` section, or an empty string when there is no public API
+ */
+function renderApiSection(api) {
+    if (api.length === 0) {
+        return '';
+    }
+    
+    const parts = ['## API'];
+    for (const module of api) {
+        parts.push(`### \`${module.file}\``);
+        for (const symbol of module.symbols) {
+            const returnType = symbol.returns && symbol.returns.type && !symbol.signature.includes(symbol.returns.type) ? ` → \`${symbol.returns.type}\`` : '';
+            const lines = [`#### \`${symbol.signature}\`${returnType}`];
+            if (symbol.description) {
+                lines.push('', escapeInline(symbol.description));
+            }
+            const details = symbol.params.map(param => `- \`${param.name}\`${param.type ? ` (\`${param.type}\`)` : ''}${param.description ? `: ${escapeInline(param.description)}` : ''}`);
+            if (symbol.returns && symbol.returns.description) {
+                details.push(`- Returns${symbol.returns.type ? ` \`${symbol.returns.type}\`` : ''}: ${escapeInline(symbol.returns.description)}`);
+            }
+            if (details.length > 0) {
+                lines.push('', ...details);
+            }
+            parts.push(lines.join('\n'));
+        }
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Puts the generated API section into a README, replacing the `## API` section or adding it before
+ * the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} apiSection - The section from renderApiSection
+ * @returns {string} - The README with an up-to-date API section
+ */
+function applyApiSection(markdown, apiSection) {
+    if (!apiSection) {
+        return markdown;
+    }
+    
+    const section = findSections(markdown).find(candidate => ['api', 'api reference'].includes(normalizeHeading(candidate.heading)));
+    if (!section) {
+        return insertSection(markdown, apiSection);
+    }
+    
+    const lines = markdown.split(/\r?\n/);
+    lines.splice(section.line, section.endLine - section.line, apiSection);
+    return lines.join('\n');
+}
+
+module.exports = {
+    extractApi,
+    extractJsApi,
+    extractPythonApi,
+    getApiCandidates,
+    renderApiSection,
+    applyApiSection
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { getTomlTable, getTomlString, getTomlEntries, getTomlValueString } = require('./toml');
+const { findHeadings } = require('./markdown');
+
+// Markers around the badge row, so it can be refreshed without touching the rest of the README
+const BADGES_START = '<!-- autoreadme:badges start -->';
+const BADGES_END = '<!-- autoreadme:badges end -->';
+
+// Runtimes that get an engine badge, keyed by their name in the project facts
+const ENGINE_BADGES = {
+    'Node.js': { label: 'node', color: 'brightgreen' },
+    Python: { label: 'python', color: '3776ab' },
+    Rust: { label: 'rust', color: 'orange' },
+    Go: { label: 'go', color: '00add8' }
+};
+
+// Workflow files that most likely run the tests, preferred for the CI badge
+const CI_WORKFLOW_PATTERN = /(^|[-_.])(ci|test|tests|build|check|main)([-_.]|$)/i;
+
+/**
+ * Reads a file, returning null when it does not exist or cannot be read
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} - The file content
+ */
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Escapes text for the path of a static shields.io badge, where `-` and `_` are separators
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeBadgeText(text) {
+    return encodeURIComponent(String(text).replace(/-/g, '--').replace(/_/g, '__'));
+}
+
+/**
+ * Builds a static shields.io badge
+ * @param {string} label - Left-hand text
+ * @param {string} message - Right-hand text
+ * @param {string} color - Badge color
+ * @returns {string} - The image URL
+ */
+function staticBadge(label, message, color) {
+    return `https://img.shields.io/badge/${escapeBadgeText(label)}-${escapeBadgeText(message)}-${color}`;
+}
+
+/**
+ * Extracts `owner/repo` from a GitHub URL in any of the usual forms
+ * @param {string} url - A repository URL, e.g. `git+https://github.com/owner/repo.git` or `git@github.com:owner/repo`
+ * @returns {string|null} - The repository slug, or null for other hosts
+ */
+function parseGitHubSlug(url) {
+    const match = String(url || '').match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/i) ||
+        String(url || '').match(/^github:([\w.-]+)\/([\w.-]+)$/i);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Reads the registry identity and repository of a project from its root manifests
+ * @param {string} rootPath - The root path of the project
+ * @returns {{ registries: { registry: string, name: string }[], repositoryUrls: string[] }} - Published names and repository URLs
+ */
+function readManifestLinks(rootPath) {
+    const registries = [];
+    const repositoryUrls = [];
+    
+    const packageJson = readFileIfExists(path.join(rootPath, 'package.json'));
+    if (packageJson) {
+        try {
+            const manifest = JSON.parse(packageJson);
+            if (manifest.name && !manifest.private) {
+                registries.push({ registry: 'npm', name: manifest.name });
+            }
+            repositoryUrls.push(typeof manifest.repository === 'string' ? manifest.repository : (manifest.repository || {}).url);
+        } catch (error) {
+            console.error('Error parsing package.json:', error);
+        }
+    }
+    
+    const cargoToml = readFileIfExists(path.join(rootPath, 'Cargo.toml')) || '';
+    const crate = getTomlTable(cargoToml, 'package');
+    if (getTomlString(crate, 'name') && !/^\s*publish\s*=\s*false/m.test(crate)) {
+        registries.push({ registry: 'crates', name: getTomlString(crate, 'name') });
+    }
+    repositoryUrls.push(getTomlString(crate, 'repository'));
+    
+    const pyproject = readFileIfExists(path.join(rootPath, 'pyproject.toml')) || '';
+    const project = getTomlTable(pyproject, 'project') || getTomlTable(pyproject, 'tool.poetry');
+    if (getTomlString(project, 'name')) {
+        registries.push({ registry: 'pypi', name: getTomlString(project, 'name') });
+    }
+    repositoryUrls.push(getTomlString(project, 'repository'));
+    repositoryUrls.push(...Object.values(getTomlEntries(getTomlTable(pyproject, 'project.urls'))).map(getTomlValueString));
+    
+    // The origin remote is the fallback when no manifest names the repository
+    const gitConfig = readFileIfExists(path.join(rootPath, '.git', 'config')) || '';
+    const origin = gitConfig.match(/\[remote "origin"\][^[]*?^\s*url\s*=\s*(\S+)/m);
+    if (origin) {
+        repositoryUrls.push(origin[1]);
+    }
+    
+    return { registries, repositoryUrls: repositoryUrls.filter(Boolean) };
+}
+
+/**
+ * Lists the GitHub Actions workflows of a project with their display names
+ * @param {string} rootPath - The root path of the project
+ * @returns {{ file: string, name: string, content: string }[]} - Workflows sorted by file name
+ */
+function readWorkflows(rootPath) {
+    const workflowsDir = path.join(rootPath, '.github', 'workflows');
+    let fileNames;
+    try {
+        fileNames = fs.readdirSync(workflowsDir).filter(name => /\.ya?ml$/i.test(name)).sort();
+    } catch {
+        return [];
+    }
+    
+    return fileNames.map(file => {
+        const content = readFileIfExists(path.join(workflowsDir, file)) || '';
+        const name = content.match(/^name:\s*["']?(.+?)["']?\s*$/m);
+        return { file, name: name ? name[1] : file.replace(/\.ya?ml$/i, ''), content };
+    });
+}
+
+/**
+ * Works out the badges of a project from its manifests, LICENSE file and GitHub workflows
+ *
+ * Every URL is derived from files in the project, so the same project always gets the same badges.
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {{ alt: string, image: string, link: string|null }[]} - Badges in display order
+ */
+function buildBadges(rootPath, facts) {
+    const badges = [];
+    const { registries, repositoryUrls } = readManifestLinks(rootPath);
+    const slug = repositoryUrls.map(parseGitHubSlug).find(Boolean) || null;
+    const workflows = readWorkflows(rootPath);
+    
+    if (facts.license) {
+        badges.push({ alt: 'License', image: staticBadge('license', facts.license, 'blue'), link: facts.licenseFile });
+    }
+    
+    // The registry badge of the manifest that named the project, otherwise its manifest version
+    const published = registries.find(entry => entry.name === facts.name);
+    if (published && published.registry === 'npm') {
+        badges.push({ alt: 'npm version', image: `https://img.shields.io/npm/v/${published.name}`, link: `https://www.npmjs.com/package/${published.name}` });
+    } else if (published && published.registry === 'crates') {
+        badges.push({ alt: 'crates.io version', image: `https://img.shields.io/crates/v/${published.name}`, link: `https://crates.io/crates/${published.name}` });
+    } else if (published && published.registry === 'pypi') {
+        badges.push({ alt: 'PyPI version', image: `https://img.shields.io/pypi/v/${published.name}`, link: `https://pypi.org/project/${published.name}/` });
+    } else if (facts.version) {
+        badges.push({ alt: 'Version', image: staticBadge('version', facts.version, 'blue'), link: null });
+    }
+    
+    for (const engine of facts.engines) {
+        const badge = ENGINE_BADGES[engine.name];
+        if (badge) {
+            badges.push({ alt: `${engine.name} ${engine.version}`, image: staticBadge(badge.label, engine.version, badge.color), link: null });
+        }
+    }
+    
+    if (slug && workflows.length > 0) {
+        const workflow = workflows.find(candidate => CI_WORKFLOW_PATTERN.test(candidate.file)) || workflows[0];
+        const workflowUrl = `https://github.com/${slug}/actions/workflows/${workflow.file}`;
+        badges.push({ alt: workflow.name, image: `${workflowUrl}/badge.svg`, link: workflowUrl });
+    }
+    
+    if (slug) {
+        const usesCodecov = ['codecov.yml', '.codecov.yml'].some(file => fs.existsSync(path.join(rootPath, file))) ||
+            workflows.some(workflow => workflow.content.includes('codecov/codecov-action'));
+        const usesCoveralls = fs.existsSync(path.join(rootPath, '.coveralls.yml')) ||
+            workflows.some(workflow => workflow.content.includes('coverallsapp/github-action'));
+        
+        if (usesCodecov) {
+            badges.push({ alt: 'Coverage', image: `https://codecov.io/gh/${slug}/graph/badge.svg`, link: `https://codecov.io/gh/${slug}` });
+        } else if (usesCoveralls) {
+            badges.push({ alt: 'Coverage', image: `https://coveralls.io/repos/github/${slug}/badge.svg`, link: `https://coveralls.io/github/${slug}` });
+        }
+    }
+    
+    return badges;
+}
+
+/**
+ * Renders badges as one line of Markdown images
+ * @param {{ alt: string, image: string, link: string|null }[]} badges - Badges from buildBadges
+ * @returns {string} - The badge row, or an empty string without badges
+ */
+function renderBadgeRow(badges) {
+    return badges
+        .map(badge => (badge.link ? `[![${badge.alt}](${badge.image})](${badge.link})` : `![${badge.alt}](${badge.image})`))
+        .join(' ');
+}
+
+/**
+ * Inserts the badge row below the title of a README, or refreshes the row an earlier generation inserted
+ * @param {string} markdown - The README
+ * @param {string} row - The badge row from renderBadgeRow; an empty row removes the badges
+ * @returns {string} - The README with the badge row
+ */
+function applyBadgeRow(markdown, row) {
+    const lines = markdown.split('\n');
+    const start = lines.findIndex(line => line.trim() === BADGES_START);
+    const end = lines.findIndex((line, index) => index > start && line.trim() === BADGES_END);
+    const block = row ? [BADGES_START, row, BADGES_END] : [];
+    
+    if (start !== -1 && end !== -1) {
+        // Drop the blank line that separated a removed row from the title
+        const removeCount = end - start + 1 + (!row && lines[end + 1] === '' ? 1 : 0);
+        lines.splice(start, removeCount, ...block);
+        return lines.join('\n');
+    }
+    
+    if (!row) {
+        return markdown;
+    }
+    
+    const title = findHeadings(lines).find(heading => heading.level === 1);
+    if (title) {
+        lines.splice(title.line + 1, 0, '', ...block);
+    } else {
+        lines.unshift(...block, '');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildBadges,
+    renderBadgeRow,
+    applyBadgeRow,
+    parseGitHubSlug
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { listGraphFiles, findImports, resolveJsImport, resolvePythonModule } = require('./importGraph');
+const { extractJsApi, extractPythonApi } = require('./apiExtractor');
+const { getTomlTable, getTomlEntries } = require('./toml');
+
+// Files that make up the core of the project, loaded and packed ahead of the other sources
+const MAX_CENTRAL_FILES = 10;
+
+// Larger files are neither read for their imports and exports nor loaded as samples
+const MAX_SOURCE_FILE_SIZE = 256 * 1024;
+
+// An entry point outranks any number of importers, and one importer outranks any number of exports
+const ENTRY_POINT_WEIGHT = 1000;
+const IMPORTER_WEIGHT = 10;
+const MAX_COUNTED_EXPORTS = 9;
+
+// Build output that manifests point at; the sources live in src/ instead
+const BUILD_OUTPUT_DIRS = ['dist', 'build', 'out'];
+
+// Rankings of workspace data that was not scanned with scanWorkspace, e.g. data built by hand
+const rankingCache = new WeakMap();
+
+/**
+ * Reads a workspace file, preferring the content the scan already read
+ * @param {string|null} rootPath - The root path of the project, or null to use scanned contents only
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {string} filePath - Workspace-relative path with forward slashes
+ * @returns {string|null} - The content, or null when it is missing, unreadable or too large
+ */
+function readWorkspaceFile(rootPath, workspaceData, filePath) {
+    const scanned = workspaceData.fileContents[filePath.split('/').join(path.sep)];
+    if (scanned !== undefined) {
+        return typeof scanned === 'string' ? scanned : JSON.stringify(scanned);
+    }
+    if (!rootPath) {
+        return null;
+    }
+    
+    try {
+        const absolutePath = path.join(rootPath, filePath);
+        const stats = fs.statSync(absolutePath);
+        return stats.isFile() && stats.size <= MAX_SOURCE_FILE_SIZE ? fs.readFileSync(absolutePath, 'utf8') : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Lists the files package.json names as entry points in `main`, `module`, `browser`, `bin` and `exports`
+ * @param {string|null} packageJson - The package.json content
+ * @returns {string[]} - The paths as written, without a leading `./`
+ */
+function readPackageEntryPoints(packageJson) {
+    let manifest;
+    try {
+        manifest = JSON.parse(packageJson);
+    } catch {
+        return [];
+    }
+    if (!manifest || typeof manifest !== 'object') {
+        return [];
+    }
+    
+    const entries = [];
+    /**
+     * Collects the string leaves of a manifest field, e.g. the conditions of an `exports` map
+     * @param {any} value - The field value
+     */
+    const collect = value => {
+        if (typeof value === 'string') {
+            entries.push(value);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    };
+    [manifest.main, manifest.module, manifest.browser, manifest.bin, manifest.exports].forEach(collect);
+    
+    return entries
+        .filter(entry => !entry.includes('*') && !entry.endsWith('.json'))
+        .map(entry => entry.replace(/^\.\//, ''));
+}
+
+/**
+ * Lists the modules Python console scripts run, from `[project.scripts]`, `[project.gui-scripts]`,
+ * `[tool.poetry.scripts]` and the `console_scripts` of setup.py and setup.cfg
+ * @param {string|null} pyproject - The pyproject.toml content
+ * @param {string[]} setupFiles - The contents of setup.py and setup.cfg
+ * @returns {string[]} - Dotted module names
+ */
+function readPythonEntryPoints(pyproject, setupFiles) {
+    const targets = [];
+    
+    if (pyproject) {
+        for (const table of ['project.scripts', 'project.gui-scripts', 'tool.poetry.scripts']) {
+            targets.push(...Object.values(getTomlEntries(getTomlTable(pyproject, table))));
+        }
+    }
+    for (const content of setupFiles) {
+        targets.push(...[...content.matchAll(/[\w.-]+\s*=\s*[\w.]+\s*:\s*[\w.]+/g)].map(match => match[0]));
+    }
+    
+    return targets
+        .map(target => target.match(/([\w.]+)\s*:\s*[\w.]+\s*["']?\s*\}?\s*$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+/**
+ * Lists the crate roots Cargo.toml declares, falling back to Cargo's default src/lib.rs and src/main.rs
+ * @param {string|null} cargoToml - The Cargo.toml content
+ * @returns {string[]} - The paths
+ */
+function readCargoEntryPoints(cargoToml) {
+    if (!cargoToml) {
+        return [];
+    }
+    
+    const entries = ['src/lib.rs', 'src/main.rs'];
+    let table = null;
+    for (const line of cargoToml.split(/\r?\n/)) {
+        const header = line.match(/^\s*\[\[?([\w.-]+)\]\]?/);
+        const target = line.match(/^\s*path\s*=\s*(["'])(.+?)\1/);
+        if (header) {
+            table = header[1];
+        } else if (target && ['lib', 'bin'].includes(table)) {
+            entries.push(target[2].replace(/^\.\//, ''));
+        }
+    }
+    return entries;
+}
+
+/**
+ * Resolves an entry point a manifest names to a workspace file
+ *
+ * Paths into build output are looked up in src/ instead, and files the scan left out
+ * (npm bin scripts in bin/, say) are taken from disk.
+ * @param {string} entry - The path from the manifest
+ * @param {Set<string>} fileSet - Every scanned file, with forward slashes
+ * @param {string|null} rootPath - The root path of the project, or null to use scanned files only
+ * @param {(filePath: string) => boolean} isIgnored - Whether ignore rules cover a path, so it may not be taken from disk
+ * @returns {string|null} - The file, or null when it cannot be found
+ */
+function resolveEntryPoint(entry, fileSet, rootPath, isIgnored) {
+    const normalized = path.posix.normalize(entry);
+    const [topDirectory, ...rest] = normalized.split('/');
+    const resolved = resolveJsImport('package.json', `./${normalized}`, fileSet);
+    if (resolved) {
+        return resolved;
+    }
+    
+    if (BUILD_OUTPUT_DIRS.includes(topDirectory) && rest.length > 0) {
+        return resolveJsImport('package.json', `./${path.posix.join('src', ...rest)}`, fileSet);
+    }
+    
+    if (rootPath && !normalized.startsWith('..') && !BUILD_OUTPUT_DIRS.includes(topDirectory) && !isIgnored(normalized)) {
+        try {
+            return fs.statSync(path.join(rootPath, normalized)).isFile() ? normalized : null;
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Counts the public top-level symbols of a JavaScript, TypeScript or Python module
+ * @param {string} filePath - The file path
+ * @param {string} content - The source code
+ * @returns {number} - Exported functions, classes, types and constants; 0 for other languages
+ */
+function countExports(filePath, content) {
+    const ext = path.extname(filePath).toLowerCase();
+    let symbols = [];
+    try {
+        if (ext === '.py') {
+            symbols = extractPythonApi(content);
+        } else if (['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'].includes(ext)) {
+            symbols = extractJsApi(content);
+        }
+    } catch (error) {
+        console.error(`Error reading the exports of ${filePath}:`, error);
+    }
+    return symbols.filter(symbol => symbol.kind !== 'method').length;
+}
+
+/**
+ * Ranks the source files that make up the core of a project
+ *
+ * Three signals count, strongest first: being an entry point named by a manifest (package.json
+ * `main`, `bin` and `exports`, Python console scripts, Cargo crate roots), the number of files that
+ * import the file, and the number of symbols it exports.
+ * @param {string|null} rootPath - The root path of the project, or null to rank the scanned contents only
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {(filePath: string) => boolean} [isIgnored] - Whether ignore rules cover a path the scan did not list
+ * @returns {{ filePath: string, score: number, entryPoint: boolean, importedBy: number, exports: number }[]} - The most central files, most central first, with workspace-relative paths
+ */
+function rankCentralFiles(rootPath, workspaceData, isIgnored = () => false) {
+    const toNative = filePath => filePath.split('/').join(path.sep);
+    const scannedFiles = [...new Set([...workspaceData.files, ...Object.keys(workspaceData.fileContents)])]
+        .map(filePath => filePath.split(path.sep).join('/'));
+    const fileSet = new Set(scannedFiles);
+    const read = filePath => readWorkspaceFile(rootPath, workspaceData, filePath);
+    
+    const entryPoints = new Set();
+    for (const entry of [...readPackageEntryPoints(read('package.json')), ...readCargoEntryPoints(read('Cargo.toml'))]) {
+        const resolved = resolveEntryPoint(entry, fileSet, rootPath, isIgnored);
+        if (resolved) {
+            entryPoints.add(resolved);
+        }
+    }
+    const setupFiles = ['setup.py', 'setup.cfg'].map(read).filter(Boolean);
+    for (const moduleName of readPythonEntryPoints(read('pyproject.toml'), setupFiles)) {
+        const resolved = resolvePythonModule(moduleName.replace(/\./g, '/'), ['', 'src'], fileSet);
+        if (resolved) {
+            entryPoints.add(resolved);
+        }
+    }
+    
+    // Entry points the scan left out still count, as importers and as candidates
+    const sourceFiles = [...new Set([...listGraphFiles({ files: scannedFiles }), ...entryPoints])];
+    const graphFiles = new Set([...fileSet, ...entryPoints]);
+    const importers = new Map();
+    const exportCounts = new Map();
+    
+    for (const filePath of sourceFiles) {
+        const content = read(filePath);
+        if (content === null) {
+            continue;
+        }
+        exportCounts.set(filePath, countExports(filePath, content));
+        for (const target of findImports(filePath, content, graphFiles)) {
+            if (!importers.has(target)) {
+                importers.set(target, new Set());
+            }
+            importers.get(target).add(filePath);
+        }
+    }
+    
+    return sourceFiles
+        .map(filePath => {
+            const entryPoint = entryPoints.has(filePath);
+            const importedBy = importers.has(filePath) ? importers.get(filePath).size : 0;
+            const exports = exportCounts.get(filePath) || 0;
+            return {
+                filePath: toNative(filePath),
+                score: (entryPoint ? ENTRY_POINT_WEIGHT : 0) + importedBy * IMPORTER_WEIGHT + Math.min(exports, MAX_COUNTED_EXPORTS),
+                entryPoint,
+                importedBy,
+                exports
+            };
+        })
+        .filter(file => file.score > 0)
+        .sort((a, b) => b.score - a.score ||
+            a.filePath.split(/[\\/]/).length - b.filePath.split(/[\\/]/).length ||
+            a.filePath.localeCompare(b.filePath))
+        .slice(0, MAX_CENTRAL_FILES);
+}
+
+/**
+ * Ranks the central files of a scanned workspace and loads the ones the scan did not read,
+ * so the core of the project reaches the prompt even when the file limit cut it off
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan; `centralFiles`, `files` and `fileContents` are updated
+ * @param {(filePath: string) => boolean} [isIgnored] - Whether ignore rules cover a path the scan did not list
+ */
+function addCentralFiles(rootPath, workspaceData, isIgnored) {
+    workspaceData.centralFiles = rankCentralFiles(rootPath, workspaceData, isIgnored);
+    
+    for (const { filePath } of workspaceData.centralFiles) {
+        if (workspaceData.fileContents[filePath] === undefined) {
+            const content = readWorkspaceFile(rootPath, workspaceData, filePath.split(path.sep).join('/'));
+            if (content !== null) {
+                workspaceData.fileContents[filePath] = content;
+            }
+        }
+        if (!workspaceData.files.includes(filePath)) {
+            workspaceData.files.push(filePath);
+        }
+    }
+}
+
+/**
+ * Returns the central files of a workspace, ranking the scanned contents when the scan did not
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {{ filePath: string, score: number, entryPoint: boolean, importedBy: number, exports: number }[]} - The most central files, most central first
+ */
+function getCentralFiles(workspaceData) {
+    if (workspaceData.centralFiles) {
+        return workspaceData.centralFiles;
+    }
+    if (!rankingCache.has(workspaceData)) {
+        rankingCache.set(workspaceData, rankCentralFiles(null, workspaceData));
+    }
+    return rankingCache.get(workspaceData);
+}
+
+module.exports = {
+    rankCentralFiles,
+    addCentralFiles,
+    getCentralFiles
+};
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { resolveSettings } = require('./providers');
+const { loadProjectConfig } = require('./projectConfig');
+const { SummaryCache } = require('./summarizer');
+const { createConfiguration, resolveProvider, scanProject, generateReadmeText, refreshArchitectureDiagram, checkReadme } = require('./pipeline');
+const ErrorHandler = require('./errorHandler');
+
+const USAGE = `Usage: auto-readme <command> [directory] [options]
+
+Commands:
+  generate    Generate the README and write it
+  check       Exit with status 1 when the README is out of date
+  diagram     Redraw only the architecture diagram of the README
+
+Options:
+  --provider <id>    ollama, gemini, openai-compatible or template
+  --model <name>     Model used by the provider
+  --out <path>       README path relative to the directory (default: README.md)
+  --context <text>   Additional context for the README
+  --cache <file>     Keep file summaries between runs in this file
+  -h, --help         Show this help
+
+Every autoReadme.* setting can be set through an environment variable, e.g.
+AUTOREADME_GEMINI_API_KEY for autoReadme.geminiApiKey. A .autoreadme.json in
+the directory is honoured like in VS Code.`;
+
+// Exit statuses of the CLI
+const EXIT_STALE = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * Reads `autoReadme.*` settings from `AUTOREADME_*` environment variables
+ * @param {Object<string, string>} env - The environment
+ * @returns {Object<string, any>} - Settings keyed by setting name without the `autoReadme.` prefix
+ */
+function readEnvironmentSettings(env) {
+    const values = {};
+    const { contributes } = require('./package.json');
+    
+    for (const [name, property] of Object.entries(contributes.configuration.properties)) {
+        const key = name.replace(/^autoReadme\./, '');
+        const value = env[`AUTOREADME_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`];
+        if (value === undefined) {
+            continue;
+        }
+        
+        if (property.type === 'number') {
+            values[key] = Number(value);
+        } else if (property.type === 'boolean') {
+            values[key] = value === 'true';
+        } else if (property.type === 'array' || property.type === 'object') {
+            values[key] = JSON.parse(value);
+        } else {
+            values[key] = value;
+        }
+    }
+    
+    return values;
+}
+
+/**
+ * Resolves what one CLI run generates and with which provider
+ * @param {Object} options - Parsed command-line options
+ * @param {string} rootPath - The project directory
+ * @param {Object<string, string>} env - The environment
+ * @returns {Object} - Generation state, see generateReadmeText, plus the README path and ignore globs
+ */
+function resolveRun(options, rootPath, env) {
+    const projectConfig = loadProjectConfig(rootPath);
+    const config = createConfiguration(readEnvironmentSettings(env));
+    const provider = resolveProvider(options.provider || (projectConfig && projectConfig.provider) || config.get('aiProvider') || 'ollama');
+    const model = options.model || (projectConfig && projectConfig.model);
+    
+    return {
+        provider,
+        settings: provider ? { ...resolveSettings(provider, config), ...(model ? { model } : {}) } : {},
+        userContext: options.context || (projectConfig && projectConfig.context) || '',
+        projectConfig,
+        config,
+        readmeRelativePath: options.out || (projectConfig && projectConfig.output) || 'README.md',
+        ignoreGlobs: (projectConfig && projectConfig.ignore) || []
+    };
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - Command-line arguments, without the node executable and script
+ * @param {Object<string, string>} [env] - The environment
+ * @returns {Promise<number>} - The exit status
+ */
+async function main(argv, env = process.env) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                provider: { type: 'string' },
+                model: { type: 'string' },
+                out: { type: 'string' },
+                context: { type: 'string' },
+                cache: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    
+    const [command, directory = '.'] = parsed.positionals;
+    if (parsed.values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['generate', 'check', 'diagram'].includes(command)) {
+        console.error(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+        return EXIT_ERROR;
+    }
+    
+    const rootPath = path.resolve(directory);
+    const abortController = new AbortController();
+    const onInterrupt = () => abortController.abort();
+    process.once('SIGINT', onInterrupt);
+    
+    try {
+        const run = resolveRun(parsed.values, rootPath, env);
+        const workspaceData = await scanProject(rootPath, run.readmeRelativePath, run.config, run.ignoreGlobs);
+        const generation = {
+            ...run,
+            summaryCache: new SummaryCache(parsed.values.cache && path.resolve(parsed.values.cache)),
+            signal: abortController.signal,
+            onProgress: message => console.error(message),
+            log: line => console.error(line),
+            onProblems: problems => problems.forEach(problem => console.error(`${run.readmeRelativePath}:${problem.line + 1}: ${problem.message}`)),
+            onUnverifiedClaims: claims => claims.forEach(claim => console.error(`${run.readmeRelativePath}:${claim.line + 1}: warning: ${claim.message}`))
+        };
+        const options = { readmeRelativePath: run.readmeRelativePath };
+        
+        if (command === 'check') {
+            const result = await checkReadme(rootPath, workspaceData, generation, options);
+            console.log(result.reason);
+            return result.stale ? EXIT_STALE : 0;
+        }
+        
+        const readmePath = path.join(rootPath, run.readmeRelativePath);
+        if (command === 'diagram') {
+            if (!fs.existsSync(readmePath)) {
+                throw new Error(`${run.readmeRelativePath} does not exist. Run "auto-readme generate" first.`);
+            }
+            const current = fs.readFileSync(readmePath, 'utf8').replace(/\r\n/g, '\n');
+            const refreshed = refreshArchitectureDiagram(rootPath, workspaceData, current);
+            if (refreshed === current) {
+                console.log('The architecture diagram is already up to date.');
+                return 0;
+            }
+            fs.writeFileSync(readmePath, refreshed);
+            console.log(`Refreshed the architecture diagram in ${path.relative(process.cwd(), readmePath) || readmePath}`);
+            return 0;
+        }
+        
+        // Checking never calls the model, so only generation needs a complete provider configuration
+        const problems = run.provider ? run.provider.validateConfig(run.settings) : [];
+        if (problems.length > 0) {
+            throw new Error(problems.join(' '));
+        }
+        
+        const readme = await generateReadmeText(rootPath, workspaceData, generation, options);
+        fs.mkdirSync(path.dirname(readmePath), { recursive: true });
+        fs.writeFileSync(readmePath, readme);
+        console.log(`Wrote ${path.relative(process.cwd(), readmePath) || readmePath}`);
+        return 0;
+    } catch (error) {
+        console.error(abortController.signal.aborted
+            ? 'Cancelled.'
+            : ErrorHandler.getMessage(error, { check: 'checking README', diagram: 'refreshing the architecture diagram' }[command] || 'generating README'));
+        return EXIT_ERROR;
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    });
+}
+
+module.exports = {
+    main,
+    readEnvironmentSettings
+};
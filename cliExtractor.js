@@ -0,0 +1,1071 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTable, applyMarkedBlock } = require('./markdown');
+
+// Sources searched for argument parsers, and the largest file read; generated parser tables are skipped by size
+const MAX_CLI_FILES = 500;
+const MAX_CLI_FILE_SIZE = 256 * 1024;
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.py', '.go', '.rs'];
+
+// Tests define throwaway parsers, which are not the interface of the project
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec|e2e|fixtures?|examples?)\/|\.(test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$|_test\.(py|go)$/i;
+
+// Markers around the generated reference, so it can be refreshed without touching the rest of the section
+const CLI_START = '<!-- autoreadme:cli start -->';
+const CLI_END = '<!-- autoreadme:cli end -->';
+
+// Headings of the section the reference goes into
+const USAGE_HEADINGS = ['usage', 'cli', 'command line', 'command-line usage', 'command line usage', 'commands'];
+
+// How many example invocations are shown per program
+const MAX_EXAMPLES = 5;
+
+// Imports that identify the argument parser a file uses
+const FRAMEWORKS = [
+    { id: 'commander', pattern: /require\(\s*['"]commander['"]\s*\)|from\s+['"]commander['"]/, parse: parseCommander },
+    { id: 'yargs', pattern: /require\(\s*['"]yargs(?:\/yargs)?['"]\s*\)|from\s+['"]yargs(?:\/yargs)?['"]/, parse: parseYargs },
+    { id: 'argparse', pattern: /^\s*(?:import\s+argparse\b|from\s+argparse\s+import\b)/m, parse: parseArgparse },
+    { id: 'click', pattern: /^\s*(?:import\s+click\b|from\s+click\s+import\b)/m, parse: parseClick },
+    { id: 'cobra', pattern: /"github\.com\/spf13\/cobra"/, parse: parseCobra },
+    { id: 'clap', pattern: /\buse\s+clap::|\bclap::(?:Parser|Command)\b/, parse: parseClap }
+];
+
+/**
+ * Creates an empty command
+ * @param {string} name - The command name; the root command of a program has an empty name
+ * @returns {{ name: string, description: string, arguments: Object[], options: Object[] }} - The command
+ */
+function createCommand(name) {
+    return { name, description: '', arguments: [], options: [] };
+}
+
+/**
+ * Collapses a help text to one line
+ * @param {string} text - The text
+ * @returns {string} - The first paragraph on one line
+ */
+function collapseText(text) {
+    return String(text || '').trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads code from an opening bracket to its matching closing bracket, skipping brackets in strings
+ * @param {string} text - The source code
+ * @param {number} open - Index of the opening bracket
+ * @param {boolean} [rust] - Whether `'` only quotes single characters, as in Rust
+ * @returns {{ inner: string, end: number }} - The text between the brackets and the index after the closing one
+ */
+function readBracketed(text, open, rust = false) {
+    let depth = 0;
+    let quote = null;
+    
+    for (let index = open; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        if (char === '"' || char === '`' || (char === "'" && (!rust || /^'(\\.|[^\\'])'/.test(text.slice(index, index + 4))))) {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth--;
+            if (depth === 0) {
+                return { inner: text.slice(open + 1, index), end: index + 1 };
+            }
+        }
+    }
+    
+    return { inner: text.slice(open + 1), end: text.length };
+}
+
+/**
+ * Splits code at the separators that are not nested in brackets or strings
+ * @param {string} text - The code, e.g. the arguments of a call
+ * @param {string} [separator] - The separator character
+ * @returns {string[]} - The trimmed, non-empty parts
+ */
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, index));
+            start = index + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a string literal, including adjacent or `+`-joined literals such as Python's implicit concatenation
+ * @param {string|undefined} code - The code
+ * @returns {string|null} - The string, or null when the code is not a string literal
+ */
+function readString(code) {
+    let rest = String(code || '').trim().replace(/^\(([\s\S]*)\)$/, '$1').trim();
+    const parts = [];
+    
+    while (rest) {
+        const match = rest.match(/^[rRuUbB]?("""|'''|"|'|`)([\s\S]*?)(?<!\\)\1\s*\+?\s*/);
+        if (!match) {
+            return null;
+        }
+        parts.push(match[2]);
+        rest = rest.slice(match[0].length);
+    }
+    
+    return parts.length > 0 ? parts.join('').replace(/\\n/g, ' ').replace(/\\(["'`\\])/g, '$1') : null;
+}
+
+/**
+ * Formats a default value from source code for display
+ * @param {string|undefined} code - The code of the value
+ * @returns {string|null} - The value, or null when there is none or it is computed at runtime
+ */
+function readDefault(code) {
+    if (code === undefined) {
+        return null;
+    }
+    const text = readString(code);
+    if (text !== null) {
+        return text;
+    }
+    const trimmed = code.trim();
+    return /^(-?[\d.]+|true|false|True|False|None|null|\[\]|\{\})$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Reads the keyword arguments of a Python call or the properties of an object literal
+ * @param {string[]} parts - The arguments or properties
+ * @param {string} separator - `=` for keyword arguments, `:` for object properties
+ * @returns {Object<string, string>} - Raw values by name
+ */
+function readNamedValues(parts, separator) {
+    const values = {};
+    for (const part of parts) {
+        const match = part.match(new RegExp(`^['"]?(\\w+)['"]?\\s*${separator}(?!=)\\s*([\\s\\S]+)$`));
+        if (match) {
+            values[match[1]] = match[2].trim();
+        }
+    }
+    return values;
+}
+
+/**
+ * Finds calls of the given methods at the top level of some code, skipping calls nested in their arguments
+ * @param {string} text - The code
+ * @param {RegExp} pattern - Matches up to and including the opening parenthesis; the first group is the method name
+ * @param {boolean} [rust] - Whether the code is Rust
+ * @returns {{ method: string, match: RegExpExecArray, args: string[], inner: string, end: number }[]} - The calls in source order
+ */
+function findCalls(text, pattern, rust = false) {
+    const calls = [];
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    let match;
+    
+    while ((match = regex.exec(text)) !== null) {
+        const { inner, end } = readBracketed(text, match.index + match[0].length - 1, rust);
+        calls.push({ method: match[1], match, args: splitTopLevel(inner), inner, end });
+        regex.lastIndex = end;
+    }
+    
+    return calls;
+}
+
+/**
+ * Reads the positional arguments of a command spec such as `serve <dir> [port]`
+ * @param {string} spec - The spec
+ * @returns {{ name: string, arguments: { name: string, description: string, required: boolean, default?: string|null }[] }} - The command name and its arguments
+ */
+function parseCommandSpec(spec) {
+    const [name = '', ...rest] = spec.trim().split(/\s+/);
+    return {
+        name,
+        arguments: rest
+            .filter(token => /^[<[]/.test(token))
+            .map(token => ({ name: token, description: '', required: token.startsWith('<') }))
+    };
+}
+
+/**
+ * Extracts a commander program
+ * @param {string} content - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseCommander(content) {
+    const root = createCommand('');
+    const commands = [root];
+    const variables = new Map();
+    let current = root;
+    let name = null;
+    
+    for (const call of findCalls(content, /(?:\b(\w+)\s*)?\.\s*(name|description|summary|command|option|requiredOption|argument)\s*\(/)) {
+        const receiver = call.match[1];
+        const method = call.match[2];
+        if (receiver) {
+            current = variables.get(receiver) || root;
+        }
+        
+        if (method === 'name' && current === root) {
+            name = readString(call.args[0]) || name;
+        } else if (method === 'description' || (method === 'summary' && !current.description)) {
+            current.description = collapseText(readString(call.args[0]));
+        } else if (method === 'command') {
+            const spec = parseCommandSpec(readString(call.args[0]) || '');
+            current = createCommand(spec.name);
+            current.arguments = spec.arguments;
+            current.description = collapseText(readString(call.args[1]));
+            commands.push(current);
+            
+            const assignment = content.slice(0, call.match.index).match(/(?:const|let|var)\s+(\w+)\s*=\s*(?:\w+\s*)?$/);
+            if (assignment) {
+                variables.set(assignment[1], current);
+            }
+        } else if (method === 'option' || method === 'requiredOption') {
+            const flags = readString(call.args[0]) || '';
+            current.options.push({
+                flags,
+                description: collapseText(readString(call.args[1])),
+                default: readDefault(call.args[2]),
+                takesValue: /[<[]/.test(flags)
+            });
+        } else if (method === 'argument') {
+            const argument = readString(call.args[0]) || '';
+            current.arguments.push({ name: argument, description: collapseText(readString(call.args[1])), required: argument.startsWith('<') });
+        }
+    }
+    
+    return { name, commands };
+}
+
+/**
+ * Reads a yargs option definition
+ * @param {string} optionName - The option name
+ * @param {string|undefined} definition - The options object literal
+ * @returns {{ flags: string, description: string, default: string|null, takesValue: boolean }} - The option
+ */
+function readYargsOption(optionName, definition) {
+    const properties = definition && definition.trim().startsWith('{')
+        ? readNamedValues(splitTopLevel(definition.trim().slice(1, -1)), ':')
+        : {};
+    const aliases = properties.alias
+        ? splitTopLevel(properties.alias.replace(/^\[|\]$/g, '')).map(readString).filter(Boolean)
+        : [];
+    const type = readString(properties.type);
+    const names = [optionName, ...aliases].sort((a, b) => a.length - b.length);
+    const takesValue = type !== 'boolean' && properties.boolean !== 'true';
+    
+    return {
+        flags: `${names.map(alias => (alias.length === 1 ? `-${alias}` : `--${alias}`)).join(', ')}${takesValue && type ? ` <${type}>` : ''}`,
+        description: collapseText(readString(properties.describe || properties.description || properties.desc)),
+        default: readDefault(properties.default),
+        takesValue
+    };
+}
+
+/**
+ * Adds the options and positionals defined in some yargs code to a command
+ * @param {string} text - The code, e.g. a command builder
+ * @param {Object} command - The command
+ */
+function readYargsOptions(text, command) {
+    for (const call of findCalls(text, /\.\s*(option|positional)\s*\(/)) {
+        const optionName = readString(call.args[0]);
+        if (!optionName) {
+            continue;
+        }
+        if (call.method === 'positional') {
+            const existing = command.arguments.find(argument => argument.name.replace(/[<>[\]]/g, '') === optionName);
+            const option = readYargsOption(optionName, call.args[1]);
+            if (existing) {
+                existing.description = option.description;
+                existing.default = option.default;
+            } else {
+                command.arguments.push({ name: `<${optionName}>`, description: option.description, required: true, default: option.default });
+            }
+        } else {
+            command.options.push(readYargsOption(optionName, call.args[1]));
+        }
+    }
+}
+
+/**
+ * Extracts a yargs program
+ * @param {string} content - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseYargs(content) {
+    const root = createCommand('');
+    const commands = [root];
+    let name = null;
+    let rootCode = content;
+    
+    for (const call of findCalls(content, /\.\s*(command|scriptName|usage)\s*\(/)) {
+        if (call.method === 'scriptName') {
+            name = readString(call.args[0]) || name;
+            continue;
+        }
+        if (call.method === 'usage') {
+            root.description = root.description || collapseText((readString(call.args[0]) || '').replace(/^\$0\b.*$/m, ''));
+            continue;
+        }
+        
+        // `.command('serve [port]', 'description', builder, handler)` or `.command({ command, describe, builder })`
+        const object = call.args[0] && call.args[0].startsWith('{') ? readNamedValues(splitTopLevel(call.args[0].slice(1, -1)), ':') : null;
+        const specCode = object ? object.command : call.args[0];
+        const spec = parseCommandSpec(readString(specCode) || (readString(splitTopLevel((specCode || '').replace(/^\[|\]$/g, ''))[0]) || ''));
+        const command = spec.name === '$0' ? root : createCommand(spec.name);
+        command.arguments.push(...spec.arguments);
+        command.description = collapseText(readString(object ? (object.describe || object.description || object.desc) : call.args[1])) || command.description;
+        readYargsOptions(call.inner, command);
+        if (command !== root) {
+            commands.push(command);
+        }
+        rootCode = rootCode.replace(call.inner, '');
+    }
+    
+    readYargsOptions(rootCode, root);
+    return { name, commands };
+}
+
+/**
+ * Reads an argparse or click argument definition
+ * @param {string[]} args - The call arguments
+ * @param {string} framework - argparse or click
+ * @returns {{ kind: string, option: Object }} - An `argument` with name and description, or an `option`
+ */
+function readPythonParameter(args, framework) {
+    const positional = args.filter(arg => !/^\w+\s*=(?!=)/.test(arg)).map(readString).filter(Boolean);
+    const named = readNamedValues(args, '=');
+    const flags = positional.filter(arg => arg.startsWith('-'));
+    const description = collapseText(readString(named.help));
+    
+    if (flags.length === 0) {
+        const argumentName = positional[0] || '';
+        const required = !/^["']?[?*]/.test(named.nargs || '') && !named.default && named.required !== 'False';
+        return { kind: 'argument', option: { name: `<${argumentName}>`, description, required } };
+    }
+    
+    const isFlag = framework === 'click'
+        ? named.is_flag === 'True' || flags.some(flag => flag.includes('/')) || named.count === 'True'
+        : /store_true|store_false|store_const|count|help|version/.test(named.action || '');
+    const metavar = readString(named.metavar) || flags.find(flag => flag.startsWith('--'))?.replace(/^--/, '').replace(/-/g, '_').toUpperCase() || 'VALUE';
+    
+    return {
+        kind: 'option',
+        option: {
+            flags: `${flags.sort((a, b) => a.length - b.length).join(', ')}${isFlag ? '' : ` ${metavar}`}`,
+            description,
+            default: isFlag ? null : readDefault(named.default),
+            takesValue: !isFlag
+        }
+    };
+}
+
+/**
+ * Extracts an argparse program
+ * @param {string} content - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseArgparse(content) {
+    const root = createCommand('');
+    const commands = [root];
+    const variables = new Map();
+    let name = null;
+    
+    for (const call of findCalls(content, /(?:\b(\w+)\s*=\s*)?(?:\b(\w+)\s*\.\s*)?(ArgumentParser|add_subparsers|add_parser|add_argument_group|add_mutually_exclusive_group|add_argument)\s*\(/)) {
+        const [, target, receiver, method] = call.match;
+        const named = readNamedValues(call.args, '=');
+        const owner = variables.get(receiver) || root;
+        
+        if (method === 'ArgumentParser') {
+            name = readString(named.prog) || name;
+            root.description = collapseText(readString(named.description));
+            variables.set(target, root);
+        } else if (method === 'add_subparsers') {
+            variables.set(target, owner);
+        } else if (method === 'add_parser') {
+            const command = createCommand([owner.name, readString(call.args[0])].filter(Boolean).join(' '));
+            command.description = collapseText(readString(named.help) || readString(named.description));
+            commands.push(command);
+            variables.set(target, command);
+        } else if (method === 'add_argument') {
+            const parameter = readPythonParameter(call.args, 'argparse');
+            (parameter.kind === 'argument' ? owner.arguments : owner.options).push(parameter.option);
+        } else {
+            variables.set(target, owner);
+        }
+    }
+    
+    return { name, commands };
+}
+
+/**
+ * Extracts a click program
+ * @param {string} source - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseClick(source) {
+    const content = source.replace(/\r\n/g, '\n');
+    const lines = content.split('\n');
+    const definitions = [];
+    let decorators = [];
+    
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const decorator = line.match(/^\s*@(\w+)\.(group|command|option|argument)\s*\(/);
+        const definition = line.match(/^\s*(?:async\s+)?def\s+(\w+)\s*\(/);
+        
+        if (decorator) {
+            const offset = lines.slice(0, index).join('\n').length + (index > 0 ? 1 : 0) + line.indexOf('(');
+            const { inner, end } = readBracketed(content, offset);
+            decorators.push({ receiver: decorator[1], kind: decorator[2], args: splitTopLevel(inner) });
+            index += content.slice(offset, end).split('\n').length - 1;
+        } else if (definition) {
+            const command = decorators.find(candidate => candidate.kind === 'group' || candidate.kind === 'command');
+            if (command) {
+                let bodyStart = index;
+                while (bodyStart < lines.length - 1 && !/:\s*(#.*)?$/.test(lines[bodyStart])) {
+                    bodyStart++;
+                }
+                const docstring = (lines.slice(bodyStart + 1).join('\n').match(/^\s*[rRuU]?("""|''')([\s\S]*?)\1/) || [])[2];
+                const named = readNamedValues(command.args, '=');
+                definitions.push({
+                    functionName: definition[1],
+                    isGroup: command.kind === 'group',
+                    parent: command.receiver === 'click' ? null : command.receiver,
+                    name: readString(command.args.find(arg => !/^\w+\s*=(?!=)/.test(arg))) || readString(named.name) || definition[1].replace(/_/g, '-'),
+                    description: collapseText(readString(named.help) || docstring),
+                    parameters: decorators.filter(candidate => candidate.kind === 'option' || candidate.kind === 'argument').map(candidate => readPythonParameter(candidate.args, 'click'))
+                });
+            }
+            decorators = [];
+        } else if (line.trim() && !line.trim().startsWith('#') && !line.trim().startsWith('@')) {
+            decorators = [];
+        }
+    }
+    
+    if (definitions.length === 0) {
+        return null;
+    }
+    
+    // The first group is the program; without one, the first command is
+    const rootDefinition = definitions.find(candidate => candidate.isGroup && !candidate.parent) || definitions[0];
+    const commands = definitions.map(candidate => {
+        const command = createCommand(candidate === rootDefinition ? '' : candidate.name);
+        command.description = candidate.description;
+        for (const parameter of candidate.parameters) {
+            (parameter.kind === 'argument' ? command.arguments : command.options).push(parameter.option);
+        }
+        return command;
+    });
+    
+    const ordered = [commands[definitions.indexOf(rootDefinition)], ...commands.filter((command, index) => definitions[index] !== rootDefinition)];
+    return { name: null, commands: ordered };
+}
+
+/**
+ * Extracts a cobra program
+ * @param {string} content - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseCobra(content) {
+    const definitions = [];
+    const variables = new Map();
+    
+    for (const match of content.matchAll(/(\w+)\s*(?::=|=)\s*&cobra\.Command\s*\{/g)) {
+        const { inner } = readBracketed(content, match.index + match[0].length - 1);
+        const fields = readNamedValues(splitTopLevel(inner), ':');
+        const spec = parseCommandSpec(readString(fields.Use) || match[1].replace(/Cmd$/, ''));
+        const command = createCommand(spec.name);
+        command.arguments = spec.arguments;
+        command.description = collapseText(readString(fields.Short) || readString(fields.Long));
+        const definition = { variable: match[1], command, parent: null, index: match.index };
+        definitions.push(definition);
+        variables.set(match[1], definition);
+    }
+    
+    if (definitions.length === 0) {
+        return null;
+    }
+    
+    for (const match of content.matchAll(/(\w+)\.AddCommand\(([^)]*)\)/g)) {
+        for (const child of splitTopLevel(match[2])) {
+            const definition = variables.get(child.replace(/\(\)$/, ''));
+            if (definition && variables.has(match[1]) && definition !== variables.get(match[1])) {
+                definition.parent = variables.get(match[1]);
+            }
+        }
+    }
+    
+    // Flags attach to the latest command defined under the variable they are called on
+    for (const call of findCalls(content, /\b(\w+)\.(?:Persistent)?Flags\(\)\.(\w+)\s*\(/)) {
+        const [, variable, method] = call.match;
+        const owner = definitions.filter(definition => definition.variable === variable && definition.index < call.match.index).pop();
+        const type = method.replace(/VarP?$|P$/, '');
+        if (!owner || /^(Mark|Set|Lookup|Parse|Add|Visit|Changed|Get)/.test(method)) {
+            continue;
+        }
+        
+        const args = method.includes('Var') ? call.args.slice(1) : call.args;
+        const hasShorthand = method.endsWith('P');
+        const flagName = readString(args[0]);
+        const shorthand = hasShorthand ? readString(args[1]) : '';
+        const takesValue = type !== 'Bool';
+        const defaultValue = readDefault(args[hasShorthand ? 2 : 1]);
+        owner.command.options.push({
+            flags: `${shorthand ? `-${shorthand}, ` : ''}--${flagName}${takesValue ? ` ${type.toLowerCase()}` : ''}`,
+            description: collapseText(readString(args[hasShorthand ? 3 : 2])),
+            default: takesValue || defaultValue !== 'false' ? defaultValue : null,
+            takesValue
+        });
+    }
+    
+    // Nested commands are named by their path below the root
+    const root = definitions.find(definition => !definition.parent && definitions.some(child => child.parent === definition)) ||
+        definitions.find(definition => definition.variable === 'rootCmd') || definitions[0];
+    const pathOf = definition => (definition.parent && definition.parent !== root ? `${pathOf(definition.parent)} ` : '') + definition.command.name;
+    const commands = [root.command, ...definitions.filter(definition => definition !== root && definition.parent).map(definition => ({
+        ...definition.command,
+        name: pathOf(definition)
+    }))];
+    
+    const name = root.command.name;
+    root.command.name = '';
+    return { name, commands };
+}
+
+/**
+ * Turns a Rust identifier into the kebab-case name clap derives from it
+ * @param {string} identifier - A field or variant name
+ * @returns {string} - The kebab-case name
+ */
+function toKebabCase(identifier) {
+    return identifier.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Checks whether collected attribute text ends inside an attribute that continues on the next line
+ * @param {string} attributes - The attribute text collected so far
+ * @returns {boolean} - Whether an attribute is still open
+ */
+function isOpenAttribute(attributes) {
+    return (attributes.match(/\[/g) || []).length > (attributes.match(/\]/g) || []).length;
+}
+
+/**
+ * Reads the fields of a clap `Parser` or `Args` struct, or a struct-like subcommand variant
+ * @param {string} body - The code between the braces
+ * @returns {{ arguments: Object[], options: Object[], subcommand: string|null, flatten: string[] }} - The parameters
+ */
+function readClapFields(body) {
+    const result = { arguments: [], options: [], subcommand: null, flatten: [] };
+    let docs = [];
+    let attributes = '';
+    
+    for (const line of body.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        const field = trimmed.match(/^(?:pub(?:\([^)]*\))?\s+)?(\w+)\s*:\s*(.+?),?$/);
+        
+        if (isOpenAttribute(attributes)) {
+            attributes += trimmed;
+        } else if (trimmed.startsWith('///')) {
+            docs.push(trimmed.replace(/^\/\/\/\s?/, ''));
+        } else if (trimmed.startsWith('#[')) {
+            attributes += trimmed;
+        } else if (field) {
+            const [, fieldName, type] = field;
+            const arg = (attributes.match(/#\[(?:arg|clap)\(([\s\S]*?)\)\]/) || [])[1] || '';
+            const named = readNamedValues(splitTopLevel(arg), '=');
+            const bare = splitTopLevel(arg);
+            const description = collapseText(readString(named.help) || docs.join('\n'));
+            
+            if (/\bsubcommand\b/.test(attributes)) {
+                result.subcommand = type.replace(/^Option<(.+)>$/, '$1');
+            } else if (/\bflatten\b/.test(attributes)) {
+                result.flatten.push(type);
+            } else if (bare.includes('short') || bare.includes('long') || named.short || named.long) {
+                const takesValue = !/^bool$/.test(type) && !/ArgAction::(SetTrue|SetFalse|Count)/.test(arg);
+                const short = bare.includes('short') ? fieldName[0] : (named.short ? named.short.replace(/'/g, '') : '');
+                const long = bare.includes('long') ? toKebabCase(fieldName) : (readString(named.long) || '');
+                const valueName = readString(named.value_name) || fieldName.toUpperCase();
+                result.options.push({
+                    flags: `${[short && `-${short}`, long && `--${long}`].filter(Boolean).join(', ')}${takesValue ? ` <${valueName}>` : ''}`,
+                    description,
+                    default: readDefault(named.default_value) ?? readDefault(named.default_value_t),
+                    takesValue
+                });
+            } else {
+                const argumentName = readString(named.value_name) || fieldName.toUpperCase();
+                result.arguments.push({ name: `<${argumentName}>`, description, required: !/^(Option|Vec)</.test(type) });
+            }
+            docs = [];
+            attributes = '';
+        } else if (trimmed && !trimmed.startsWith('//')) {
+            docs = [];
+            attributes = '';
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Extracts a clap program, declared with the derive API or the builder API
+ * @param {string} source - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseClap(source) {
+    const content = source.replace(/\r\n/g, '\n');
+    const lines = content.split('\n');
+    const types = new Map();
+    let docs = [];
+    let attributes = '';
+    
+    // Collect the derived structs and enums with their documentation
+    for (let index = 0; index < lines.length; index++) {
+        const trimmed = lines[index].trim();
+        const declaration = trimmed.match(/^(?:pub(?:\([^)]*\))?\s+)?(struct|enum)\s+(\w+)[^{;]*\{/);
+        
+        if (isOpenAttribute(attributes)) {
+            attributes += trimmed;
+        } else if (trimmed.startsWith('///')) {
+            docs.push(trimmed.replace(/^\/\/\/\s?/, ''));
+        } else if (trimmed.startsWith('#[')) {
+            attributes += trimmed;
+        } else if (declaration) {
+            const offset = lines.slice(0, index).join('\n').length + (index > 0 ? 1 : 0) + lines[index].indexOf('{');
+            const { inner, end } = readBracketed(content, offset, true);
+            const derive = (attributes.match(/#\[derive\(([^)]*)\)\]/) || [])[1] || '';
+            const command = readNamedValues(splitTopLevel((attributes.match(/#\[(?:command|clap)\(([\s\S]*?)\)\]/) || [])[1] || ''), '=');
+            types.set(declaration[2], {
+                kind: declaration[1],
+                derive,
+                name: readString(command.name),
+                description: collapseText(readString(command.about) || docs.join('\n')),
+                body: inner
+            });
+            index += content.slice(offset, end).split('\n').length - 1;
+            docs = [];
+            attributes = '';
+        } else if (trimmed && !trimmed.startsWith('//')) {
+            docs = [];
+            attributes = '';
+        }
+    }
+    
+    /**
+     * Fills a command from the fields of a struct, following flattened structs
+     * @param {Object} command - The command
+     * @param {string} body - The fields
+     * @returns {string|null} - The subcommand enum the fields refer to
+     */
+    const fillCommand = (command, body) => {
+        const fields = readClapFields(body);
+        command.arguments.push(...fields.arguments);
+        command.options.push(...fields.options);
+        for (const flattened of fields.flatten) {
+            if (types.has(flattened)) {
+                fillCommand(command, types.get(flattened).body);
+            }
+        }
+        return fields.subcommand;
+    };
+    
+    const parser = [...types.values()].find(type => type.kind === 'struct' && /\bParser\b/.test(type.derive));
+    if (!parser) {
+        return parseClapBuilder(content);
+    }
+    
+    const root = createCommand('');
+    root.description = parser.description;
+    const commands = [root];
+    const subcommandType = types.get(fillCommand(root, parser.body));
+    
+    if (subcommandType && subcommandType.kind === 'enum') {
+        let variantDocs = [];
+        let variantAttributes = '';
+        const body = subcommandType.body;
+        const variantPattern = /^\s*(\w+)\s*(\{|\(|,|$)/;
+        const bodyLines = body.split(/\r?\n/);
+        
+        for (let index = 0; index < bodyLines.length; index++) {
+            const trimmed = bodyLines[index].trim();
+            const variant = bodyLines[index].match(variantPattern);
+            if (isOpenAttribute(variantAttributes) || trimmed.startsWith('#[')) {
+                variantAttributes = isOpenAttribute(variantAttributes) ? variantAttributes + trimmed : trimmed;
+            } else if (trimmed.startsWith('///')) {
+                variantDocs.push(trimmed.replace(/^\/\/\/\s?/, ''));
+            } else if (!trimmed) {
+                continue;
+            } else if (variant) {
+                const command = createCommand(toKebabCase(variant[1]));
+                command.description = collapseText(variantDocs.join('\n'));
+                if (variant[2] === '{' || variant[2] === '(') {
+                    const offset = bodyLines.slice(0, index).join('\n').length + (index > 0 ? 1 : 0) + bodyLines[index].indexOf(variant[2]);
+                    const { inner, end } = readBracketed(body, offset, true);
+                    const argsType = variant[2] === '(' ? types.get(inner.trim()) : null;
+                    fillCommand(command, argsType ? argsType.body : inner);
+                    if (argsType && !command.description) {
+                        command.description = argsType.description;
+                    }
+                    index += body.slice(offset, end).split('\n').length - 1;
+                }
+                commands.push(command);
+                variantDocs = [];
+            } else {
+                variantDocs = [];
+            }
+        }
+    }
+    
+    return { name: parser.name, commands };
+}
+
+/**
+ * Reads a clap builder `Command` and its subcommands
+ * @param {string} text - The code after `Command::new(`'s opening parenthesis, up to the end of the chain
+ * @param {string} name - The command name
+ * @param {Object[]} commands - Receives the command and its subcommands
+ * @param {string} prefix - Names of the parent commands
+ */
+function readClapBuilderCommand(text, name, commands, prefix) {
+    const command = createCommand(prefix === null ? '' : [prefix, name].filter(Boolean).join(' '));
+    commands.push(command);
+    
+    for (const call of findCalls(text, /\.\s*(about|arg|subcommand)\s*\(/, true)) {
+        if (call.method === 'about') {
+            command.description = collapseText(readString(call.args[0]));
+        } else if (call.method === 'arg') {
+            const argName = (call.inner.match(/Arg::new\(\s*"([^"]+)"/) || [])[1] || '';
+            const short = (call.inner.match(/\.short\(\s*'(.)'/) || [])[1];
+            const long = (call.inner.match(/\.long\(\s*"([^"]+)"/) || [])[1];
+            const help = readString((call.inner.match(/\.help\(\s*("(?:[^"\\]|\\.)*")/) || [])[1]);
+            const defaultValue = readString((call.inner.match(/\.default_value\(\s*("(?:[^"\\]|\\.)*")/) || [])[1]);
+            if (short || long) {
+                const takesValue = !/ArgAction::(SetTrue|SetFalse|Count)/.test(call.inner);
+                command.options.push({
+                    flags: `${[short && `-${short}`, long && `--${long}`].filter(Boolean).join(', ')}${takesValue ? ` <${argName.toUpperCase()}>` : ''}`,
+                    description: collapseText(help),
+                    default: defaultValue,
+                    takesValue
+                });
+            } else {
+                command.arguments.push({ name: `<${argName.toUpperCase()}>`, description: collapseText(help), required: /\.required\(\s*true/.test(call.inner) });
+            }
+        } else {
+            const nested = call.inner.match(/Command::new\(\s*"([^"]+)"\s*\)/);
+            if (nested) {
+                readClapBuilderCommand(call.inner.slice(nested.index + nested[0].length), nested[1], commands, command.name);
+            }
+        }
+    }
+}
+
+/**
+ * Extracts a clap program declared with the builder API
+ * @param {string} content - The source code
+ * @returns {{ name: string|null, commands: Object[] }|null} - The program
+ */
+function parseClapBuilder(content) {
+    const root = content.match(/(?:Command|App)::new\(\s*"([^"]+)"\s*\)/);
+    if (!root) {
+        return null;
+    }
+    
+    const commands = [];
+    readClapBuilderCommand(content.slice(root.index + root[0].length), root[1], commands, null);
+    return { name: root[1], commands };
+}
+
+/**
+ * Tells the language of a source file or binary target
+ * @param {string} target - A file path, or a Python entry point such as `package.module:function`
+ * @returns {string} - javascript, python, go, rust or unknown
+ */
+function getLanguage(target) {
+    if (/^[\w.]+:\w+$/.test(target)) {
+        return 'python';
+    }
+    const extension = path.extname(target).toLowerCase();
+    if (['.py'].includes(extension)) {
+        return 'python';
+    }
+    if (extension === '.go') {
+        return 'go';
+    }
+    if (extension === '.rs') {
+        return 'rust';
+    }
+    return ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts'].includes(extension) || !extension ? 'javascript' : 'unknown';
+}
+
+/**
+ * Works out the name a program is run by
+ * @param {string} filePath - Workspace-relative path of the file that defines it
+ * @param {string|null} declaredName - The name the parser declares, if any
+ * @param {{ name: string, target: string }[]} binaries - Binaries declared in the manifests
+ * @returns {string} - The program name
+ */
+function resolveProgramName(filePath, declaredName, binaries) {
+    if (declaredName) {
+        return declaredName;
+    }
+    
+    const normalized = filePath.split(path.sep).join('/');
+    const withoutExtension = normalized.replace(/\.[^./]+$/, '');
+    const binary = binaries.find(candidate => {
+        const target = String(candidate.target || '').replace(/^\.\//, '');
+        // Python entry points are `package.module:function`
+        const module = target.includes(':') ? target.split(':')[0].replace(/\./g, '/') : null;
+        return target === normalized || (module && (withoutExtension.endsWith(module) || withoutExtension.endsWith(`${module}/__init__`)));
+    });
+    if (binary) {
+        return binary.name;
+    }
+    
+    // A single binary of the same language is most likely started through this file
+    const sameLanguage = binaries.filter(candidate => getLanguage(String(candidate.target || '')) === getLanguage(normalized));
+    if (sameLanguage.length === 1) {
+        return sameLanguage[0].name;
+    }
+    
+    // `cmd/tool/main.go`, `tool/__main__.py` and `bin/tool.js` are named after their directory or file
+    const base = path.posix.basename(withoutExtension);
+    return ['main', 'index', 'cli', '__main__', 'app'].includes(base)
+        ? path.posix.basename(path.posix.dirname(normalized)) || base
+        : base;
+}
+
+/**
+ * Finds the command-line programs a project defines with commander, yargs, argparse, click, cobra or clap
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {{ name: string, target: string }[]} [binaries] - Binaries declared in the manifests, e.g. package.json `bin`
+ * @returns {{ program: string, file: string, framework: string, description: string, commands: Object[] }[]} - The programs; the first command of each is its root
+ */
+function extractCliDefinitions(rootPath, workspaceData, binaries = []) {
+    const programs = [];
+    
+    /**
+     * Checks whether a path of the project is a file, so a binary without a target never resolves to the root
+     * @param {string} target - The path relative to the project root
+     * @returns {boolean} - Whether it is a file
+     */
+    const isFile = target => {
+        try {
+            return fs.statSync(path.join(rootPath, target)).isFile();
+        } catch {
+            return false;
+        }
+    };
+    
+    // The scan skips `bin` directories, where package.json `bin` entries usually point
+    const binaryTargets = binaries
+        .filter(binary => binary.target)
+        .map(binary => path.normalize(String(binary.target)))
+        .filter(target => !target.startsWith('..') && !path.isAbsolute(target) && isFile(target));
+    const files = [...new Set([...binaryTargets, ...workspaceData.files])]
+        .filter(filePath => SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) || binaryTargets.includes(filePath))
+        .filter(filePath => !TEST_FILE_PATTERN.test(filePath.split(path.sep).join('/')))
+        .slice(0, MAX_CLI_FILES);
+    
+    for (const filePath of files) {
+        let content;
+        try {
+            if (fs.statSync(path.join(rootPath, filePath)).size > MAX_CLI_FILE_SIZE) {
+                continue;
+            }
+            content = fs.readFileSync(path.join(rootPath, filePath), 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error);
+            continue;
+        }
+        
+        const framework = FRAMEWORKS.find(candidate => candidate.pattern.test(content));
+        const parsed = framework ? framework.parse(content) : null;
+        const isEmpty = parsed && parsed.commands.length < 2 && parsed.commands.every(command => command.options.length === 0 && command.arguments.length === 0);
+        if (!parsed || isEmpty) {
+            continue;
+        }
+        
+        programs.push({
+            program: resolveProgramName(filePath, parsed.name, binaries),
+            file: filePath,
+            framework: framework.id,
+            description: parsed.commands[0].description,
+            commands: parsed.commands
+        });
+    }
+    
+    return programs;
+}
+
+/**
+ * Writes the synopsis of a command, e.g. `tool serve [options] <dir>`
+ * @param {string} program - The program name
+ * @param {Object} command - The command
+ * @param {boolean} hasSubcommands - Whether the command has subcommands
+ * @returns {string} - The synopsis
+ */
+function formatSynopsis(program, command, hasSubcommands) {
+    return [
+        program,
+        command.name,
+        command.options.length > 0 ? '[options]' : '',
+        ...command.arguments.map(argument => argument.name),
+        hasSubcommands ? '<command>' : ''
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Builds an example invocation of a command from its required arguments and first options
+ * @param {string} program - The program name
+ * @param {Object} command - The command
+ * @returns {string} - The invocation
+ */
+function buildExample(program, command) {
+    const parts = [program, command.name];
+    for (const argument of command.arguments.filter(candidate => candidate.required)) {
+        parts.push(argument.name.replace(/^[<[]|[>\]]$/g, '').replace(/\.\.\.$/, '').toLowerCase().replace(/_/g, '-'));
+    }
+    
+    const option = command.options.find(candidate => candidate.takesValue && candidate.default !== null && candidate.default !== '') ||
+        command.options.find(candidate => !candidate.takesValue && !/--(help|version)\b/.test(candidate.flags));
+    if (option) {
+        const flag = option.flags.split(/,\s*/).pop().split(/[\s/]/)[0];
+        parts.push(option.takesValue ? `${flag} ${/\s/.test(option.default) ? JSON.stringify(option.default) : option.default}` : flag);
+    }
+    
+    return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Renders the arguments and options of a command as a table
+ * @param {Object} command - The command
+ * @returns {string|null} - The table, or null when the command takes none
+ */
+function renderParameterTable(command) {
+    const rows = [
+        ...command.arguments.map(argument => [`\`${argument.name}\``, argument.description, argument.default ? `\`${argument.default}\`` : '']),
+        ...command.options.map(option => [`\`${option.flags}\``, option.description, option.default !== null && option.default !== '' ? `\`${option.default}\`` : ''])
+    ];
+    if (rows.length === 0) {
+        return null;
+    }
+    return renderTable([command.arguments.length > 0 ? 'Argument or option' : 'Option', 'Description', 'Default'], rows);
+}
+
+/**
+ * Turns the command-line programs into context packer candidates, one per program
+ * @param {Object[]} programs - Programs from extractCliDefinitions
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - Candidates for packContext
+ */
+function getCliCandidates(programs) {
+    return programs.map(program => ({
+        filePath: program.file,
+        content: program.commands.map(command => {
+            const lines = [`${formatSynopsis(program.program, command, false)}${command.description ? ` - ${command.description}` : ''}`];
+            for (const argument of command.arguments) {
+                lines.push(`    ${argument.name}${argument.description ? `: ${argument.description}` : ''}`);
+            }
+            for (const option of command.options) {
+                lines.push(`    ${option.flags}${option.description ? `: ${option.description}` : ''}${option.default !== null ? ` (default: ${option.default})` : ''}`);
+            }
+            return lines.join('\n');
+        }).join('\n'),
+        rank: 1,
+        category: 'cli'
+    }));
+}
+
+/**
+ * Renders a command-line reference with synopses, options, defaults and example invocations
+ * @param {Object[]} programs - Programs from extractCliDefinitions
+ * @returns {string} - The reference, or an empty string without programs
+ */
+function renderCliReference(programs) {
+    const parts = [];
+    
+    for (const program of programs) {
+        const [root, ...subcommands] = program.commands;
+        parts.push(`### \`${program.program}\``);
+        if (root.description) {
+            parts.push(root.description);
+        }
+        parts.push(['```bash', formatSynopsis(program.program, root, subcommands.length > 0), '```'].join('\n'));
+        const rootTable = renderParameterTable(root);
+        if (rootTable) {
+            parts.push(rootTable);
+        }
+        
+        for (const command of subcommands) {
+            parts.push(`#### \`${formatSynopsis(program.program, command, false)}\``);
+            if (command.description) {
+                parts.push(command.description);
+            }
+            const table = renderParameterTable(command);
+            if (table) {
+                parts.push(table);
+            }
+        }
+        
+        const examples = [...new Set([root, ...subcommands]
+            .filter(command => command.name || subcommands.length === 0 || command.options.length > 0 || command.arguments.length > 0)
+            .map(command => buildExample(program.program, command)))]
+            .slice(0, MAX_EXAMPLES);
+        parts.push('Examples:');
+        parts.push(['```bash', ...examples, '```'].join('\n'));
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Puts the command-line reference into the Usage section of a README, refreshing the reference an earlier
+ * generation inserted, or adding a Usage section before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} reference - The reference from renderCliReference; an empty reference removes it
+ * @returns {string} - The README with an up-to-date reference
+ */
+function applyCliReference(markdown, reference) {
+    return applyMarkedBlock(markdown, {
+        start: CLI_START,
+        end: CLI_END,
+        block: reference,
+        headings: USAGE_HEADINGS,
+        defaultHeading: 'Usage'
+    });
+}
+
+module.exports = {
+    extractCliDefinitions,
+    getCliCandidates,
+    renderCliReference,
+    applyCliReference
+};
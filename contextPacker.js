@@ -0,0 +1,323 @@
+const path = require('path');
+const { getWorkspaceSourceExtensions } = require('./utils');
+const { isManifestFile } = require('./projectDetection');
+const { getCentralFiles } = require('./centralFiles');
+
+// Context windows (in tokens) of common models, matched against the model name in order
+const MODEL_CONTEXT_WINDOWS = [
+    { pattern: /^gemini-1\.5-pro/i, tokens: 2097152 },
+    { pattern: /^gemini-/i, tokens: 1048576 },
+    { pattern: /^gpt-4\.1/i, tokens: 1047576 },
+    { pattern: /^(gpt-4o|gpt-4-turbo|o1|o3|o4)/i, tokens: 128000 },
+    { pattern: /llama-?3\.[1-3]/i, tokens: 131072 },
+    { pattern: /llama-?3/i, tokens: 8192 },
+    { pattern: /llama-?2/i, tokens: 4096 },
+    { pattern: /gemma-?3/i, tokens: 131072 },
+    { pattern: /gemma/i, tokens: 8192 },
+    { pattern: /(qwen|mistral|mixtral|codestral)/i, tokens: 32768 },
+    { pattern: /deepseek/i, tokens: 65536 },
+    { pattern: /(phi-?4|phi-?3)/i, tokens: 16384 },
+    { pattern: /codellama/i, tokens: 16384 }
+];
+
+// Used when the model is unknown
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Tokens kept free for the generated README
+const RESERVED_OUTPUT_TOKENS = 4096;
+
+// Upper bound of the automatic budget, so large-context cloud models don't burn quota
+const DEFAULT_MAX_BUDGET = 32768;
+
+// Files are only trimmed or outlined when at least this many tokens are left for them
+const MIN_PARTIAL_TOKENS = 200;
+
+// Share of the budget the file and directory listings may use
+const LISTING_SHARE = 0.15;
+
+const MANIFEST_FILES = [
+    'package.json', 'setup.py', 'setup.cfg', 'requirements.txt', 'pyproject.toml', 'pipfile',
+    'cargo.toml', 'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle',
+    'gemfile', 'composer.json', 'makefile', 'cmakelists.txt', 'dockerfile', 'docker-compose.yml',
+    'tsconfig.json'
+];
+
+// Lines kept when a source file is reduced to an outline
+const DECLARATION_PATTERN = /^\s*(export\s|module\.exports|exports\.|(async\s+)?function\s|class\s|interface\s|type\s+\w+\s*=|(async\s+)?def\s|fn\s|pub\s|func\s|struct\s|enum\s|impl\s|trait\s|(public|private|protected|internal)\s|@\w+|#\s|const\s+\w+\s*=\s*(async\s*)?\(|import\s|from\s+\S+\s+import\s|require\()/;
+
+/**
+ * Estimates the number of tokens in a text (roughly four characters per token)
+ * @param {string} text - The text
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Looks up the context window of a model
+ * @param {string} model - The model name
+ * @returns {number} - Context window in tokens
+ */
+function getContextWindow(model) {
+    const match = MODEL_CONTEXT_WINDOWS.find(entry => entry.pattern.test(model || ''));
+    return match ? match.tokens : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Works out how many prompt tokens can be spent for a model
+ * @param {string} model - The model name
+ * @param {number} [configuredBudget] - The configured budget, 0 or empty for automatic
+ * @returns {number} - Prompt token budget
+ */
+function resolveTokenBudget(model, configuredBudget) {
+    const window = getContextWindow(model);
+    const available = Math.max(window - Math.min(RESERVED_OUTPUT_TOKENS, Math.floor(window / 4)), 1024);
+    
+    if (configuredBudget && configuredBudget > 0) {
+        return Math.min(configuredBudget, available);
+    }
+    
+    return Math.min(available, DEFAULT_MAX_BUDGET);
+}
+
+/**
+ * Works out the context window a request needs: the prompt plus room for the answer, with the prompt counted up to the budget
+ * @param {string} prompt - The prompt sent to the model
+ * @param {number} tokenBudget - Prompt token budget
+ * @returns {number} - Context window in tokens
+ */
+function sizeContextWindow(prompt, tokenBudget) {
+    return Math.min(estimateTokens(prompt), tokenBudget) + RESERVED_OUTPUT_TOKENS;
+}
+
+/**
+ * Ranks a file for inclusion in the prompt
+ * @param {string} filePath - Workspace-relative path
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {{ rank: number, category: string }} - Lower ranks are included first
+ */
+function rankFile(filePath, workspaceData) {
+    const normalized = filePath.split(path.sep).join('/');
+    const fileName = path.basename(normalized).toLowerCase();
+    const ext = path.extname(fileName);
+    
+    if (MANIFEST_FILES.includes(fileName) || isManifestFile(fileName)) {
+        return { rank: 0, category: 'manifest' };
+    }
+    
+    if (/^(readme|contributing)\.md$/.test(fileName) || fileName === 'license') {
+        return { rank: 2, category: 'docs' };
+    }
+    
+    // Entry points and the files most of the project imports, most central first
+    const centralFiles = getCentralFiles(workspaceData);
+    const central = centralFiles.findIndex(file => file.filePath.split(path.sep).join('/') === normalized);
+    if (central !== -1) {
+        return { rank: 1 + central / centralFiles.length, category: centralFiles[central].entryPoint ? 'entry point' : 'core' };
+    }
+    
+    if (['.md', '.rst', '.txt'].includes(ext)) {
+        return { rank: 3, category: 'docs' };
+    }
+    
+    if (getWorkspaceSourceExtensions(workspaceData).includes(ext)) {
+        return { rank: 4, category: 'source' };
+    }
+    
+    return { rank: 5, category: 'other' };
+}
+
+/**
+ * Reduces source code to its declarations
+ * @param {string} content - The file content
+ * @returns {string} - The outline
+ */
+function outlineSource(content) {
+    return content
+        .split(/\r?\n/)
+        .filter(line => DECLARATION_PATTERN.test(line))
+        .join('\n');
+}
+
+/**
+ * Formats one file for the prompt
+ * @param {string} filePath - Workspace-relative path
+ * @param {string} content - The (possibly reduced) content
+ * @param {string} category - The file category
+ * @param {string} [note] - Note about how the content was reduced
+ * @returns {string} - The formatted file
+ */
+function formatFile(filePath, content, category, note) {
+    const suffix = note ? `\n... [${note}]` : '';
+    
+    if (category === 'entry point' || category === 'core' || category === 'source') {
+        return `Source code (${filePath}):\n\`\`\`\n${content}${suffix}\n\`\`\`\n\n`;
+    }
+    
+    if (category === 'directory summary' || category === 'file summary') {
+        return `Summary of ${filePath}:\n${content}${suffix}\n\n`;
+    }
+    
+    if (category === 'cli') {
+        return `Command-line interface defined in ${filePath} (commands, options and defaults):\n${content}${suffix}\n\n`;
+    }
+    
+    if (category === 'environment') {
+        return `Environment variables read by the project:\n${content}${suffix}\n\n`;
+    }
+    
+    if (category === 'containers') {
+        return `Container setup (Dockerfiles and compose services):\n${content}${suffix}\n\n`;
+    }
+    
+    if (category === 'architecture') {
+        return `Import graph of the project (which modules import which):\n${content}${suffix}\n\n`;
+    }
+    
+    if (category === 'api') {
+        return `Public API of ${filePath} (exported symbols and their doc comments):\n${content}${suffix}\n\n`;
+    }
+    
+    if (filePath === 'README.md') {
+        return `Existing README.md content (for reference):\n${content}${suffix}\n\n`;
+    }
+    
+    return `${filePath} content:\n${content}${suffix}\n\n`;
+}
+
+/**
+ * Formats a listing, cutting it off when it exceeds its token share
+ * @param {string[]} entries - Files or directories
+ * @param {number} maxTokens - Tokens the listing may use
+ * @returns {string} - The listing
+ */
+function formatListing(entries, maxTokens) {
+    const lines = [];
+    let used = 0;
+    
+    for (const entry of entries) {
+        const tokens = estimateTokens(entry) + 1;
+        if (used + tokens > maxTokens) {
+            lines.push(`... and ${entries.length - lines.length} more`);
+            break;
+        }
+        lines.push(entry);
+        used += tokens;
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Packs the scanned file contents into a token budget
+ *
+ * Files are ranked (manifests, entry points and core modules, docs, other sources) and added whole while they fit.
+ * A file that doesn't fit is reduced to an outline of its declarations or trimmed, and dropped when
+ * even that doesn't fit.
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {number} tokenBudget - Tokens available for the listings and file contents
+ * @param {Object} [options] - Packing options
+ * @param {{ filePath: string, content: string, rank: number, category: string }[]} [options.extraCandidates] - Content to pack besides the scanned files, e.g. summaries
+ * @param {string[]} [options.categories] - Only pack scanned files of these categories
+ * @returns {{ filesList: string, dirsList: string, importantFileContents: string, report: Object }} - The packed context and a report of what was included
+ */
+function packContext(workspaceData, tokenBudget, options = {}) {
+    const budget = Math.max(tokenBudget, 0);
+    const listingShare = Math.floor(budget * LISTING_SHARE);
+    const filesList = formatListing(workspaceData.files, Math.floor(listingShare * 0.75));
+    const dirsList = formatListing(workspaceData.directories, Math.floor(listingShare * 0.25));
+    
+    const report = {
+        budget,
+        used: estimateTokens(filesList) + estimateTokens(dirsList),
+        included: [],
+        dropped: []
+    };
+    
+    const candidates = Object.keys(workspaceData.fileContents)
+        .map(filePath => {
+            const value = workspaceData.fileContents[filePath];
+            const content = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+            return { filePath, content, ...rankFile(filePath, workspaceData) };
+        })
+        .filter(candidate => candidate.content)
+        .filter(candidate => !options.categories || options.categories.includes(candidate.category))
+        .concat(options.extraCandidates || [])
+        .sort((a, b) => a.rank - b.rank ||
+            a.filePath.split(/[\\/]/).length - b.filePath.split(/[\\/]/).length ||
+            a.filePath.localeCompare(b.filePath));
+    
+    let importantFileContents = '';
+    
+    for (const candidate of candidates) {
+        const remaining = budget - report.used;
+        const full = formatFile(candidate.filePath, candidate.content, candidate.category);
+        let text = null;
+        let mode = 'full';
+        
+        if (estimateTokens(full) <= remaining) {
+            text = full;
+        } else if (remaining >= MIN_PARTIAL_TOKENS) {
+            const isSource = candidate.category === 'entry point' || candidate.category === 'core' || candidate.category === 'source';
+            const outline = isSource ? outlineSource(candidate.content) : '';
+            const outlined = outline && formatFile(candidate.filePath, outline, candidate.category, 'outline: declarations only');
+            
+            if (outlined && estimateTokens(outlined) <= remaining) {
+                text = outlined;
+                mode = 'outline';
+            } else {
+                // Keep the start of the file, leaving room for the label and the note
+                const overhead = estimateTokens(formatFile(candidate.filePath, '', candidate.category, 'trimmed to fit the context budget'));
+                const keepChars = (remaining - overhead) * 4;
+                if (keepChars > 0) {
+                    text = formatFile(candidate.filePath, candidate.content.slice(0, keepChars), candidate.category, 'trimmed to fit the context budget');
+                    mode = 'trimmed';
+                }
+            }
+        }
+        
+        const originalTokens = estimateTokens(candidate.content);
+        if (text) {
+            importantFileContents += text;
+            report.used += estimateTokens(text);
+            report.included.push({ path: candidate.filePath, category: candidate.category, mode, tokens: estimateTokens(text), originalTokens });
+        } else {
+            report.dropped.push({ path: candidate.filePath, category: candidate.category, tokens: originalTokens });
+        }
+    }
+    
+    return { filesList, dirsList, importantFileContents, report };
+}
+
+/**
+ * Formats a packing report for the generation log
+ * @param {Object} report - The report from packContext
+ * @returns {string} - Human readable report
+ */
+function formatPackingReport(report) {
+    const lines = [`Context budget: ${report.used} of ${report.budget} tokens used`];
+    
+    lines.push(`Included (${report.included.length}):`);
+    for (const file of report.included) {
+        const detail = file.mode === 'full' ? '' : `, ${file.mode} from ~${file.originalTokens}`;
+        lines.push(`  + ${file.path} [${file.category}] ~${file.tokens} tokens${detail}`);
+    }
+    
+    lines.push(`Dropped (${report.dropped.length}):`);
+    for (const file of report.dropped) {
+        lines.push(`  - ${file.path} [${file.category}] ~${file.tokens} tokens`);
+    }
+    
+    return lines.join('\n');
+}
+
+module.exports = {
+    estimateTokens,
+    getContextWindow,
+    resolveTokenBudget,
+    sizeContextWindow,
+    packContext,
+    formatPackingReport,
+    RESERVED_OUTPUT_TOKENS
+};
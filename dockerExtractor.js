@@ -0,0 +1,490 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTable, applyMarkedBlock } = require('./markdown');
+const { parseYaml } = require('./yaml');
+
+// Dockerfiles described in the README, and the largest Dockerfile or compose file read
+const MAX_DOCKERFILES = 5;
+const MAX_CONTAINER_FILE_SIZE = 256 * 1024;
+
+// Compose files `docker compose` loads without `-f`, in the order it looks for them
+const DEFAULT_COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+
+// Markers around the generated section body, so it can be refreshed without touching the rest of the README
+const CONTAINERS_START = '<!-- autoreadme:containers start -->';
+const CONTAINERS_END = '<!-- autoreadme:containers end -->';
+
+// Headings of the section the instructions go into
+const CONTAINER_HEADINGS = ['running with containers', 'running with docker', 'containers', 'docker', 'docker compose'];
+
+/**
+ * Checks whether a file is a Dockerfile, such as `Dockerfile`, `Dockerfile.dev` or `api.Dockerfile`
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether it is a Dockerfile
+ */
+function isDockerfile(fileName) {
+    return /^dockerfile(\.[\w.-]+)?$/i.test(fileName) || /\.dockerfile$/i.test(fileName);
+}
+
+/**
+ * Checks whether a file is a compose file, such as `compose.yaml`, `docker-compose.yml` or `docker-compose.override.yml`
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether it is a compose file
+ */
+function isComposeFile(fileName) {
+    return /^(docker-)?compose(\.[\w-]+)*\.ya?ml$/i.test(fileName);
+}
+
+/**
+ * Formats an exec-form (`["node", "server.js"]`) or shell-form instruction argument as a command line
+ * @param {string} value - The instruction argument
+ * @returns {string} - The command line
+ */
+function formatCommand(value) {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+        try {
+            return JSON.parse(text).map(part => (/[\s"']/.test(part) ? JSON.stringify(part) : part)).join(' ');
+        } catch {
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Splits `KEY=value KEY2="two words"` pairs of an ENV or ARG instruction
+ * @param {string} text - The instruction argument
+ * @returns {{ name: string, value: string|null }[]} - The pairs; a name without `=` has no value
+ */
+function splitAssignments(text) {
+    const pairs = [];
+    const pattern = /([A-Za-z_][\w.-]*)(?:=("(?:[^"\\]|\\.)*"|'[^']*'|\S*))?/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const raw = match[2];
+        const value = raw === undefined ? null : raw.replace(/^(["'])(.*)\1$/, '$2').replace(/\\(.)/g, '$1');
+        pairs.push({ name: match[1], value });
+    }
+    return pairs;
+}
+
+/**
+ * Reads the base image, exposed ports, environment, build arguments and start command of a Dockerfile
+ *
+ * In a multi-stage build everything but the build arguments comes from the last stage, which inherits
+ * from the stage it is based on.
+ * @param {string} content - The Dockerfile
+ * @returns {{ baseImage: string|null, stages: number, expose: string[], env: Object[], args: Object[], entrypoint: string|null, cmd: string|null }} - The parsed Dockerfile
+ */
+function parseDockerfile(content) {
+    const stages = new Map();
+    const args = new Map();
+    let stage = { baseImage: null, expose: [], env: [], entrypoint: null, cmd: null };
+    let stageCount = 0;
+    
+    // Lines ending in a backslash continue on the next line, and comments may sit between them
+    const instructions = [];
+    let current = '';
+    for (const line of content.split(/\r?\n/)) {
+        if (/^\s*#/.test(line)) {
+            continue;
+        }
+        const continued = /\\\s*$/.test(line);
+        current += `${line.replace(/\\\s*$/, '')} `;
+        if (!continued) {
+            if (current.trim()) {
+                instructions.push(current.trim());
+            }
+            current = '';
+        }
+    }
+    if (current.trim()) {
+        instructions.push(current.trim());
+    }
+    
+    for (const instruction of instructions) {
+        const match = instruction.match(/^(\w+)\s+(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const keyword = match[1].toUpperCase();
+        const argument = match[2].trim();
+        
+        if (keyword === 'FROM') {
+            // Build arguments declared before FROM may pick the base image, e.g. `node:${NODE_VERSION}-alpine`
+            const resolved = argument.replace(/\$\{?(\w+)\}?/g, (match, name) => (args.has(name) && args.get(name).default !== null ? args.get(name).default : match));
+            const from = resolved.replace(/--\w+=\S+\s*/g, '').match(/^(\S+)(?:\s+as\s+(\S+))?/i);
+            if (!from) {
+                continue;
+            }
+            const parent = stages.get(from[1].toLowerCase());
+            stage = parent
+                ? { ...parent, expose: [...parent.expose], env: [...parent.env] }
+                : { baseImage: from[1], expose: [], env: [], entrypoint: null, cmd: null };
+            if (from[2]) {
+                stages.set(from[2].toLowerCase(), stage);
+            }
+            stageCount++;
+        } else if (keyword === 'ARG') {
+            for (const pair of splitAssignments(argument)) {
+                if (!args.has(pair.name) || pair.value !== null) {
+                    args.set(pair.name, { name: pair.name, default: pair.value });
+                }
+            }
+        } else if (keyword === 'ENV') {
+            // The legacy `ENV NAME value` form sets a single variable
+            const legacy = argument.match(/^([A-Za-z_]\w*)\s+([^=]*)$/);
+            const pairs = legacy ? [{ name: legacy[1], value: legacy[2].trim() }] : splitAssignments(argument);
+            for (const pair of pairs) {
+                stage.env = stage.env.filter(variable => variable.name !== pair.name).concat({ name: pair.name, value: pair.value || '' });
+            }
+        } else if (keyword === 'EXPOSE') {
+            stage.expose = [...new Set([...stage.expose, ...argument.split(/\s+/).map(port => port.replace(/\/tcp$/i, ''))])];
+        } else if (keyword === 'ENTRYPOINT') {
+            stage.entrypoint = formatCommand(argument);
+        } else if (keyword === 'CMD') {
+            stage.cmd = formatCommand(argument);
+        }
+    }
+    
+    return {
+        baseImage: stage.baseImage,
+        stages: stageCount,
+        expose: stage.expose,
+        env: stage.env,
+        args: [...args.values()],
+        entrypoint: stage.entrypoint,
+        cmd: stage.cmd
+    };
+}
+
+/**
+ * Formats a compose port or volume entry in its short `host:container` syntax
+ * @param {string|number|Object} entry - The entry, in short or long syntax
+ * @param {string} from - Long-syntax key of the host side: `published` for ports, `source` for volumes
+ * @returns {string} - The short syntax
+ */
+function formatMapping(entry, from) {
+    if (entry && typeof entry === 'object') {
+        const protocol = entry.protocol && entry.protocol !== 'tcp' ? `/${entry.protocol}` : '';
+        return `${entry[from] !== undefined && entry[from] !== null ? `${entry[from]}:` : ''}${entry.target}${protocol}`;
+    }
+    return String(entry);
+}
+
+/**
+ * Reads the services of a compose file
+ * @param {string} content - The compose file
+ * @returns {Object[]} - Services with their image or build context, ports, volumes and dependencies
+ */
+function parseComposeFile(content) {
+    let document;
+    try {
+        document = parseYaml(content);
+    } catch (error) {
+        console.error('Error parsing compose file:', error);
+        return [];
+    }
+    const services = document && typeof document.services === 'object' ? document.services || {} : {};
+    
+    return Object.entries(services).map(([name, service]) => {
+        const definition = service || {};
+        const build = typeof definition.build === 'string'
+            ? { context: definition.build, dockerfile: null }
+            : definition.build ? { context: definition.build.context || '.', dockerfile: definition.build.dockerfile || null } : null;
+        const dependsOn = Array.isArray(definition.depends_on) ? definition.depends_on : Object.keys(definition.depends_on || {});
+        
+        return {
+            name,
+            image: definition.image ? String(definition.image) : null,
+            build,
+            ports: [].concat(definition.ports || []).map(port => formatMapping(port, 'published')),
+            volumes: [].concat(definition.volumes || []).map(volume => formatMapping(volume, 'source')),
+            dependsOn: dependsOn.map(String)
+        };
+    });
+}
+
+/**
+ * Layers the services of an override file onto the services of the files before it, as `docker compose` does
+ * @param {Object[]} services - Services so far
+ * @param {Object[]} overrides - Services of the override file
+ * @returns {Object[]} - The merged services
+ */
+function mergeServices(services, overrides) {
+    const merged = services.map(service => ({ ...service }));
+    for (const override of overrides) {
+        const existing = merged.find(service => service.name === override.name);
+        if (!existing) {
+            merged.push(override);
+            continue;
+        }
+        existing.image = override.image || existing.image;
+        existing.build = override.build || existing.build;
+        existing.ports = [...new Set([...existing.ports, ...override.ports])];
+        existing.volumes = [...new Set([...existing.volumes, ...override.volumes])];
+        existing.dependsOn = [...new Set([...existing.dependsOn, ...override.dependsOn])];
+    }
+    return merged;
+}
+
+/**
+ * Turns a project name into a valid image name, e.g. `@demo/Notes API` into `notes-api`
+ * @param {string} name - The project name
+ * @returns {string} - The image name
+ */
+function toImageName(name) {
+    return name.replace(/^@[^/]+\//, '').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '') || 'app';
+}
+
+/**
+ * Reads the Dockerfiles and compose files of a project
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {string} [projectName] - Name of the project, used to name the images
+ * @returns {{ dockerfiles: Object[], compose: Object|null }|null} - The container setup, or null when there is none
+ */
+function extractContainerSetup(rootPath, workspaceData, projectName) {
+    const imageName = toImageName(projectName || path.basename(rootPath));
+    
+    /**
+     * Reads a workspace file, skipping files that are too large
+     * @param {string} filePath - Workspace-relative path
+     * @returns {string|null} - The content
+     */
+    const readFile = filePath => {
+        try {
+            const absolutePath = path.join(rootPath, filePath);
+            return fs.statSync(absolutePath).size > MAX_CONTAINER_FILE_SIZE ? null : fs.readFileSync(absolutePath, 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error);
+            return null;
+        }
+    };
+    
+    const files = workspaceData.files.map(filePath => filePath.split(path.sep).join('/'));
+    const byDepth = (a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b);
+    
+    const dockerfiles = files
+        .filter(filePath => isDockerfile(path.posix.basename(filePath)))
+        .sort(byDepth)
+        .slice(0, MAX_DOCKERFILES)
+        .map(filePath => {
+            const content = readFile(filePath);
+            if (content === null) {
+                return null;
+            }
+            const directory = path.posix.dirname(filePath);
+            const fileName = path.posix.basename(filePath);
+            const variant = fileName.replace(/^dockerfile\.?|\.?dockerfile$/ig, '');
+            const suffix = [directory !== '.' ? path.posix.basename(directory) : '', variant].filter(Boolean).map(toImageName).join('-');
+            return {
+                file: filePath,
+                directory,
+                image: suffix ? `${imageName}-${suffix}` : imageName,
+                ...parseDockerfile(content)
+            };
+        })
+        .filter(Boolean);
+    
+    // Compose files are read from the shallowest directory that has any, like `docker compose` run there
+    const composeFiles = files.filter(filePath => isComposeFile(path.posix.basename(filePath))).sort(byDepth);
+    let compose = null;
+    if (composeFiles.length > 0) {
+        const directory = path.posix.dirname(composeFiles[0]);
+        const names = composeFiles.filter(filePath => path.posix.dirname(filePath) === directory).map(filePath => path.posix.basename(filePath));
+        const base = DEFAULT_COMPOSE_FILES.find(name => names.includes(name)) || names[0];
+        const stem = base.replace(/\.ya?ml$/i, '');
+        const override = names.find(name => new RegExp(`^${stem.replace(/[.-]/g, '\\$&')}\\.override\\.ya?ml$`, 'i').test(name));
+        const loaded = [base, override].filter(Boolean);
+        
+        let services = [];
+        for (const name of loaded) {
+            const content = readFile(path.posix.join(directory, name));
+            services = mergeServices(services, content ? parseComposeFile(content) : []);
+        }
+        
+        compose = {
+            directory,
+            files: loaded,
+            // Without a default file name, `docker compose` only finds the file through `-f`
+            explicit: !DEFAULT_COMPOSE_FILES.includes(base),
+            extraFiles: names.filter(name => !loaded.includes(name)),
+            services
+        };
+    }
+    
+    if (dockerfiles.length === 0 && !compose) {
+        return null;
+    }
+    return { dockerfiles, compose };
+}
+
+/**
+ * Formats where a compose service is built from, e.g. `./web` or `./web/Dockerfile.dev`
+ * @param {{ context: string, dockerfile: string|null }|null} build - The build of the service
+ * @returns {string} - The build context, with the Dockerfile when it is not the default one
+ */
+function formatBuild(build) {
+    if (!build) {
+        return '.';
+    }
+    return build.dockerfile ? `${build.context.replace(/\/$/, '')}/${build.dockerfile}` : build.context;
+}
+
+/**
+ * Turns the container setup into a context packer candidate
+ * @param {Object|null} setup - Setup from extractContainerSetup
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - The candidate, if there is a setup
+ */
+function getContainerCandidates(setup) {
+    if (!setup) {
+        return [];
+    }
+    
+    const lines = setup.dockerfiles.map(dockerfile => {
+        const details = [`base image ${dockerfile.baseImage}`];
+        if (dockerfile.expose.length > 0) {
+            details.push(`exposes ${dockerfile.expose.join(', ')}`);
+        }
+        if (dockerfile.args.length > 0) {
+            details.push(`build arguments ${dockerfile.args.map(arg => arg.name).join(', ')}`);
+        }
+        if (dockerfile.entrypoint || dockerfile.cmd) {
+            details.push(`runs ${[dockerfile.entrypoint, dockerfile.cmd].filter(Boolean).join(' ')}`);
+        }
+        return `- ${dockerfile.file} (image ${dockerfile.image}): ${details.join('; ')}`;
+    });
+    
+    if (setup.compose) {
+        lines.push(...setup.compose.services.map(service => {
+            const details = [service.image ? `image ${service.image}` : `built from ${formatBuild(service.build)}`];
+            if (service.ports.length > 0) {
+                details.push(`ports ${service.ports.join(', ')}`);
+            }
+            if (service.dependsOn.length > 0) {
+                details.push(`depends on ${service.dependsOn.join(', ')}`);
+            }
+            return `- compose service ${service.name}: ${details.join('; ')}`;
+        }));
+    }
+    
+    return [{ filePath: 'containers', content: lines.join('\n'), rank: 1, category: 'containers' }];
+}
+
+/**
+ * Renders the build and run instructions for one Dockerfile
+ * @param {Object} dockerfile - A Dockerfile from extractContainerSetup
+ * @returns {string} - The instructions, starting with their heading
+ */
+function renderDockerfile(dockerfile) {
+    const heading = dockerfile.file === 'Dockerfile' ? '### Docker' : `### Docker (\`${dockerfile.file}\`)`;
+    const fileFlag = /^dockerfile$/i.test(path.posix.basename(dockerfile.file)) ? '' : ` -f ${dockerfile.file}`;
+    const ports = dockerfile.expose.map(port => ` -p ${port}:${port}`).join('');
+    const parts = [
+        heading,
+        'Build the image and start a container:',
+        ['```bash', `docker build${fileFlag} -t ${dockerfile.image} ${dockerfile.directory}`, `docker run --rm${ports} ${dockerfile.image}`, '```'].join('\n')
+    ];
+    
+    const facts = [];
+    if (dockerfile.baseImage) {
+        facts.push(`The image is based on \`${dockerfile.baseImage}\``);
+    }
+    const command = [dockerfile.entrypoint, dockerfile.cmd].filter(Boolean).join(' ');
+    if (command) {
+        facts.push(`${facts.length > 0 ? 'and runs' : 'The container runs'} \`${command}\``);
+    }
+    if (facts.length > 0) {
+        parts.push(`${facts.join(' ')}.`);
+    }
+    
+    if (dockerfile.args.length > 0) {
+        parts.push('Build arguments, set with `--build-arg NAME=value`:');
+        parts.push(renderTable(['Argument', 'Default'], dockerfile.args.map(arg => [`\`${arg.name}\``, arg.default ? `\`${arg.default}\`` : ''])));
+    }
+    if (dockerfile.env.length > 0) {
+        parts.push('Environment variables set in the image, overridden with `-e NAME=value`:');
+        parts.push(renderTable(['Variable', 'Value'], dockerfile.env.map(variable => [`\`${variable.name}\``, variable.value ? `\`${variable.value}\`` : ''])));
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Renders the commands that start the compose services and a table of the services
+ * @param {Object} compose - The compose setup from extractContainerSetup
+ * @returns {string} - The instructions, starting with their heading
+ */
+function renderCompose(compose) {
+    const build = compose.services.some(service => service.build) ? ' --build' : '';
+    const prefix = compose.directory !== '.' ? [`cd ${compose.directory}`] : [];
+    const files = compose.explicit ? compose.files.map(file => ` -f ${file}`).join('') : '';
+    const parts = [
+        '### Docker Compose',
+        'Start every service, and stop them again:',
+        ['```bash', ...prefix, `docker compose${files} up${build}`, `docker compose${files} down`, '```'].join('\n')
+    ];
+    
+    if (compose.extraFiles.length > 0) {
+        parts.push('Other compose files are layered on top of the default ones with `-f`:');
+        parts.push(['```bash', ...prefix, ...compose.extraFiles.map(file => `docker compose${compose.files.map(loaded => ` -f ${loaded}`).join('')} -f ${file} up${build}`), '```'].join('\n'));
+    }
+    
+    if (compose.services.length > 0) {
+        const list = values => values.map(value => `\`${value}\``).join(', ');
+        parts.push('Ports and volumes are listed as `host:container`.');
+        parts.push(renderTable(['Service', 'Image', 'Ports', 'Volumes', 'Depends on'], compose.services.map(service => [
+            `\`${service.name}\``,
+            service.image
+                ? `\`${service.image}\``
+                : `Built from \`${formatBuild(service.build)}\``,
+            list(service.ports),
+            list(service.volumes),
+            list(service.dependsOn)
+        ])));
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Renders build and run instructions for the Dockerfiles and compose files of a project
+ * @param {Object|null} setup - Setup from extractContainerSetup
+ * @returns {string} - The instructions, or an empty string without a container setup
+ */
+function renderContainerSection(setup) {
+    if (!setup) {
+        return '';
+    }
+    return [...setup.dockerfiles.map(renderDockerfile), ...(setup.compose ? [renderCompose(setup.compose)] : [])].join('\n\n');
+}
+
+/**
+ * Puts the container instructions into the Running with containers section of a README, refreshing the
+ * instructions an earlier generation inserted, or adding the section before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} instructions - The instructions from renderContainerSection; empty instructions remove them
+ * @returns {string} - The README with up-to-date instructions
+ */
+function applyContainerSection(markdown, instructions) {
+    return applyMarkedBlock(markdown, {
+        start: CONTAINERS_START,
+        end: CONTAINERS_END,
+        block: instructions,
+        headings: CONTAINER_HEADINGS,
+        defaultHeading: 'Running with containers'
+    });
+}
+
+module.exports = {
+    isDockerfile,
+    isComposeFile,
+    parseDockerfile,
+    parseComposeFile,
+    extractContainerSetup,
+    getContainerCandidates,
+    renderContainerSection,
+    applyContainerSection
+};
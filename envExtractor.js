@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTable, applyMarkedBlock } = require('./markdown');
+
+// Sources and templates searched for variable reads, and the largest file read; bundles beyond the size are skipped
+const MAX_ENV_FILES = 500;
+const MAX_ENV_FILE_SIZE = 256 * 1024;
+
+// Committed templates that document the environment; every other .env file holds real values
+const ENV_TEMPLATE_FILES = ['.env.example', '.env.sample', '.env.template', '.env.dist', 'example.env', 'sample.env'];
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.py', '.go'];
+
+// Tests set variables of their own, which are not configuration of the project
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec|e2e|fixtures?)\/|\.(test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$|_test\.(py|go)$/i;
+
+// Markers around the generated table, so it can be refreshed without touching the rest of the section
+const ENV_START = '<!-- autoreadme:env start -->';
+const ENV_END = '<!-- autoreadme:env end -->';
+
+// Headings of the section the table goes into
+const CONFIGURATION_HEADINGS = ['configuration', 'config', 'environment', 'environment variables', 'settings'];
+
+// How many files the table names per variable before summarizing the rest
+const MAX_LISTED_USAGES = 3;
+
+// Literal fallbacks, e.g. `process.env.PORT || 3000` or `os.getenv("HOST", "localhost")`
+const LITERAL = String.raw`"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\x60[^\x60$]*\x60|-?\d+(?:\.\d+)?|true|false|True|False`;
+
+const JS_PATTERNS = [
+    new RegExp(String.raw`\b(?:process\.env|import\.meta\.env|Bun\.env)\.([A-Za-z_]\w*)(?:\s*(?:\|\||\?\?)\s*(${LITERAL}))?`, 'g'),
+    new RegExp(String.raw`\b(?:process\.env|import\.meta\.env|Bun\.env)\[\s*(?:"|'|\x60)([A-Za-z_]\w*)(?:"|'|\x60)\s*\](?:\s*(?:\|\||\?\?)\s*(${LITERAL}))?`, 'g'),
+    new RegExp(String.raw`\bDeno\.env\.get\(\s*(?:"|')([A-Za-z_]\w*)(?:"|')\s*\)(?:\s*(?:\|\||\?\?)\s*(${LITERAL}))?`, 'g')
+];
+
+const PYTHON_PATTERNS = [
+    /\bos\.environ\[\s*["']([A-Za-z_]\w*)["']\s*\]()/g,
+    new RegExp(String.raw`\b(?:os\.)?(?:environ\.get|environ\.setdefault|getenv)\(\s*["']([A-Za-z_]\w*)["']\s*(?:,\s*(${LITERAL}))?`, 'g')
+];
+
+const GO_PATTERNS = [
+    /\bos\.(?:Getenv|LookupEnv)\(\s*"([A-Za-z_]\w*)"\s*\)()/g
+];
+
+/**
+ * Checks whether a file is a .env file, such as `.env`, `.env.local` or `production.env`
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether it is a .env file
+ */
+function isEnvFile(fileName) {
+    return /^\.env(\..+)?$/i.test(fileName) || /\.env$/i.test(fileName);
+}
+
+/**
+ * Checks whether a file is a committed .env template that is safe to read, such as `.env.example`
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether it is a .env template
+ */
+function isEnvTemplateFile(fileName) {
+    return ENV_TEMPLATE_FILES.includes(fileName.toLowerCase());
+}
+
+/**
+ * Turns a literal from source code into the text of a default value
+ * @param {string|undefined} literal - The literal
+ * @returns {string|null} - The value without quotes, or null without a literal
+ */
+function readLiteral(literal) {
+    if (literal === undefined || literal === '') {
+        return null;
+    }
+    return /^["'\x60]/.test(literal) ? literal.slice(1, -1) : literal;
+}
+
+/**
+ * Blanks the comments and string literals of a source file, keeping its line breaks and columns,
+ * so reads that are only mentioned in documentation or messages are told apart from code
+ * @param {string} content - The source code
+ * @param {string} language - javascript, python or go
+ * @returns {string} - The source code with comments and strings replaced by spaces
+ */
+function blankCommentsAndStrings(content, language) {
+    const chars = content.split('');
+    const lineComment = language === 'python' ? '#' : '//';
+    // Brace depth inside each `${...}` of the template literals being read
+    const templates = [];
+    
+    /**
+     * Replaces a range of the source with spaces, keeping line breaks
+     * @param {number} from - First index
+     * @param {number} to - Index after the last one
+     */
+    const blank = (from, to) => {
+        for (let index = from; index < to; index++) {
+            if (chars[index] !== '\n' && chars[index] !== '\r') {
+                chars[index] = ' ';
+            }
+        }
+    };
+    
+    /**
+     * Blanks a string literal up to its closing quote, or up to the `${` of a template literal
+     * @param {number} start - Index of the opening quote, or of the `}` that ends an interpolation
+     * @param {number} from - Index of the first character of the string
+     * @param {string} quote - The closing quote
+     * @returns {number} - The index after the string
+     */
+    const readString = (start, from, quote) => {
+        const raw = language === 'go' && quote === '`';
+        let index = from;
+        while (index < content.length) {
+            if (content[index] === '\\' && !raw) {
+                index += 2;
+            } else if (content.startsWith(quote, index)) {
+                index += quote.length;
+                break;
+            } else if (quote === '`' && language === 'javascript' && content.startsWith('${', index)) {
+                index += 2;
+                templates.push(0);
+                break;
+            } else if (content[index] === '\n' && quote.length === 1 && quote !== '`') {
+                // An unterminated string, or a quote in a regular expression, ends with its line
+                break;
+            } else {
+                index++;
+            }
+        }
+        index = Math.min(index, content.length);
+        blank(start, index);
+        return index;
+    };
+    
+    let index = 0;
+    while (index < content.length) {
+        const char = content[index];
+        const tripleQuote = content.slice(index, index + 3);
+        if (templates.length > 0 && char === '{') {
+            templates[templates.length - 1]++;
+            index++;
+        } else if (templates.length > 0 && char === '}') {
+            if (templates[templates.length - 1] === 0) {
+                templates.pop();
+                index = readString(index, index + 1, '`');
+            } else {
+                templates[templates.length - 1]--;
+                index++;
+            }
+        } else if (content.startsWith(lineComment, index)) {
+            const end = content.indexOf('\n', index);
+            blank(index, end === -1 ? content.length : end);
+            index = end === -1 ? content.length : end;
+        } else if (language !== 'python' && content.startsWith('/*', index)) {
+            const end = content.indexOf('*/', index + 2);
+            blank(index, end === -1 ? content.length : end + 2);
+            index = end === -1 ? content.length : end + 2;
+        } else if (language === 'python' && (tripleQuote === '"""' || tripleQuote === "'''")) {
+            index = readString(index, index + 3, tripleQuote);
+        } else if (char === '"' || char === "'" || char === '`') {
+            index = readString(index, index + 1, char);
+        } else {
+            index++;
+        }
+    }
+    
+    return chars.join('');
+}
+
+/**
+ * Finds the environment variables one source file reads
+ * @param {string} content - The source code
+ * @param {string} language - javascript, python or go
+ * @returns {{ name: string, line: number, default: string|null }[]} - The reads in source order
+ */
+function findEnvReads(content, language) {
+    const patterns = { javascript: JS_PATTERNS, python: PYTHON_PATTERNS, go: GO_PATTERNS }[language];
+    const lines = content.split(/\r?\n/);
+    const codeLines = blankCommentsAndStrings(content, language).split(/\r?\n/);
+    const reads = [];
+    
+    lines.forEach((line, index) => {
+        // The variable names and defaults are string literals themselves, so only the start of a read has to be code
+        const isCode = match => codeLines[index][match.index] !== ' ';
+        
+        for (const pattern of patterns) {
+            for (const match of line.matchAll(pattern)) {
+                if (isCode(match)) {
+                    reads.push({ name: match[1], line: index + 1, default: readLiteral(match[2]) });
+                }
+            }
+        }
+        
+        // Destructured reads, e.g. `const { PORT = 3000, HOST } = process.env`
+        const destructured = language === 'javascript' && line.match(/\{([^}]*)\}\s*=\s*process\.env\b/);
+        if (destructured && isCode(destructured)) {
+            for (const entry of destructured[1].split(',')) {
+                const match = entry.trim().match(new RegExp(String.raw`^([A-Za-z_]\w*)(?:\s*:\s*\w+)?(?:\s*=\s*(${LITERAL}))?$`));
+                if (match) {
+                    reads.push({ name: match[1], line: index + 1, default: readLiteral(match[2]) });
+                }
+            }
+        }
+    });
+    
+    return reads;
+}
+
+/**
+ * Reads the variables of a .env template with the comments above them
+ * @param {string} content - The template
+ * @returns {{ name: string, example: string, description: string }[]} - The variables in file order
+ */
+function parseEnvTemplate(content) {
+    const variables = [];
+    let comments = [];
+    
+    for (const line of content.split(/\r?\n/)) {
+        const comment = line.match(/^\s*#\s?(.*)$/);
+        const assignment = line.match(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*)$/);
+        
+        if (comment) {
+            comments.push(comment[1].trim());
+        } else if (assignment) {
+            const value = assignment[2].trim();
+            const quoted = value.match(/^(["'])(.*?)\1/);
+            variables.push({
+                name: assignment[1],
+                example: quoted ? quoted[2] : value.replace(/\s+#.*$/, ''),
+                description: comments.filter(Boolean).join(' ')
+            });
+            comments = [];
+        } else {
+            comments = [];
+        }
+    }
+    
+    return variables;
+}
+
+/**
+ * Lists the environment variables a project reads, from its JavaScript, TypeScript, Python and Go sources
+ * and its .env templates. Real .env files are never opened.
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {{ name: string, usages: string[], default: string|null, example: string, description: string }[]} - Variables sorted by name
+ */
+function extractEnvironmentVariables(rootPath, workspaceData) {
+    const variables = new Map();
+    
+    /**
+     * Returns the entry of a variable, creating it on first use
+     * @param {string} name - The variable name
+     * @returns {Object} - The entry
+     */
+    const getVariable = name => {
+        if (!variables.has(name)) {
+            variables.set(name, { name, usages: [], default: null, example: '', description: '' });
+        }
+        return variables.get(name);
+    };
+    
+    /**
+     * Reads a workspace file, skipping files that are too large
+     * @param {string} filePath - Workspace-relative path
+     * @returns {string|null} - The content
+     */
+    const readFile = filePath => {
+        try {
+            const absolutePath = path.join(rootPath, filePath);
+            return fs.statSync(absolutePath).size > MAX_ENV_FILE_SIZE ? null : fs.readFileSync(absolutePath, 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error);
+            return null;
+        }
+    };
+    
+    const sources = workspaceData.files
+        .filter(filePath => SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()))
+        .filter(filePath => !TEST_FILE_PATTERN.test(filePath.split(path.sep).join('/')) && !/\.min\.js$/i.test(filePath))
+        .slice(0, MAX_ENV_FILES);
+    
+    for (const filePath of sources) {
+        const content = readFile(filePath);
+        if (!content) {
+            continue;
+        }
+        
+        const extension = path.extname(filePath).toLowerCase();
+        const language = extension === '.py' ? 'python' : extension === '.go' ? 'go' : 'javascript';
+        for (const read of findEnvReads(content, language)) {
+            const variable = getVariable(read.name);
+            if (!variable.usages.includes(filePath)) {
+                variable.usages.push(filePath);
+            }
+            if (variable.default === null && read.default !== null) {
+                variable.default = read.default;
+            }
+        }
+    }
+    
+    // Only committed templates are read, never the .env files holding real values
+    const templates = workspaceData.files.filter(filePath => isEnvTemplateFile(path.basename(filePath)));
+    for (const filePath of templates) {
+        const content = readFile(filePath);
+        for (const entry of content ? parseEnvTemplate(content) : []) {
+            const variable = getVariable(entry.name);
+            variable.usages.push(filePath);
+            variable.example = variable.example || entry.example;
+            variable.description = variable.description || entry.description;
+        }
+    }
+    
+    return [...variables.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Turns the environment variables into a context packer candidate
+ * @param {Object[]} variables - Variables from extractEnvironmentVariables
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - The candidate, if there are variables
+ */
+function getEnvironmentCandidates(variables) {
+    if (variables.length === 0) {
+        return [];
+    }
+    
+    const content = variables.map(variable => {
+        const details = [`used in ${variable.usages.join(', ')}`];
+        if (variable.default !== null) {
+            details.push(`default ${JSON.stringify(variable.default)}`);
+        }
+        if (variable.example) {
+            details.push(`example ${JSON.stringify(variable.example)}`);
+        }
+        return `- ${variable.name} (${details.join('; ')})${variable.description ? `: ${variable.description}` : ''}`;
+    }).join('\n');
+    
+    return [{ filePath: 'environment variables', content, rank: 1, category: 'environment' }];
+}
+
+/**
+ * Renders the environment variables as a table of name, where they are used and their default
+ * @param {Object[]} variables - Variables from extractEnvironmentVariables
+ * @returns {string} - The table with a line introducing it, or an empty string without variables
+ */
+function renderConfigurationTable(variables) {
+    if (variables.length === 0) {
+        return '';
+    }
+    
+    const withDescription = variables.some(variable => variable.description || variable.example);
+    const headers = ['Variable', 'Used in', 'Default', ...(withDescription ? ['Description'] : [])];
+    const rows = variables.map(variable => {
+        const listed = variable.usages.slice(0, MAX_LISTED_USAGES).map(usage => `\`${usage}\``);
+        const more = variable.usages.length - listed.length;
+        const row = [
+            `\`${variable.name}\``,
+            `${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`,
+            variable.default !== null ? `\`${variable.default}\`` : ''
+        ];
+        if (withDescription) {
+            const example = variable.example && variable.default === null ? `Example: \`${variable.example}\`` : '';
+            row.push([variable.description, example].filter(Boolean).join(' '));
+        }
+        return row;
+    });
+    
+    return `The project reads these environment variables:\n\n${renderTable(headers, rows)}`;
+}
+
+/**
+ * Puts the configuration table into the Configuration section of a README, refreshing the table an earlier
+ * generation inserted, or adding the section before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} table - The table from renderConfigurationTable; an empty table removes it
+ * @returns {string} - The README with an up-to-date table
+ */
+function applyConfigurationTable(markdown, table) {
+    return applyMarkedBlock(markdown, {
+        start: ENV_START,
+        end: ENV_END,
+        block: table,
+        headings: CONFIGURATION_HEADINGS,
+        defaultHeading: 'Configuration'
+    });
+}
+
+module.exports = {
+    isEnvFile,
+    isEnvTemplateFile,
+    extractEnvironmentVariables,
+    getEnvironmentCandidates,
+    renderConfigurationTable,
+    applyConfigurationTable
+};
@@ -1,7 +1,5 @@
-const vscode = require('vscode');
-
 /**
- * Error handler for the AutoReadMe extension
+ * Error handler for the AutoReadMe extension and CLI
  */
 class ErrorHandler {
     /**
@@ -84,11 +82,12 @@ class ErrorHandler {
     }
     
     /**
-     * Show error message to user and log to console
+     * Turn an error into a user-friendly message
      * @param {any} error - The error object
      * @param {string} context - Context where the error occurred
+     * @returns {string} - User-friendly error message
      */
-    static showError(error, context = '') {
+    static getMessage(error, context = '') {
         let message = '';
         
         if (error.isAxiosError) {
@@ -105,8 +104,7 @@ class ErrorHandler {
             message = `Error ${context ? 'while ' + context : ''}: ${error.message}`;
         }
         
-        vscode.window.showErrorMessage(message);
-        console.error(error);
+        return message;
     }
 }
 
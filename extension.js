@@ -1,12 +1,36 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
-const fs = require('fs');
 const path = require('path');
-const { scanWorkspace, generateReadmeWithOllama } = require('./utils');
-const { generateReadmeWithGemini } = require('./geminiService');
+const { buildSectionPrompt } = require('./promptBuilder');
+const { getProviders, resolveSettings } = require('./providers');
+const { openStreamingDocument, closeStreamingDocument } = require('./streamingDocument');
+const { reviewGeneratedReadme } = require('./readmeMerge');
+const { extractProtectedBlocks, restoreProtectedBlocks } = require('./protectedRegions');
+const { findSections, extractSectionFromResponse } = require('./markdown');
+const { readmeCodeLensProvider, README_SELECTOR } = require('./readmeCodeLens');
+const { registerDriftDiagnostics, registerPreviewDiagnostics } = require('./readmeDiagnostics');
+const { loadProjectConfig, PROJECT_CONFIG_FILE } = require('./projectConfig');
+const { SummaryCache } = require('./summarizer');
+const { extractProjectFacts } = require('./projectFacts');
+const { renderTemplateSection, TEMPLATE_PROVIDER_ID } = require('./templateReadme');
+const { detectWorkspaceLayout, findPackageForDirectory, rebaseIgnorePatterns, getInstallCommands, formatPackageTable } = require('./workspaces');
+const { resolveProvider, scanProject, buildBudgetedPrompt, generateReadmeText, refreshArchitectureDiagram } = require('./pipeline');
+const { extractApi, getApiCandidates } = require('./apiExtractor');
+const { extractEnvironmentVariables, getEnvironmentCandidates } = require('./envExtractor');
+const { extractCliDefinitions, getCliCandidates } = require('./cliExtractor');
+const { extractContainerSetup, getContainerCandidates } = require('./dockerExtractor');
 const ErrorHandler = require('./errorHandler');
 
+// Generation log, shown in the Output panel
+let outputChannel;
+
+// Where cached file and directory summaries are stored
+let summaryCachePath;
+
+// Highlights the problems and unverified claims of a generated README in its preview
+let highlightPreview;
+
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 
@@ -18,190 +42,618 @@ function activate(context) {
 	// Use the console to output diagnostic information (console.log) and errors (console.error)
 	// This line of code will only be executed once when your extension is activated
 	console.log('Congratulations, your extension "auto-readme-ai" is now active!');
+	
+	outputChannel = vscode.window.createOutputChannel('AutoReadMe');
+	context.subscriptions.push(outputChannel);
+	summaryCachePath = path.join((context.storageUri || context.globalStorageUri).fsPath, 'summaries.json');
+	highlightPreview = registerPreviewDiagnostics(context);
 
 	// The command has been defined in the package.json file
 	// Now provide the implementation of the command with registerCommand
 	// The commandId parameter must match the command field in package.json
 	const disposable = vscode.commands.registerCommand('auto-readme-ai.generate_readme', async function () {
 		try {
-			// Get the workspace folder
+			// Get the workspace folder, asking which one in a multi-root workspace
 			const workspaceFolders = vscode.workspace.workspaceFolders;
 			if (!workspaceFolders || workspaceFolders.length === 0) {
 				vscode.window.showErrorMessage('No workspace folder found. Please open a folder first.');
 				return;
 			}
 			
-			const workspaceRoot = workspaceFolders[0].uri.fsPath;
+			const workspaceFolder = workspaceFolders.length === 1
+				? workspaceFolders[0]
+				: await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the folder to generate a README for' });
+			if (!workspaceFolder) {
+				return;
+			}
+			
+			const workspaceRoot = workspaceFolder.uri.fsPath;
 			
 			// Get configuration settings
 			const config = vscode.workspace.getConfiguration('autoReadme');
 			const aiProvider = config.get('aiProvider') || 'ollama';
-			const defaultOllamaModel = config.get('ollamaModel') || 'llama3.2:latest';
-			const defaultOllamaEndpoint = config.get('ollamaEndpoint') || 'http://localhost:11434';
-			const defaultGeminiModel = config.get('geminiModel') || 'gemini-2.0-flash';
-			const geminiApiKey = config.get('geminiApiKey') || '';
-			const ignoreDirectories = config.get('ignoreDirectories') || [];
-			const ignoreFiles = config.get('ignoreFiles') || [];
+			
+			// A committed project configuration replaces the interactive prompts
+			const projectConfig = loadProjectConfig(workspaceRoot);
+			const layout = detectWorkspaceLayout(workspaceRoot);
 			
 			// Show progress indicator
 			await vscode.window.withProgress({
 				location: vscode.ProgressLocation.Notification,
 				title: "Generating README",
-				cancellable: false
-			}, async (progress) => {
-				// Step 1: Ask for user context
-				progress.report({ message: "Getting user input..." });
-				const userContext = await vscode.window.showInputBox({
-					prompt: "Provide additional context for your README (project purpose, target audience, etc.)",
-					placeHolder: "This project is a...",
-					ignoreFocusOut: true
-				});
-				
-				if (userContext === undefined) {
-					// User cancelled the input
-					return;
-				}
+				cancellable: true
+			}, async (progress, token) => {
+				let userContext;
+				let provider;
 				
-				// Step 2: Ask for AI provider
-				progress.report({ message: "Configuring AI provider..." });
-				const selectedProvider = await vscode.window.showQuickPick(
-					[
-						{ label: 'Ollama (Local)', description: 'Use locally hosted Ollama models' },
-						{ label: 'Gemini (Cloud)', description: 'Use Google Gemini API' }
-					],
-					{
-						placeHolder: 'Select AI provider',
+				if (projectConfig) {
+					progress.report({ message: `Using ${PROJECT_CONFIG_FILE}...` });
+					userContext = projectConfig.context || '';
+					provider = resolveProvider(projectConfig.provider || aiProvider);
+				} else {
+					// Step 1: Ask for user context
+					progress.report({ message: "Getting user input..." });
+					userContext = await vscode.window.showInputBox({
+						prompt: "Provide additional context for your README (project purpose, target audience, etc.)",
+						placeHolder: "This project is a...",
 						ignoreFocusOut: true
+					});
+				
+					if (userContext === undefined) {
+						// User cancelled the input
+						return;
 					}
-				);
 				
-				if (!selectedProvider) {
-					// User cancelled the selection
-					return;
-				}
+					// Step 2: Ask for AI provider
+					progress.report({ message: "Configuring AI provider..." });
+					const selectedProvider = await vscode.window.showQuickPick(
+						[
+							...getProviders().map(candidate => ({
+								label: candidate.label,
+								description: candidate.description,
+								id: candidate.id
+							})),
+							{
+								label: 'Template (no AI)',
+								description: 'Build the README from manifest facts, offline and reproducible',
+								id: TEMPLATE_PROVIDER_ID
+							}
+						],
+						{
+							placeHolder: 'Select AI provider',
+							ignoreFocusOut: true
+						}
+					);
 				
-				const provider = selectedProvider.label.startsWith('Ollama') ? 'ollama' : 'gemini';
+					if (!selectedProvider) {
+						// User cancelled the selection
+						return;
+					}
 				
-				let readmeContent = '';
+					provider = resolveProvider(selectedProvider.id);
+				}
 				
 				try {
-					// Step 3: Scan workspace
-					progress.report({ message: "Scanning workspace files..." });
-					const workspaceData = await scanWorkspace(workspaceRoot, ignoreDirectories, ignoreFiles);
-					
-					// Step 4: Generate README with selected provider
-					if (provider === 'ollama') {
-						// Configure Ollama
-						const ollamaModel = await vscode.window.showInputBox({
-							prompt: "Enter the Ollama model to use",
-							placeHolder: defaultOllamaModel,
-							value: defaultOllamaModel,
-							ignoreFocusOut: true
-						}) || defaultOllamaModel;
-						
-						const ollamaEndpoint = await vscode.window.showInputBox({
-							prompt: "Enter the Ollama API endpoint",
-							placeHolder: defaultOllamaEndpoint,
-							value: defaultOllamaEndpoint,
-							ignoreFocusOut: true
-						}) || defaultOllamaEndpoint;
-						
-						// Generate with Ollama
-						progress.report({ message: "Generating README with Ollama..." });
-						readmeContent = await generateReadmeWithOllama(
-							workspaceData, 
-							userContext || "", 
-							ollamaEndpoint,
-							ollamaModel
-						);
-					} else {
-						// Configure Gemini
-						let apiKey = geminiApiKey;
-						
-						// If API key is not set in settings, ask for it
-						if (!apiKey) {
-							apiKey = await vscode.window.showInputBox({
-								prompt: "Enter your Gemini API key",
-								password: true,
-								ignoreFocusOut: true,
-								placeHolder: "Enter your Gemini API key here"
-							});
-							
-							if (!apiKey) {
-								vscode.window.showErrorMessage('Gemini API key is required.');
-								return;
-							}
-							
-							// Ask if user wants to save the API key in settings
-							const saveApiKey = await vscode.window.showQuickPick(
-								['Yes', 'No'],
-								{
-									placeHolder: 'Save API key in settings?',
-									ignoreFocusOut: true
-								}
-							);
-							
-							if (saveApiKey === 'Yes') {
-								await config.update('geminiApiKey', apiKey, vscode.ConfigurationTarget.Global);
-							}
+					// Step 3: Configure the selected provider (the template needs no settings)
+					let settings = {};
+					if (provider) {
+						settings = projectConfig
+							? await promptForProviderSettings(provider, config, {
+								secretsOnly: true,
+								overrides: projectConfig.model ? { model: projectConfig.model } : {}
+							})
+							: await promptForProviderSettings(provider, config);
+						const problems = provider.validateConfig(settings);
+						if (problems.length > 0) {
+							vscode.window.showErrorMessage(problems[0]);
+							return;
 						}
-						
-						const geminiModel = await vscode.window.showQuickPick(
-							['gemini-2.0-flash','gemini-1.5-flash', 'gemini-1.5-pro'],
+					}
+					
+					// Monorepos get a README per package and a root README linking them
+					let packages = [];
+					if (layout) {
+						const choice = await vscode.window.showQuickPick([
 							{
-								placeHolder: 'Select Gemini model',
-								ignoreFocusOut: true
-							}
-						) || defaultGeminiModel;
+								label: `Generate ${layout.packages.length + 1} READMEs`,
+								description: `One for each of the ${layout.packages.length} packages and a root README linking them`,
+								perPackage: true
+							},
+							{ label: 'Generate a single README', description: 'Document the repository as one project', perPackage: false }
+						], { placeHolder: `This is a ${layout.tools.join(' + ')} monorepo`, ignoreFocusOut: true });
 						
-						// Generate with Gemini
-						progress.report({ message: "Generating README with Gemini..." });
-						readmeContent = await generateReadmeWithGemini(
-							workspaceData,
-							userContext || "",
-							apiKey,
-							geminiModel
-						);
+						if (!choice) {
+							return;
+						}
+						if (choice.perPackage) {
+							packages = layout.packages;
+						}
 					}
 					
-					// Step 5: Write README.md file
-					progress.report({ message: "Writing README.md file..." });
-					const readmePath = path.join(workspaceRoot, 'README.md');
+					const generation = {
+						provider,
+						settings,
+						userContext: userContext || "",
+						projectConfig,
+						progress,
+						token,
+						summaryCache: new SummaryCache(summaryCachePath)
+					};
 					
-					// Check if README.md already exists
-					if (fs.existsSync(readmePath)) {
-						const overwrite = await vscode.window.showWarningMessage(
-							'README.md already exists. Do you want to overwrite it?',
-							{ modal: true },
-							'Yes',
-							'No'
-						);
-						
-						if (overwrite !== 'Yes') {
-							vscode.window.showInformationMessage('README generation cancelled.');
+					// Step 4: Generate the package READMEs, then the root README
+					for (const [index, workspacePackage] of packages.entries()) {
+						if (token.isCancellationRequested) {
 							return;
 						}
+						
+						progress.report({ message: `Package ${index + 1}/${packages.length}: ${workspacePackage.name}` });
+						await generateReadme(path.join(workspaceRoot, workspacePackage.path), 'README.md', generation, {
+							ignoreGlobs: rebaseIgnorePatterns(projectConfig ? projectConfig.ignore || [] : [], workspacePackage.path),
+							workspace: {
+								packageName: workspacePackage.name,
+								packagePath: workspacePackage.path,
+								installCommands: getInstallCommands(layout)
+							}
+						});
 					}
 					
-					fs.writeFileSync(readmePath, readmeContent);
+					if (token.isCancellationRequested) {
+						return;
+					}
+					
+					const readmeRelativePath = (projectConfig && projectConfig.output) || 'README.md';
+					const writtenUri = await generateReadme(workspaceRoot, readmeRelativePath, generation, {
+						ignoreGlobs: projectConfig ? projectConfig.ignore : [],
+						workspace: packages.length > 0 ? {
+							packageTable: formatPackageTable(layout, path.dirname(readmeRelativePath)),
+							installCommands: getInstallCommands(layout)
+						} : undefined
+					});
+					
+					if (!writtenUri) {
+						return;
+					}
 					
-					// Step 6: Open the README.md file
-					const readmeUri = vscode.Uri.file(readmePath);
-					await vscode.window.showTextDocument(readmeUri);
+					// Step 5: Open the written file
+					await vscode.window.showTextDocument(writtenUri);
 					
 					// Show success message
-					vscode.window.showInformationMessage('README.md has been generated successfully!');
+					vscode.window.showInformationMessage(packages.length > 0
+						? `${path.basename(writtenUri.fsPath)} and the READMEs of ${packages.length} packages have been generated successfully!`
+						: `${path.basename(writtenUri.fsPath)} has been generated successfully!`);
 				} catch (error) {
-					ErrorHandler.showError(error, 'generating README');
+					showError(error, 'generating README');
 				}
 			});
 			
 		} catch (error) {
-			ErrorHandler.showError(error);
+			showError(error);
 		}
 	});
 
 	context.subscriptions.push(disposable);
+	
+	// Regenerate a single README section, from the CodeLens above each heading or the command palette
+	context.subscriptions.push(vscode.commands.registerCommand('auto-readme-ai.regenerate_section', async function (uri, line) {
+		try {
+			await regenerateReadmeSection(uri, line);
+		} catch (error) {
+			showError(error, 'regenerating README section');
+		}
+	}));
+	
+	// Redraw just the architecture diagram from the import graph, without calling a model
+	context.subscriptions.push(vscode.commands.registerCommand('auto-readme-ai.refresh_diagram', async function (uri) {
+		try {
+			await refreshReadmeDiagram(uri);
+		} catch (error) {
+			showError(error, 'refreshing the architecture diagram');
+		}
+	}));
+	
+	context.subscriptions.push(vscode.languages.registerCodeLensProvider(README_SELECTOR, readmeCodeLensProvider));
+	
+	// Report where README files no longer match their project in the Problems panel
+	registerDriftDiagnostics(context);
+}
+
+/**
+ * Generates one README: scans the project, streams the README into an editor, restores protected
+ * blocks, highlights its problems and unverified claims and lets the user review the result
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {string} readmeRelativePath - Where the README is written, relative to rootPath
+ * @param {Object} generation - State shared by every README of one run
+ * @param {import('./providers').ReadmeProvider|null} generation.provider - The provider, or null for the built-in template
+ * @param {Object} generation.settings - The provider settings
+ * @param {string} generation.userContext - Additional context provided by the user
+ * @param {Object|null} generation.projectConfig - The `.autoreadme.json` configuration
+ * @param {vscode.Progress<{ message?: string }>} generation.progress - The progress notification
+ * @param {vscode.CancellationToken} generation.token - Cancels the run
+ * @param {SummaryCache} generation.summaryCache - Cache of file and directory summaries
+ * @param {Object} [options] - Options for this README
+ * @param {string[]} [options.ignoreGlobs] - Glob patterns of paths to leave out of the scan
+ * @param {Object} [options.workspace] - The monorepo the README belongs to
+ * @returns {Promise<vscode.Uri|undefined>} - The written README, or undefined when it was not written
+ */
+async function generateReadme(rootPath, readmeRelativePath, generation, options = {}) {
+	const { progress, token } = generation;
+	const config = vscode.workspace.getConfiguration('autoReadme');
+	
+	progress.report({ message: "Scanning workspace files..." });
+	const workspaceData = await scanProject(rootPath, readmeRelativePath, config, options.ignoreGlobs || []);
+	
+	if (token.isCancellationRequested) {
+		return undefined;
+	}
+	
+	// Stream the README into an untitled document; Cancel aborts the request
+	const abortController = new AbortController();
+	const cancellation = token.onCancellationRequested(() => abortController.abort());
+	const output = await openStreamingDocument();
+	let readme;
+	let problems = [];
+	let claims = [];
+	
+	try {
+		readme = await generateReadmeText(rootPath, workspaceData, {
+			...generation,
+			config,
+			signal: abortController.signal,
+			onProgress: message => progress.report({ message }),
+			onToken: output.append,
+			log: line => outputChannel.appendLine(line),
+			onProblems: found => {
+				problems = found;
+			},
+			onUnverifiedClaims: found => {
+				claims = found;
+			}
+		}, { readmeRelativePath, workspace: options.workspace });
+	} catch (error) {
+		if (abortController.signal.aborted) {
+			await output.flush();
+			vscode.window.showInformationMessage('README generation cancelled. The partial output was kept in the editor.');
+			return undefined;
+		}
+		throw error;
+	} finally {
+		cancellation.dispose();
+		await output.flush();
+	}
+	
+	// Show the README with its protected blocks and package table restored
+	if (readme !== output.document.getText()) {
+		await output.replace(readme);
+	}
+	
+	// Highlight what could not be repaired or verified in the preview
+	highlightPreview(output.document, [...problems, ...claims]);
+	claims.forEach(claim => outputChannel.appendLine(`${readmeRelativePath}: Line ${claim.line + 1}: ${claim.message}`));
+	
+	// List what the repair pass could not fix before the README is accepted
+	if (problems.length > 0 && !await confirmReadmeProblems(readmeRelativePath, problems)) {
+		vscode.window.showInformationMessage(`Generation of ${readmeRelativePath} cancelled. The generated README was kept in the editor.`);
+		return undefined;
+	}
+	
+	// Review the generated README and write it
+	progress.report({ message: `Writing ${readmeRelativePath}...` });
+	const writtenUri = await reviewGeneratedReadme(vscode.Uri.file(path.join(rootPath, readmeRelativePath)), output.document);
+	
+	if (!writtenUri) {
+		vscode.window.showInformationMessage(`Generation of ${readmeRelativePath} cancelled. The generated README was kept in the editor.`);
+		return undefined;
+	}
+	
+	await closeStreamingDocument(output.document);
+	return writtenUri;
+}
+
+/**
+ * Lists the problems left in a generated README and asks whether to review it anyway
+ * @param {string} readmeRelativePath - Where the README is written, for the message
+ * @param {{ message: string, line: number }[]} problems - Problems from findReadmeProblems
+ * @returns {Promise<boolean>} - Whether the user wants to go on to the review
+ */
+async function confirmReadmeProblems(readmeRelativePath, problems) {
+	const lines = problems.map(problem => `Line ${problem.line + 1}: ${problem.message}`);
+	lines.forEach(line => outputChannel.appendLine(`${readmeRelativePath}: ${line}`));
+	
+	const choice = await vscode.window.showWarningMessage(
+		`The generated ${readmeRelativePath} has ${problems.length} problem${problems.length === 1 ? '' : 's'} that could not be fixed automatically.`,
+		{ modal: true, detail: lines.join('\n') },
+		'Review Anyway'
+	);
+	return choice === 'Review Anyway';
+}
+
+/**
+ * Regenerates one `##` section of a README and splices it back in place
+ * @param {vscode.Uri} [uri] - The README, defaults to the active editor
+ * @param {number} [line] - The line of the section heading, defaults to the section under the cursor
+ * @returns {Promise<void>}
+ */
+async function regenerateReadmeSection(uri, line) {
+	// Fall back to the active editor when run from the command palette
+	const editor = vscode.window.activeTextEditor;
+	if (!uri) {
+		if (!editor || editor.document.languageId !== 'markdown') {
+			vscode.window.showErrorMessage('Open a README.md file to regenerate one of its sections.');
+			return;
+		}
+		uri = editor.document.uri;
+	}
+	
+	const document = await vscode.workspace.openTextDocument(uri);
+	const originalText = document.getText();
+	const sections = findSections(originalText);
+	
+	if (sections.length === 0) {
+		vscode.window.showErrorMessage('This README has no ## sections to regenerate.');
+		return;
+	}
+	
+	let section;
+	if (line !== undefined) {
+		section = sections.find(candidate => candidate.line === line);
+	} else if (editor && editor.document === document) {
+		const cursorLine = editor.selection.active.line;
+		section = sections.filter(candidate => candidate.line <= cursorLine).pop();
+	}
+	
+	if (!section) {
+		const picked = await vscode.window.showQuickPick(
+			sections.map(candidate => ({ label: candidate.heading, section: candidate })),
+			{ placeHolder: 'Select the section to regenerate', ignoreFocusOut: true }
+		);
+		if (!picked) {
+			return;
+		}
+		section = picked.section;
+	}
+	
+	const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+	if (!workspaceFolder) {
+		vscode.window.showErrorMessage('README.md is not inside an open workspace folder.');
+		return;
+	}
+	
+	// Use the provider and model of the project configuration, or the configured ones, only asking for settings that are missing
+	const config = vscode.workspace.getConfiguration('autoReadme');
+	const projectConfig = loadProjectConfig(workspaceFolder.uri.fsPath);
+	const provider = resolveProvider((projectConfig && projectConfig.provider) || config.get('aiProvider') || 'ollama');
+	const overrides = projectConfig && projectConfig.model ? { model: projectConfig.model } : {};
+	let settings = provider ? { ...resolveSettings(provider, config), ...overrides } : {};
+	if (provider && provider.validateConfig(settings).length > 0) {
+		settings = await promptForProviderSettings(provider, config, projectConfig ? { secretsOnly: true, overrides } : {});
+		const problems = provider.validateConfig(settings);
+		if (problems.length > 0) {
+			vscode.window.showErrorMessage(problems[0]);
+			return;
+		}
+	}
+	
+	await vscode.window.withProgress({
+		location: vscode.ProgressLocation.Notification,
+		title: `Regenerating "${section.heading}"`,
+		cancellable: true
+	}, async (progress, token) => {
+		// A package README of a monorepo documents just that package
+		const layout = detectWorkspaceLayout(workspaceFolder.uri.fsPath);
+		const workspacePackage = findPackageForDirectory(layout, path.relative(workspaceFolder.uri.fsPath, path.dirname(uri.fsPath)));
+		
+		// The project configuration decides what is scanned and where the README lives
+		progress.report({ message: "Scanning workspace files..." });
+		const projectRoot = workspacePackage ? path.join(workspaceFolder.uri.fsPath, workspacePackage.path) : workspaceFolder.uri.fsPath;
+		const ignorePatterns = projectConfig ? projectConfig.ignore || [] : [];
+		const workspaceData = await scanProject(
+			projectRoot,
+			path.relative(projectRoot, uri.fsPath),
+			config,
+			workspacePackage ? rebaseIgnorePatterns(ignorePatterns, workspacePackage.path) : ignorePatterns
+		);
+		const facts = extractProjectFacts(projectRoot, workspaceData);
+		
+		const lines = originalText.split(/\r?\n/);
+		const index = sections.indexOf(section);
+		const content = lines.slice(section.line, section.endLine).join('\n');
+		const headingLine = lines[section.line].trim();
+		let response;
+		
+		if (!provider) {
+			// The template renders the section again from the manifests
+			response = renderTemplateSection(facts, section.heading, {
+				workspace: workspacePackage ? {
+					packageName: workspacePackage.name,
+					packagePath: workspacePackage.path,
+					installCommands: getInstallCommands(layout)
+				} : undefined
+			});
+			if (response === null) {
+				throw new Error(`The README template has no "${section.heading}" section to regenerate.`);
+			}
+		} else {
+			progress.report({ message: `Generating with ${provider.name}...` });
+			const abortController = new AbortController();
+			const cancellation = token.onCancellationRequested(() => abortController.abort());
+			
+			try {
+				const prompt = buildBudgetedPrompt(packedContext => buildSectionPrompt(workspaceData, {
+					headingLine,
+					content,
+					previousHeading: index > 0 ? sections[index - 1].heading : null,
+					nextHeading: index < sections.length - 1 ? sections[index + 1].heading : null
+				}, { packedContext }), workspaceData, settings, config, {
+					title: `Regenerating "${section.heading}"`,
+					packOptions: {
+						extraCandidates: [
+							...getCliCandidates(extractCliDefinitions(projectRoot, workspaceData, facts.binaries)),
+							...getEnvironmentCandidates(extractEnvironmentVariables(projectRoot, workspaceData)),
+							...getContainerCandidates(extractContainerSetup(projectRoot, workspaceData, facts.name)),
+							...getApiCandidates(extractApi(projectRoot, workspaceData))
+						]
+					},
+					log: line => outputChannel.appendLine(line)
+				});
+				response = await provider.stream(prompt, settings, () => {}, { signal: abortController.signal });
+			} catch (error) {
+				if (abortController.signal.aborted) {
+					vscode.window.showInformationMessage('Section regeneration cancelled.');
+					return;
+				}
+				throw error;
+			} finally {
+				cancellation.dispose();
+			}
+		}
+		
+		// Keep any protected blocks of the section
+		const newSection = restoreProtectedBlocks(
+			extractSectionFromResponse(response, headingLine),
+			extractProtectedBlocks(content)
+		);
+		
+		if (document.getText() !== originalText) {
+			throw new Error('README.md changed while the section was being regenerated. Please try again.');
+		}
+		
+		// Replace only the section so the rest of the file stays byte-identical
+		const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+		const edit = new vscode.WorkspaceEdit();
+		edit.replace(
+			uri,
+			new vscode.Range(section.line, 0, section.endLine - 1, lines[section.endLine - 1].length),
+			newSection.replace(/\r?\n/g, eol)
+		);
+		await vscode.workspace.applyEdit(edit);
+	});
+}
+
+/**
+ * Redraws the architecture diagram of a README from the current import graph and leaves the rest of it untouched
+ * @param {vscode.Uri} [uri] - The README, defaults to the active editor
+ * @returns {Promise<void>}
+ */
+async function refreshReadmeDiagram(uri) {
+	const editor = vscode.window.activeTextEditor;
+	if (!uri) {
+		if (!editor || editor.document.languageId !== 'markdown') {
+			vscode.window.showErrorMessage('Open a README.md file to refresh its architecture diagram.');
+			return;
+		}
+		uri = editor.document.uri;
+	}
+	
+	const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+	if (!workspaceFolder) {
+		vscode.window.showErrorMessage('README.md is not inside an open workspace folder.');
+		return;
+	}
+	
+	const document = await vscode.workspace.openTextDocument(uri);
+	const originalText = document.getText();
+	
+	// A package README of a monorepo shows the imports of just that package
+	const layout = detectWorkspaceLayout(workspaceFolder.uri.fsPath);
+	const workspacePackage = findPackageForDirectory(layout, path.relative(workspaceFolder.uri.fsPath, path.dirname(uri.fsPath)));
+	const projectRoot = workspacePackage ? path.join(workspaceFolder.uri.fsPath, workspacePackage.path) : workspaceFolder.uri.fsPath;
+	const workspaceData = await scanProject(projectRoot, 'README.md', vscode.workspace.getConfiguration('autoReadme'));
+	
+	const text = originalText.replace(/\r\n/g, '\n');
+	const refreshed = refreshArchitectureDiagram(projectRoot, workspaceData, text);
+	if (refreshed === text) {
+		vscode.window.showInformationMessage('The architecture diagram is already up to date.');
+		return;
+	}
+	if (document.getText() !== originalText) {
+		throw new Error('README.md changed while the diagram was being drawn. Please try again.');
+	}
+	
+	const eol = document.eol === vscode.EndOfLine.CRLF ? '\r\n' : '\n';
+	const edit = new vscode.WorkspaceEdit();
+	edit.replace(uri, new vscode.Range(0, 0, document.lineCount, 0), refreshed.replace(/\n/g, eol));
+	await vscode.workspace.applyEdit(edit);
+}
+
+/**
+ * Shows an error to the user and logs it to the console
+ * @param {any} error - The error object
+ * @param {string} [context] - Context where the error occurred
+ */
+function showError(error, context = '') {
+	vscode.window.showErrorMessage(ErrorHandler.getMessage(error, context));
+	console.error(error);
+}
+
+/**
+ * Asks the user for the provider settings, starting from the configured values
+ * @param {import('./providers').ReadmeProvider} provider - The selected provider
+ * @param {vscode.WorkspaceConfiguration} config - The `autoReadme` configuration
+ * @param {Object} [options] - Prompt options
+ * @param {boolean} [options.secretsOnly] - Only ask for secrets that are missing
+ * @param {Object} [options.overrides] - Settings that replace the configured values
+ * @returns {Promise<Object>} - The provider settings
+ */
+async function promptForProviderSettings(provider, config, options = {}) {
+	const settings = { ...resolveSettings(provider, config), ...(options.overrides || {}) };
+	
+	for (const setting of provider.settings) {
+		const current = settings[setting.key];
+		
+		if (setting.interactive === false || (options.secretsOnly && !setting.secret)) {
+			continue;
+		}
+		
+		if (setting.secret) {
+			// Secrets are only asked for when they are not set in settings
+			if (current) {
+				continue;
+			}
+			
+			const value = await vscode.window.showInputBox({
+				prompt: setting.prompt,
+				password: true,
+				ignoreFocusOut: true,
+				placeHolder: setting.placeHolder
+			});
+			
+			if (!value) {
+				continue;
+			}
+			
+			settings[setting.key] = value;
+			
+			// Ask if user wants to save the secret in settings
+			if (setting.offerToSave && setting.configKey) {
+				const save = await vscode.window.showQuickPick(
+					['Yes', 'No'],
+					{
+						placeHolder: `Save ${setting.label} in settings?`,
+						ignoreFocusOut: true
+					}
+				);
+				
+				if (save === 'Yes') {
+					await config.update(setting.configKey, value, vscode.ConfigurationTarget.Global);
+				}
+			}
+		} else if (setting.pickFromModels) {
+			const models = await provider.listModels(settings);
+			settings[setting.key] = await vscode.window.showQuickPick(models, {
+				placeHolder: setting.prompt,
+				ignoreFocusOut: true
+			}) || current;
+		} else {
+			settings[setting.key] = await vscode.window.showInputBox({
+				prompt: setting.prompt,
+				placeHolder: setting.placeHolder || current,
+				value: current,
+				ignoreFocusOut: true
+			}) || current;
+		}
+	}
+	
+	return settings;
 }
 
 // This method is called when your extension is deactivated
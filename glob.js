@@ -0,0 +1,75 @@
+/**
+ * Converts a glob pattern into a regular expression source
+ * Supports `*`, `?`, `**` and `[...]` character classes
+ * @param {string} glob - The glob pattern (without a leading or trailing slash)
+ * @returns {string} - Regular expression source
+ */
+function globToRegExpSource(glob) {
+    let source = '';
+    
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches zero or more directories, a trailing `**` matches everything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += '\\' + glob[++i];
+        } else {
+            source += char.replace(/[.+^${}()|\]\\]/g, '\\$&');
+        }
+    }
+    
+    return source;
+}
+
+/**
+ * Compiles a glob pattern into a matcher for workspace-relative paths
+ *
+ * Patterns without a slash match a file or directory name at any depth, patterns with a slash
+ * are anchored to the root, and a trailing slash only matches directories.
+ * @param {string} pattern - The glob pattern, e.g. `*.min.js`, `vendor/` or `docs/**`
+ * @returns {(relativePath: string, isDirectory: boolean) => boolean} - The matcher
+ */
+function compileGlob(pattern) {
+    let glob = pattern.trim();
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+    
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+    
+    const regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegExpSource(glob)}$`);
+    
+    return (relativePath, isDirectory) => {
+        if (directoryOnly && !isDirectory) {
+            return false;
+        }
+        return regex.test(relativePath.split('\\').join('/'));
+    };
+}
+
+module.exports = {
+    compileGlob,
+    globToRegExpSource
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { compileGlob } = require('./glob');
+
+// Ignore files read from every scanned directory, in increasing order of precedence
+const IGNORE_FILES = ['.gitignore', '.autoreadmeignore'];
+
+// Rule layers, in increasing order of precedence
+const LAYERS = ['defaults', '.gitignore', '.autoreadmeignore', 'settings', 'project'];
+
+/**
+ * Parses the lines of a gitignore-style file into patterns
+ * @param {string} content - The file content
+ * @returns {string[]} - Patterns, without comments and blank lines
+ */
+function parseIgnoreFile(content) {
+    return content
+        .split(/\r?\n/)
+        .map(line => line.replace(/(?<!\\)\s+$/, ''))
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Gitignore-style ignore rules for a workspace scan
+ *
+ * Rules come from several layers (built-in defaults, .gitignore files, .autoreadmeignore files,
+ * user settings and the project configuration). Within and across layers the last matching rule
+ * wins, so `!pattern` re-includes what an earlier rule excluded.
+ */
+class IgnoreRules {
+    constructor() {
+        /** @type {Object<string, { negated: boolean, baseDir: string, matches: (relativePath: string, isDirectory: boolean) => boolean }[]>} */
+        this.layers = {};
+        for (const layer of LAYERS) {
+            this.layers[layer] = [];
+        }
+    }
+    
+    /**
+     * Adds patterns to a layer
+     * @param {string} layer - One of the rule layers
+     * @param {string[]} patterns - Gitignore-style patterns
+     * @param {Object} [options] - Pattern options
+     * @param {string} [options.baseDir] - Workspace-relative directory the patterns are relative to
+     * @param {boolean} [options.directoriesOnly] - Whether the patterns only match directories
+     * @param {boolean} [options.filesOnly] - Whether the patterns only match files
+     */
+    add(layer, patterns, options = {}) {
+        const baseDir = (options.baseDir || '').split(path.sep).join('/');
+        
+        for (const pattern of patterns) {
+            const negated = pattern.startsWith('!');
+            let glob = negated ? pattern.slice(1) : pattern.replace(/^\\!/, '!');
+            
+            if (options.directoriesOnly && !glob.endsWith('/')) {
+                glob += '/';
+            }
+            
+            const matcher = compileGlob(glob);
+            const matches = options.filesOnly
+                ? (relativePath, isDirectory) => !isDirectory && matcher(relativePath, isDirectory)
+                : matcher;
+            
+            this.layers[layer].push({ negated, baseDir, matches });
+        }
+    }
+    
+    /**
+     * Reads the ignore files of a directory, if there are any
+     * @param {string} dirPath - Absolute path of the directory
+     * @param {string} relativeDir - The directory relative to the workspace root
+     */
+    loadIgnoreFiles(dirPath, relativeDir) {
+        for (const fileName of IGNORE_FILES) {
+            const filePath = path.join(dirPath, fileName);
+            
+            try {
+                if (fs.existsSync(filePath)) {
+                    this.add(fileName, parseIgnoreFile(fs.readFileSync(filePath, 'utf8')), { baseDir: relativeDir });
+                }
+            } catch (error) {
+                console.error(`Error reading ${filePath}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Checks whether a workspace-relative path is ignored
+     * @param {string} relativePath - Path relative to the workspace root
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @returns {boolean} - Whether the path is ignored
+     */
+    isIgnored(relativePath, isDirectory) {
+        const normalized = relativePath.split(path.sep).join('/');
+        let ignored = false;
+        
+        for (const layer of LAYERS) {
+            for (const rule of this.layers[layer]) {
+                // Rules from nested ignore files only apply below their directory
+                let candidate = normalized;
+                if (rule.baseDir) {
+                    if (!normalized.startsWith(`${rule.baseDir}/`)) {
+                        continue;
+                    }
+                    candidate = normalized.slice(rule.baseDir.length + 1);
+                }
+                
+                if (rule.matches(candidate, isDirectory)) {
+                    ignored = !rule.negated;
+                }
+            }
+        }
+        
+        return ignored;
+    }
+}
+
+module.exports = {
+    IgnoreRules,
+    parseIgnoreFile
+};
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { applyMarkedBlock } = require('./markdown');
+
+// Limits of the graph, so huge repositories stay fast and the diagram stays readable
+const MAX_GRAPH_FILES = 2000;
+const MAX_GRAPH_FILE_SIZE = 256 * 1024;
+const MAX_DIAGRAM_NODES = 40;
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+const PYTHON_EXTENSIONS = ['.py'];
+
+// Tests import everything they cover, which hides the structure of the project itself
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec|e2e|fixtures?)\/|\.(test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$|_test\.py$|(^|\/)conftest\.py$/i;
+
+const JS_IMPORT_PATTERNS = [
+    /\brequire\(\s*['"`]([^'"`]+)['"`]\s*\)/g,
+    /\bimport\s+(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"]+)['"]/g,
+    /\bexport\s+(?:\*(?:\s+as\s+\w+)?|\{[^}]*\})\s*from\s+['"]([^'"]+)['"]/g,
+    /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+// Directories Python imports are resolved from, besides the importing file's own directory
+const PYTHON_SOURCE_ROOTS = ['', 'src', 'lib'];
+
+// Markers around the generated diagram, so it can be refreshed without touching the prose around it
+const DIAGRAM_START = '<!-- autoreadme:architecture start -->';
+const DIAGRAM_END = '<!-- autoreadme:architecture end -->';
+
+// Headings of the section the diagram goes into
+const ARCHITECTURE_HEADINGS = ['architecture', 'project structure', 'structure', 'how it works'];
+
+/**
+ * Finds the workspace file a relative JavaScript or TypeScript import points to
+ * @param {string} fromFile - The importing file, workspace-relative with forward slashes
+ * @param {string} specifier - The import specifier, e.g. `./utils` or `../lib/index.js`
+ * @param {Set<string>} fileSet - Every source file of the graph
+ * @returns {string|null} - The imported file, or null for packages and unknown files
+ */
+function resolveJsImport(fromFile, specifier, fileSet) {
+    if (!specifier.startsWith('.')) {
+        return null;
+    }
+    
+    const target = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+    // TypeScript written for ES modules imports `./utils.js` for `./utils.ts`
+    const stem = target.replace(/\.[mc]?js$/, '');
+    const candidates = [
+        target,
+        ...JS_EXTENSIONS.map(ext => `${target}${ext}`),
+        ...JS_EXTENSIONS.map(ext => `${stem}${ext}`),
+        ...JS_EXTENSIONS.map(ext => `${target}/index${ext}`)
+    ];
+    return candidates.find(candidate => fileSet.has(candidate)) || null;
+}
+
+/**
+ * Finds the workspace file of a Python module
+ * @param {string} modulePath - The module as a path, e.g. `pkg/sub/mod`
+ * @param {string[]} bases - Directories to resolve it from
+ * @param {Set<string>} fileSet - Every source file of the graph
+ * @returns {string|null} - The module file, or null for installed packages
+ */
+function resolvePythonModule(modulePath, bases, fileSet) {
+    for (const base of bases) {
+        const target = path.posix.join(base, modulePath);
+        for (const candidate of [`${target}.py`, `${target}/__init__.py`]) {
+            if (fileSet.has(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the workspace files a Python module imports, resolving relative imports from its package
+ * @param {string} fromFile - The importing file, workspace-relative with forward slashes
+ * @param {string} content - The file content
+ * @param {Set<string>} fileSet - Every source file of the graph
+ * @returns {string[]} - The imported files
+ */
+function findPythonImports(fromFile, content, fileSet) {
+    const imports = [];
+    const directory = path.posix.dirname(fromFile);
+    const absoluteBases = [directory === '.' ? '' : directory, ...PYTHON_SOURCE_ROOTS];
+    
+    // Join the names of `from x import (a, b)` spanning several lines
+    const text = content.replace(/\(\s*([^()]*?)\s*\)/g, (match, names) => match.includes('\n') ? names.replace(/\s+/g, ' ') : match);
+    
+    for (const match of text.matchAll(/^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+([^\n#]+)/gm)) {
+        const [, dots, moduleName, names] = match;
+        let bases = absoluteBases;
+        if (dots) {
+            let base = directory;
+            for (let level = 1; level < dots.length; level++) {
+                base = path.posix.dirname(base);
+            }
+            bases = [base === '.' ? '' : base];
+        }
+        
+        const modulePath = moduleName.replace(/\./g, '/');
+        const resolved = modulePath ? resolvePythonModule(modulePath, bases, fileSet) : null;
+        if (resolved) {
+            imports.push(resolved);
+        }
+        // `from . import views` and `from pkg import module` import modules rather than names
+        if (!resolved || resolved.endsWith('__init__.py')) {
+            for (const name of names.replace(/[()]/g, '').split(',').map(part => part.trim().split(/\s+/)[0]).filter(Boolean)) {
+                const submodule = resolvePythonModule(path.posix.join(modulePath, name), bases, fileSet);
+                if (submodule) {
+                    imports.push(submodule);
+                }
+            }
+        }
+    }
+    
+    for (const match of text.matchAll(/^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm)) {
+        for (const moduleName of match[1].split(',').map(part => part.trim().split(/\s+/)[0])) {
+            const resolved = resolvePythonModule(moduleName.replace(/\./g, '/'), absoluteBases, fileSet);
+            if (resolved) {
+                imports.push(resolved);
+            }
+        }
+    }
+    
+    return imports;
+}
+
+/**
+ * Lists the workspace files a JavaScript, TypeScript or Python file imports
+ * @param {string} filePath - The importing file, workspace-relative with forward slashes
+ * @param {string} content - The file content
+ * @param {Set<string>} fileSet - Every file imports may point to, with forward slashes
+ * @returns {string[]} - The imported files, without duplicates; empty for other languages
+ */
+function findImports(filePath, content, fileSet) {
+    const ext = path.posix.extname(filePath).toLowerCase();
+    let imported = [];
+    if (PYTHON_EXTENSIONS.includes(ext)) {
+        imported = findPythonImports(filePath, content, fileSet);
+    } else if (JS_EXTENSIONS.includes(ext)) {
+        imported = JS_IMPORT_PATTERNS.flatMap(pattern => [...content.matchAll(pattern)].map(match => resolveJsImport(filePath, match[1], fileSet)));
+    }
+    return [...new Set(imported.filter(target => target && target !== filePath))];
+}
+
+/**
+ * Lists the JavaScript, TypeScript and Python files of a workspace that make up its import graph
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string[]} - Source files other than tests, minified bundles and declarations, with forward slashes
+ */
+function listGraphFiles(workspaceData) {
+    return workspaceData.files
+        .map(filePath => filePath.split(path.sep).join('/'))
+        .filter(filePath => [...JS_EXTENSIONS, ...PYTHON_EXTENSIONS].includes(path.posix.extname(filePath).toLowerCase()))
+        .filter(filePath => !TEST_FILE_PATTERN.test(filePath) && !/\.(min\.js|d\.ts)$/i.test(filePath))
+        .slice(0, MAX_GRAPH_FILES);
+}
+
+/**
+ * Builds the graph of which JavaScript, TypeScript and Python files import which, leaving out tests and packages
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {{ files: string[], edges: { from: string, to: string }[] }} - Source files and imports between them, with forward slashes
+ */
+function buildImportGraph(rootPath, workspaceData) {
+    const files = listGraphFiles(workspaceData);
+    const fileSet = new Set(files);
+    const edges = new Map();
+    
+    for (const filePath of files) {
+        let content;
+        try {
+            const absolutePath = path.join(rootPath, filePath);
+            if (fs.statSync(absolutePath).size > MAX_GRAPH_FILE_SIZE) {
+                continue;
+            }
+            content = fs.readFileSync(absolutePath, 'utf8');
+        } catch (error) {
+            console.error(`Error reading ${filePath}:`, error);
+            continue;
+        }
+        
+        for (const target of findImports(filePath, content, fileSet)) {
+            edges.set(`${filePath}\n${target}`, { from: filePath, to: target });
+        }
+    }
+    
+    return { files, edges: [...edges.values()] };
+}
+
+/**
+ * Collapses an import graph to a readable number of nodes, grouping files into their directories
+ *
+ * Files that import or are imported stay separate while they fit; otherwise the files of deeper
+ * directories are grouped first, down to one node per top-level directory. When that would leave
+ * a single node, the most connected files are shown instead.
+ * @param {{ files: string[], edges: { from: string, to: string }[] }} graph - Graph from buildImportGraph
+ * @param {number} [maxNodes] - Most nodes the diagram may have
+ * @returns {{ nodes: { id: string, label: string, directory: boolean }[], edges: { from: string, to: string }[] }} - The collapsed graph
+ */
+function collapseImportGraph(graph, maxNodes = MAX_DIAGRAM_NODES) {
+    const connected = [...new Set(graph.edges.flatMap(edge => [edge.from, edge.to]))].sort();
+    
+    /**
+     * Names the node a file belongs to when files `depth` or more directories deep are grouped
+     * @param {string} filePath - The file
+     * @param {number} depth - Directory depth from which files are grouped; 0 groups the root files into `./` too
+     * @returns {string} - The file itself, or its directory with a trailing slash
+     */
+    const groupOf = (filePath, depth) => {
+        const directories = filePath.split('/').slice(0, -1);
+        if (depth > 0 && directories.length < depth) {
+            return filePath;
+        }
+        return directories.length === 0 ? './' : `${directories.slice(0, Math.max(depth, 1)).join('/')}/`;
+    };
+    
+    let depth = Math.max(0, ...connected.map(filePath => filePath.split('/').length - 1)) + 1;
+    while (depth > 0 && new Set(connected.map(filePath => groupOf(filePath, depth))).size > maxNodes) {
+        depth--;
+    }
+    let nodeOf = filePath => groupOf(filePath, depth);
+    
+    // Files that all sit in one directory cannot be grouped without losing every edge, so the files
+    // with the most imports in and out are kept instead
+    if (connected.length > maxNodes && new Set(connected.map(nodeOf)).size === 1) {
+        const degrees = new Map(connected.map(filePath => [filePath, 0]));
+        graph.edges.forEach(edge => [edge.from, edge.to].forEach(filePath => degrees.set(filePath, degrees.get(filePath) + 1)));
+        const kept = new Set([...connected]
+            .sort((a, b) => degrees.get(b) - degrees.get(a) || a.localeCompare(b))
+            .slice(0, maxNodes));
+        nodeOf = filePath => (kept.has(filePath) ? filePath : null);
+    }
+    
+    const labels = [...new Set(connected.map(nodeOf).filter(Boolean))].sort();
+    const ids = new Map(labels.map((label, index) => [label, `n${index + 1}`]));
+    const edges = new Map();
+    for (const edge of graph.edges) {
+        const from = ids.get(nodeOf(edge.from));
+        const to = ids.get(nodeOf(edge.to));
+        if (from && to && from !== to) {
+            edges.set(`${from}>${to}`, { from, to });
+        }
+    }
+    
+    return {
+        nodes: labels.map(label => ({ id: ids.get(label), label, directory: label.endsWith('/') })),
+        edges: [...edges.values()]
+    };
+}
+
+/**
+ * Lists the collapsed import graph as a context packer candidate
+ * @param {Object} diagram - Graph from collapseImportGraph
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - The candidate, if anything imports anything
+ */
+function getArchitectureCandidates(diagram) {
+    if (diagram.edges.length === 0) {
+        return [];
+    }
+    
+    const labels = new Map(diagram.nodes.map(node => [node.id, node.label]));
+    const content = diagram.nodes
+        .map(node => [node.label, diagram.edges.filter(edge => edge.from === node.id).map(edge => labels.get(edge.to))])
+        .filter(([, targets]) => targets.length > 0)
+        .map(([label, targets]) => `- ${label} imports ${targets.join(', ')}`)
+        .join('\n');
+    
+    return [{ filePath: 'import graph', content, rank: 1, category: 'architecture' }];
+}
+
+/**
+ * Renders the collapsed import graph as a Mermaid flowchart, with directories in rounded boxes
+ * @param {Object} diagram - Graph from collapseImportGraph
+ * @returns {string} - The fenced Mermaid block, or an empty string when nothing imports anything
+ */
+function renderMermaidDiagram(diagram) {
+    if (diagram.edges.length === 0) {
+        return '';
+    }
+    
+    const lines = ['```mermaid', 'flowchart LR'];
+    for (const node of diagram.nodes) {
+        const label = node.label.replace(/"/g, '#quot;');
+        lines.push(node.directory ? `    ${node.id}("${label}")` : `    ${node.id}["${label}"]`);
+    }
+    for (const edge of diagram.edges) {
+        lines.push(`    ${edge.from} --> ${edge.to}`);
+    }
+    lines.push('```');
+    return lines.join('\n');
+}
+
+/**
+ * Puts the diagram into the Architecture section of a README, refreshing the diagram an earlier
+ * generation inserted, or adding the section before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} diagram - The diagram from renderMermaidDiagram; an empty diagram removes it
+ * @returns {string} - The README with an up-to-date diagram
+ */
+function applyArchitectureDiagram(markdown, diagram) {
+    return applyMarkedBlock(markdown, {
+        start: DIAGRAM_START,
+        end: DIAGRAM_END,
+        block: diagram,
+        headings: ARCHITECTURE_HEADINGS,
+        defaultHeading: 'Architecture'
+    });
+}
+
+module.exports = {
+    resolveJsImport,
+    resolvePythonModule,
+    findImports,
+    listGraphFiles,
+    buildImportGraph,
+    collapseImportGraph,
+    getArchitectureCandidates,
+    renderMermaidDiagram,
+    applyArchitectureDiagram
+};
@@ -0,0 +1,82 @@
+/**
+ * Splits text into lines, remembering the line ending it uses
+ * @param {string} text - The text to split
+ * @returns {{ lines: string[], eol: string }} - The lines and the line ending
+ */
+function splitLines(text) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    return { lines: text.split(/\r?\n/), eol };
+}
+
+/**
+ * Computes the changed regions between two texts, line by line
+ * @param {string} oldText - The current text
+ * @param {string} newText - The proposed text
+ * @returns {{ oldStart: number, oldLines: string[], newLines: string[] }[]} - Hunks in document order (oldStart is 0-based)
+ */
+function computeHunks(oldText, newText) {
+    const oldLines = splitLines(oldText).lines;
+    const newLines = splitLines(newText).lines;
+    const n = oldLines.length;
+    const m = newLines.length;
+    
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    
+    const hunks = [];
+    let current = null;
+    let i = 0;
+    let j = 0;
+    
+    while (i < n || j < m) {
+        if (i < n && j < m && oldLines[i] === newLines[j]) {
+            current = null;
+            i++;
+            j++;
+            continue;
+        }
+        
+        if (!current) {
+            current = { oldStart: i, oldLines: [], newLines: [] };
+            hunks.push(current);
+        }
+        
+        if (j < m && (i >= n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            current.newLines.push(newLines[j++]);
+        } else {
+            current.oldLines.push(oldLines[i++]);
+        }
+    }
+    
+    return hunks;
+}
+
+/**
+ * Applies a subset of hunks to the current text
+ * @param {string} oldText - The current text
+ * @param {{ oldStart: number, oldLines: string[], newLines: string[] }[]} hunks - Hunks from computeHunks
+ * @returns {string} - The merged text
+ */
+function applyHunks(oldText, hunks) {
+    const { lines, eol } = splitLines(oldText);
+    const sorted = [...hunks].sort((a, b) => b.oldStart - a.oldStart);
+    
+    // Apply from the bottom up so earlier offsets stay valid
+    for (const hunk of sorted) {
+        lines.splice(hunk.oldStart, hunk.oldLines.length, ...hunk.newLines);
+    }
+    
+    return lines.join(eol);
+}
+
+module.exports = {
+    computeHunks,
+    applyHunks
+};
@@ -0,0 +1,253 @@
+/**
+ * Finds the ATX headings (`# Title`) in Markdown lines, skipping fenced code blocks
+ * @param {string[]} lines - The Markdown lines
+ * @returns {{ line: number, level: number, text: string }[]} - Headings in document order
+ */
+function findHeadings(lines) {
+    const headings = [];
+    let fence = null;
+    
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+            return;
+        }
+        
+        if (fence) {
+            return;
+        }
+        
+        const headingMatch = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (headingMatch) {
+            headings.push({ line: index, level: headingMatch[1].length, text: headingMatch[2] });
+        }
+    });
+    
+    return headings;
+}
+
+/**
+ * Marks the lines inside fenced code blocks
+ * @param {string[]} lines - The Markdown lines
+ * @returns {boolean[]} - Whether each line is part of a code block
+ */
+function findCodeLines(lines) {
+    const inCode = [];
+    let fence = null;
+    
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        inCode[index] = Boolean(fence || fenceMatch);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+        }
+    });
+    
+    return inCode;
+}
+
+/**
+ * Decodes the percent-escapes of a link target
+ * @param {string} target - The link target
+ * @returns {string} - The file path
+ */
+function decodeLinkTarget(target) {
+    try {
+        return decodeURI(target);
+    } catch {
+        return target;
+    }
+}
+
+/**
+ * Finds the links, images and link reference definitions of a line that point to files next to the document
+ * @param {string} line - A line outside code blocks
+ * @returns {{ target: string, start: number, end: number }[]} - Decoded targets without their fragment or query,
+ *   and the columns the whole link spans
+ */
+function findRelativeLinks(line) {
+    const links = [];
+    const matches = [
+        ...line.matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g),
+        ...line.matchAll(/^\s{0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/g)
+    ];
+    
+    for (const match of matches) {
+        const target = decodeLinkTarget(match[1].split(/[#?]/)[0]);
+        if (target && !/^([a-z][\w+.-]*:|\/\/)/i.test(match[1]) && !target.startsWith('/')) {
+            links.push({ target, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    
+    return links.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Normalizes heading text so headings can be matched across documents
+ * @param {string} text - The heading text
+ * @returns {string} - The normalized heading text
+ */
+function normalizeHeading(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits Markdown into the sections that start at headings of the given level
+ * @param {string} markdown - The Markdown content
+ * @param {number} [level] - The heading level that starts a section
+ * @returns {{ heading: string, line: number, endLine: number }[]} - Sections, where endLine is the
+ *   index of the first line after the section body (trailing blank lines excluded)
+ */
+function findSections(markdown, level = 2) {
+    const lines = markdown.split(/\r?\n/);
+    const headings = findHeadings(lines);
+    
+    return headings
+        .filter(heading => heading.level === level)
+        .map(heading => {
+            const next = headings.find(candidate => candidate.line > heading.line && candidate.level <= level);
+            let endLine = next ? next.line : lines.length;
+            while (endLine > heading.line + 1 && lines[endLine - 1].trim() === '') {
+                endLine--;
+            }
+            return { heading: heading.text, line: heading.line, endLine };
+        });
+}
+
+/**
+ * Pulls a single section out of a model response, dropping code fences and chatter around it
+ * @param {string} response - The model response
+ * @param {string} headingLine - The heading line the section must start with
+ * @returns {string} - The section Markdown, starting with the heading line
+ */
+function extractSectionFromResponse(response, headingLine) {
+    let lines = response.trim().split(/\r?\n/);
+    
+    // Unwrap a response that is fenced as a whole, possibly after a line of chatter
+    const openingFence = lines.findIndex(line => /^(`{3,}|~{3,})\s*(markdown|md)?\s*$/i.test(line));
+    if (openingFence !== -1 && findHeadings(lines.slice(0, openingFence)).length === 0 && lines.length > openingFence + 1 &&
+        /^(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1])) {
+        lines = lines.slice(openingFence + 1, -1);
+    }
+    
+    // Drop anything before the first heading, and put the heading back if it is missing
+    const first = findHeadings(lines)[0];
+    if (first && first.line > 0) {
+        lines = lines.slice(first.line);
+    }
+    if (!first) {
+        lines = [headingLine, '', ...lines];
+    } else {
+        lines[0] = headingLine;
+    }
+    
+    return lines.join('\n').trim();
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders a Markdown table
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Cell values
+ * @returns {string} - The table
+ */
+function renderTable(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Adds a `##` section to a document before its license and contributing sections, or at the end
+ * @param {string} markdown - The Markdown content
+ * @param {string} section - The section, starting with its heading
+ * @returns {string} - The Markdown with the section added
+ */
+function insertSection(markdown, section) {
+    const lines = markdown.split(/\r?\n/);
+    const closing = findSections(markdown).find(candidate => /licen[cs]e|contribut/i.test(candidate.heading));
+    
+    if (closing) {
+        lines.splice(closing.line, 0, section, '');
+    } else {
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        lines.push('', section, '');
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Puts a generated block between its markers into a README: refreshes the block an earlier generation inserted,
+ * otherwise appends it to the first section with one of the given headings, otherwise adds a section for it
+ * before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {Object} options - The block and where it goes
+ * @param {string} options.start - The marker line before the block
+ * @param {string} options.end - The marker line after the block
+ * @param {string} options.block - The block; an empty block removes the one an earlier generation inserted
+ * @param {string[]} options.headings - Normalized headings of the sections the block belongs in, most fitting first
+ * @param {string} options.defaultHeading - Heading of the section added when the README has none of them
+ * @returns {string} - The README with an up-to-date block
+ */
+function applyMarkedBlock(markdown, { start, end, block, headings, defaultHeading }) {
+    const lines = markdown.split(/\r?\n/);
+    const startLine = lines.findIndex(line => line.trim() === start);
+    const endLine = lines.findIndex((line, index) => index > startLine && line.trim() === end);
+    const marked = block ? [start, block, end] : [];
+    
+    if (startLine !== -1 && endLine !== -1) {
+        // Drop the blank line that separated a removed block from the text above it
+        const removeStart = !block && startLine > 0 && lines[startLine - 1] === '' ? startLine - 1 : startLine;
+        lines.splice(removeStart, endLine - removeStart + 1, ...marked);
+        return lines.join('\n');
+    }
+    
+    if (!block) {
+        return markdown;
+    }
+    
+    const sections = findSections(markdown);
+    const section = headings
+        .map(heading => sections.find(candidate => normalizeHeading(candidate.heading) === heading))
+        .find(Boolean);
+    if (section) {
+        lines.splice(section.endLine, 0, '', ...marked);
+        return lines.join('\n');
+    }
+    
+    return insertSection(markdown, [`## ${defaultHeading}`, '', ...marked].join('\n'));
+}
+
+module.exports = {
+    findHeadings,
+    findCodeLines,
+    findRelativeLinks,
+    normalizeHeading,
+    findSections,
+    extractSectionFromResponse,
+    renderTable,
+    insertSection,
+    applyMarkedBlock
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { scanWorkspace } = require('./utils');
+const { buildReadmePrompt, buildPackedPrompt, buildCorrectionPrompt } = require('./promptBuilder');
+const { resolveTokenBudget, sizeContextWindow, formatPackingReport } = require('./contextPacker');
+const { getProvider } = require('./providers');
+const { extractProtectedBlocks, restoreProtectedBlocks } = require('./protectedRegions');
+const { summarizeWorkspace, shouldUseMapReduce, getSummaryCandidates } = require('./summarizer');
+const { extractProjectFacts } = require('./projectFacts');
+const { renderTemplateReadme, TEMPLATE_PROVIDER_ID } = require('./templateReadme');
+const { applyPackageTable } = require('./workspaces');
+const { buildBadges, renderBadgeRow, applyBadgeRow } = require('./badges');
+const { extractApi, getApiCandidates, renderApiSection, applyApiSection } = require('./apiExtractor');
+const { extractEnvironmentVariables, getEnvironmentCandidates, renderConfigurationTable, applyConfigurationTable } = require('./envExtractor');
+const { extractCliDefinitions, getCliCandidates, renderCliReference, applyCliReference } = require('./cliExtractor');
+const { extractExtensionContributions, renderExtensionTables, applyExtensionTables } = require('./vscodeExtension');
+const { extractContainerSetup, getContainerCandidates, renderContainerSection, applyContainerSection } = require('./dockerExtractor');
+const { buildImportGraph, collapseImportGraph, getArchitectureCandidates, renderMermaidDiagram, applyArchitectureDiagram } = require('./importGraph');
+const { repairReadme, findReadmeProblems } = require('./readmeValidation');
+const { readMakeTargets, factCheckReadme } = require('./readmeFactCheck');
+const { contributes } = require('./package.json');
+
+// Comment at the top of a generated README recording the project facts it was generated from
+const FINGERPRINT_PATTERN = /^<!-- autoreadme:facts ([0-9a-f]+) -->[ \t]*(\r?\n)?/gm;
+
+/**
+ * Creates an `autoReadme` configuration outside VS Code, falling back to the defaults declared in package.json
+ * @param {Object<string, any>} [values] - Configured values keyed by setting name without the `autoReadme.` prefix
+ * @returns {{ get: (key: string) => any }} - The configuration
+ */
+function createConfiguration(values = {}) {
+    const defaults = {};
+    for (const [name, property] of Object.entries(contributes.configuration.properties)) {
+        defaults[name.replace(/^autoReadme\./, '')] = property.default;
+    }
+    
+    return {
+        get: key => (values[key] !== undefined ? values[key] : defaults[key])
+    };
+}
+
+/**
+ * Looks up a provider, where the template id stands for rendering without a model
+ * @param {string} id - The provider id
+ * @returns {import('./providers').ReadmeProvider|null} - The provider, or null for the template
+ */
+function resolveProvider(id) {
+    return id === TEMPLATE_PROVIDER_ID ? null : getProvider(id);
+}
+
+/**
+ * Scans a project, reading the README at its output path
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {string} readmeRelativePath - Where the README is written, relative to rootPath
+ * @param {{ get: (key: string) => any }} config - The `autoReadme` configuration
+ * @param {string[]} [ignoreGlobs] - Glob patterns of paths to leave out of the scan
+ * @returns {Promise<Object>} - Data from the workspace scan
+ */
+async function scanProject(rootPath, readmeRelativePath, config, ignoreGlobs = []) {
+    const workspaceData = await scanWorkspace(rootPath, config.get('ignoreDirectories') || [], config.get('ignoreFiles') || [], {
+        ignoreGlobs,
+        useIgnoreFiles: config.get('useIgnoreFiles') !== false
+    });
+    
+    // The README being replaced may live somewhere else than the root README.md
+    const readmePath = path.join(rootPath, readmeRelativePath);
+    if (readmePath !== path.join(rootPath, 'README.md')) {
+        workspaceData.fileContents['README.md'] = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : '';
+    }
+    
+    return workspaceData;
+}
+
+/**
+ * Builds a prompt that fits the model's context budget and logs what went into it
+ * @param {(packedContext: Object) => string} buildPrompt - Builds the prompt around the packed context
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} settings - The provider settings, updated with the context window the request needs
+ * @param {{ get: (key: string) => any }} config - The `autoReadme` configuration
+ * @param {Object} [options] - Prompt options
+ * @param {string} [options.title] - What is being generated, for the log
+ * @param {Object} [options.packOptions] - Options passed on to the context packer
+ * @param {(line: string) => void} [options.log] - Receives the packing report
+ * @returns {string} - The prompt
+ */
+function buildBudgetedPrompt(buildPrompt, workspaceData, settings, config, options = {}) {
+    const tokenBudget = resolveTokenBudget(settings.model, config.get('contextTokenBudget'));
+    const { prompt, report } = buildPackedPrompt(buildPrompt, workspaceData, tokenBudget, options.packOptions);
+    const log = options.log || (() => {});
+    
+    settings.contextWindow = sizeContextWindow(prompt, tokenBudget);
+    
+    log(`[${new Date().toLocaleString()}] ${options.title || 'Generating README'} with ${settings.model}`);
+    log(formatPackingReport(report));
+    log('');
+    
+    return prompt;
+}
+
+/**
+ * Hashes the project facts a README was generated from
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {string} - The fingerprint
+ */
+function fingerprintFacts(facts) {
+    return crypto.createHash('sha256').update(JSON.stringify(facts)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Reads the facts fingerprint recorded in a README
+ * @param {string} markdown - The README
+ * @returns {string|null} - The fingerprint, or null when the README has none
+ */
+function readFingerprint(markdown) {
+    const match = new RegExp(FINGERPRINT_PATTERN.source, 'm').exec(markdown);
+    return match ? match[1] : null;
+}
+
+/**
+ * Records the facts fingerprint at the top of a README, replacing any earlier one
+ * @param {string} markdown - The README
+ * @param {string} fingerprint - The fingerprint
+ * @returns {string} - The stamped README
+ */
+function stampFingerprint(markdown, fingerprint) {
+    return `<!-- autoreadme:facts ${fingerprint} -->\n${markdown.replace(FINGERPRINT_PATTERN, '')}`;
+}
+
+/**
+ * Produces a README as the model or the template writes it, before protected blocks are restored
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {{ api: Object[], environment: Object[], cli: Object[], extension: Object|null, containers: Object|null, architecture: Object }} extracted - What
+ * extractApi, extractEnvironmentVariables, extractCliDefinitions, extractExtensionContributions, extractContainerSetup and collapseImportGraph found
+ * @param {Object} generation - See generateReadmeText
+ * @param {Object} options - See generateReadmeText
+ * @returns {Promise<string>} - The README
+ */
+async function composeReadme(rootPath, workspaceData, facts, extracted, generation, options) {
+    const { provider, settings, projectConfig, config } = generation;
+    const onProgress = generation.onProgress || (() => {});
+    const onToken = generation.onToken || (() => {});
+    const log = generation.log || (() => {});
+    const readmeRelativePath = options.readmeRelativePath || 'README.md';
+    
+    if (!provider) {
+        // Without a model the README is rendered from manifest facts
+        onProgress(`Rendering ${readmeRelativePath} from the template...`);
+        const readme = renderTemplateReadme(facts, { userContext: generation.userContext, workspace: options.workspace });
+        onToken(readme);
+        return readme;
+    }
+    
+    // Large workspaces are summarized file by file and directory by directory first,
+    // and the README is composed from those summaries instead of raw source
+    let packOptions = {
+        extraCandidates: [
+            ...getCliCandidates(extracted.cli),
+            ...getEnvironmentCandidates(extracted.environment),
+            ...getContainerCandidates(extracted.containers),
+            ...getArchitectureCandidates(extracted.architecture),
+            ...getApiCandidates(extracted.api)
+        ]
+    };
+    if (shouldUseMapReduce(config.get('generationMode'), workspaceData)) {
+        const summaries = await summarizeWorkspace(rootPath, workspaceData, provider, settings, {
+            cache: generation.summaryCache,
+            tokenBudget: resolveTokenBudget(settings.model, config.get('contextTokenBudget')),
+            signal: generation.signal,
+            onProgress
+        });
+        log(`[${new Date().toLocaleString()}] Summarized ${rootPath} with ${settings.model}: ${summaries.generated} generated, ${summaries.cached} cached`);
+        packOptions = {
+            extraCandidates: packOptions.extraCandidates.concat(getSummaryCandidates(summaries)),
+            categories: ['manifest', 'docs']
+        };
+    }
+    
+    onProgress(`Generating ${readmeRelativePath} with ${provider.name}...`);
+    
+    return provider.stream(
+        buildBudgetedPrompt(packedContext => buildReadmePrompt(workspaceData, generation.userContext, {
+            sections: projectConfig ? projectConfig.sections : undefined,
+            tone: projectConfig ? projectConfig.tone : undefined,
+            workspace: options.workspace,
+            badges: config.get('badges') !== false,
+            cliReference: config.get('cliReference') !== false && extracted.cli.length > 0,
+            configurationTable: config.get('configurationTable') !== false && extracted.environment.length > 0,
+            apiSection: config.get('apiSection') === true && extracted.api.length > 0,
+            extensionTables: config.get('extensionTables') !== false && extracted.extension !== null,
+            containerSection: config.get('containerSection') !== false && extracted.containers !== null,
+            architectureDiagram: config.get('architectureDiagram') !== false && extracted.architecture.edges.length > 0,
+            packedContext
+        }), workspaceData, settings, config, {
+            title: `Generating ${path.join(rootPath, readmeRelativePath)}`,
+            packOptions,
+            log
+        }),
+        settings,
+        onToken,
+        { signal: generation.signal }
+    );
+}
+
+/**
+ * Generates the text of one README without any editor: composes it, repairs the Markdown the model wrote, carries hand-written blocks over from the
+ * existing README, keeps the package table of a monorepo root, refreshes the badge row, command-line reference, configuration table, API section, extension contribution tables, container instructions and architecture diagram, records the facts fingerprint and reports the problems left
+ * and the claims in its code blocks the project does not back, optionally asking the model once to correct them
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {Object} workspaceData - Data from scanProject
+ * @param {Object} generation - State shared by every README of one run
+ * @param {import('./providers').ReadmeProvider|null} generation.provider - The provider, or null for the built-in template
+ * @param {Object} generation.settings - The provider settings
+ * @param {string} generation.userContext - Additional context provided by the user
+ * @param {Object|null} generation.projectConfig - The `.autoreadme.json` configuration
+ * @param {{ get: (key: string) => any }} generation.config - The `autoReadme` configuration
+ * @param {import('./summarizer').SummaryCache} [generation.summaryCache] - Cache of file and directory summaries
+ * @param {AbortSignal} [generation.signal] - Aborts the run
+ * @param {(message: string) => void} [generation.onProgress] - Receives progress messages
+ * @param {(token: string) => void} [generation.onToken] - Receives the README as it is written
+ * @param {(line: string) => void} [generation.log] - Receives the generation log
+ * @param {(problems: Object[]) => void} [generation.onProblems] - Receives the problems of the README that could not be repaired, see findReadmeProblems
+ * @param {(claims: Object[]) => void} [generation.onUnverifiedClaims] - Receives the commands, scripts, paths and packages the project does not back, see factCheckReadme
+ * @param {Object} [options] - Options for this README
+ * @param {string} [options.readmeRelativePath] - Where the README is written, relative to rootPath
+ * @param {Object} [options.workspace] - The monorepo the README belongs to
+ * @returns {Promise<string>} - The README
+ */
+async function generateReadmeText(rootPath, workspaceData, generation, options = {}) {
+    const facts = extractProjectFacts(rootPath, workspaceData);
+    const extracted = {
+        api: extractApi(rootPath, workspaceData),
+        environment: extractEnvironmentVariables(rootPath, workspaceData),
+        cli: extractCliDefinitions(rootPath, workspaceData, facts.binaries),
+        extension: extractExtensionContributions(rootPath),
+        containers: extractContainerSetup(rootPath, workspaceData, facts.name),
+        architecture: collapseImportGraph(buildImportGraph(rootPath, workspaceData))
+    };
+    const log = generation.log || (() => {});
+    
+    /**
+     * Repairs the Markdown a model wrote, logging each repair
+     * @param {string} markdown - The model output
+     * @returns {string} - The repaired Markdown, or the output itself when repairs are turned off
+     */
+    const repair = markdown => {
+        if (generation.config.get('repairMarkdown') === false) {
+            return markdown;
+        }
+        const repaired = repairReadme(markdown);
+        repaired.fixes.forEach(fix => log(`[${new Date().toLocaleString()}] ${fix}`));
+        return repaired.markdown;
+    };
+    
+    // Model output is repaired before anything is spliced into it, so a fence around the whole README
+    // or chatter before its title cannot swallow the blocks rendered from the sources
+    let generated = await composeReadme(rootPath, workspaceData, facts, extracted, generation, options);
+    if (generation.provider) {
+        generated = repair(generated);
+    }
+    
+    // One round-trip gives the model the chance to replace commands and packages the project does not have
+    if (generation.provider && generation.config.get('factCheckCorrection') === true) {
+        const claims = factCheckReadme(generated, rootPath, workspaceData, facts);
+        if (claims.length > 0) {
+            if (generation.onProgress) {
+                generation.onProgress(`Correcting ${claims.length} unverified claim${claims.length === 1 ? '' : 's'} with ${generation.provider.name}...`);
+            }
+            log(`[${new Date().toLocaleString()}] Asking ${generation.provider.name} to correct ${claims.length} unverified claim${claims.length === 1 ? '' : 's'}.`);
+            const prompt = buildCorrectionPrompt(generated, claims, facts, readMakeTargets(rootPath));
+            generated = repair(await generation.provider.stream(prompt, generation.settings, () => {}, { signal: generation.signal }));
+        }
+    }
+    
+    // Carry hand-written blocks over, failing if their heading was dropped,
+    // and keep the package table of a monorepo root README exactly as detected
+    let readme = restoreProtectedBlocks(generated, extractProtectedBlocks(workspaceData.fileContents['README.md'] || ''));
+    if (options.workspace && options.workspace.packageTable) {
+        readme = applyPackageTable(readme, options.workspace.packageTable);
+    }
+    
+    // Badges are worked out from the project files rather than left to the model
+    if (generation.config.get('badges') !== false) {
+        readme = applyBadgeRow(readme, renderBadgeRow(buildBadges(rootPath, facts)));
+    }
+    
+    // The command-line reference, environment variables and API reference are rendered from the sources,
+    // so they list exactly what the code parses, reads and exports
+    if (generation.config.get('cliReference') !== false) {
+        readme = applyCliReference(readme, renderCliReference(extracted.cli));
+    }
+    if (generation.config.get('configurationTable') !== false) {
+        readme = applyConfigurationTable(readme, renderConfigurationTable(extracted.environment));
+    }
+    if (generation.config.get('apiSection') === true) {
+        readme = applyApiSection(readme, renderApiSection(extracted.api));
+    }
+    
+    // A VS Code extension lists its contributions from package.json, and the model only writes the prose around them
+    if (generation.config.get('extensionTables') !== false) {
+        readme = applyExtensionTables(readme, renderExtensionTables(extracted.extension));
+    }
+    if (generation.config.get('containerSection') !== false) {
+        readme = applyContainerSection(readme, renderContainerSection(extracted.containers));
+    }
+    
+    // The architecture diagram is drawn from the import graph, which the model could only guess
+    if (generation.config.get('architectureDiagram') !== false) {
+        readme = applyArchitectureDiagram(readme, renderMermaidDiagram(extracted.architecture));
+    }
+    
+    readme = stampFingerprint(readme, fingerprintFacts(facts));
+    if (generation.onProblems) {
+        generation.onProblems(findReadmeProblems(readme, workspaceData, { rootPath, readmeRelativePath: options.readmeRelativePath }));
+    }
+    if (generation.onUnverifiedClaims) {
+        generation.onUnverifiedClaims(factCheckReadme(readme, rootPath, workspaceData, facts));
+    }
+    return readme;
+}
+
+/**
+ * Redraws only the architecture diagram of a README from the current import graph, without calling a model;
+ * the rest of the README is left exactly as it is
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {Object} workspaceData - Data from scanProject
+ * @param {string} readme - The README
+ * @returns {string} - The README with an up-to-date diagram
+ */
+function refreshArchitectureDiagram(rootPath, workspaceData, readme) {
+    return applyArchitectureDiagram(readme, renderMermaidDiagram(collapseImportGraph(buildImportGraph(rootPath, workspaceData))));
+}
+
+/**
+ * Checks whether a README is out of date with the project
+ *
+ * A template README must match a fresh rendering exactly. A model cannot reproduce its own output, so a
+ * README written by a model is stale when the manifest facts it was generated from have changed.
+ * @param {string} rootPath - The root of the project the README documents
+ * @param {Object} workspaceData - Data from scanProject
+ * @param {Object} generation - See generateReadmeText; only provider, userContext and projectConfig are used
+ * @param {Object} [options] - See generateReadmeText
+ * @returns {Promise<{ stale: boolean, reason: string }>} - The result
+ */
+async function checkReadme(rootPath, workspaceData, generation, options = {}) {
+    const readmeRelativePath = options.readmeRelativePath || 'README.md';
+    const current = workspaceData.fileContents['README.md'];
+    
+    if (!current) {
+        return { stale: true, reason: `${readmeRelativePath} does not exist.` };
+    }
+    
+    if (!generation.provider) {
+        const expected = await generateReadmeText(rootPath, workspaceData, generation, options);
+        return expected === current.replace(/\r\n/g, '\n')
+            ? { stale: false, reason: `${readmeRelativePath} matches the template.` }
+            : { stale: true, reason: `${readmeRelativePath} differs from the template output.` };
+    }
+    
+    const recorded = readFingerprint(current);
+    if (!recorded) {
+        return { stale: true, reason: `${readmeRelativePath} has no facts fingerprint. Generate it once to record one.` };
+    }
+    
+    return recorded === fingerprintFacts(extractProjectFacts(rootPath, workspaceData))
+        ? { stale: false, reason: `${readmeRelativePath} is up to date with the project manifests.` }
+        : { stale: true, reason: `The project manifests changed since ${readmeRelativePath} was generated.` };
+}
+
+module.exports = {
+    createConfiguration,
+    resolveProvider,
+    scanProject,
+    buildBudgetedPrompt,
+    generateReadmeText,
+    refreshArchitectureDiagram,
+    checkReadme,
+    readFingerprint,
+    stampFingerprint
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_CONFIG_FILE = '.autoreadme.json';
+
+/**
+ * Checks the shape of a parsed project configuration
+ * @param {any} config - The parsed configuration
+ * @returns {string[]} - List of problems
+ */
+function validateProjectConfig(config) {
+    const problems = [];
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['The configuration must be a JSON object.'];
+    }
+    
+    for (const key of ['provider', 'model', 'tone', 'context', 'output']) {
+        if (config[key] !== undefined && typeof config[key] !== 'string') {
+            problems.push(`"${key}" must be a string.`);
+        }
+    }
+    
+    for (const key of ['ignore', 'sections']) {
+        if (config[key] !== undefined &&
+            (!Array.isArray(config[key]) || config[key].some(item => typeof item !== 'string'))) {
+            problems.push(`"${key}" must be an array of strings.`);
+        }
+    }
+    
+    if (typeof config.output === 'string') {
+        const normalized = path.normalize(config.output);
+        if (path.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('..' + path.sep)) {
+            problems.push('"output" must be a path inside the project.');
+        }
+    }
+    
+    return problems;
+}
+
+/**
+ * Loads the committed `.autoreadme.json` project configuration
+ * @param {string} rootPath - The root path of the workspace
+ * @returns {{ provider?: string, model?: string, ignore?: string[], sections?: string[], tone?: string, context?: string, output?: string }|null} - The configuration, or null when the file does not exist
+ */
+function loadProjectConfig(rootPath) {
+    const configPath = path.join(rootPath, PROJECT_CONFIG_FILE);
+    
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+    
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${PROJECT_CONFIG_FILE}: ${error.message}`);
+    }
+    
+    const problems = validateProjectConfig(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${problems.join(' ')}`);
+    }
+    
+    return config;
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    loadProjectConfig,
+    validateProjectConfig
+};
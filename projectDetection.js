@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { isVscodeExtensionManifest } = require('./vscodeExtension');
+
+// Directories that never count towards the source files of a project
+const SKIPPED_DIRECTORIES = [
+    '.git', 'node_modules', 'vendor', 'target', 'dist', 'build', 'out', 'bin', 'obj',
+    '.venv', 'venv', '__pycache__', '.dart_tool', '_build', 'deps', 'Pods', '.gradle'
+];
+
+// Limits of the walk that counts source files
+const MAX_COUNT_DEPTH = 4;
+const MAX_COUNTED_ENTRIES = 5000;
+
+// Weight of a manifest found in a direct subdirectory, e.g. frontend/package.json
+const NESTED_MANIFEST_WEIGHT = 0.5;
+
+/**
+ * Ecosystems recognised by their manifest files
+ *
+ * `manifests` are lower-case file names, `manifestPattern` matches file names that vary per
+ * project, and `refine` adjusts the type and languages from the file counts and the manifests found.
+ */
+const ECOSYSTEMS = [
+    {
+        type: 'node',
+        languages: ['javascript'],
+        manifests: ['package.json'],
+        extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
+        refine: (counts, manifestPaths) => (manifestPaths.some(manifestPath => isVscodeExtensionManifest(parseJson(readFileIfExists(manifestPath))))
+            ? { type: 'vscode-extension', languages: ['javascript', 'vscode'] }
+            : null)
+    },
+    {
+        type: 'deno',
+        languages: ['typescript', 'deno'],
+        manifests: ['deno.json', 'deno.jsonc'],
+        extensions: ['.ts', '.tsx', '.js', '.jsx']
+    },
+    {
+        type: 'python',
+        languages: ['python'],
+        manifests: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'pipfile'],
+        extensions: ['.py']
+    },
+    {
+        type: 'conda',
+        languages: ['python', 'conda'],
+        manifests: ['environment.yml', 'environment.yaml'],
+        extensions: ['.py', '.ipynb', '.r']
+    },
+    {
+        type: 'java',
+        languages: ['java'],
+        manifests: ['pom.xml'],
+        extensions: ['.java']
+    },
+    {
+        type: 'java',
+        languages: ['java', 'gradle'],
+        manifests: ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'],
+        extensions: ['.java', '.kt', '.kts'],
+        refine: counts => ((counts['.kt'] || 0) > (counts['.java'] || 0)
+            ? { type: 'kotlin', languages: ['kotlin', 'gradle'] }
+            : null)
+    },
+    {
+        type: 'dotnet',
+        languages: ['csharp', 'dotnet'],
+        manifestPattern: /\.(csproj|fsproj|vbproj|sln)$/,
+        extensions: ['.cs', '.fs', '.vb'],
+        refine: counts => ((counts['.fs'] || 0) > (counts['.cs'] || 0)
+            ? { type: 'dotnet', languages: ['fsharp', 'dotnet'] }
+            : null)
+    },
+    {
+        type: 'swift',
+        languages: ['swift'],
+        manifests: ['package.swift'],
+        extensions: ['.swift']
+    },
+    {
+        type: 'dart',
+        languages: ['dart'],
+        manifests: ['pubspec.yaml'],
+        extensions: ['.dart'],
+        refine: (counts, manifestPaths) => (manifestPaths.some(manifestPath => /sdk:\s*flutter/.test(readFileIfExists(manifestPath)))
+            ? { type: 'flutter', languages: ['dart', 'flutter'] }
+            : null)
+    },
+    {
+        type: 'elixir',
+        languages: ['elixir'],
+        manifests: ['mix.exs'],
+        extensions: ['.ex', '.exs']
+    },
+    {
+        type: 'cpp',
+        languages: ['c++'],
+        manifests: ['cmakelists.txt', 'meson.build'],
+        extensions: ['.c', '.cc', '.cpp', '.cxx', '.h', '.hpp'],
+        refine: counts => ((counts['.c'] || 0) > (counts['.cc'] || 0) + (counts['.cpp'] || 0) + (counts['.cxx'] || 0)
+            ? { type: 'c', languages: ['c'] }
+            : null)
+    },
+    {
+        type: 'rust',
+        languages: ['rust'],
+        manifests: ['cargo.toml'],
+        extensions: ['.rs']
+    },
+    {
+        type: 'go',
+        languages: ['go'],
+        manifests: ['go.mod', 'go.work'],
+        extensions: ['.go']
+    },
+    {
+        type: 'ruby',
+        languages: ['ruby'],
+        manifests: ['gemfile'],
+        extensions: ['.rb']
+    },
+    {
+        type: 'php',
+        languages: ['php'],
+        manifests: ['composer.json'],
+        extensions: ['.php']
+    }
+];
+
+/**
+ * Reads a file, returning an empty string when it cannot be read
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string} - The file content
+ */
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Parses JSON, returning null when it is not valid
+ * @param {string} text - The JSON text
+ * @returns {Object|null} - The parsed value
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a file name is the manifest of an ecosystem
+ * @param {Object} ecosystem - An entry of ECOSYSTEMS
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether the file is one of its manifests
+ */
+function isManifestOf(ecosystem, fileName) {
+    const lowerCaseName = fileName.toLowerCase();
+    return (ecosystem.manifests || []).includes(lowerCaseName) ||
+        Boolean(ecosystem.manifestPattern && ecosystem.manifestPattern.test(lowerCaseName));
+}
+
+/**
+ * Checks whether a file name is the manifest of any known ecosystem
+ * @param {string} fileName - The file name
+ * @returns {boolean} - Whether the file is a manifest
+ */
+function isManifestFile(fileName) {
+    return ECOSYSTEMS.some(ecosystem => isManifestOf(ecosystem, fileName));
+}
+
+/**
+ * Counts the files under the root by extension
+ * @param {string} rootPath - The root path of the workspace
+ * @returns {Object<string, number>} - File counts keyed by lower-case extension
+ */
+function countExtensions(rootPath) {
+    const counts = {};
+    let visited = 0;
+    
+    const walk = (dirPath, depth) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dirPath, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        
+        for (const entry of entries) {
+            if (++visited > MAX_COUNTED_ENTRIES) {
+                return;
+            }
+            
+            if (entry.isDirectory()) {
+                if (depth < MAX_COUNT_DEPTH && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+                    walk(path.join(dirPath, entry.name), depth + 1);
+                }
+            } else if (entry.isFile()) {
+                const ext = path.extname(entry.name).toLowerCase();
+                counts[ext] = (counts[ext] || 0) + 1;
+            }
+        }
+    };
+    
+    walk(rootPath, 0);
+    return counts;
+}
+
+/**
+ * Lists the files of the root and of its direct subdirectories
+ * @param {string} rootPath - The root path of the workspace
+ * @returns {{ name: string, relativePath: string, nested: boolean }[]} - The files
+ */
+function listManifestCandidates(rootPath) {
+    const candidates = [];
+    let entries;
+    try {
+        entries = fs.readdirSync(rootPath, { withFileTypes: true });
+    } catch (error) {
+        console.error('Error identifying project type:', error);
+        return candidates;
+    }
+    
+    for (const entry of entries) {
+        if (entry.isFile()) {
+            candidates.push({ name: entry.name, relativePath: entry.name, nested: false });
+        } else if (entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+            try {
+                for (const child of fs.readdirSync(path.join(rootPath, entry.name), { withFileTypes: true })) {
+                    if (child.isFile()) {
+                        candidates.push({ name: child.name, relativePath: `${entry.name}/${child.name}`, nested: true });
+                    }
+                }
+            } catch (error) {
+                console.error(`Error reading directory ${entry.name}:`, error);
+            }
+        }
+    }
+    
+    return candidates;
+}
+
+/**
+ * Detects every ecosystem of a project and how much of the project each one makes up
+ *
+ * Each ecosystem scores 1 for a manifest in the root (0.5 for one in a direct subdirectory)
+ * plus its share of the source files; scores are then normalized into confidences that add up to 1.
+ * @param {string} rootPath - The root path of the workspace
+ * @returns {{ type: string, confidence: number, languages: string[], manifests: string[] }[]} - Project types, most likely first
+ */
+function detectProjectTypes(rootPath) {
+    const candidates = listManifestCandidates(rootPath);
+    const counts = countExtensions(rootPath);
+    const sourceExtensions = [...new Set(ECOSYSTEMS.flatMap(ecosystem => ecosystem.extensions))];
+    const totalSources = sourceExtensions.reduce((sum, ext) => sum + (counts[ext] || 0), 0);
+    
+    const detected = new Map();
+    
+    for (const ecosystem of ECOSYSTEMS) {
+        const manifests = candidates.filter(candidate => isManifestOf(ecosystem, candidate.name));
+        if (manifests.length === 0) {
+            continue;
+        }
+        
+        const manifestScore = manifests.some(candidate => !candidate.nested) ? 1 : NESTED_MANIFEST_WEIGHT;
+        const sources = ecosystem.extensions.reduce((sum, ext) => sum + (counts[ext] || 0), 0);
+        const score = manifestScore + (totalSources > 0 ? sources / totalSources : 0);
+        const manifestPaths = manifests.map(candidate => path.join(rootPath, candidate.relativePath));
+        const { type, languages } = (ecosystem.refine && ecosystem.refine(counts, manifestPaths)) || ecosystem;
+        
+        // Several manifests of one type (pom.xml and build.gradle) count once, with the best score
+        const existing = detected.get(type);
+        if (!existing || existing.score < score) {
+            detected.set(type, {
+                type,
+                score,
+                languages: [...new Set([...(existing ? existing.languages : []), ...languages])],
+                manifests: [...(existing ? existing.manifests : []), ...manifests.map(candidate => candidate.relativePath)]
+            });
+        } else {
+            existing.languages = [...new Set([...existing.languages, ...languages])];
+            existing.manifests.push(...manifests.map(candidate => candidate.relativePath));
+        }
+    }
+    
+    const totalScore = [...detected.values()].reduce((sum, entry) => sum + entry.score, 0);
+    
+    return [...detected.values()]
+        .map(entry => ({
+            type: entry.type,
+            confidence: Math.round(entry.score / totalScore * 100) / 100,
+            languages: entry.languages,
+            manifests: entry.manifests
+        }))
+        .sort((a, b) => b.confidence - a.confidence || a.type.localeCompare(b.type));
+}
+
+/**
+ * Formats the detected project types for a prompt, e.g. `python (70%), node (30%)`
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string} - The project types
+ */
+function formatProjectTypes(workspaceData) {
+    const projectTypes = workspaceData.projectTypes || [];
+    
+    if (projectTypes.length <= 1) {
+        return workspaceData.projectType;
+    }
+    
+    return projectTypes.map(entry => `${entry.type} (${Math.round(entry.confidence * 100)}%)`).join(', ');
+}
+
+module.exports = {
+    ECOSYSTEMS,
+    detectProjectTypes,
+    formatProjectTypes,
+    isManifestFile
+};
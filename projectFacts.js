@@ -0,0 +1,692 @@
+const fs = require('fs');
+const path = require('path');
+const { getTomlTable, getTomlString, getTomlStringArray, getTomlEntries, getTomlValueString } = require('./toml');
+const { parseYaml } = require('./yaml');
+
+// First lines of common license texts, matched in order
+const LICENSE_PATTERNS = [
+    { pattern: /MIT License|Permission is hereby granted, free of charge/i, id: 'MIT' },
+    { pattern: /Apache License,?\s+Version 2\.0/i, id: 'Apache-2.0' },
+    { pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i, id: 'LGPL-3.0' },
+    { pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i, id: 'LGPL-2.1' },
+    { pattern: /GNU AFFERO GENERAL PUBLIC LICENSE\s+Version 3/i, id: 'AGPL-3.0' },
+    { pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i, id: 'GPL-3.0' },
+    { pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i, id: 'GPL-2.0' },
+    { pattern: /Mozilla Public License,?\s+Version 2\.0/i, id: 'MPL-2.0' },
+    { pattern: /ISC License/i, id: 'ISC' },
+    { pattern: /This is free and unencumbered software released into the public domain/i, id: 'Unlicense' },
+    { pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i, id: 'BSD-3-Clause' },
+    { pattern: /Redistribution and use in source and binary forms/i, id: 'BSD-2-Clause' }
+];
+
+/**
+ * Reads a file, returning null when it does not exist or cannot be read
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} - The file content
+ */
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Object|null} - The parsed object, or null when it is missing or invalid
+ */
+function readJsonIfExists(filePath) {
+    const content = readFileIfExists(filePath);
+    if (content === null) {
+        return null;
+    }
+    
+    try {
+        // deno.jsonc and similar files may contain comments
+        return JSON.parse(content.replace(/^\s*\/\/.*$/gm, ''));
+    } catch (error) {
+        console.error(`Error parsing ${filePath}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Reads a YAML file whose top level is a mapping, such as pubspec.yaml or environment.yml
+ * @param {string} filePath - The file path
+ * @returns {Object} - The mapping, or an empty object when the file is missing or not a mapping
+ */
+function readYamlMapping(filePath) {
+    const content = readFileIfExists(filePath);
+    if (!content) {
+        return {};
+    }
+    
+    try {
+        const value = parseYaml(content);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    } catch (error) {
+        console.error(`Error parsing ${path.basename(filePath)}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Turns a YAML scalar into the text it was written as, e.g. a version YAML read as a number
+ * @param {any} value - The value
+ * @returns {string|undefined} - The text, or undefined for collections and empty values
+ */
+function readYamlString(value) {
+    return value === null || value === undefined || typeof value === 'object' ? undefined : String(value);
+}
+
+/**
+ * Picks the command that installs the dependencies of a JavaScript project from its lock file
+ * @param {string} dirPath - The project directory
+ * @returns {string} - The package manager: npm, yarn, pnpm or bun
+ */
+function detectNodePackageManager(dirPath) {
+    if (fs.existsSync(path.join(dirPath, 'pnpm-lock.yaml'))) return 'pnpm';
+    if (fs.existsSync(path.join(dirPath, 'yarn.lock'))) return 'yarn';
+    if (fs.existsSync(path.join(dirPath, 'bun.lockb')) || fs.existsSync(path.join(dirPath, 'bun.lock'))) return 'bun';
+    return 'npm';
+}
+
+/**
+ * Formats the command that runs a package.json script
+ * @param {string} packageManager - npm, yarn, pnpm or bun
+ * @param {string} script - The script name
+ * @returns {string} - The command
+ */
+function formatScriptCommand(packageManager, script) {
+    if (packageManager === 'npm') {
+        return ['start', 'test'].includes(script) ? `npm ${script}` : `npm run ${script}`;
+    }
+    return packageManager === 'yarn' ? `yarn ${script}` : `${packageManager} run ${script}`;
+}
+
+/**
+ * Reads the facts of a JavaScript project from package.json
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readNodeFacts(dirPath) {
+    const packageJson = readJsonIfExists(path.join(dirPath, 'package.json')) || {};
+    const packageManager = detectNodePackageManager(dirPath);
+    const engineNames = { node: 'Node.js', npm: 'npm', yarn: 'Yarn', pnpm: 'pnpm', vscode: 'VS Code' };
+    
+    const binaries = typeof packageJson.bin === 'string'
+        ? [{ name: (packageJson.name || '').replace(/^@[^/]+\//, ''), target: packageJson.bin }]
+        : Object.entries(packageJson.bin || {}).map(([name, target]) => ({ name, target }));
+    
+    const install = [`${packageManager} install`];
+    if (binaries.length > 0 && packageJson.name && !packageJson.private) {
+        install.push(packageManager === 'npm' ? `npm install -g ${packageJson.name}` : `${packageManager} add -g ${packageJson.name}`);
+    }
+    
+    const dependencies = [];
+    for (const [field, scope] of [['dependencies', 'runtime'], ['devDependencies', 'development'], ['peerDependencies', 'peer'], ['optionalDependencies', 'optional']]) {
+        for (const [name, version] of Object.entries(packageJson[field] || {})) {
+            dependencies.push({ name, version: String(version), scope });
+        }
+    }
+    
+    return {
+        name: packageJson.name,
+        description: packageJson.description,
+        version: packageJson.version,
+        license: typeof packageJson.license === 'string' ? packageJson.license : undefined,
+        install,
+        engines: Object.entries(packageJson.engines || {}).map(([name, version]) => ({ name: engineNames[name] || name, version: String(version) })),
+        scripts: Object.entries(packageJson.scripts || {}).map(([name, command]) => ({ name, command, run: formatScriptCommand(packageManager, name) })),
+        binaries,
+        dependencies
+    };
+}
+
+/**
+ * Reads the facts of a Deno project from deno.json
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readDenoFacts(dirPath) {
+    const denoJson = readJsonIfExists(path.join(dirPath, 'deno.json')) || readJsonIfExists(path.join(dirPath, 'deno.jsonc')) || {};
+    
+    return {
+        name: denoJson.name,
+        version: denoJson.version,
+        install: ['deno install'],
+        scripts: Object.entries(denoJson.tasks || {}).map(([name, command]) => ({
+            name,
+            command: typeof command === 'string' ? command : command.command || '',
+            run: `deno task ${name}`
+        })),
+        dependencies: Object.entries(denoJson.imports || {}).map(([name, specifier]) => ({ name, version: String(specifier), scope: 'runtime' }))
+    };
+}
+
+/**
+ * Splits a PEP 508 requirement such as `requests[socks]>=2.31; python_version>"3.8"` into name and version
+ * @param {string} requirement - The requirement
+ * @returns {{ name: string, version: string }|null} - The parsed requirement
+ */
+function parsePythonRequirement(requirement) {
+    const match = requirement.split(/[;#]/)[0].trim().match(/^([A-Za-z0-9][\w.-]*)(\[[^\]]*\])?\s*(.*)$/);
+    return match ? { name: match[1], version: match[3].trim() || '*' } : null;
+}
+
+/**
+ * Reads the facts of a Python project from pyproject.toml, setup.py, requirements.txt and Pipfile
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readPythonFacts(dirPath) {
+    const pyproject = readFileIfExists(path.join(dirPath, 'pyproject.toml')) || '';
+    const project = getTomlTable(pyproject, 'project');
+    const poetry = getTomlTable(pyproject, 'tool.poetry');
+    const metadata = project || poetry;
+    const requirements = readFileIfExists(path.join(dirPath, 'requirements.txt'));
+    
+    const install = [];
+    if (poetry !== null) {
+        install.push('poetry install');
+    } else if (fs.existsSync(path.join(dirPath, 'Pipfile'))) {
+        install.push('pipenv install');
+    } else {
+        if (requirements !== null) {
+            install.push('pip install -r requirements.txt');
+        }
+        if (project !== null || fs.existsSync(path.join(dirPath, 'setup.py'))) {
+            install.push('pip install .');
+        }
+    }
+    
+    const dependencies = [];
+    const addRequirement = (requirement, scope) => {
+        const parsed = parsePythonRequirement(requirement);
+        if (parsed) {
+            dependencies.push({ ...parsed, scope });
+        }
+    };
+    getTomlStringArray(project, 'dependencies').forEach(requirement => addRequirement(requirement, 'runtime'));
+    for (const [group, value] of Object.entries(getTomlEntries(getTomlTable(pyproject, 'project.optional-dependencies')))) {
+        for (const item of value.matchAll(/(["'])(.*?)\1/g)) {
+            addRequirement(item[2], group);
+        }
+    }
+    for (const [name, value] of Object.entries(getTomlEntries(getTomlTable(pyproject, 'tool.poetry.dependencies')))) {
+        if (name !== 'python') {
+            dependencies.push({ name, version: getTomlValueString(value) || '*', scope: 'runtime' });
+        }
+    }
+    if (dependencies.length === 0 && requirements) {
+        requirements.split(/\r?\n/)
+            .filter(line => line.trim() && !/^\s*(#|-)/.test(line))
+            .forEach(line => addRequirement(line, 'runtime'));
+    }
+    
+    const pythonVersion = getTomlString(project, 'requires-python') ||
+        getTomlValueString(getTomlEntries(getTomlTable(pyproject, 'tool.poetry.dependencies')).python || '');
+    const license = getTomlString(metadata, 'license') ||
+        ((metadata || '').match(/^\s*license\s*=\s*\{\s*text\s*=\s*(["'])(.*?)\1/m) || [])[2];
+    
+    return {
+        name: getTomlString(metadata, 'name'),
+        description: getTomlString(metadata, 'description'),
+        version: getTomlString(metadata, 'version'),
+        license,
+        install,
+        engines: pythonVersion ? [{ name: 'Python', version: pythonVersion }] : [],
+        binaries: Object.entries(getTomlEntries(getTomlTable(pyproject, project ? 'project.scripts' : 'tool.poetry.scripts')))
+            .map(([name, target]) => ({ name, target: getTomlValueString(target) })),
+        dependencies
+    };
+}
+
+/**
+ * Reads the facts of a Conda environment from environment.yml
+ * @param {string} dirPath - The project directory
+ * @param {string} manifestName - environment.yml or environment.yaml
+ * @returns {Object} - Partial project facts
+ */
+function readCondaFacts(dirPath, manifestName) {
+    const environment = readYamlMapping(path.join(dirPath, manifestName));
+    // Packages pip installs are listed under a `pip:` entry
+    const dependencies = (Array.isArray(environment.dependencies) ? environment.dependencies : [])
+        .flatMap(item => (item && Array.isArray(item.pip) ? item.pip : [item]))
+        .map(readYamlString)
+        .filter(Boolean)
+        .map(item => {
+            const match = item.match(/^([\w.-]+)\s*([=<>!~].*)?$/);
+            return match ? { name: match[1], version: (match[2] || '*').replace(/^=(?!=)/, '=='), scope: 'conda' } : null;
+        })
+        .filter(Boolean);
+    const python = dependencies.find(dependency => dependency.name === 'python');
+    
+    return {
+        install: [`conda env create -f ${manifestName}`, ...(readYamlString(environment.name) ? [`conda activate ${environment.name}`] : [])],
+        engines: python ? [{ name: 'Python', version: python.version }] : [],
+        dependencies: dependencies.filter(dependency => dependency.name !== 'python')
+    };
+}
+
+/**
+ * Reads the facts of a Rust crate from Cargo.toml
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readRustFacts(dirPath) {
+    const cargoToml = readFileIfExists(path.join(dirPath, 'Cargo.toml')) || '';
+    const crate = getTomlTable(cargoToml, 'package');
+    const name = getTomlString(crate, 'name');
+    
+    const binaries = [...cargoToml.matchAll(/^\s*\[\[bin\]\]\s*$([\s\S]*?)(?=^\s*\[|(?![\s\S]))/gm)]
+        .map(match => getTomlString(match[1], 'name'))
+        .filter(Boolean)
+        .map(binary => ({ name: binary, target: 'src/main.rs' }));
+    if (binaries.length === 0 && name && fs.existsSync(path.join(dirPath, 'src', 'main.rs'))) {
+        binaries.push({ name, target: 'src/main.rs' });
+    }
+    
+    const dependencies = [];
+    for (const [table, scope] of [['dependencies', 'runtime'], ['dev-dependencies', 'development'], ['build-dependencies', 'build']]) {
+        for (const [dependency, value] of Object.entries(getTomlEntries(getTomlTable(cargoToml, table)))) {
+            dependencies.push({ name: dependency, version: getTomlValueString(value) || '*', scope });
+        }
+    }
+    
+    const rustVersion = getTomlString(crate, 'rust-version');
+    
+    return {
+        name,
+        description: getTomlString(crate, 'description'),
+        version: getTomlString(crate, 'version'),
+        license: getTomlString(crate, 'license'),
+        install: ['cargo build --release', ...(binaries.length > 0 ? ['cargo install --path .'] : [])],
+        engines: rustVersion ? [{ name: 'Rust', version: `>=${rustVersion}` }] : [],
+        binaries,
+        dependencies
+    };
+}
+
+/**
+ * Reads the facts of a Go module from go.mod
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readGoFacts(dirPath) {
+    const goMod = readFileIfExists(path.join(dirPath, 'go.mod')) || '';
+    const module = goMod.match(/^\s*module\s+(\S+)/m);
+    const goVersion = goMod.match(/^\s*go\s+(\S+)/m);
+    
+    const requirements = [];
+    for (const block of goMod.matchAll(/^\s*require\s*\(([^)]*)\)/gm)) {
+        requirements.push(...block[1].split(/\r?\n/));
+    }
+    for (const single of goMod.matchAll(/^\s*require\s+([^\s(].*)$/gm)) {
+        requirements.push(single[1]);
+    }
+    
+    return {
+        name: module ? module[1] : undefined,
+        install: ['go mod download', 'go build ./...'],
+        engines: goVersion ? [{ name: 'Go', version: `>=${goVersion[1]}` }] : [],
+        dependencies: requirements
+            .map(line => line.trim().match(/^(\S+)\s+(\S+)(.*)$/))
+            .filter(Boolean)
+            .map(match => ({ name: match[1], version: match[2], scope: match[3].includes('// indirect') ? 'indirect' : 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of a PHP project from composer.json
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readPhpFacts(dirPath) {
+    const composerJson = readJsonIfExists(path.join(dirPath, 'composer.json')) || {};
+    const isPlatformPackage = name => name === 'php' || name.startsWith('ext-');
+    const dependencies = [];
+    for (const [field, scope] of [['require', 'runtime'], ['require-dev', 'development']]) {
+        for (const [name, version] of Object.entries(composerJson[field] || {})) {
+            if (!isPlatformPackage(name)) {
+                dependencies.push({ name, version: String(version), scope });
+            }
+        }
+    }
+    
+    const php = (composerJson.require || {}).php;
+    
+    return {
+        name: composerJson.name,
+        description: composerJson.description,
+        version: composerJson.version,
+        license: Array.isArray(composerJson.license) ? composerJson.license.join(' OR ') : composerJson.license,
+        install: ['composer install'],
+        engines: php ? [{ name: 'PHP', version: String(php) }] : [],
+        scripts: Object.keys(composerJson.scripts || {}).map(name => ({
+            name,
+            command: [].concat(composerJson.scripts[name]).join(' && '),
+            run: `composer run-script ${name}`
+        })),
+        binaries: (composerJson.bin || []).map(target => ({ name: path.basename(target), target })),
+        dependencies
+    };
+}
+
+/**
+ * Reads the facts of a Ruby project from its Gemfile
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readRubyFacts(dirPath) {
+    const gemfile = readFileIfExists(path.join(dirPath, 'Gemfile')) || '';
+    const ruby = gemfile.match(/^\s*ruby\s+["']([^"']+)["']/m);
+    
+    return {
+        install: ['bundle install'],
+        engines: ruby ? [{ name: 'Ruby', version: ruby[1] }] : [],
+        dependencies: [...gemfile.matchAll(/^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/gm)]
+            .map(match => ({ name: match[1], version: match[2] || '*', scope: 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of a Maven or Gradle project
+ * @param {string} dirPath - The project directory
+ * @param {string} manifestName - pom.xml or one of the Gradle build files
+ * @returns {Object} - Partial project facts
+ */
+function readJvmFacts(dirPath, manifestName) {
+    if (manifestName.toLowerCase() === 'pom.xml') {
+        // Drop the <parent> block so its coordinates are not mistaken for the project's
+        const pom = (readFileIfExists(path.join(dirPath, 'pom.xml')) || '').replace(/<parent>[\s\S]*?<\/parent>/, '');
+        const tag = name => ((pom.replace(/<dependencies>[\s\S]*<\/dependencies>/, '').match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1]);
+        
+        return {
+            name: tag('name') || tag('artifactId'),
+            description: tag('description'),
+            version: tag('version'),
+            install: ['mvn install'],
+            dependencies: [...pom.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(match => ({
+                name: `${(match[1].match(/<groupId>([^<]*)</) || [])[1]}:${(match[1].match(/<artifactId>([^<]*)</) || [])[1]}`,
+                version: (match[1].match(/<version>([^<]*)</) || [])[1] || '*',
+                scope: (match[1].match(/<scope>([^<]*)</) || [])[1] || 'runtime'
+            }))
+        };
+    }
+    
+    const gradle = fs.existsSync(path.join(dirPath, 'gradlew')) ? './gradlew' : 'gradle';
+    const settings = readFileIfExists(path.join(dirPath, 'settings.gradle.kts')) || readFileIfExists(path.join(dirPath, 'settings.gradle')) || '';
+    const rootProject = settings.match(/rootProject\.name\s*=\s*["']([^"']+)["']/);
+    
+    return {
+        name: rootProject ? rootProject[1] : undefined,
+        install: [`${gradle} build`]
+    };
+}
+
+/**
+ * Reads the facts of a .NET project from its project and solution files
+ * @param {string} dirPath - The project directory
+ * @param {string} manifestName - A .csproj, .fsproj, .vbproj or .sln file
+ * @returns {Object} - Partial project facts
+ */
+function readDotnetFacts(dirPath, manifestName) {
+    const project = /\.sln$/i.test(manifestName) ? '' : readFileIfExists(path.join(dirPath, manifestName)) || '';
+    const property = name => ((project.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1]);
+    const targetFramework = property('TargetFramework') || property('TargetFrameworks');
+    
+    return {
+        name: property('PackageId') || property('AssemblyName') || manifestName.replace(/\.\w+$/, ''),
+        description: property('Description'),
+        version: property('Version'),
+        license: property('PackageLicenseExpression'),
+        install: ['dotnet restore', 'dotnet build'],
+        engines: targetFramework ? [{ name: '.NET', version: targetFramework }] : [],
+        dependencies: [...project.matchAll(/<PackageReference\s+Include="([^"]+)"(?:\s+Version="([^"]+)")?/g)]
+            .map(match => ({ name: match[1], version: match[2] || '*', scope: 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of a Swift package from Package.swift
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readSwiftFacts(dirPath) {
+    const manifest = readFileIfExists(path.join(dirPath, 'Package.swift')) || '';
+    const toolsVersion = manifest.match(/swift-tools-version\s*:\s*([\d.]+)/);
+    const name = manifest.match(/Package\s*\(\s*name\s*:\s*"([^"]+)"/);
+    
+    return {
+        name: name ? name[1] : undefined,
+        install: ['swift build'],
+        engines: toolsVersion ? [{ name: 'Swift', version: `>=${toolsVersion[1]}` }] : [],
+        binaries: [...manifest.matchAll(/\.executable\s*\(\s*name\s*:\s*"([^"]+)"/g)].map(match => ({ name: match[1], target: 'Package.swift' })),
+        dependencies: [...manifest.matchAll(/\.package\s*\(\s*(?:name\s*:\s*"[^"]*"\s*,\s*)?url\s*:\s*"([^"]+)"\s*,\s*(?:from\s*:\s*"([^"]+)"|[^)]*)/g)]
+            .map(match => ({ name: match[1].replace(/\.git$/, '').split('/').pop(), version: match[2] ? `>=${match[2]}` : '*', scope: 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of a Dart or Flutter package from pubspec.yaml
+ * @param {string} dirPath - The project directory
+ * @param {boolean} isFlutter - Whether the package uses Flutter
+ * @returns {Object} - Partial project facts
+ */
+function readDartFacts(dirPath, isFlutter) {
+    const pubspec = readYamlMapping(path.join(dirPath, 'pubspec.yaml'));
+    const mapping = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+    const tool = isFlutter ? 'flutter' : 'dart';
+    const dependencies = [];
+    for (const [field, scope] of [['dependencies', 'runtime'], ['dev_dependencies', 'development']]) {
+        // Path, git and SDK dependencies are maps rather than version constraints
+        for (const [name, version] of Object.entries(mapping(pubspec[field]))) {
+            if (name !== 'flutter' && name !== 'flutter_test') {
+                dependencies.push({ name, version: readYamlString(version) || '*', scope });
+            }
+        }
+    }
+    
+    return {
+        name: readYamlString(pubspec.name),
+        description: readYamlString(pubspec.description),
+        version: readYamlString(pubspec.version),
+        install: [`${tool} pub get`],
+        engines: Object.entries(mapping(pubspec.environment))
+            .map(([name, version]) => ({ name: name === 'sdk' ? 'Dart SDK' : name === 'flutter' ? 'Flutter' : name, version: readYamlString(version) || '*' })),
+        binaries: Object.keys(mapping(pubspec.executables)).map(name => ({ name, target: `bin/${name}.dart` })),
+        dependencies
+    };
+}
+
+/**
+ * Reads the facts of an Elixir project from mix.exs
+ * @param {string} dirPath - The project directory
+ * @returns {Object} - Partial project facts
+ */
+function readElixirFacts(dirPath) {
+    const mix = readFileIfExists(path.join(dirPath, 'mix.exs')) || '';
+    const app = mix.match(/\bapp:\s*:(\w+)/);
+    const version = mix.match(/\bversion:\s*"([^"]+)"/);
+    const elixir = mix.match(/\belixir:\s*"([^"]+)"/);
+    const description = mix.match(/\bdescription:\s*"([^"]+)"/);
+    
+    return {
+        name: app ? app[1] : undefined,
+        description: description ? description[1] : undefined,
+        version: version ? version[1] : undefined,
+        install: ['mix deps.get', 'mix compile'],
+        engines: elixir ? [{ name: 'Elixir', version: elixir[1] }] : [],
+        dependencies: [...mix.matchAll(/\{\s*:(\w+)\s*,\s*"([^"]+)"([^}]*)\}/g)]
+            .map(match => ({ name: match[1], version: match[2], scope: /only:\s*\[?\s*:(dev|test)/.test(match[3]) ? 'development' : 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of a C or C++ project from CMakeLists.txt or meson.build
+ * @param {string} dirPath - The project directory
+ * @param {string} manifestName - CMakeLists.txt or meson.build
+ * @returns {Object} - Partial project facts
+ */
+function readNativeFacts(dirPath, manifestName) {
+    if (manifestName.toLowerCase() === 'meson.build') {
+        const meson = readFileIfExists(path.join(dirPath, manifestName)) || '';
+        const project = meson.match(/project\s*\(\s*'([^']+)'/);
+        const version = meson.match(/\bversion\s*:\s*'([^']+)'/);
+        
+        return {
+            name: project ? project[1] : undefined,
+            version: version ? version[1] : undefined,
+            install: ['meson setup build', 'meson compile -C build'],
+            dependencies: [...meson.matchAll(/dependency\s*\(\s*'([^']+)'(?:[^)]*version\s*:\s*'([^']+)')?/g)]
+                .map(match => ({ name: match[1], version: match[2] || '*', scope: 'runtime' }))
+        };
+    }
+    
+    const cmake = readFileIfExists(path.join(dirPath, manifestName)) || '';
+    const project = cmake.match(/project\s*\(\s*([\w.-]+)([^)]*)\)/i);
+    const version = project && project[2].match(/VERSION\s+([\d.]+)/i);
+    const description = project && project[2].match(/DESCRIPTION\s+"([^"]+)"/i);
+    const minimum = cmake.match(/cmake_minimum_required\s*\(\s*VERSION\s+([\d.]+)/i);
+    
+    return {
+        name: project ? project[1] : undefined,
+        description: description ? description[1] : undefined,
+        version: version ? version[1] : undefined,
+        install: ['cmake -S . -B build', 'cmake --build build'],
+        engines: minimum ? [{ name: 'CMake', version: `>=${minimum[1]}` }] : [],
+        binaries: [...cmake.matchAll(/add_executable\s*\(\s*([\w.-]+)/gi)].map(match => ({ name: match[1], target: manifestName })),
+        dependencies: [...cmake.matchAll(/find_package\s*\(\s*([\w.-]+)(?:\s+([\d.]+))?/gi)]
+            .map(match => ({ name: match[1], version: match[2] ? `>=${match[2]}` : '*', scope: 'runtime' }))
+    };
+}
+
+/**
+ * Reads the facts of one detected ecosystem from its manifest
+ * @param {string} type - The project type, as reported by detectProjectTypes
+ * @param {string} dirPath - The directory of the manifest
+ * @param {string} manifestName - The manifest file name
+ * @returns {Object|null} - Partial project facts, or null for unknown types
+ */
+function readEcosystemFacts(type, dirPath, manifestName) {
+    switch (type) {
+        case 'node':
+        case 'vscode-extension': return readNodeFacts(dirPath);
+        case 'deno': return readDenoFacts(dirPath);
+        case 'python': return readPythonFacts(dirPath);
+        case 'conda': return readCondaFacts(dirPath, manifestName);
+        case 'rust': return readRustFacts(dirPath);
+        case 'go': return readGoFacts(dirPath);
+        case 'php': return readPhpFacts(dirPath);
+        case 'ruby': return readRubyFacts(dirPath);
+        case 'java':
+        case 'kotlin': return readJvmFacts(dirPath, manifestName);
+        case 'dotnet': return readDotnetFacts(dirPath, manifestName);
+        case 'swift': return readSwiftFacts(dirPath);
+        case 'dart': return readDartFacts(dirPath, false);
+        case 'flutter': return readDartFacts(dirPath, true);
+        case 'elixir': return readElixirFacts(dirPath);
+        case 'c':
+        case 'cpp': return readNativeFacts(dirPath, manifestName);
+        default: return null;
+    }
+}
+
+/**
+ * Identifies the license of a project from the text of its license file
+ * @param {string} rootPath - The root path of the project
+ * @returns {{ id: string|null, file: string }|null} - The SPDX id (null when unrecognised) and file name, or null without a license file
+ */
+function detectLicenseFile(rootPath) {
+    let fileName;
+    try {
+        fileName = fs.readdirSync(rootPath).find(name => /^(licen[cs]e|copying)(\.(md|txt))?$/i.test(name));
+    } catch {
+        return null;
+    }
+    if (!fileName) {
+        return null;
+    }
+    
+    const text = (readFileIfExists(path.join(rootPath, fileName)) || '').slice(0, 4000);
+    const match = LICENSE_PATTERNS.find(candidate => candidate.pattern.test(text));
+    return { id: match ? match.id : null, file: fileName };
+}
+
+/**
+ * Extracts the facts a README is built from out of the manifests of a project, without any model
+ *
+ * The first manifest in the project root provides the name, description and version; every detected
+ * ecosystem contributes its install commands, engines, scripts, executables and dependencies.
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {Object} - The project facts
+ */
+function extractProjectFacts(rootPath, workspaceData) {
+    const facts = {
+        name: null,
+        description: null,
+        version: null,
+        license: null,
+        licenseFile: null,
+        install: [],
+        engines: [],
+        scripts: [],
+        binaries: [],
+        dependencies: []
+    };
+    
+    // Root manifests first, so a frontend/package.json does not name a Python project
+    const manifests = (workspaceData.projectTypes || [])
+        .flatMap(projectType => projectType.manifests.map(manifest => ({ type: projectType.type, manifest })))
+        .sort((a, b) => a.manifest.split('/').length - b.manifest.split('/').length);
+    const seen = new Set();
+    
+    for (const { type, manifest } of manifests) {
+        const directory = path.posix.dirname(manifest);
+        
+        // One set of facts per ecosystem and directory, e.g. settings.gradle and build.gradle count once
+        if (seen.has(`${type}:${directory}`)) {
+            continue;
+        }
+        seen.add(`${type}:${directory}`);
+        
+        const ecosystemFacts = readEcosystemFacts(type, path.join(rootPath, directory), path.posix.basename(manifest));
+        if (!ecosystemFacts) {
+            continue;
+        }
+        
+        for (const key of ['name', 'description', 'version', 'license']) {
+            if (!facts[key] && ecosystemFacts[key] && directory === '.') {
+                facts[key] = ecosystemFacts[key];
+            }
+        }
+        
+        if (ecosystemFacts.install && ecosystemFacts.install.length > 0) {
+            facts.install.push({ ecosystem: type, directory, commands: ecosystemFacts.install });
+        }
+        facts.engines.push(...(ecosystemFacts.engines || []).filter(engine => !facts.engines.some(existing => existing.name === engine.name)));
+        facts.scripts.push(...(ecosystemFacts.scripts || []).map(script => ({ ...script, directory })));
+        facts.binaries.push(...(ecosystemFacts.binaries || []));
+        facts.dependencies.push(...(ecosystemFacts.dependencies || []).map(dependency => ({ ...dependency, ecosystem: type })));
+    }
+    
+    const licenseFile = detectLicenseFile(rootPath);
+    if (licenseFile) {
+        facts.licenseFile = licenseFile.file;
+        facts.license = facts.license || licenseFile.id;
+    }
+    
+    facts.name = facts.name || path.basename(rootPath);
+    
+    return facts;
+}
+
+module.exports = {
+    extractProjectFacts,
+    detectLicenseFile,
+    parsePythonRequirement
+};
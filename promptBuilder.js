@@ -0,0 +1,332 @@
+const { getImportantFilesForProjectType, getSourceCodeSamples } = require('./utils');
+const { extractProtectedBlocks } = require('./protectedRegions');
+const { packContext, estimateTokens } = require('./contextPacker');
+const { formatProjectTypes } = require('./projectDetection');
+
+/**
+ * Collects the file contents that should be shown to the model
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string} - Important file contents formatted for the prompt
+ */
+function buildImportantFileContents(workspaceData) {
+    let importantFileContents = '';
+    
+    // Add package.json content if available
+    const packageJsonContent = workspaceData.fileContents['package.json'] || '';
+    if (packageJsonContent) {
+        importantFileContents += `package.json content:\n${JSON.stringify(packageJsonContent, null, 2)}\n\n`;
+    }
+    
+    // Add existing README content for reference
+    const existingReadmeContent = workspaceData.fileContents['README.md'] || '';
+    if (existingReadmeContent) {
+        importantFileContents += `Existing README.md content (for reference):\n${existingReadmeContent}\n\n`;
+    }
+    
+    // Add other important file contents based on project type
+    const importantFiles = getImportantFilesForProjectType(workspaceData.projectType, workspaceData.mainLanguages);
+    
+    for (const fileName of importantFiles) {
+        // Find the file in the workspace data
+        const fileKey = Object.keys(workspaceData.fileContents).find(key => 
+            key.toLowerCase() === fileName.toLowerCase() || key.endsWith(`/${fileName.toLowerCase()}`)
+        );
+        
+        if (fileKey && workspaceData.fileContents[fileKey]) {
+            importantFileContents += `${fileName} content:\n${workspaceData.fileContents[fileKey]}\n\n`;
+        }
+    }
+    
+    // Add source code samples (limit to a few key files)
+    const sourceCodeSamples = getSourceCodeSamples(workspaceData);
+    if (sourceCodeSamples) {
+        importantFileContents += sourceCodeSamples;
+    }
+    
+    return importantFileContents;
+}
+
+/**
+ * Builds the instructions that keep the headings of protected README blocks
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string} - Instructions for the prompt, or an empty string
+ */
+function buildProtectedBlockInstructions(workspaceData) {
+    const blocks = extractProtectedBlocks(workspaceData.fileContents['README.md'] || '');
+    const headings = [...new Set(blocks.filter(block => block.heading !== null).map(block => block.heading))];
+    
+    if (headings.length === 0) {
+        return '';
+    }
+    
+    return `
+The existing README contains hand-written content between <!-- autoreadme:keep start --> and <!-- autoreadme:keep end --> markers.
+That content is copied into the new README automatically, so do not rewrite it, but keep these headings exactly as written:
+${headings.map(heading => `- ${heading}`).join('\n')}
+`;
+}
+
+/**
+ * Builds the list of sections the README should contain
+ * @param {string[]} [sections] - Required sections, in order
+ * @returns {string} - Section instructions for the prompt
+ */
+function buildSectionInstructions(sections) {
+    if (sections && sections.length > 0) {
+        return `Please generate a README.md file that contains exactly these sections as ## headings, in this order:
+${sections.map((section, index) => `${index + 1}. ${section}`).join('\n')}
+Start with the project title as a # heading followed by a short description.`;
+    }
+    
+    return `Please generate a comprehensive README.md file that includes:
+1. Project title and description
+2. Installation instructions
+3. Usage examples
+4. Features
+5. Dependencies
+6. License information (if available)
+7. Any other relevant sections based on the project structure`;
+}
+
+/**
+ * Builds the instructions for READMEs of a monorepo: the root index or one of its packages
+ * @param {Object} [workspace] - The monorepo the README belongs to
+ * @param {string[]} workspace.installCommands - Commands that install the whole repository
+ * @param {string} [workspace.packageTable] - Package table of the root README
+ * @param {string} [workspace.packageName] - Name of the package the README documents
+ * @param {string} [workspace.packagePath] - Directory of that package
+ * @returns {string} - Instructions for the prompt, or an empty string
+ */
+function buildWorkspaceInstructions(workspace) {
+    if (!workspace) {
+        return '';
+    }
+    
+    const installCommands = workspace.installCommands.map(command => `- ${command}`).join('\n');
+    
+    if (workspace.packageName) {
+        return `
+This project is the package "${workspace.packageName}" in the ${workspace.packagePath} directory of a monorepo.
+Its dependencies are installed for the whole repository from the repository root with:
+${installCommands}
+Mention this in the installation instructions instead of installing the package on its own.
+`;
+    }
+    
+    return `
+This repository is a monorepo and every package has its own README, so describe the repository as a whole
+and do not document the individual packages in detail. Include a "## Packages" section containing exactly this table:
+${workspace.packageTable}
+Include a single "## Installation" section for the whole repository, using these commands:
+${installCommands}
+`;
+}
+
+/**
+ * Builds the README generation prompt shared by every provider
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {string} userContext - Additional context provided by the user
+ * @param {Object} [options] - Options from the project configuration
+ * @param {string[]} [options.sections] - Required sections, in order
+ * @param {string} [options.tone] - The tone to write in
+ * @param {Object} [options.workspace] - The monorepo the README belongs to, see buildWorkspaceInstructions
+ * @param {boolean} [options.badges] - Whether a badge row is inserted after generation, so the model must not write one
+ * @param {boolean} [options.apiSection] - Whether an API section is inserted after generation, so the model must not write one
+ * @param {boolean} [options.configurationTable] - Whether a table of environment variables is inserted after generation
+ * @param {boolean} [options.cliReference] - Whether a reference of the command-line interface is inserted after generation
+ * @param {boolean} [options.extensionTables] - Whether tables of the VS Code extension contributions are inserted after generation
+ * @param {boolean} [options.containerSection] - Whether Docker and Docker Compose instructions are inserted after generation
+ * @param {boolean} [options.architectureDiagram] - Whether a Mermaid diagram of the import graph is inserted after generation
+ * @param {{ filesList: string, dirsList: string, importantFileContents: string }} [options.packedContext] - Context packed into a token budget
+ * @returns {string} - The prompt to send to the model
+ */
+function buildReadmePrompt(workspaceData, userContext, options = {}) {
+    const { filesList, dirsList, importantFileContents } = options.packedContext || {
+        filesList: workspaceData.files.join('\n'),
+        dirsList: workspaceData.directories.join('\n'),
+        importantFileContents: buildImportantFileContents(workspaceData)
+    };
+    const toneInstructions = options.tone ? `\nWrite the README in a ${options.tone} tone.\n` : '';
+    const badgeInstructions = options.badges
+        ? '\nDo not add badges or shields. A badge row for the license, version, runtime, CI and coverage is inserted below the title automatically.\n'
+        : '';
+    const cliInstructions = options.cliReference
+        ? '\nIn the Usage section, do not list command-line commands, options or flags. A reference with every command, option, default and example invocation is inserted automatically. Only use commands and options from the command-line interface definitions above.\n'
+        : '';
+    const configurationInstructions = options.configurationTable
+        ? '\nIn the Configuration section, do not list the environment variables. A table with every variable, where it is used and its default is inserted automatically.\n'
+        : '';
+    const extensionInstructions = options.extensionTables
+        ? '\nThis project is a VS Code extension. Add a "## Contributions" section that explains what the commands, settings and keybindings are for and how they work together, but do not list them. Tables of every command, setting (with its type, default and allowed values), keybinding, menu entry and activation event from package.json are inserted at the end of that section automatically.\n'
+        : '';
+    const containerInstructions = options.containerSection
+        ? '\nDo not write Docker or Docker Compose instructions. A "## Running with containers" section with the build and run commands, the build arguments and a table of the compose services is inserted automatically.\n'
+        : '';
+    const architectureInstructions = options.architectureDiagram
+        ? '\nAdd a "## Architecture" section that explains how the main modules depend on each other, following the import graph above. A Mermaid diagram of the import graph is inserted at the end of that section automatically, so do not draw one.\n'
+        : '';
+    const apiInstructions = options.apiSection
+        ? '\nDo not write an API reference section. An "## API" section listing every exported symbol is inserted automatically.\n'
+        : '';
+    
+    return `
+You are an expert developer tasked with creating a comprehensive README.md file for a project.
+Based on the following project structure and file contents, generate a well-structured README.md file.
+
+Project Type: ${formatProjectTypes(workspaceData)}
+Main Languages/Frameworks: ${workspaceData.mainLanguages.join(', ')}
+
+Project Files:
+${filesList}
+
+Project Directories:
+${dirsList}
+
+Important File Contents:
+${importantFileContents}
+
+Additional context from the user:
+${userContext}
+
+${buildSectionInstructions(options.sections)}
+${buildProtectedBlockInstructions(workspaceData)}${buildWorkspaceInstructions(options.workspace)}${badgeInstructions}${cliInstructions}${configurationInstructions}${extensionInstructions}${containerInstructions}${architectureInstructions}${apiInstructions}${toneInstructions}
+Format the README using proper Markdown syntax.
+`;
+}
+
+/**
+ * Builds the prompt that regenerates a single README section
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} section - The section to regenerate
+ * @param {string} section.headingLine - The heading line of the section, e.g. `## Usage`
+ * @param {string} section.content - The current section content, including the heading
+ * @param {string|null} section.previousHeading - The heading before the section, if any
+ * @param {string|null} section.nextHeading - The heading after the section, if any
+ * @param {Object} [options] - Prompt options
+ * @param {{ filesList: string, importantFileContents: string }} [options.packedContext] - Context packed into a token budget
+ * @returns {string} - The prompt to send to the model
+ */
+function buildSectionPrompt(workspaceData, section, options = {}) {
+    const { filesList, importantFileContents } = options.packedContext || {
+        filesList: workspaceData.files.join('\n'),
+        importantFileContents: buildImportantFileContents(workspaceData)
+    };
+    
+    return `
+You are an expert developer updating one section of an existing README.md file.
+Rewrite only the section below so it is accurate for the current project.
+
+Project Type: ${formatProjectTypes(workspaceData)}
+Main Languages/Frameworks: ${workspaceData.mainLanguages.join(', ')}
+
+Project Files:
+${filesList}
+
+Important File Contents:
+${importantFileContents}
+
+The section sits between these headings of the README:
+Previous heading: ${section.previousHeading || '(start of document)'}
+Next heading: ${section.nextHeading || '(end of document)'}
+
+Current section:
+${section.content}
+
+Respond with the updated section only, starting with the line "${section.headingLine}".
+Do not repeat the neighbouring sections and do not add any text before or after the section.
+Format the section using proper Markdown syntax.
+`;
+}
+
+/**
+ * Builds the prompt that summarizes one file for map-reduce generation
+ * @param {string} filePath - Workspace-relative path of the file
+ * @param {string} content - The file content
+ * @returns {string} - The prompt to send to the model
+ */
+function buildFileSummaryPrompt(filePath, content) {
+    return `
+You are an expert developer summarizing a project file so a README can be written later.
+Summarize the file below in at most 5 sentences: what it is for, the main functions, classes or
+commands it exposes, and how it is used by the rest of the project. Respond with plain text only.
+
+File: ${filePath}
+\`\`\`
+${content}
+\`\`\`
+`;
+}
+
+/**
+ * Builds the prompt that rolls the summaries of a directory's children up into one summary
+ * @param {string} dirPath - Workspace-relative path of the directory (`.` for the root)
+ * @param {{ name: string, summary: string }[]} children - Summaries of the files and subdirectories
+ * @returns {string} - The prompt to send to the model
+ */
+function buildDirectorySummaryPrompt(dirPath, children) {
+    return `
+You are an expert developer summarizing a project directory so a README can be written later.
+Based on the summaries of its files and subdirectories below, describe in at most 6 sentences what
+the directory ${dirPath === '.' ? '(the project root)' : dirPath} contains and what role it plays in the project.
+Respond with plain text only.
+
+${children.map(child => `${child.name}: ${child.summary}`).join('\n\n')}
+`;
+}
+
+/**
+ * Builds the prompt that asks the model to correct the claims of a README the fact check could not verify
+ * @param {string} readme - The README the model wrote
+ * @param {{ message: string, line: number }[]} claims - The unverified claims, see factCheckReadme
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {string[]|null} makeTargets - The targets of the Makefile, or null when the project has none
+ * @returns {string} - The prompt to send to the model
+ */
+function buildCorrectionPrompt(readme, claims, facts, makeTargets) {
+    const list = items => items.length > 0 ? [...new Set(items)].join(', ') : '(none)';
+    
+    return `
+You are an expert developer correcting a README you wrote. The commands, scripts, paths and packages in
+its code blocks were checked against the project, and the claims below could not be verified:
+
+${claims.map(claim => `Line ${claim.line + 1}: ${claim.message}`).join('\n')}
+
+What the project actually has:
+Scripts: ${list(facts.scripts.map(script => script.run || script.name))}
+Makefile targets: ${makeTargets ? list(makeTargets) : '(no Makefile)'}
+Executables: ${list(facts.binaries.map(binary => binary.name))}
+Dependencies: ${list(facts.dependencies.map(dependency => dependency.name))}
+
+Replace each of these claims with what the project really provides, or remove it when nothing fits.
+Change nothing else. Respond with the full corrected README in Markdown only, without any commentary.
+
+README:
+${readme}
+`;
+}
+
+/**
+ * Builds a prompt whose file listings and contents fit a token budget
+ * @param {(packedContext: { filesList: string, dirsList: string, importantFileContents: string }) => string} buildPrompt - Builds the prompt around the packed context
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {number} tokenBudget - Tokens available for the whole prompt
+ * @param {Object} [packOptions] - Options passed on to packContext
+ * @returns {{ prompt: string, report: Object }} - The prompt and the packing report
+ */
+function buildPackedPrompt(buildPrompt, workspaceData, tokenBudget, packOptions = {}) {
+    // Whatever the prompt needs besides the packed context comes off the budget first
+    const skeleton = buildPrompt({ filesList: '', dirsList: '', importantFileContents: '' });
+    const packed = packContext(workspaceData, tokenBudget - estimateTokens(skeleton), packOptions);
+    
+    return { prompt: buildPrompt(packed), report: packed.report };
+}
+
+module.exports = {
+    buildReadmePrompt,
+    buildPackedPrompt,
+    buildSectionPrompt,
+    buildFileSummaryPrompt,
+    buildDirectorySummaryPrompt,
+    buildCorrectionPrompt,
+    buildImportantFileContents
+};
@@ -0,0 +1,130 @@
+const { findHeadings, normalizeHeading } = require('./markdown');
+
+const START_MARKER = /^\s*<!--\s*autoreadme:keep\s+start\s*-->\s*$/i;
+const END_MARKER = /^\s*<!--\s*autoreadme:keep\s+end\s*-->\s*$/i;
+
+/**
+ * Finds the protected blocks in a README
+ * @param {string} markdown - The README content
+ * @returns {{ heading: string|null, level: number, start: number, end: number, lines: string[] }[]} - Protected blocks with the heading they sit under (start/end are 0-based line indexes, inclusive)
+ */
+function extractProtectedBlocks(markdown) {
+    const lines = markdown.split(/\r?\n/);
+    const headings = findHeadings(lines);
+    const blocks = [];
+    let start = -1;
+    
+    lines.forEach((line, index) => {
+        if (START_MARKER.test(line)) {
+            if (start !== -1) {
+                throw new Error(`Nested autoreadme:keep start marker on line ${index + 1} of README.md.`);
+            }
+            start = index;
+        } else if (END_MARKER.test(line)) {
+            if (start === -1) {
+                throw new Error(`autoreadme:keep end marker without a start marker on line ${index + 1} of README.md.`);
+            }
+            
+            const heading = headings.filter(candidate => candidate.line < start).pop();
+            blocks.push({
+                heading: heading ? heading.text : null,
+                level: heading ? heading.level : 0,
+                start,
+                end: index,
+                lines: lines.slice(start, index + 1)
+            });
+            start = -1;
+        }
+    });
+    
+    if (start !== -1) {
+        throw new Error(`Unclosed autoreadme:keep start marker on line ${start + 1} of README.md.`);
+    }
+    
+    return blocks;
+}
+
+/**
+ * Finds the line where the section that starts at a heading ends
+ * @param {string[]} lines - The Markdown lines
+ * @param {{ line: number, level: number }[]} headings - The headings in the document
+ * @param {{ line: number, level: number }} heading - The section heading
+ * @returns {number} - Index of the first line after the section
+ */
+function findSectionEnd(lines, headings, heading) {
+    const next = headings.find(candidate => candidate.line > heading.line && candidate.level <= heading.level);
+    return next ? next.line : lines.length;
+}
+
+/**
+ * Carries the protected blocks of the existing README over into generated content
+ * @param {string} generated - The generated README content
+ * @param {{ heading: string|null, lines: string[] }[]} blocks - Blocks from extractProtectedBlocks
+ * @returns {string} - The generated content with every protected block restored verbatim
+ */
+function restoreProtectedBlocks(generated, blocks) {
+    if (blocks.length === 0) {
+        return generated;
+    }
+    
+    const eol = generated.includes('\r\n') ? '\r\n' : '\n';
+    const lines = generated.split(/\r?\n/);
+    const headings = findHeadings(lines);
+    const generatedBlocks = extractProtectedBlocks(generated);
+    const usedBlocks = new Set();
+    const edits = [];
+    const missing = [];
+    
+    for (const block of blocks) {
+        const key = block.heading === null ? null : normalizeHeading(block.heading);
+        
+        // Prefer the spot where the model kept the markers under the same heading
+        const placeholder = generatedBlocks.find(candidate => !usedBlocks.has(candidate) &&
+            (candidate.heading === null ? null : normalizeHeading(candidate.heading)) === key);
+        if (placeholder) {
+            usedBlocks.add(placeholder);
+            edits.push({ index: placeholder.start, deleteCount: placeholder.end - placeholder.start + 1, lines: block.lines });
+            continue;
+        }
+        
+        if (key === null) {
+            // Blocks above the first heading go back to the top of the document
+            edits.push({ index: 0, deleteCount: 0, lines: [...block.lines, ''] });
+            continue;
+        }
+        
+        const heading = headings.find(candidate => normalizeHeading(candidate.text) === key);
+        if (!heading) {
+            missing.push(block.heading);
+            continue;
+        }
+        
+        // Otherwise append the block to the end of the matching section
+        let index = findSectionEnd(lines, headings, heading);
+        while (index > heading.line + 1 && lines[index - 1].trim() === '') {
+            index--;
+        }
+        edits.push({ index, deleteCount: 0, lines: ['', ...block.lines] });
+    }
+    
+    if (missing.length > 0) {
+        throw new Error(
+            `The generated README dropped ${missing.length === 1 ? 'the heading' : 'the headings'} ` +
+            `${missing.map(heading => `"${heading}"`).join(', ')} that protected (autoreadme:keep) content belongs to. ` +
+            'Nothing was written; regenerate or add the heading back.'
+        );
+    }
+    
+    // Apply from the bottom up so earlier indexes stay valid
+    edits
+        .map((edit, order) => ({ ...edit, order }))
+        .sort((a, b) => b.index - a.index || b.order - a.order)
+        .forEach(edit => lines.splice(edit.index, edit.deleteCount, ...edit.lines));
+    
+    return lines.join(eol);
+}
+
+module.exports = {
+    extractProtectedBlocks,
+    restoreProtectedBlocks
+};
@@ -0,0 +1,121 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const GEMINI_MODELS = ['gemini-2.0-flash', 'gemini-1.5-flash', 'gemini-1.5-pro'];
+
+/**
+ * Checks the Gemini settings
+ * @param {Object} settings - The provider settings
+ * @returns {string[]} - List of configuration problems
+ */
+function validateConfig(settings) {
+    const problems = [];
+    
+    if (!settings.apiKey) {
+        problems.push('Gemini API key is required.');
+    }
+    
+    if (!settings.model) {
+        problems.push('A Gemini model is required.');
+    }
+    
+    return problems;
+}
+
+/**
+ * Creates the Gemini model client
+ * @param {Object} settings - The provider settings (apiKey, model)
+ * @returns {import('@google/generative-ai').GenerativeModel} - The model client
+ */
+function getModel(settings) {
+    const genAI = new GoogleGenerativeAI(settings.apiKey);
+    return genAI.getGenerativeModel({ model: settings.model || 'gemini-1.5-flash' });
+}
+
+/**
+ * Generates a README using Gemini API
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (apiKey, model)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function generate(prompt, settings) {
+    try {
+        // Generate content with Gemini
+        const result = await getModel(settings).generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    } catch (error) {
+        console.error('Error generating README with Gemini:', error);
+        throw new Error(`Failed to generate README with Gemini: ${error.message}`);
+    }
+}
+
+/**
+ * Generates a README using Gemini API, reporting tokens as they arrive
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (apiKey, model)
+ * @param {(token: string) => void} onToken - Called for each generated chunk
+ * @param {import('./index').StreamOptions} [options] - Stream options (abort signal)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function stream(prompt, settings, onToken, options = {}) {
+    try {
+        const result = await getModel(settings).generateContentStream(prompt, { signal: options.signal });
+        let content = '';
+        
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                content += text;
+                onToken(text);
+            }
+        }
+        
+        return content;
+    } catch (error) {
+        // An aborted request was cancelled by the user, not refused by Gemini
+        if (options.signal?.aborted) {
+            throw new Error('README generation was cancelled.');
+        }
+        console.error('Error generating README with Gemini:', error);
+        throw new Error(`Failed to generate README with Gemini: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the Gemini models that can be used for README generation
+ * @returns {Promise<string[]>} - Model names
+ */
+async function listModels() {
+    return [...GEMINI_MODELS];
+}
+
+module.exports = {
+    id: 'gemini',
+    name: 'Gemini',
+    label: 'Gemini (Cloud)',
+    description: 'Use Google Gemini API',
+    settings: [
+        {
+            key: 'apiKey',
+            label: 'Gemini API key',
+            configKey: 'geminiApiKey',
+            defaultValue: '',
+            prompt: 'Enter your Gemini API key',
+            placeHolder: 'Enter your Gemini API key here',
+            secret: true,
+            offerToSave: true
+        },
+        {
+            key: 'model',
+            label: 'Gemini model',
+            configKey: 'geminiModel',
+            defaultValue: 'gemini-2.0-flash',
+            prompt: 'Select Gemini model',
+            pickFromModels: true
+        }
+    ],
+    validateConfig,
+    generate,
+    stream,
+    listModels
+};
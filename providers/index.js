@@ -0,0 +1,106 @@
+/**
+ * Registry of the AI providers that can generate a README.
+ *
+ * A provider is a plain object with the following shape:
+ *
+ * @typedef {Object} ProviderSetting
+ * @property {string} key - Name of the setting inside the provider settings object
+ * @property {string} label - Human readable name of the setting
+ * @property {string} [configKey] - Matching `autoReadme.*` configuration key
+ * @property {any} [defaultValue] - Value used when the configuration is empty
+ * @property {string} [prompt] - Prompt shown when asking the user for the value
+ * @property {string} [placeHolder] - Placeholder shown in the input
+ * @property {boolean} [secret] - Whether the value is a secret (only asked for when missing)
+ * @property {boolean} [offerToSave] - Whether to offer saving an entered secret in the settings
+ * @property {boolean} [interactive] - Set to false for values that are only read from the configuration
+ * @property {boolean} [pickFromModels] - Whether the value is picked from `listModels`
+ *
+ * @typedef {Object} ReadmeProvider
+ * @property {string} id - Identifier used by the `autoReadme.aiProvider` setting
+ * @property {string} name - Display name used in progress messages
+ * @property {string} label - Label shown in the provider quick pick
+ * @property {string} description - Description shown in the provider quick pick
+ * @property {ProviderSetting[]} settings - Settings the provider needs
+ * @property {(settings: Object) => string[]} validateConfig - Returns a list of configuration problems
+ * @property {(prompt: string, settings: Object) => Promise<string>} generate - Generates the whole response at once
+ * @property {(prompt: string, settings: Object, onToken: (token: string) => void, options?: StreamOptions) => Promise<string>} stream - Streams the response token by token
+ * @property {(settings: Object) => Promise<string[]>} listModels - Lists the models available to the provider
+ *
+ * @typedef {Object} StreamOptions
+ * @property {AbortSignal} [signal] - Aborts the underlying request when triggered
+ *
+ * Besides the values of its own settings, a provider may receive `settings.contextWindow`: the number
+ * of tokens (prompt plus answer) the request needs, for backends that must be told their context size.
+ */
+
+const providers = new Map();
+
+/**
+ * Registers a provider so it becomes selectable
+ * @param {ReadmeProvider} provider - The provider to register
+ */
+function registerProvider(provider) {
+    const requiredMembers = ['validateConfig', 'generate', 'stream', 'listModels'];
+    
+    if (!provider || !provider.id) {
+        throw new Error('A provider must have an id.');
+    }
+    
+    for (const member of requiredMembers) {
+        if (typeof provider[member] !== 'function') {
+            throw new Error(`Provider "${provider.id}" does not implement ${member}().`);
+        }
+    }
+    
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Gets a registered provider by id
+ * @param {string} id - The provider id
+ * @returns {ReadmeProvider} - The provider
+ */
+function getProvider(id) {
+    const provider = providers.get(id);
+    if (!provider) {
+        throw new Error(`Unknown AI provider: ${id}`);
+    }
+    return provider;
+}
+
+/**
+ * Gets all registered providers in registration order
+ * @returns {ReadmeProvider[]} - The providers
+ */
+function getProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Reads the provider settings from the configuration, falling back to defaults
+ * @param {ReadmeProvider} provider - The provider
+ * @param {{ get: (key: string) => any }} config - The `autoReadme` configuration
+ * @returns {Object} - Settings keyed by setting key
+ */
+function resolveSettings(provider, config) {
+    const settings = {};
+    
+    for (const setting of provider.settings) {
+        const configured = setting.configKey ? config.get(setting.configKey) : undefined;
+        settings[setting.key] = configured || setting.defaultValue;
+    }
+    
+    return settings;
+}
+
+// Built-in providers
+registerProvider(require('./ollama'));
+registerProvider(require('./gemini'));
+registerProvider(require('./openaiCompatible'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviders,
+    resolveSettings
+};
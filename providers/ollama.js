@@ -0,0 +1,154 @@
+const axios = require('axios');
+
+/**
+ * Builds the model options sent with a request
+ * @param {Object} settings - The provider settings
+ * @returns {Object|undefined} - Ollama model options
+ */
+function getModelOptions(settings) {
+    // Ollama silently truncates prompts that exceed num_ctx, so ask for the room the prompt needs
+    return settings.contextWindow ? { num_ctx: settings.contextWindow } : undefined;
+}
+
+/**
+ * Checks the Ollama settings
+ * @param {Object} settings - The provider settings
+ * @returns {string[]} - List of configuration problems
+ */
+function validateConfig(settings) {
+    const problems = [];
+    
+    if (!settings.model) {
+        problems.push('An Ollama model is required.');
+    }
+    
+    try {
+        new URL(settings.endpoint);
+    } catch {
+        problems.push(`Invalid Ollama endpoint: ${settings.endpoint}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Generates a README using Ollama
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (endpoint, model, contextWindow)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function generate(prompt, settings) {
+    try {
+        // Make API call to Ollama
+        const response = await axios.post(`${settings.endpoint}/api/generate`, {
+            model: settings.model,
+            prompt: prompt,
+            stream: false,
+            options: getModelOptions(settings)
+        });
+
+        return response.data.response;
+    } catch (error) {
+        console.error('Error generating README with Ollama:', error);
+        throw new Error(`Failed to generate README: ${error.message}`);
+    }
+}
+
+/**
+ * Generates a README using Ollama, reporting tokens as they arrive
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (endpoint, model, contextWindow)
+ * @param {(token: string) => void} onToken - Called for each generated token
+ * @param {import('./index').StreamOptions} [options] - Stream options (abort signal)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function stream(prompt, settings, onToken, options = {}) {
+    try {
+        const response = await axios.post(`${settings.endpoint}/api/generate`, {
+            model: settings.model,
+            prompt: prompt,
+            stream: true,
+            options: getModelOptions(settings)
+        }, {
+            responseType: 'stream',
+            signal: options.signal
+        });
+        
+        let content = '';
+        let buffered = '';
+        
+        // Ollama streams one JSON object per line
+        for await (const chunk of response.data) {
+            buffered += chunk.toString('utf8');
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                
+                const message = JSON.parse(line);
+                if (message.error) {
+                    throw new Error(message.error);
+                }
+                if (message.response) {
+                    content += message.response;
+                    onToken(message.response);
+                }
+            }
+        }
+        
+        if (buffered.trim()) {
+            const message = JSON.parse(buffered);
+            if (message.response) {
+                content += message.response;
+                onToken(message.response);
+            }
+        }
+        
+        return content;
+    } catch (error) {
+        // Aborting surfaces as axios' CanceledError, which is not worth logging
+        if (options.signal?.aborted) {
+            throw new Error('README generation was cancelled.');
+        }
+        console.error('Error generating README with Ollama:', error);
+        throw new Error(`Failed to generate README: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the models installed on the Ollama server
+ * @param {Object} settings - The provider settings (endpoint)
+ * @returns {Promise<string[]>} - Installed model names
+ */
+async function listModels(settings) {
+    const response = await axios.get(`${settings.endpoint}/api/tags`);
+    return (response.data.models || []).map(model => model.name);
+}
+
+module.exports = {
+    id: 'ollama',
+    name: 'Ollama',
+    label: 'Ollama (Local)',
+    description: 'Use locally hosted Ollama models',
+    settings: [
+        {
+            key: 'model',
+            label: 'Ollama model',
+            configKey: 'ollamaModel',
+            defaultValue: 'llama3.2:latest',
+            prompt: 'Enter the Ollama model to use'
+        },
+        {
+            key: 'endpoint',
+            label: 'Ollama endpoint',
+            configKey: 'ollamaEndpoint',
+            defaultValue: 'http://localhost:11434',
+            prompt: 'Enter the Ollama API endpoint'
+        }
+    ],
+    validateConfig,
+    generate,
+    stream,
+    listModels
+};
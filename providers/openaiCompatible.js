@@ -0,0 +1,207 @@
+const axios = require('axios');
+
+/**
+ * Builds the base URL without a trailing slash
+ * @param {Object} settings - The provider settings
+ * @returns {string} - The normalized base URL
+ */
+function getBaseUrl(settings) {
+    return String(settings.baseUrl || '').replace(/\/+$/, '');
+}
+
+/**
+ * Builds the request headers, including the optional bearer token
+ * @param {Object} settings - The provider settings
+ * @returns {Object} - Request headers
+ */
+function getHeaders(settings) {
+    const headers = { ...(settings.headers || {}) };
+    
+    if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    }
+    
+    return headers;
+}
+
+/**
+ * Extracts the most useful message from a failed request
+ * @param {any} error - The error object from Axios
+ * @returns {string} - The error message
+ */
+function getErrorMessage(error) {
+    const serverMessage = error.response?.data?.error?.message;
+    return serverMessage ? `${error.message} (${serverMessage})` : error.message;
+}
+
+/**
+ * Checks the OpenAI-compatible settings
+ * @param {Object} settings - The provider settings
+ * @returns {string[]} - List of configuration problems
+ */
+function validateConfig(settings) {
+    const problems = [];
+    
+    try {
+        new URL(getBaseUrl(settings));
+    } catch {
+        problems.push(`Invalid OpenAI-compatible base URL: ${settings.baseUrl}`);
+    }
+    
+    if (!settings.model) {
+        problems.push('An OpenAI-compatible model is required.');
+    }
+    
+    if (settings.headers && (typeof settings.headers !== 'object' || Array.isArray(settings.headers))) {
+        problems.push('OpenAI-compatible extra headers must be an object of header names and values.');
+    }
+    
+    return problems;
+}
+
+/**
+ * Generates a README using an OpenAI-compatible chat completions endpoint
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (baseUrl, model, apiKey, headers)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function generate(prompt, settings) {
+    try {
+        const response = await axios.post(`${getBaseUrl(settings)}/chat/completions`, {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false
+        }, {
+            headers: getHeaders(settings)
+        });
+        
+        return response.data.choices[0].message.content;
+    } catch (error) {
+        console.error('Error generating README with OpenAI-compatible endpoint:', error);
+        throw new Error(`Failed to generate README with OpenAI-compatible endpoint: ${getErrorMessage(error)}`);
+    }
+}
+
+/**
+ * Generates a README using an OpenAI-compatible endpoint, reporting tokens as they arrive
+ * @param {string} prompt - The README prompt
+ * @param {Object} settings - The provider settings (baseUrl, model, apiKey, headers)
+ * @param {(token: string) => void} onToken - Called for each generated token
+ * @param {import('./index').StreamOptions} [options] - Stream options (abort signal)
+ * @returns {Promise<string>} - Generated README content
+ */
+async function stream(prompt, settings, onToken, options = {}) {
+    try {
+        const response = await axios.post(`${getBaseUrl(settings)}/chat/completions`, {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true
+        }, {
+            headers: getHeaders(settings),
+            responseType: 'stream',
+            signal: options.signal
+        });
+        
+        let content = '';
+        let buffered = '';
+        
+        /**
+         * Reads one server-sent event line, skipping keep-alives and other payloads that are not JSON
+         * @param {string} line - The line
+         */
+        const readLine = line => {
+            const data = line.trim().replace(/^data:\s*/, '');
+            if (!line.trim().startsWith('data:') || data === '[DONE]') return;
+            
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch {
+                return;
+            }
+            if (event.error) {
+                throw new Error(event.error.message || String(event.error));
+            }
+            
+            const token = event.choices?.[0]?.delta?.content;
+            if (token) {
+                content += token;
+                onToken(token);
+            }
+        };
+        
+        // Server-sent events: one "data: {...}" line per chunk, terminated by "data: [DONE]"
+        for await (const chunk of response.data) {
+            buffered += chunk.toString('utf8');
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(readLine);
+        }
+        
+        // The last event may end without a line break
+        readLine(buffered);
+        
+        return content;
+    } catch (error) {
+        // The user cancelled the request, the endpoint did not fail
+        if (options.signal?.aborted) {
+            throw new Error('README generation was cancelled.');
+        }
+        console.error('Error generating README with OpenAI-compatible endpoint:', error);
+        throw new Error(`Failed to generate README with OpenAI-compatible endpoint: ${getErrorMessage(error)}`);
+    }
+}
+
+/**
+ * Lists the models served by the endpoint
+ * @param {Object} settings - The provider settings (baseUrl, apiKey, headers)
+ * @returns {Promise<string[]>} - Model ids
+ */
+async function listModels(settings) {
+    const response = await axios.get(`${getBaseUrl(settings)}/models`, {
+        headers: getHeaders(settings)
+    });
+    return (response.data.data || []).map(model => model.id);
+}
+
+module.exports = {
+    id: 'openai-compatible',
+    name: 'OpenAI-compatible endpoint',
+    label: 'OpenAI-Compatible (Local)',
+    description: 'Use LM Studio, llama.cpp server, vLLM, LocalAI or any /v1/chat/completions server',
+    settings: [
+        {
+            key: 'baseUrl',
+            label: 'OpenAI-compatible base URL',
+            configKey: 'openaiCompatibleBaseUrl',
+            defaultValue: 'http://localhost:1234/v1',
+            prompt: 'Enter the OpenAI-compatible base URL (including /v1)'
+        },
+        {
+            key: 'model',
+            label: 'OpenAI-compatible model',
+            configKey: 'openaiCompatibleModel',
+            defaultValue: '',
+            prompt: 'Enter the model to use'
+        },
+        {
+            key: 'apiKey',
+            label: 'OpenAI-compatible API key',
+            configKey: 'openaiCompatibleApiKey',
+            defaultValue: '',
+            secret: true,
+            interactive: false
+        },
+        {
+            key: 'headers',
+            label: 'OpenAI-compatible extra headers',
+            configKey: 'openaiCompatibleHeaders',
+            defaultValue: {},
+            interactive: false
+        }
+    ],
+    validateConfig,
+    generate,
+    stream,
+    listModels
+};
@@ -0,0 +1,28 @@
+const vscode = require('vscode');
+const { findSections } = require('./markdown');
+
+/**
+ * Shows a "Regenerate section" CodeLens above every `##` heading of a README
+ * @type {vscode.CodeLensProvider}
+ */
+const readmeCodeLensProvider = {
+    provideCodeLenses(document) {
+        return findSections(document.getText()).map(section => new vscode.CodeLens(
+            new vscode.Range(section.line, 0, section.line, 0),
+            {
+                title: '$(sync) Regenerate section',
+                tooltip: `Regenerate the "${section.heading}" section with AI`,
+                command: 'auto-readme-ai.regenerate_section',
+                arguments: [document.uri, section.line]
+            }
+        ));
+    }
+};
+
+// README files the CodeLens is shown for
+const README_SELECTOR = { language: 'markdown', pattern: '**/README.md' };
+
+module.exports = {
+    readmeCodeLensProvider,
+    README_SELECTOR
+};
@@ -0,0 +1,174 @@
+const vscode = require('vscode');
+const path = require('path');
+const { findReadmeDrift } = require('./readmeDrift');
+const { findSections } = require('./markdown');
+const { README_SELECTOR } = require('./readmeCodeLens');
+const { extractProjectFacts } = require('./projectFacts');
+const { detectProjectTypes } = require('./projectDetection');
+const { detectWorkspaceLayout, findPackageForDirectory } = require('./workspaces');
+
+// Source shown next to the diagnostics in the Problems panel
+const DIAGNOSTIC_SOURCE = 'AutoReadMe';
+
+// Files whose changes can make a README drift
+const MANIFEST_GLOB = '**/{package.json,pyproject.toml,setup.py,setup.cfg,requirements.txt,Pipfile,Cargo.toml,go.mod,composer.json,Gemfile,pom.xml,build.gradle,build.gradle.kts,pubspec.yaml,mix.exs,deno.json,environment.yml,LICENSE,LICENSE.md,LICENSE.txt}';
+
+/**
+ * Checks whether a document is a README the drift check applies to
+ * @param {vscode.TextDocument} document - The document
+ * @returns {boolean} - Whether it is a README.md inside a workspace folder
+ */
+function isReadme(document) {
+    return document.uri.scheme === 'file' &&
+        path.basename(document.uri.fsPath).toLowerCase() === 'readme.md' &&
+        Boolean(vscode.workspace.getWorkspaceFolder(document.uri));
+}
+
+/**
+ * Finds the project a README documents: its package in a monorepo, otherwise the workspace folder
+ * @param {vscode.Uri} uri - The README
+ * @returns {string} - The project root
+ */
+function findProjectRoot(uri) {
+    const folderPath = vscode.workspace.getWorkspaceFolder(uri).uri.fsPath;
+    const workspacePackage = findPackageForDirectory(detectWorkspaceLayout(folderPath), path.relative(folderPath, path.dirname(uri.fsPath)));
+    return workspacePackage ? path.join(folderPath, workspacePackage.path) : folderPath;
+}
+
+/**
+ * Offers to regenerate the section a drift diagnostic is in
+ * @type {vscode.CodeActionProvider}
+ */
+const driftCodeActionProvider = {
+    provideCodeActions(document, range, context) {
+        const sections = findSections(document.getText());
+        const actions = [];
+        
+        for (const diagnostic of context.diagnostics.filter(candidate => candidate.source === DIAGNOSTIC_SOURCE)) {
+            const section = sections.filter(candidate => candidate.line <= diagnostic.range.start.line).pop();
+            // An undocumented command belongs to the usage section it is reported on; without one there is nothing to regenerate
+            if (!section || (diagnostic.code === 'undocumented-command' && section.line !== diagnostic.range.start.line)) {
+                continue;
+            }
+            
+            const action = new vscode.CodeAction(`Regenerate the "${section.heading}" section`, vscode.CodeActionKind.QuickFix);
+            action.command = {
+                title: action.title,
+                command: 'auto-readme-ai.regenerate_section',
+                arguments: [document.uri, section.line]
+            };
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            actions.push(action);
+        }
+        
+        return actions;
+    }
+};
+
+/**
+ * Reports where README files disagree with their project in the Problems panel, re-checking them when they
+ * are opened or saved and when a manifest changes
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerDriftDiagnostics(context) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('autoReadme');
+    context.subscriptions.push(diagnostics);
+    
+    /**
+     * Checks one README and publishes its diagnostics
+     * @param {vscode.TextDocument} document - The README
+     */
+    const check = document => {
+        if (!isReadme(document)) {
+            return;
+        }
+        if (vscode.workspace.getConfiguration('autoReadme').get('driftDiagnostics') === false) {
+            diagnostics.delete(document.uri);
+            return;
+        }
+        
+        try {
+            const rootPath = findProjectRoot(document.uri);
+            const facts = extractProjectFacts(rootPath, { projectTypes: detectProjectTypes(rootPath) });
+            
+            diagnostics.set(document.uri, findReadmeDrift(document.getText(), facts, path.dirname(document.uri.fsPath)).map(drift => {
+                const diagnostic = new vscode.Diagnostic(
+                    new vscode.Range(drift.line, drift.start, drift.line, drift.end),
+                    drift.message,
+                    vscode.DiagnosticSeverity.Warning
+                );
+                diagnostic.source = DIAGNOSTIC_SOURCE;
+                diagnostic.code = drift.code;
+                return diagnostic;
+            }));
+        } catch (error) {
+            console.error('Error checking README drift:', error);
+        }
+    };
+    
+    /**
+     * Re-checks the open READMEs of the workspace folder a file belongs to
+     * @param {vscode.Uri} uri - The changed file
+     */
+    const recheckFolder = uri => {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        vscode.workspace.textDocuments
+            .filter(document => folder && vscode.workspace.getWorkspaceFolder(document.uri) === folder)
+            .forEach(check);
+    };
+    
+    const manifestWatcher = vscode.workspace.createFileSystemWatcher(MANIFEST_GLOB);
+    context.subscriptions.push(
+        manifestWatcher,
+        manifestWatcher.onDidChange(recheckFolder),
+        manifestWatcher.onDidCreate(recheckFolder),
+        manifestWatcher.onDidDelete(recheckFolder),
+        vscode.workspace.onDidOpenTextDocument(check),
+        vscode.workspace.onDidSaveTextDocument(check),
+        vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('autoReadme.driftDiagnostics')) {
+                vscode.workspace.textDocuments.forEach(check);
+            }
+        }),
+        vscode.languages.registerCodeActionsProvider(
+            README_SELECTOR,
+            driftCodeActionProvider,
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        )
+    );
+    
+    vscode.workspace.textDocuments.forEach(check);
+}
+
+/**
+ * Highlights the problems and unverified claims of generated READMEs in their preview editor, until the preview is closed
+ * @param {vscode.ExtensionContext} context - The extension context
+ * @returns {(document: vscode.TextDocument, findings: { code: string, message: string, line: number, start: number, end: number }[]) => void} - Publishes the findings of one preview
+ */
+function registerPreviewDiagnostics(context) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('autoReadmePreview');
+    context.subscriptions.push(
+        diagnostics,
+        vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri))
+    );
+    
+    return (document, findings) => {
+        diagnostics.set(document.uri, findings.map(finding => {
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(finding.line, finding.start, finding.line, finding.end),
+                finding.message,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = finding.code;
+            return diagnostic;
+        }));
+    };
+}
+
+module.exports = {
+    registerDriftDiagnostics,
+    registerPreviewDiagnostics
+};
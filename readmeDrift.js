@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { findSections, findCodeLines, findRelativeLinks } = require('./markdown');
+
+// How licenses are written in prose; GPL variants are told apart before plain GPL
+const LICENSE_NAMES = [
+    { family: 'AGPL', pattern: /\bAGPL|Affero General Public License/i },
+    { family: 'LGPL', pattern: /\bLGPL|Lesser General Public License/i },
+    { family: 'GPL', pattern: /(?<![AL])\bGPL|(?<!(?:Lesser|Affero) )General Public License/i },
+    { family: 'MIT', pattern: /\bMIT\b/ },
+    { family: 'Apache', pattern: /\bApache\b/i },
+    { family: 'MPL', pattern: /\bMPL\b|Mozilla Public License/i },
+    { family: 'BSD', pattern: /\bBSD\b/i },
+    { family: 'ISC', pattern: /\bISC\b/ },
+    { family: 'Unlicense', pattern: /\bUnlicense\b/i }
+];
+
+// Script runners whose `run` subcommand runs a package.json script
+const SCRIPT_REFERENCE_PATTERN = /\b(npm|pnpm|yarn|bun) run(?:-script)? ([\w:.@/-]+)/g;
+
+/**
+ * Lists the license families a text mentions
+ * @param {string} text - The text
+ * @returns {string[]} - License families, e.g. `MIT` or `Apache`
+ */
+function findLicenseFamilies(text) {
+    return LICENSE_NAMES.filter(license => license.pattern.test(text)).map(license => license.family);
+}
+
+/**
+ * Finds the `##` section a line belongs to
+ * @param {{ heading: string, line: number, endLine: number }[]} sections - Sections from findSections
+ * @param {number} line - The line
+ * @returns {{ heading: string, line: number }|null} - The section, or null for lines before the first section
+ */
+function findEnclosingSection(sections, line) {
+    return sections.filter(section => section.line <= line).pop() || null;
+}
+
+/**
+ * Reads the package name listed on a line of a dependencies section: the first table cell or list item,
+ * when it is formatted as code, bold or a link so prose like "Node.js 18" is not taken for a package
+ * @param {string} line - A line of the section
+ * @returns {{ name: string, column: number }|null} - The package name and where it starts
+ */
+function readListedDependency(line) {
+    const match = line.match(/^\s*(?:\|\s*|[-*+]\s+)(?:\*\*|`|\[`?)(@?[\w.-]+(?:\/[\w.-]+)?)/);
+    if (!match) {
+        return null;
+    }
+    
+    return { name: match[1], column: line.indexOf(match[1], match[0].length - match[1].length) };
+}
+
+/**
+ * Compares a README with the facts of its project and lists where they disagree
+ * @param {string} markdown - The README
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {string} readmeDir - Absolute directory of the README, for resolving relative links
+ * @returns {{ code: string, message: string, line: number, start: number, end: number, section: { heading: string, line: number }|null }[]} - The mismatches
+ */
+function findReadmeDrift(markdown, facts, readmeDir) {
+    const lines = markdown.split(/\r?\n/);
+    const sections = findSections(markdown);
+    const codeLines = findCodeLines(lines);
+    const drift = [];
+    
+    /**
+     * Records a mismatch on a line
+     * @param {string} code - Kind of mismatch
+     * @param {string} message - The message
+     * @param {number} line - The line
+     * @param {number} start - First column
+     * @param {number} end - Column after the mismatch
+     */
+    const report = (code, message, line, start, end) => {
+        drift.push({ code, message, line, start, end, section: findEnclosingSection(sections, line) });
+    };
+    
+    const scriptNames = new Set(facts.scripts.map(script => script.name));
+    const dependencyNames = new Set(facts.dependencies.map(dependency => dependency.name.toLowerCase()));
+    const licenseSection = sections.find(section => /licen[cs]e/i.test(section.heading));
+    const dependencySection = sections.find(section => /dependenc/i.test(section.heading));
+    
+    lines.forEach((line, index) => {
+        // `npm run X` for a script that package.json does not have
+        for (const match of line.matchAll(SCRIPT_REFERENCE_PATTERN)) {
+            if (!scriptNames.has(match[2])) {
+                report('unknown-script', `"${match[1]} run ${match[2]}" refers to a script that is not defined in package.json.`,
+                    index, match.index, match.index + match[0].length);
+            }
+        }
+        
+        if (codeLines[index]) {
+            return;
+        }
+        
+        // Relative links to files that are gone
+        for (const link of findRelativeLinks(line)) {
+            if (!fs.existsSync(path.join(readmeDir, link.target))) {
+                report('missing-file', `${link.target} does not exist.`, index, link.start, link.end);
+            }
+        }
+        
+        // Packages in the dependencies section that no manifest declares any more
+        if (dependencySection && facts.dependencies.length > 0 && index > dependencySection.line && index < dependencySection.endLine) {
+            const listed = readListedDependency(line);
+            if (listed && !dependencyNames.has(listed.name.toLowerCase())) {
+                report('removed-dependency', `${listed.name} is not a dependency of the project any more.`,
+                    index, listed.column, listed.column + listed.name.length);
+            }
+        }
+    });
+    
+    // A license section naming another license than the manifest or LICENSE file
+    if (licenseSection && facts.license) {
+        const actual = findLicenseFamilies(facts.license);
+        for (let index = licenseSection.line + 1; index < licenseSection.endLine; index++) {
+            const wrong = findLicenseFamilies(lines[index]).filter(family => actual.length > 0 && !actual.includes(family));
+            if (wrong.length > 0) {
+                report('license-mismatch', `The README names the ${wrong.join(', ')} license, but the project is licensed under ${facts.license}.`,
+                    index, 0, lines[index].length);
+            }
+        }
+    }
+    
+    // Command-line tools the README never mentions, reported on the usage section or, without one,
+    // at the end of the README where a usage section would go, outside any section that could be regenerated
+    const usageSection = sections.find(section => /usage|command|cli/i.test(section.heading));
+    let lastLine = lines.length - 1;
+    while (lastLine > 0 && !lines[lastLine].trim()) {
+        lastLine--;
+    }
+    for (const binary of facts.binaries) {
+        if (!new RegExp(`(^|[\\s\`'"/])${binary.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([\\s\`'"]|$)`, 'm').test(markdown)) {
+            const message = `The ${binary.name} command is not documented.`;
+            if (usageSection) {
+                report('undocumented-command', message, usageSection.line, 0, lines[usageSection.line].length);
+            } else {
+                drift.push({ code: 'undocumented-command', message, line: lastLine, start: 0, end: lines[lastLine].length, section: null });
+            }
+        }
+    }
+    
+    return drift.sort((a, b) => a.line - b.line || a.start - b.start);
+}
+
+module.exports = {
+    findReadmeDrift
+};
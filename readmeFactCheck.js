@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+// Languages of the code blocks whose lines are shell commands; blocks without a language count as well
+const SHELL_LANGUAGES = ['', 'sh', 'bash', 'shell', 'console', 'terminal', 'zsh', 'fish', 'powershell', 'pwsh', 'ps1', 'cmd', 'bat'];
+
+// Languages of the code blocks whose imports are checked against the dependencies
+const JS_LANGUAGES = ['js', 'javascript', 'jsx', 'mjs', 'cjs', 'ts', 'typescript', 'tsx'];
+
+// Yarn commands that are not package.json scripts, since `yarn <name>` runs a script of that name otherwise
+const YARN_COMMANDS = [
+    'add', 'audit', 'autoclean', 'bin', 'cache', 'config', 'constraints', 'create', 'dedupe', 'dlx', 'exec', 'explain',
+    'global', 'help', 'import', 'info', 'init', 'install', 'licenses', 'link', 'list', 'login', 'logout', 'node', 'npm',
+    'outdated', 'owner', 'pack', 'plugin', 'policies', 'publish', 'rebuild', 'remove', 'run', 'set', 'tag', 'team',
+    'unlink', 'unplug', 'up', 'upgrade', 'upgrade-interactive', 'version', 'versions', 'why', 'workspace', 'workspaces'
+];
+
+// Script names npm, pnpm and Yarn run without `run`
+const SCRIPT_SHORTHANDS = ['start', 'test', 'stop', 'restart'];
+
+// Package managers and the subcommands that add packages
+const INSTALL_COMMANDS = {
+    npm: ['install', 'i', 'add'],
+    pnpm: ['add', 'install', 'i'],
+    yarn: ['add'],
+    bun: ['add', 'install', 'i'],
+    pip: ['install'],
+    pip3: ['install'],
+    poetry: ['add'],
+    cargo: ['add'],
+    gem: ['install'],
+    composer: ['require']
+};
+
+// Interpreters whose first argument is a file of the project
+const INTERPRETERS = ['node', 'nodejs', 'ts-node', 'tsx', 'bash', 'sh', 'zsh', 'ruby', 'perl', 'php', 'pwsh'];
+
+// Standard library modules that are run with `python -m`
+const PYTHON_MODULE_COMMANDS = [
+    'pip', 'venv', 'ensurepip', 'unittest', 'doctest', 'pdb', 'cProfile', 'profile', 'timeit', 'trace', 'http.server',
+    'json.tool', 'py_compile', 'compileall', 'zipapp', 'pydoc', 'site', 'sqlite3', 'webbrowser', 'tkinter', 'idlelib',
+    'ast', 'dis', 'tokenize', 'uuid', 'base64', 'gzip', 'tarfile', 'zipfile', 'calendar', 'asyncio', 'this'
+];
+
+/**
+ * Normalizes a package name so npm, PyPI and Cargo spellings compare equal
+ * @param {string} name - The package name
+ * @returns {string} - The name in lower case with `_` and `.` as `-`
+ */
+function normalizePackageName(name) {
+    return name.toLowerCase().replace(/[_.]+/g, '-');
+}
+
+/**
+ * Reads the targets of the Makefile in the project root
+ * @param {string} rootPath - The root path of the project
+ * @returns {string[]|null} - The targets, or null when the project has no Makefile
+ */
+function readMakeTargets(rootPath) {
+    const makefile = ['GNUmakefile', 'makefile', 'Makefile'].map(name => path.join(rootPath, name)).find(filePath => fs.existsSync(filePath));
+    if (!makefile) {
+        return null;
+    }
+    
+    let content;
+    try {
+        content = fs.readFileSync(makefile, 'utf8');
+    } catch (error) {
+        console.error('Error reading the Makefile:', error);
+        return null;
+    }
+    
+    const targets = new Set();
+    for (const match of content.matchAll(/^([^\s:=#][^:=#]*?)\s*::?(?!=)/gm)) {
+        match[1].split(/\s+/)
+            .filter(target => !target.startsWith('.') && !target.includes('%') && !target.includes('$'))
+            .forEach(target => targets.add(target));
+    }
+    return [...targets];
+}
+
+/**
+ * Splits a shell command into words, removing quotes; variables and globs are kept as written
+ * @param {string} command - The command
+ * @returns {string[]} - The words
+ */
+function splitWords(command) {
+    const words = [];
+    for (const match of command.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g)) {
+        words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+    return words;
+}
+
+/**
+ * Strips a version or extras from a package named on an install command line
+ * @param {string} spec - E.g. `express@4`, `@types/node@^20`, `requests[socks]>=2.0` or `serde@1.0`
+ * @returns {string} - The package name
+ */
+function readPackageName(spec) {
+    const npmName = spec.match(/^(@?[^@]+)(@.*)?$/);
+    return (npmName ? npmName[1] : spec).split(/[[<>=!~;\s]/)[0];
+}
+
+/**
+ * Collects what the commands of a README can be checked against
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {Object} - Scripts, Makefile targets, dependency and executable names, and a check for paths
+ */
+function collectProjectFacts(rootPath, workspaceData, facts) {
+    const toPosix = filePath => filePath.split(path.sep).join('/');
+    const known = new Set([...workspaceData.files, ...(workspaceData.directories || [])].map(toPosix));
+    const exists = filePath => filePath === '.' || known.has(filePath) || fs.existsSync(path.join(rootPath, filePath));
+    
+    return {
+        scripts: new Set(facts.scripts.map(script => script.name)),
+        makeTargets: readMakeTargets(rootPath),
+        generatesMakefile: ['CMakeLists.txt', 'configure', 'configure.ac', 'Makefile.am'].some(exists),
+        dependencies: new Set(facts.dependencies.map(dependency => normalizePackageName(dependency.name))),
+        executables: new Set([facts.name, ...facts.binaries.map(binary => binary.name)].filter(Boolean).map(normalizePackageName)),
+        exists
+    };
+}
+
+/**
+ * Checks one shell command against the project
+ * @param {string[]} words - The words of the command
+ * @param {Object} project - Facts from collectProjectFacts
+ * @param {{ cwd: string }} state - The directory earlier `cd` commands of the block moved to, relative to the project root
+ * @returns {{ code: string, message: string, word: string }[]} - The claims that could not be verified, with the word to highlight
+ */
+function checkCommand(words, project, state) {
+    const claims = [];
+    const [command, subcommand] = words;
+    const args = words.slice(1).filter(word => !word.startsWith('-'));
+    const resolve = target => path.posix.normalize(path.posix.join(state.cwd, target)).replace(/\/$/, '');
+    const isPath = word => !/[$~*?{}<>]/.test(word) && !/^[a-z][\w+.-]*:/i.test(word) && !path.posix.isAbsolute(word);
+    
+    /**
+     * Records a script that package.json or deno.json does not define
+     * @param {string} name - The script name
+     */
+    const checkScript = name => {
+        if (name && !project.scripts.has(name)) {
+            claims.push({ code: 'unknown-script', message: `The project has no "${name}" script.`, word: name });
+        }
+    };
+    
+    /**
+     * Records a file or directory that does not exist
+     * @param {string} target - The path as written
+     */
+    const checkPath = target => {
+        if (target && isPath(target) && !project.exists(resolve(target))) {
+            claims.push({ code: 'missing-path', message: `${target} does not exist in the project.`, word: target });
+        }
+    };
+    
+    /**
+     * Records a package that is neither a dependency nor the project itself
+     * @param {string} name - The package name
+     * @param {string} word - The word it was read from
+     */
+    const checkPackage = (name, word) => {
+        const normalized = normalizePackageName(name);
+        if (name && !project.dependencies.has(normalized) && !project.executables.has(normalized)) {
+            claims.push({ code: 'unknown-dependency', message: `${name} is not a dependency of the project.`, word });
+        }
+    };
+    
+    if (command === 'cd') {
+        if (args[0] && isPath(args[0])) {
+            checkPath(args[0]);
+            state.cwd = resolve(args[0]);
+        }
+        return claims;
+    }
+    
+    if (['npm', 'pnpm', 'bun'].includes(command) && ['run', 'run-script'].includes(subcommand)) {
+        const target = words.slice(2).find(word => !word.startsWith('-'));
+        if (command === 'bun' && target && /\.[a-z]+$/i.test(target)) {
+            checkPath(target);
+        } else {
+            checkScript(target);
+        }
+    } else if (['npm', 'pnpm', 'yarn'].includes(command) && SCRIPT_SHORTHANDS.includes(subcommand)) {
+        checkScript(subcommand);
+    } else if (command === 'yarn' && subcommand && !subcommand.startsWith('-') && !YARN_COMMANDS.includes(subcommand)) {
+        checkScript(subcommand);
+    } else if (command === 'deno' && subcommand === 'task') {
+        checkScript(args[1]);
+    } else if (command === 'make') {
+        // Makefiles that CMake or a configure script generate only exist after a build
+        if (!project.makeTargets && project.generatesMakefile) {
+            return claims;
+        }
+        if (!project.makeTargets) {
+            claims.push({ code: 'unknown-make-target', message: 'The project has no Makefile.', word: 'make' });
+        } else {
+            args.filter(arg => !arg.includes('=') && !project.makeTargets.includes(arg))
+                .forEach(target => claims.push({ code: 'unknown-make-target', message: `The Makefile has no "${target}" target.`, word: target }));
+        }
+    } else if (command === 'npx') {
+        const tool = args[0];
+        if (tool) {
+            checkPackage(readPackageName(tool), tool);
+        }
+    } else if (/^python[\d.]*$|^py$/.test(command)) {
+        const moduleIndex = words.indexOf('-m');
+        if (moduleIndex !== -1 && words[moduleIndex + 1]) {
+            const moduleName = words[moduleIndex + 1];
+            const modulePath = moduleName.replace(/\./g, '/');
+            const isLocal = ['', 'src/'].some(base => [`${modulePath}.py`, `${modulePath}/__init__.py`, `${modulePath}/__main__.py`]
+                .some(candidate => project.exists(resolve(`${base}${candidate}`))));
+            const isInstalled = project.dependencies.has(normalizePackageName(moduleName.split('.')[0]));
+            if (moduleName === 'pip' && words[moduleIndex + 2] === 'install') {
+                return claims.concat(checkCommand(['pip', ...words.slice(moduleIndex + 2)], project, state));
+            }
+            if (!isLocal && !isInstalled && !PYTHON_MODULE_COMMANDS.includes(moduleName)) {
+                claims.push({ code: 'unknown-module', message: `${moduleName} is neither a module of the project nor a dependency.`, word: moduleName });
+            }
+        } else if (args[0] && !words.includes('-c')) {
+            checkPath(args[0]);
+        }
+    } else if ((INTERPRETERS.includes(command) && !words.includes('-c') && !words.includes('-e')) || (command === 'deno' && subcommand === 'run')) {
+        const file = command === 'deno' ? args[1] : args[0];
+        if (file && /[./]/.test(file)) {
+            checkPath(file);
+        }
+    } else if (/^\.{0,2}\//.test(command || '')) {
+        checkPath(command);
+    }
+    
+    // Packages added with a package manager
+    if (INSTALL_COMMANDS[command] && INSTALL_COMMANDS[command].includes(subcommand)) {
+        const requirements = words.findIndex(word => word === '-r' || word === '--requirement');
+        if (requirements !== -1) {
+            checkPath(words[requirements + 1]);
+        }
+        words.slice(2)
+            .filter((word, index, rest) => !word.startsWith('-') && !['-r', '--requirement', '-e', '--editable', '-f'].includes(rest[index - 1]))
+            .filter(word => !/^(\.|\/|~|[a-z][\w+.-]*:)/i.test(word) && !/\.(txt|whl|tgz|tar\.gz|zip)$/i.test(word))
+            .forEach(word => checkPackage(readPackageName(word), word));
+    }
+    
+    return claims;
+}
+
+/**
+ * Checks the commands, script names, paths and package names in the code blocks of a README against the
+ * project: package.json and deno.json scripts, Makefile targets, the files of the project and its declared dependencies
+ *
+ * Shell blocks are read command by command, following `cd`; JavaScript and TypeScript blocks have their
+ * package imports checked. Commands of other tools are not judged, since they may be installed anywhere.
+ * @param {string} markdown - The README
+ * @param {string} rootPath - The root path of the project
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {{ code: string, message: string, line: number, start: number, end: number }[]} - The claims that could not be verified, in document order
+ */
+function factCheckReadme(markdown, rootPath, workspaceData, facts) {
+    const lines = markdown.split(/\r?\n/);
+    const project = collectProjectFacts(rootPath, workspaceData, facts);
+    const claims = [];
+    const builtins = new Set(builtinModules);
+    let block = null;
+    
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/);
+        if (fenceMatch && !block) {
+            block = { fence: fenceMatch[1], language: fenceMatch[2].toLowerCase(), start: index, state: { cwd: '.' } };
+            const body = lines.slice(index + 1);
+            const end = body.findIndex(candidate => candidate.trim().startsWith(block.fence[0].repeat(block.fence.length)));
+            // Console transcripts mix commands and their output; only the prompted lines are commands
+            block.prompted = body.slice(0, end === -1 ? body.length : end).some(candidate => /^\s*(\$|PS>|>)\s/.test(candidate));
+            return;
+        }
+        if (fenceMatch && fenceMatch[1][0] === block.fence[0] && fenceMatch[1].length >= block.fence.length) {
+            block = null;
+            return;
+        }
+        if (!block) {
+            return;
+        }
+        
+        /**
+         * Highlights the word a claim is about, falling back to the whole line
+         * @param {{ code: string, message: string, word: string }} claim - The claim
+         * @param {number} from - Column to search from
+         */
+        const report = (claim, from) => {
+            const column = line.indexOf(claim.word, from);
+            claims.push({
+                code: claim.code,
+                message: claim.message,
+                line: index,
+                start: column === -1 ? 0 : column,
+                end: column === -1 ? line.length : column + claim.word.length
+            });
+        };
+        
+        if (SHELL_LANGUAGES.includes(block.language)) {
+            const prompt = line.match(/^\s*(\$|PS>|>)\s+/);
+            if ((block.prompted && !prompt) || /^\s*(#|\/\/|REM\s)/i.test(line)) {
+                return;
+            }
+            let column = prompt ? prompt[0].length : 0;
+            for (const command of line.slice(column).split(/(&&|\|\||;|\|)/)) {
+                const words = splitWords(command.replace(/\s+#.*$/, ''));
+                while (words.length > 0 && (/^\w+=/.test(words[0]) || words[0] === 'sudo')) {
+                    words.shift();
+                }
+                checkCommand(words, project, block.state).forEach(claim => report(claim, column));
+                column += command.length;
+            }
+        } else if (JS_LANGUAGES.includes(block.language)) {
+            for (const match of line.matchAll(/(?:\bfrom\s+|\bimport\s+|\brequire\(\s*)(['"])([^'"]+)\1/g)) {
+                const specifier = match[2];
+                const name = specifier.startsWith('@') ? specifier.split('/').slice(0, 2).join('/') : specifier.split('/')[0];
+                const normalized = normalizePackageName(name);
+                if (specifier.startsWith('.') || specifier.startsWith('node:') || builtins.has(name) ||
+                    project.dependencies.has(normalized) || project.executables.has(normalized)) {
+                    continue;
+                }
+                report({ code: 'unknown-dependency', message: `${name} is not a dependency of the project.`, word: specifier }, match.index);
+            }
+        }
+    });
+    
+    return claims;
+}
+
+module.exports = {
+    readMakeTargets,
+    factCheckReadme
+};
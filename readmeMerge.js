@@ -0,0 +1,141 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { computeHunks, applyHunks } = require('./lineDiff');
+
+/**
+ * Writes content to a file through a WorkspaceEdit so the change can be undone
+ * @param {vscode.Uri} uri - The file to write
+ * @param {string} content - The new file content
+ * @returns {Promise<void>}
+ */
+async function writeWithWorkspaceEdit(uri, content) {
+    const edit = new vscode.WorkspaceEdit();
+    
+    if (fs.existsSync(uri.fsPath)) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const fullRange = new vscode.Range(
+            document.positionAt(0),
+            document.positionAt(document.getText().length)
+        );
+        edit.replace(uri, fullRange, content);
+    } else {
+        edit.createFile(uri, { ignoreIfExists: true });
+        edit.insert(uri, new vscode.Position(0, 0), content);
+    }
+    
+    if (!await vscode.workspace.applyEdit(edit)) {
+        throw new Error(`Could not write ${path.basename(uri.fsPath)}.`);
+    }
+    
+    const document = await vscode.workspace.openTextDocument(uri);
+    await document.save();
+}
+
+/**
+ * Lets the user pick which changed hunks to take from the generated README
+ * @param {string} currentText - The current README content
+ * @param {string} generatedText - The generated README content
+ * @param {string} fileName - The README file name
+ * @returns {Promise<string|undefined>} - The merged content, or undefined if cancelled
+ */
+async function pickHunks(currentText, generatedText, fileName) {
+    const hunks = computeHunks(currentText, generatedText);
+    
+    if (hunks.length === 0) {
+        vscode.window.showInformationMessage('The generated README is identical to the current one.');
+        return undefined;
+    }
+    
+    const items = hunks.map((hunk, index) => {
+        const preview = hunk.newLines.find(line => line.trim()) || hunk.oldLines.find(line => line.trim()) || '';
+        const endLine = hunk.oldStart + Math.max(hunk.oldLines.length, 1);
+        return {
+            label: `Hunk ${index + 1}: lines ${hunk.oldStart + 1}-${endLine}`,
+            description: `-${hunk.oldLines.length} +${hunk.newLines.length}`,
+            detail: preview.trim(),
+            picked: true,
+            hunk
+        };
+    });
+    
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: `Select the changes to apply to ${fileName}`,
+        canPickMany: true,
+        ignoreFocusOut: true
+    });
+    
+    if (!selected || selected.length === 0) {
+        return undefined;
+    }
+    
+    return applyHunks(currentText, selected.map(item => item.hunk));
+}
+
+/**
+ * Shows the generated README next to the existing one and applies the user's choice
+ * @param {vscode.Uri} readmeUri - The README file, usually README.md
+ * @param {vscode.TextDocument} generatedDocument - The document holding the generated README
+ * @returns {Promise<vscode.Uri|undefined>} - The file that was written, or undefined if nothing was written
+ */
+async function reviewGeneratedReadme(readmeUri, generatedDocument) {
+    // Nothing to lose when there is no README yet
+    if (!fs.existsSync(readmeUri.fsPath)) {
+        await writeWithWorkspaceEdit(readmeUri, generatedDocument.getText());
+        return readmeUri;
+    }
+    
+    const fileName = path.basename(readmeUri.fsPath);
+    const generatedName = `${path.basename(fileName, path.extname(fileName))}.generated${path.extname(fileName) || '.md'}`;
+    
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        readmeUri,
+        generatedDocument.uri,
+        `${fileName} ↔ Generated README`,
+        { preview: false }
+    );
+    
+    const choice = await vscode.window.showQuickPick(
+        [
+            { label: 'Accept All', description: `Replace ${fileName} with the generated README`, action: 'all' },
+            { label: 'Accept Hunks...', description: `Choose which changes to apply to ${fileName}`, action: 'hunks' },
+            { label: `Save as ${generatedName}`, description: `Keep ${fileName} unchanged`, action: 'saveAs' }
+        ],
+        {
+            placeHolder: `${fileName} already exists. Review the diff and choose how to apply the generated README`,
+            ignoreFocusOut: true
+        }
+    );
+    
+    if (!choice) {
+        return undefined;
+    }
+    
+    // Read the generated text now so edits made in the diff view are kept
+    const generatedText = generatedDocument.getText();
+    
+    if (choice.action === 'all') {
+        await writeWithWorkspaceEdit(readmeUri, generatedText);
+        return readmeUri;
+    }
+    
+    if (choice.action === 'hunks') {
+        const currentDocument = await vscode.workspace.openTextDocument(readmeUri);
+        const merged = await pickHunks(currentDocument.getText(), generatedText, fileName);
+        if (merged === undefined) {
+            return undefined;
+        }
+        await writeWithWorkspaceEdit(readmeUri, merged);
+        return readmeUri;
+    }
+    
+    const generatedUri = vscode.Uri.file(path.join(path.dirname(readmeUri.fsPath), generatedName));
+    await writeWithWorkspaceEdit(generatedUri, generatedText);
+    return generatedUri;
+}
+
+module.exports = {
+    reviewGeneratedReadme,
+    writeWithWorkspaceEdit
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { findHeadings, findCodeLines, findRelativeLinks } = require('./markdown');
+
+// Chatter models write before the README, e.g. "Sure! Here is the README for your project:"
+const PREAMBLE_PATTERN = /^(sure|certainly|of course|okay|absolutely)\b|^(here(?:'s| is| are)|below is|i(?:'ve| have) (?:created|written|generated|updated))\b/i;
+
+// Chatter models write after the README, e.g. "Let me know if you'd like any changes."
+const CLOSING_PATTERN = /^(let me know|feel free|i hope|hope this|if you(?:'d| would) like|would you like|you can (?:adjust|customi[sz]e|modify))\b/i;
+
+// Thematic breaks models put between their chatter and the README
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+// An opening fence that may wrap the whole README
+const DOCUMENT_FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*(markdown|md)?\s*$/i;
+
+// Headings a forgotten closing fence is put in front of
+const SECTION_HEADING_PATTERN = /^\s{0,3}#{2,3}\s+\S/;
+
+/**
+ * Finds the code fence that is still open at the end of a document
+ * @param {string[]} lines - The Markdown lines
+ * @returns {number} - The line of the opening fence, or -1 when every fence is closed
+ */
+function findUnclosedFence(lines) {
+    let fence = null;
+    let openedAt = -1;
+    
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (!fenceMatch) {
+            return;
+        }
+        if (!fence) {
+            fence = fenceMatch[1];
+            openedAt = index;
+        } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+            fence = null;
+        }
+    });
+    
+    return fence ? openedAt : -1;
+}
+
+/**
+ * Checks whether a line is chatter or a thematic break, which may surround the README
+ * @param {string} line - The line
+ * @param {RegExp} pattern - PREAMBLE_PATTERN or CLOSING_PATTERN
+ * @returns {boolean} - Whether the line can be dropped
+ */
+function isChatter(line, pattern) {
+    return pattern.test(line.trim()) || RULE_PATTERN.test(line);
+}
+
+/**
+ * Takes the README out of a code fence that wraps all of it, dropping the chatter around the fence
+ * @param {string[]} lines - The Markdown lines
+ * @returns {string[]|null} - The lines inside the fence, or null when the README is not wrapped
+ */
+function unwrapDocumentFence(lines) {
+    const start = lines.findIndex(line => line.trim() && !isChatter(line, PREAMBLE_PATTERN));
+    if (start === -1 || !DOCUMENT_FENCE_PATTERN.test(lines[start])) {
+        return null;
+    }
+    
+    const fence = lines[start].trim().match(/^(`{3,}|~{3,})/)[1];
+    let end = lines.length - 1;
+    while (end > start && (!lines[end].trim() || isChatter(lines[end], CLOSING_PATTERN))) {
+        end--;
+    }
+    
+    const closing = lines[end].trim().match(/^(`{3,}|~{3,})$/);
+    let inner;
+    if (end > start && closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+        inner = lines.slice(start + 1, end);
+    } else if (findUnclosedFence(lines) === start) {
+        // The closing fence of the wrapper was left out as well
+        inner = lines.slice(start + 1);
+    } else {
+        return null;
+    }
+    
+    return findHeadings(inner).length > 0 ? inner : null;
+}
+
+/**
+ * Repairs what models commonly get wrong in a README without changing its content: a code fence around
+ * the whole document, chatter before and after it, code blocks left open and skipped or repeated heading levels
+ * @param {string} markdown - The README the model wrote
+ * @returns {{ markdown: string, fixes: string[] }} - The repaired README and a description of each repair
+ */
+function repairReadme(markdown) {
+    let lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const fixes = [];
+    
+    const unwrapped = unwrapDocumentFence(lines);
+    if (unwrapped) {
+        lines = unwrapped;
+        fixes.push('Removed the code fence around the whole README.');
+    }
+    
+    // Chatter before the title, as long as a heading, badge or HTML block follows it
+    const firstContent = lines.findIndex(line => line.trim() && !isChatter(line, PREAMBLE_PATTERN));
+    const leading = lines.slice(0, firstContent);
+    if (firstContent > 0 && leading.some(line => PREAMBLE_PATTERN.test(line.trim())) &&
+        /^\s{0,3}(#{1,6}\s|<|!?\[!\[|!\[)/.test(lines[firstContent])) {
+        lines = lines.slice(firstContent);
+        fixes.push('Removed the text before the README.');
+    }
+    const hadChatter = fixes.length > 0;
+    
+    /**
+     * Moves back from a line over blank lines and thematic breaks
+     * @param {number} index - The line after the last one to keep
+     * @returns {number} - The line after the last line with content
+     */
+    const skipSeparators = index => {
+        while (index > 0 && (!lines[index - 1].trim() || RULE_PATTERN.test(lines[index - 1]))) {
+            index--;
+        }
+        return index;
+    };
+    
+    // Chatter after the README, one paragraph at a time. READMEs end with "Feel free to open an issue"
+    // themselves, so such a paragraph only goes when chatter surrounded the README or a thematic break sets it apart
+    const codeLines = findCodeLines(lines);
+    let end = lines.length;
+    let cut = -1;
+    for (;;) {
+        end = skipSeparators(end);
+        let start = end;
+        while (start > 0 && lines[start - 1].trim()) {
+            start--;
+        }
+        if (start === end || codeLines[start] || !CLOSING_PATTERN.test(lines[start].trim())) {
+            break;
+        }
+        let before = start;
+        while (before > 0 && !lines[before - 1].trim()) {
+            before--;
+        }
+        // A `---` right under text underlines a heading instead
+        if (hadChatter || (before > 0 && RULE_PATTERN.test(lines[before - 1]) && (before < 2 || !lines[before - 2].trim()))) {
+            cut = start;
+        }
+        end = start;
+    }
+    if (cut !== -1) {
+        lines = [...lines.slice(0, skipSeparators(cut)), ''];
+        fixes.push('Removed the text after the README.');
+    }
+    
+    // Close code blocks before the next section heading, or at the end of the README
+    let closed = 0;
+    for (let open = findUnclosedFence(lines); open !== -1 && closed < lines.length; open = findUnclosedFence(lines)) {
+        const fence = lines[open].trim().match(/^(`{3,}|~{3,})/)[1];
+        const heading = lines.findIndex((line, index) => index > open + 1 && SECTION_HEADING_PATTERN.test(line) && !lines[index - 1].trim());
+        let at = heading === -1 ? lines.length : heading;
+        while (at > open + 1 && !lines[at - 1].trim()) {
+            at--;
+        }
+        lines.splice(at, 0, fence);
+        closed++;
+    }
+    if (closed > 0) {
+        fixes.push(`Closed ${closed} code block${closed === 1 ? '' : 's'} that ${closed === 1 ? 'was' : 'were'} left open.`);
+    }
+    
+    // One title: later `#` headings start sections, so they and everything under them move down a level,
+    // and a heading is never more than one level below the heading before it
+    const headings = findHeadings(lines);
+    const title = headings.find(heading => heading.level === 1);
+    let shift = 0;
+    let previous = 0;
+    let relevelled = 0;
+    for (const heading of headings) {
+        if (heading.level === 1 && heading !== title) {
+            shift = 1;
+        }
+        let level = Math.min(heading.level + shift, 6);
+        if (previous && level > previous + 1) {
+            level = previous + 1;
+        }
+        previous = level;
+        if (level !== heading.level) {
+            lines[heading.line] = lines[heading.line].replace(/^(\s{0,3})#{1,6}/, `$1${'#'.repeat(level)}`);
+            relevelled++;
+        }
+    }
+    if (relevelled > 0) {
+        fixes.push(`Fixed the level of ${relevelled} heading${relevelled === 1 ? '' : 's'}.`);
+    }
+    
+    return { markdown: lines.join('\n'), fixes };
+}
+
+/**
+ * Lists the problems of a README that cannot be repaired without knowing what was meant: a missing title,
+ * a code block left open and relative links to files that do not exist
+ * @param {string} markdown - The README
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {Object} [options] - Where the README lives
+ * @param {string} [options.rootPath] - The root of the project, to find files the scan did not list
+ * @param {string} [options.readmeRelativePath] - The README path relative to the root, for resolving links
+ * @returns {{ code: string, message: string, line: number, start: number, end: number }[]} - The problems, in document order
+ */
+function findReadmeProblems(markdown, workspaceData, options = {}) {
+    const lines = markdown.split(/\r?\n/);
+    const codeLines = findCodeLines(lines);
+    const problems = [];
+    
+    if (!findHeadings(lines).some(heading => heading.level === 1)) {
+        problems.push({ code: 'missing-title', message: 'The README has no title (`#` heading).', line: 0, start: 0, end: lines[0].length });
+    }
+    
+    const open = findUnclosedFence(lines);
+    if (open !== -1) {
+        problems.push({ code: 'unclosed-fence', message: 'This code block is never closed.', line: open, start: 0, end: lines[open].length });
+    }
+    
+    const toPosix = filePath => filePath.split(path.sep).join('/');
+    const known = new Set([...workspaceData.files, ...(workspaceData.directories || [])].map(toPosix));
+    const readmeDir = path.posix.dirname(toPosix(options.readmeRelativePath || 'README.md'));
+    
+    lines.forEach((line, index) => {
+        if (codeLines[index]) {
+            return;
+        }
+        
+        // Links inside inline code are examples, not links; blanking them keeps the columns
+        const text = line.replace(/`[^`]*`/g, code => ' '.repeat(code.length));
+        for (const link of findRelativeLinks(text)) {
+            const target = path.posix.normalize(path.posix.join(readmeDir, link.target)).replace(/\/$/, '');
+            if (target === '.' || known.has(target) || (!options.rootPath && target.startsWith('..'))) {
+                continue;
+            }
+            if (options.rootPath && fs.existsSync(path.join(options.rootPath, target))) {
+                continue;
+            }
+            problems.push({
+                code: 'missing-file',
+                message: `The link to ${link.target} points to a file that does not exist.`,
+                line: index,
+                start: link.start,
+                end: link.end
+            });
+        }
+    });
+    
+    return problems.sort((a, b) => a.line - b.line || a.start - b.start);
+}
+
+module.exports = {
+    repairReadme,
+    findReadmeProblems
+};
@@ -0,0 +1,92 @@
+const vscode = require('vscode');
+
+// How long streamed tokens are buffered before they are written to the document
+const FLUSH_INTERVAL_MS = 100;
+
+/**
+ * Opens an untitled Markdown document that generated text can be streamed into
+ * @returns {Promise<{ document: vscode.TextDocument, append: (text: string) => void, flush: () => Promise<void>, replace: (text: string) => Promise<void> }>}
+ */
+async function openStreamingDocument() {
+    const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: '' });
+    await vscode.window.showTextDocument(document, { preview: false });
+    
+    let pendingText = '';
+    let timer;
+    let writing = Promise.resolve();
+    
+    /**
+     * Writes the buffered text to the end of the document
+     * @returns {Promise<void>}
+     */
+    function flush() {
+        clearTimeout(timer);
+        timer = undefined;
+        
+        const text = pendingText;
+        pendingText = '';
+        
+        if (text) {
+            // Edits are chained so the text always lands at the current end of the document
+            writing = writing.then(async () => {
+                const edit = new vscode.WorkspaceEdit();
+                edit.insert(document.uri, document.positionAt(document.getText().length), text);
+                await vscode.workspace.applyEdit(edit);
+            });
+        }
+        
+        return writing;
+    }
+    
+    /**
+     * Queues text to be appended to the document
+     * @param {string} text - The text to append
+     */
+    function append(text) {
+        pendingText += text;
+        if (!timer) {
+            timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+        }
+    }
+    
+    /**
+     * Replaces the whole document content once streaming has finished
+     * @param {string} text - The new content
+     * @returns {Promise<void>}
+     */
+    async function replace(text) {
+        await flush();
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(document.uri, new vscode.Range(
+            document.positionAt(0),
+            document.positionAt(document.getText().length)
+        ), text);
+        await vscode.workspace.applyEdit(edit);
+    }
+    
+    return { document, append, flush, replace };
+}
+
+/**
+ * Closes an untitled document without asking to save it
+ * @param {vscode.TextDocument} document - The document to close
+ * @returns {Promise<void>}
+ */
+async function closeStreamingDocument(document) {
+    // Close diff views showing the document first, they would otherwise keep it open
+    const diffTabs = vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .filter(tab => tab.input instanceof vscode.TabInputTextDiff &&
+            tab.input.modified.toString() === document.uri.toString());
+    if (diffTabs.length > 0) {
+        await vscode.window.tabGroups.close(diffTabs);
+    }
+    
+    await vscode.window.showTextDocument(document, { preview: false });
+    await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
+}
+
+module.exports = {
+    openStreamingDocument,
+    closeStreamingDocument
+};
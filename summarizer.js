@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getWorkspaceSourceExtensions } = require('./utils');
+const { buildFileSummaryPrompt, buildDirectorySummaryPrompt } = require('./promptBuilder');
+const { sizeContextWindow } = require('./contextPacker');
+
+// Bytes of each file sent to the model for its summary, small enough for an 8k context window
+const MAX_SUMMARY_INPUT_SIZE = 12 * 1024;
+
+// Safety limit on the number of files summarized in one run
+const MAX_SUMMARIZED_FILES = 500;
+
+// Number of summarizable files above which the `auto` generation mode switches to map-reduce
+const MAP_REDUCE_FILE_THRESHOLD = 40;
+
+// Bump when the summary prompts change so stale summaries are not reused
+const SUMMARY_PROMPT_VERSION = 1;
+
+/**
+ * Persistent cache of summaries keyed by a hash of their input
+ */
+class SummaryCache {
+    /**
+     * @param {string} [cachePath] - JSON file the cache is stored in; the cache is in-memory only when omitted
+     */
+    constructor(cachePath) {
+        this.cachePath = cachePath;
+        this.entries = {};
+        this.used = new Set();
+        
+        if (cachePath && fs.existsSync(cachePath)) {
+            try {
+                this.entries = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+            } catch (error) {
+                console.error('Error reading summary cache:', error);
+            }
+        }
+    }
+    
+    /**
+     * Hashes the input of a summary
+     * @param {...string} parts - Everything the summary depends on
+     * @returns {string} - The cache key
+     */
+    static key(...parts) {
+        return crypto.createHash('sha256').update([SUMMARY_PROMPT_VERSION, ...parts].join('\0')).digest('hex');
+    }
+    
+    /**
+     * @param {string} key - The cache key
+     * @returns {string|undefined} - The cached summary
+     */
+    get(key) {
+        if (this.entries[key] !== undefined) {
+            this.used.add(key);
+        }
+        return this.entries[key];
+    }
+    
+    /**
+     * @param {string} key - The cache key
+     * @param {string} summary - The summary
+     */
+    set(key, summary) {
+        this.entries[key] = summary;
+        this.used.add(key);
+    }
+    
+    /**
+     * Writes the summaries back to disk, dropping the ones this run did not use
+     * @param {boolean} [prune] - Whether to drop unused summaries; a run that stopped early keeps them, since it did not get to them
+     */
+    save(prune = true) {
+        if (!this.cachePath) {
+            return;
+        }
+        
+        const entries = {};
+        for (const key of prune ? this.used : Object.keys(this.entries)) {
+            entries[key] = this.entries[key];
+        }
+        
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+        fs.writeFileSync(this.cachePath, JSON.stringify(entries));
+    }
+}
+
+/**
+ * Reads the start of a file for summarization
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string} - The file content
+ */
+function readForSummary(filePath) {
+    const stats = fs.statSync(filePath);
+    
+    if (stats.size <= MAX_SUMMARY_INPUT_SIZE) {
+        return fs.readFileSync(filePath, 'utf8');
+    }
+    
+    const buffer = Buffer.alloc(MAX_SUMMARY_INPUT_SIZE);
+    const fd = fs.openSync(filePath, 'r');
+    fs.readSync(fd, buffer, 0, MAX_SUMMARY_INPUT_SIZE, 0);
+    fs.closeSync(fd);
+    return buffer.toString('utf8') + '\n... [file truncated due to size]';
+}
+
+/**
+ * Picks the files worth summarizing: source code and documentation other than the README
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string[]} - Workspace-relative paths
+ */
+function getFilesToSummarize(workspaceData) {
+    const extensions = [...getWorkspaceSourceExtensions(workspaceData), '.md', '.rst'];
+    
+    return workspaceData.files
+        .filter(filePath => extensions.includes(path.extname(filePath).toLowerCase()))
+        .filter(filePath => !/^(readme|changelog)\.md$/i.test(filePath))
+        .slice(0, MAX_SUMMARIZED_FILES);
+}
+
+/**
+ * Lists a directory and all of its ancestors, deepest first
+ * @param {string[]} filePaths - Workspace-relative file paths (using / separators)
+ * @returns {string[]} - Directories, ending with the root `.`
+ */
+function getDirectoriesDeepestFirst(filePaths) {
+    const directories = new Set(['.']);
+    
+    for (const filePath of filePaths) {
+        let dir = path.posix.dirname(filePath);
+        while (dir !== '.' && !directories.has(dir)) {
+            directories.add(dir);
+            dir = path.posix.dirname(dir);
+        }
+    }
+    
+    const depth = dir => (dir === '.' ? 0 : dir.split('/').length);
+    return [...directories].sort((a, b) => depth(b) - depth(a) || a.localeCompare(b));
+}
+
+/**
+ * Summarizes a workspace bottom-up: every file, then every directory from its children
+ * @param {string} rootPath - The root path of the workspace
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @param {import('./providers').ReadmeProvider} provider - The provider used for the summaries
+ * @param {Object} settings - The provider settings
+ * @param {Object} [options] - Summarization options
+ * @param {SummaryCache} [options.cache] - Cache of earlier summaries
+ * @param {number} [options.tokenBudget] - Prompt token budget; each request's context window is sized to its own prompt
+ * @param {AbortSignal} [options.signal] - Aborts the summarization
+ * @param {(message: string) => void} [options.onProgress] - Reports progress
+ * @returns {Promise<{ files: Object<string, string>, directories: Object<string, string>, cached: number, generated: number }>} - Summaries keyed by path
+ */
+async function summarizeWorkspace(rootPath, workspaceData, provider, settings, options = {}) {
+    const cache = options.cache || new SummaryCache();
+    const onProgress = options.onProgress || (() => {});
+    const result = { files: {}, directories: {}, cached: 0, generated: 0 };
+    
+    /**
+     * Returns the cached summary for a prompt or asks the model for one
+     * @param {string} prompt - The summary prompt
+     * @returns {Promise<string>} - The summary
+     */
+    async function summarize(prompt) {
+        const key = SummaryCache.key(provider.id, settings.model, prompt);
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+            result.cached++;
+            return cached;
+        }
+        
+        const requestSettings = options.tokenBudget ? { ...settings, contextWindow: sizeContextWindow(prompt, options.tokenBudget) } : settings;
+        const summary = (await provider.stream(prompt, requestSettings, () => {}, { signal: options.signal })).trim();
+        cache.set(key, summary);
+        result.generated++;
+        return summary;
+    }
+    
+    const filePaths = getFilesToSummarize(workspaceData).map(filePath => filePath.split(path.sep).join('/'));
+    
+    // Summaries already paid for are kept when the run is cancelled or a request fails
+    let completed = false;
+    try {
+        // Map: summarize each file
+        for (const [index, filePath] of filePaths.entries()) {
+            onProgress(`Summarizing file ${index + 1}/${filePaths.length}: ${filePath}`);
+            
+            let content;
+            try {
+                content = readForSummary(path.join(rootPath, filePath));
+            } catch (error) {
+                console.error(`Error reading file ${filePath}:`, error);
+                continue;
+            }
+            
+            if (content.trim()) {
+                result.files[filePath] = await summarize(buildFileSummaryPrompt(filePath, content));
+            }
+        }
+        
+        // Reduce: roll file summaries up into directory summaries, deepest directories first
+        const directories = getDirectoriesDeepestFirst(Object.keys(result.files));
+        for (const [index, dir] of directories.entries()) {
+            const children = [
+                ...Object.keys(result.files)
+                    .filter(filePath => path.posix.dirname(filePath) === dir)
+                    .map(filePath => ({ name: path.posix.basename(filePath), summary: result.files[filePath] })),
+                ...Object.keys(result.directories)
+                    .filter(childDir => childDir !== '.' && path.posix.dirname(childDir) === dir)
+                    .map(childDir => ({ name: `${path.posix.basename(childDir)}/`, summary: result.directories[childDir] }))
+            ];
+            
+            if (children.length === 0) {
+                continue;
+            }
+            
+            // A directory with a single child is described by that child
+            if (children.length === 1) {
+                result.directories[dir] = children[0].summary;
+                continue;
+            }
+            
+            onProgress(`Summarizing directory ${index + 1}/${directories.length}: ${dir === '.' ? '(root)' : dir}`);
+            result.directories[dir] = await summarize(buildDirectorySummaryPrompt(dir, children));
+        }
+        completed = true;
+    } finally {
+        cache.save(completed);
+    }
+    
+    return result;
+}
+
+/**
+ * Decides whether a README is generated from file summaries or from a single packed prompt
+ * @param {string} mode - The configured generation mode: `auto`, `single` or `mapReduce`
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {boolean} - Whether to summarize the workspace first
+ */
+function shouldUseMapReduce(mode, workspaceData) {
+    if (mode === 'mapReduce' || mode === 'single') {
+        return mode === 'mapReduce';
+    }
+    return getFilesToSummarize(workspaceData).length > MAP_REDUCE_FILE_THRESHOLD;
+}
+
+/**
+ * Turns summaries into prompt candidates for the context packer
+ * @param {{ files: Object<string, string>, directories: Object<string, string> }} summaries - The summaries
+ * @returns {{ filePath: string, content: string, rank: number, category: string }[]} - Candidates
+ */
+function getSummaryCandidates(summaries) {
+    return [
+        ...Object.entries(summaries.directories).map(([dir, summary]) => ({
+            filePath: dir === '.' ? '(project root)' : `${dir}/`,
+            content: summary,
+            rank: 1,
+            category: 'directory summary'
+        })),
+        ...Object.entries(summaries.files).map(([filePath, summary]) => ({
+            filePath,
+            content: summary,
+            rank: 4,
+            category: 'file summary'
+        }))
+    ];
+}
+
+module.exports = {
+    SummaryCache,
+    summarizeWorkspace,
+    shouldUseMapReduce,
+    getSummaryCandidates
+};
@@ -0,0 +1,189 @@
+const { findSections, normalizeHeading, renderTable } = require('./markdown');
+
+// Provider id that selects the built-in template instead of a model
+const TEMPLATE_PROVIDER_ID = 'template';
+
+// Human readable ecosystem names for the install instructions
+const ECOSYSTEM_NAMES = {
+    node: 'Node.js',
+    'vscode-extension': 'Node.js',
+    deno: 'Deno',
+    python: 'Python',
+    conda: 'Conda',
+    rust: 'Rust',
+    go: 'Go',
+    php: 'PHP',
+    ruby: 'Ruby',
+    java: 'Java',
+    kotlin: 'Kotlin',
+    dotnet: '.NET',
+    swift: 'Swift',
+    dart: 'Dart',
+    flutter: 'Flutter',
+    elixir: 'Elixir',
+    c: 'C',
+    cpp: 'C++'
+};
+
+/**
+ * Renders a shell code block
+ * @param {string[]} commands - The commands
+ * @returns {string} - The code block
+ */
+function renderCommands(commands) {
+    return ['```bash', ...commands, '```'].join('\n');
+}
+
+/**
+ * Renders the installation section
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {Object} [workspace] - The monorepo the README belongs to
+ * @returns {string} - The section
+ */
+function renderInstallation(facts, workspace) {
+    const parts = ['## Installation'];
+    
+    if (facts.engines.length > 0) {
+        parts.push(`Requirements:\n\n${facts.engines.map(engine => `- ${engine.name} ${engine.version}`).join('\n')}`);
+    }
+    
+    if (workspace && workspace.packageName) {
+        parts.push(`This package is part of a monorepo. Install the dependencies of every package from the repository root:\n\n${renderCommands(workspace.installCommands)}`);
+        return parts.join('\n\n');
+    }
+    
+    if (workspace) {
+        parts.push(renderCommands(workspace.installCommands));
+        return parts.join('\n\n');
+    }
+    
+    if (facts.install.length === 0) {
+        parts.push('No package manifest was found, so there are no install steps.');
+    } else if (facts.install.length === 1) {
+        const [only] = facts.install;
+        parts.push(renderCommands([...(only.directory !== '.' ? [`cd ${only.directory}`] : []), ...only.commands]));
+    } else {
+        for (const entry of facts.install) {
+            const heading = `### ${ECOSYSTEM_NAMES[entry.ecosystem] || entry.ecosystem}${entry.directory !== '.' ? ` (\`${entry.directory}\`)` : ''}`;
+            parts.push(`${heading}\n\n${renderCommands([...(entry.directory !== '.' ? [`cd ${entry.directory}`] : []), ...entry.commands])}`);
+        }
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Renders the usage section from the executables and scripts of the project
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {string|null} - The section, or null when there is nothing to show
+ */
+function renderUsage(facts) {
+    if (facts.binaries.length === 0 && facts.scripts.length === 0) {
+        return null;
+    }
+    
+    const parts = ['## Usage'];
+    
+    if (facts.binaries.length > 0) {
+        parts.push(facts.binaries.length === 1
+            ? 'The project provides a command-line tool:'
+            : 'The project provides these command-line tools:');
+        parts.push(renderCommands(facts.binaries.map(binary => `${binary.name} --help`)));
+    }
+    
+    if (facts.scripts.length > 0) {
+        parts.push('### Scripts');
+        parts.push(renderTable(['Command', 'Runs'], facts.scripts.map(script => [
+            `\`${script.directory !== '.' ? `cd ${script.directory} && ` : ''}${script.run}\``,
+            script.command ? `\`${script.command}\`` : ''
+        ])));
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Renders the dependencies section
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {string|null} - The section, or null without dependencies
+ */
+function renderDependencies(facts) {
+    if (facts.dependencies.length === 0) {
+        return null;
+    }
+    
+    const ecosystems = new Set(facts.dependencies.map(dependency => dependency.ecosystem));
+    const headers = ecosystems.size > 1 ? ['Package', 'Version', 'Scope', 'Ecosystem'] : ['Package', 'Version', 'Scope'];
+    const rows = facts.dependencies.map(dependency => {
+        const row = [`\`${dependency.name}\``, `\`${dependency.version}\``, dependency.scope];
+        return ecosystems.size > 1 ? [...row, ECOSYSTEM_NAMES[dependency.ecosystem] || dependency.ecosystem] : row;
+    });
+    
+    return `## Dependencies\n\n${renderTable(headers, rows)}`;
+}
+
+/**
+ * Renders the license section
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @returns {string|null} - The section, or null when no license is known
+ */
+function renderLicense(facts) {
+    if (!facts.license && !facts.licenseFile) {
+        return null;
+    }
+    
+    const license = facts.license ? `This project is licensed under the ${facts.license} license.` : 'This project is licensed under the terms in the license file.';
+    const file = facts.licenseFile ? ` See [${facts.licenseFile}](${facts.licenseFile}) for details.` : '';
+    return `## License\n\n${license}${file}`;
+}
+
+/**
+ * Renders a README from project facts with the built-in template
+ *
+ * The output only depends on the facts and options, so the same project always gives the same README.
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.userContext] - Description used when the manifests have none
+ * @param {Object} [options.workspace] - The monorepo the README belongs to, see buildWorkspaceInstructions
+ * @returns {string} - The README Markdown
+ */
+function renderTemplateReadme(facts, options = {}) {
+    const description = facts.description || (options.userContext || '').trim();
+    const sections = [
+        `# ${facts.name}`,
+        [description, facts.version ? `Version ${facts.version}` : ''].filter(Boolean).join('\n\n')
+    ];
+    
+    if (options.workspace && options.workspace.packageTable) {
+        sections.push(`## Packages\n\n${options.workspace.packageTable}`);
+    }
+    
+    sections.push(
+        renderInstallation(facts, options.workspace),
+        renderUsage(facts),
+        renderDependencies(facts),
+        renderLicense(facts)
+    );
+    
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * Renders a single `##` section of the template README
+ * @param {Object} facts - Facts from extractProjectFacts
+ * @param {string} heading - The heading text of the section, e.g. `Installation`
+ * @param {Object} [options] - Rendering options, see renderTemplateReadme
+ * @returns {string|null} - The section Markdown, starting with its heading, or null when the template has no such section
+ */
+function renderTemplateSection(facts, heading, options = {}) {
+    const readme = renderTemplateReadme(facts, options);
+    const section = findSections(readme).find(candidate => normalizeHeading(candidate.heading) === normalizeHeading(heading));
+    
+    return section ? readme.split('\n').slice(section.line, section.endLine).join('\n') : null;
+}
+
+module.exports = {
+    TEMPLATE_PROVIDER_ID,
+    renderTemplateReadme,
+    renderTemplateSection
+};
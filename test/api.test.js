@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { extractJsApi, extractPythonApi, renderApiSection, applyApiSection } = require('../apiExtractor');
+
+suite('API Extractor Test Suite', () => {
+	test('extractJsApi should list exported functions and class methods with their doc comments', () => {
+		const source = [
+			'/**',
+			' * Parses a config file',
+			' * @param {string} text - The file content',
+			' * @returns {{ name: string }} - The config',
+			' */',
+			'export function parseConfig(text: string): Config {',
+			'    return helper(text);',
+			'}',
+			'',
+			'function helper(text) {}',
+			'',
+			'/** Caches results */',
+			'export class Cache {',
+			'    /** Reads an entry */',
+			'    get(key: string): string {',
+			'        if (key) {',
+			'            run(key);',
+			'        }',
+			'    }',
+			'    private evict() {}',
+			'}',
+			'',
+			'export const VERSION = "1.0";'
+		].join('\n');
+		
+		const symbols = extractJsApi(source);
+		assert.deepStrictEqual(symbols.map(symbol => symbol.signature), ['parseConfig(text: string): Config', 'class Cache', 'Cache#get(key: string): string', 'VERSION']);
+		assert.deepStrictEqual(symbols[0].params, [{ name: 'text', type: 'string', description: 'The file content' }]);
+		assert.deepStrictEqual(symbols[0].returns, { type: '{ name: string }', description: 'The config' });
+		assert.strictEqual(symbols[2].description, 'Reads an entry');
+		
+		const commonJs = extractJsApi('/** Adds */\nfunction add(a, b) {}\nfunction internal() {}\nmodule.exports = { add, sum: add };\n');
+		assert.deepStrictEqual(commonJs.map(symbol => symbol.name), ['add']);
+	});
+	
+	test('extractPythonApi should respect __all__ and read Google-style docstrings', () => {
+		const source = [
+			'__all__ = ["fetch", "Client"]',
+			'',
+			'def fetch(url: str, timeout: int = 10) -> bytes:',
+			'    """Downloads a URL.',
+			'',
+			'    Args:',
+			'        url: The address to fetch',
+			'    """',
+			'',
+			'def helper():',
+			'    pass',
+			'',
+			'class Client(Base):',
+			'    """An API client."""',
+			'',
+			'    def get(self, path):',
+			'        """Sends a GET request."""',
+			'',
+			'    def _sign(self):',
+			'        pass'
+		].join('\n');
+		
+		const symbols = extractPythonApi(source);
+		assert.deepStrictEqual(symbols.map(symbol => symbol.signature), ['fetch(url: str, timeout: int = 10) -> bytes', 'class Client(Base)', 'Client.get(path)']);
+		assert.deepStrictEqual(symbols[0].params[0], { name: 'url', type: 'str', description: 'The address to fetch' });
+		assert.strictEqual(symbols[2].description, 'Sends a GET request.');
+		
+		const section = renderApiSection([{ file: 'client.py', language: 'python', symbols }]);
+		assert.ok(section.startsWith('## API\n\n### `client.py`\n\n#### `fetch(url: str, timeout: int = 10) -> bytes`\n\nDownloads a URL.'));
+		const readme = applyApiSection('# Demo\n\n## Usage\n\nRun it.\n\n## License\n\nMIT\n', section);
+		assert.ok(readme.includes(`Run it.\n\n${section}\n\n## License`));
+		assert.strictEqual(applyApiSection(readme, section), readme);
+	});
+});
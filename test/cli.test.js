@@ -0,0 +1,133 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { main, readEnvironmentSettings } = require('../cli');
+const { readFingerprint, stampFingerprint, createConfiguration, scanProject, generateReadmeText } = require('../pipeline');
+const { createWorkspace } = require('./helpers');
+
+/**
+ * Runs the CLI without printing its output
+ * @param {string[]} argv - Command-line arguments
+ * @param {Object<string, string>} [env] - The environment
+ * @returns {Promise<number>} - The exit status
+ */
+async function runQuietly(argv, env = {}) {
+	const { log, error } = console;
+	console.log = console.error = () => {};
+	try {
+		return await main(argv, env);
+	} finally {
+		Object.assign(console, { log, error });
+	}
+}
+
+suite('CLI Test Suite', () => {
+	test('check should pass after generate and fail once the manifests change', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'notes-sync', scripts: { test: 'mocha' } }),
+			'index.js': 'module.exports = {};'
+		});
+
+		try {
+			assert.strictEqual(await runQuietly(['check', root, '--provider', 'template']), 1);
+			assert.strictEqual(await runQuietly(['generate', root, '--provider', 'template', '--out', 'docs/README.md']), 0);
+			assert.ok(fs.readFileSync(path.join(root, 'docs/README.md'), 'utf8').includes('# notes-sync'));
+			assert.strictEqual(await runQuietly(['check', root, '--provider', 'template', '--out', 'docs/README.md']), 0);
+
+			// A README written by a model is only compared through its facts fingerprint
+			assert.strictEqual(await runQuietly(['check', root, '--provider', 'gemini', '--out', 'docs/README.md']), 0);
+
+			fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'notes-sync', scripts: { test: 'mocha', lint: 'eslint .' } }));
+			assert.strictEqual(await runQuietly(['check', root, '--provider', 'template', '--out', 'docs/README.md']), 1);
+			assert.strictEqual(await runQuietly(['check', root, '--provider', 'gemini', '--out', 'docs/README.md']), 1);
+
+			assert.strictEqual(await runQuietly(['publish', root]), 2);
+			assert.strictEqual(await runQuietly(['generate', root, '--provider', 'gemini']), 2);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('readEnvironmentSettings should map AUTOREADME_* variables onto settings', () => {
+		assert.deepStrictEqual(readEnvironmentSettings({
+			AUTOREADME_GEMINI_API_KEY: 'secret',
+			AUTOREADME_CONTEXT_TOKEN_BUDGET: '4096',
+			AUTOREADME_IGNORE_FILES: '["*.lock"]',
+			HOME: '/root'
+		}), { geminiApiKey: 'secret', contextTokenBudget: 4096, ignoreFiles: ['*.lock'] });
+	});
+
+	test('stampFingerprint should replace an earlier fingerprint', () => {
+		const stamped = stampFingerprint(stampFingerprint('# Project\n', 'aaaa'), 'bbbb');
+		assert.strictEqual(stamped, '<!-- autoreadme:facts bbbb -->\n# Project\n');
+		assert.strictEqual(readFingerprint(stamped), 'bbbb');
+		assert.strictEqual(readFingerprint('# Project\n'), null);
+	});
+
+	test('diagram should redraw only the architecture diagram', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'notes-sync' }),
+			'index.js': "const { sync } = require('./lib/sync');\nmodule.exports = sync;",
+			'lib/sync.js': "import { read } from './store.js';\nexport const sync = read;",
+			'lib/store.js': 'export const read = () => [];',
+			'README.md': '# notes-sync\n\n## Architecture\n\nThe entry point delegates to lib.\n\n## License\n\nMIT\n'
+		});
+
+		try {
+			assert.strictEqual(await runQuietly(['diagram', root]), 0);
+			const readme = fs.readFileSync(path.join(root, 'README.md'), 'utf8');
+			assert.strictEqual(readme, [
+				'# notes-sync', '', '## Architecture', '', 'The entry point delegates to lib.', '',
+				'<!-- autoreadme:architecture start -->',
+				'```mermaid', 'flowchart LR', '    n1["index.js"]', '    n2["lib/store.js"]', '    n3["lib/sync.js"]', '    n1 --> n3', '    n3 --> n2', '```',
+				'<!-- autoreadme:architecture end -->', '', '## License', '', 'MIT', ''
+			].join('\n'));
+
+			assert.strictEqual(await runQuietly(['diagram', root]), 0);
+			assert.strictEqual(fs.readFileSync(path.join(root, 'README.md'), 'utf8'), readme);
+			assert.strictEqual(await runQuietly(['diagram', root, '--out', 'docs/README.md']), 2);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('generateReadmeText should ask the model once to correct unverified claims', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'notes-sync', scripts: { test: 'mocha' } }),
+			'index.js': 'module.exports = {};'
+		});
+		const prompts = [];
+		const provider = {
+			id: 'fake',
+			name: 'Fake',
+			stream: async prompt => {
+				prompts.push(prompt);
+				return prompts.length === 1
+					? '# notes-sync\n\n## Usage\n\n```bash\nnpm run build\n```\n'
+					: '# notes-sync\n\n## Usage\n\n```bash\nnpm test\n```\n';
+			}
+		};
+
+		try {
+			const config = createConfiguration({ factCheckCorrection: true, generationMode: 'single' });
+			const workspaceData = await scanProject(root, 'README.md', config);
+			let claims;
+			const readme = await generateReadmeText(root, workspaceData, {
+				provider,
+				settings: { model: 'm' },
+				userContext: '',
+				projectConfig: null,
+				config,
+				onUnverifiedClaims: found => {
+					claims = found;
+				}
+			});
+			assert.strictEqual(prompts.length, 2);
+			assert.ok(prompts[1].includes('Line 6: The project has no "build" script.'));
+			assert.ok(readme.includes('npm test'));
+			assert.deepStrictEqual(claims, []);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
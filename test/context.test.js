@@ -0,0 +1,139 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { packContext, estimateTokens, getContextWindow, resolveTokenBudget, sizeContextWindow, RESERVED_OUTPUT_TOKENS } = require('../contextPacker');
+const { SummaryCache, summarizeWorkspace, shouldUseMapReduce, getSummaryCandidates } = require('../summarizer');
+
+const workspaceData = {
+	files: ['package.json', 'index.js', 'lib/helpers.js', 'docs/guide.md'],
+	directories: ['lib', 'docs'],
+	fileContents: {
+		'package.json': JSON.stringify({ name: 'demo', main: 'index.js' }),
+		'index.js': 'const helpers = require("./lib/helpers");\nmodule.exports = helpers;\n',
+		'lib/helpers.js': 'function helper() {\n' + '  return 1;\n'.repeat(2000) + '}\nmodule.exports = { helper };\n',
+		'docs/guide.md': '# Guide\n\nRead me.\n'
+	},
+	projectType: 'node',
+	mainLanguages: ['javascript']
+};
+
+suite('Context Packing Test Suite', () => {
+	test('getContextWindow and resolveTokenBudget should know common models', () => {
+		assert.strictEqual(getContextWindow('llama3.2:latest'), 131072);
+		assert.strictEqual(getContextWindow('gemini-2.0-flash'), 1048576);
+		assert.strictEqual(getContextWindow('some-unknown-model'), 8192);
+		assert.strictEqual(resolveTokenBudget('some-unknown-model'), 8192 - 2048);
+		assert.strictEqual(resolveTokenBudget('gemini-2.0-flash'), 32768);
+		assert.strictEqual(resolveTokenBudget('gemini-2.0-flash', 5000), 5000);
+	});
+
+	test('sizeContextWindow should fit the prompt and stay within the budget', () => {
+		assert.strictEqual(sizeContextWindow('x'.repeat(4000), 32768), 1000 + RESERVED_OUTPUT_TOKENS);
+		assert.strictEqual(sizeContextWindow('x'.repeat(400000), 32768), 32768 + RESERVED_OUTPUT_TOKENS);
+	});
+
+	test('packContext should include everything when the budget allows it', () => {
+		const { report } = packContext(workspaceData, 100000);
+		assert.strictEqual(report.dropped.length, 0);
+		assert.deepStrictEqual(report.included.map(file => file.path), ['package.json', 'index.js', 'lib/helpers.js', 'docs/guide.md']);
+		assert.ok(report.included.every(file => file.mode === 'full'));
+	});
+
+	test('packContext should rank, outline and report what it left out', () => {
+		const { importantFileContents, report } = packContext(workspaceData, 400);
+		assert.ok(report.used <= 400);
+		assert.ok(estimateTokens(importantFileContents) <= 400);
+		assert.strictEqual(report.included[0].path, 'package.json');
+
+		const helpers = report.included.find(file => file.path === 'lib/helpers.js');
+		assert.ok(helpers, 'large source file should be reduced, not dropped');
+		assert.strictEqual(helpers.mode, 'outline');
+		assert.ok(importantFileContents.includes('function helper() {'));
+		assert.ok(!importantFileContents.includes('return 1;'));
+	});
+
+	test('packContext should pack extra candidates and filter scanned files by category', () => {
+		const { importantFileContents, report } = packContext(workspaceData, 100000, {
+			extraCandidates: [{ filePath: 'lib/', content: 'Helper functions.', rank: 1, category: 'directory summary' }],
+			categories: ['manifest']
+		});
+		assert.deepStrictEqual(report.included.map(file => file.path), ['package.json', 'lib/']);
+		assert.ok(importantFileContents.includes('Summary of lib/:\nHelper functions.'));
+	});
+
+	test('summarizeWorkspace should roll summaries up and reuse cached ones', async () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-readme-test-'));
+		fs.mkdirSync(path.join(root, 'lib'));
+		fs.writeFileSync(path.join(root, 'index.js'), 'module.exports = require("./lib/a");');
+		fs.writeFileSync(path.join(root, 'lib', 'a.js'), 'module.exports = 1;');
+		fs.writeFileSync(path.join(root, 'lib', 'b.js'), 'module.exports = 2;');
+
+		let requests = 0;
+		const contextWindows = [];
+		const provider = {
+			id: 'fake',
+			stream: async (prompt, settings) => {
+				requests++;
+				contextWindows.push(settings.contextWindow);
+				return prompt.includes('summarizing a project directory') ? 'directory summary' : 'file summary';
+			}
+		};
+		const data = { files: ['index.js', 'lib/a.js', 'lib/b.js'], projectType: 'node', mainLanguages: ['javascript'] };
+		const cachePath = path.join(root, 'cache', 'summaries.json');
+
+		try {
+			const first = await summarizeWorkspace(root, data, provider, { model: 'm' }, { cache: new SummaryCache(cachePath), tokenBudget: 32768 });
+			assert.deepStrictEqual(Object.keys(first.files), ['index.js', 'lib/a.js', 'lib/b.js']);
+			assert.deepStrictEqual(first.directories, { 'lib': 'directory summary', '.': 'directory summary' });
+			assert.strictEqual(first.generated, 5);
+			assert.strictEqual(requests, 5);
+			assert.ok(contextWindows.every(window => window < 8192), 'summaries should not reserve the whole budget');
+
+			const second = await summarizeWorkspace(root, data, provider, { model: 'm' }, { cache: new SummaryCache(cachePath) });
+			assert.strictEqual(second.cached, 5);
+			assert.strictEqual(requests, 5);
+
+			const candidates = getSummaryCandidates(second);
+			assert.ok(candidates.some(candidate => candidate.filePath === '(project root)' && candidate.category === 'directory summary'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('summarizeWorkspace should keep the summaries it paid for when a request fails', async () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-readme-test-'));
+		fs.writeFileSync(path.join(root, 'a.js'), 'module.exports = 1;');
+		fs.writeFileSync(path.join(root, 'b.js'), 'module.exports = 2;');
+
+		let requests = 0;
+		const provider = {
+			id: 'fake',
+			stream: async () => {
+				if (++requests === 2) {
+					throw new Error('Request failed');
+				}
+				return 'file summary';
+			}
+		};
+		const data = { files: ['a.js', 'b.js'], projectType: 'node', mainLanguages: ['javascript'] };
+		const cachePath = path.join(root, 'cache', 'summaries.json');
+
+		try {
+			await assert.rejects(summarizeWorkspace(root, data, provider, { model: 'm' }, { cache: new SummaryCache(cachePath) }), /Request failed/);
+			const second = await summarizeWorkspace(root, data, provider, { model: 'm' }, { cache: new SummaryCache(cachePath) });
+			assert.strictEqual(second.cached, 1);
+			assert.strictEqual(requests, 4);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('shouldUseMapReduce should switch on large workspaces in auto mode', () => {
+		const large = { ...workspaceData, files: Array.from({ length: 50 }, (_, i) => `src/file${i}.js`) };
+		assert.strictEqual(shouldUseMapReduce('auto', workspaceData), false);
+		assert.strictEqual(shouldUseMapReduce('auto', large), true);
+		assert.strictEqual(shouldUseMapReduce('single', large), false);
+		assert.strictEqual(shouldUseMapReduce('mapReduce', workspaceData), true);
+	});
+});
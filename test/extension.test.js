@@ -66,5 +66,7 @@ suite('Extension Test Suite', () => {
 	test('Command should be registered', async () => {
 		const commands = await vscode.commands.getCommands();
 		assert.ok(commands.includes('auto-readme-ai.generate_readme'));
+		assert.ok(commands.includes('auto-readme-ai.regenerate_section'));
+		assert.ok(commands.includes('auto-readme-ai.refresh_diagram'));
 	});
 });
@@ -0,0 +1,22 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * Creates a temporary workspace with the given files
+ * @param {Object<string, string>} files - File contents keyed by relative path
+ * @returns {string} - The workspace root
+ */
+function createWorkspace(files) {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-readme-test-'));
+	for (const [relativePath, content] of Object.entries(files)) {
+		const filePath = path.join(root, relativePath);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, content);
+	}
+	return root;
+}
+
+module.exports = {
+	createWorkspace
+};
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const http = require('http');
+const { getProvider, getProviders, registerProvider, resolveSettings } = require('../providers');
+const { buildReadmePrompt } = require('../promptBuilder');
+
+/**
+ * Starts a local HTTP server that answers every request with the given handler
+ * @param {http.RequestListener} handler - The request handler
+ * @returns {Promise<{ server: http.Server, url: string }>} - The server and its base URL
+ */
+function startStubServer(handler) {
+	return new Promise(resolve => {
+		const server = http.createServer(handler);
+		server.listen(0, '127.0.0.1', () => {
+			const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+			resolve({ server, url: `http://127.0.0.1:${port}` });
+		});
+	});
+}
+
+const workspaceData = {
+	files: ['index.js'],
+	directories: [],
+	fileContents: { 'index.js': 'console.log("hi");' },
+	projectType: 'node',
+	mainLanguages: ['javascript']
+};
+
+suite('Provider Test Suite', () => {
+	test('Registry should contain the built-in providers', () => {
+		const ids = getProviders().map(provider => provider.id);
+		assert.ok(ids.includes('ollama'));
+		assert.ok(ids.includes('gemini'));
+	});
+
+	test('Registry should reject providers that do not implement the contract', () => {
+		assert.throws(() => registerProvider({ id: 'broken', generate: async () => '' }), /does not implement/);
+		assert.throws(() => getProvider('broken'), /Unknown AI provider/);
+	});
+
+	test('resolveSettings should fall back to provider defaults', () => {
+		const settings = resolveSettings(getProvider('ollama'), { get: () => undefined });
+		assert.strictEqual(settings.model, 'llama3.2:latest');
+		assert.strictEqual(settings.endpoint, 'http://localhost:11434');
+	});
+
+	test('Gemini provider should require an API key', () => {
+		const problems = getProvider('gemini').validateConfig({ apiKey: '', model: 'gemini-1.5-flash' });
+		assert.deepStrictEqual(problems, ['Gemini API key is required.']);
+	});
+
+	test('Prompt builder should describe the project and the user context', () => {
+		const prompt = buildReadmePrompt(workspaceData, 'A tiny demo');
+		assert.ok(prompt.includes('Project Type: node'));
+		assert.ok(prompt.includes('Source code (index.js)'));
+		assert.ok(prompt.includes('A tiny demo'));
+	});
+
+	test('Ollama provider should generate and stream from the API', async () => {
+		const { server, url } = await startStubServer((req, res) => {
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => {
+				const request = JSON.parse(body);
+				if (request.stream) {
+					res.write(JSON.stringify({ response: '# Demo', done: false }) + '\n');
+					res.end(JSON.stringify({ response: '\n', done: true }) + '\n');
+				} else {
+					res.end(JSON.stringify({ response: '# Demo\n', done: true }));
+				}
+			});
+		});
+
+		try {
+			const ollama = getProvider('ollama');
+			const settings = { endpoint: url, model: 'llama3.2:latest' };
+			const tokens = [];
+
+			assert.strictEqual(await ollama.generate('prompt', settings), '# Demo\n');
+			assert.strictEqual(await ollama.stream('prompt', settings, token => tokens.push(token)), '# Demo\n');
+			assert.deepStrictEqual(tokens, ['# Demo', '\n']);
+		} finally {
+			server.close();
+		}
+	});
+
+	test('OpenAI-compatible provider should talk to a chat completions server', async () => {
+		const seenHeaders = [];
+		let streams = 0;
+		const { server, url } = await startStubServer((req, res) => {
+			seenHeaders.push(req.headers);
+			if (req.method === 'GET' && req.url === '/v1/models') {
+				res.end(JSON.stringify({ data: [{ id: 'local-model' }] }));
+				return;
+			}
+
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => {
+				const request = JSON.parse(body);
+				assert.strictEqual(req.url, '/v1/chat/completions');
+				assert.strictEqual(request.messages[0].content, 'prompt');
+				if (request.stream) {
+					res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '# Demo' } }] })}\n\n`);
+					res.write('data: keep-alive\n\n');
+					const last = `data: ${JSON.stringify({ choices: [{ delta: { content: '\n' } }] })}`;
+					// The second stream ends without a line break after its last event
+					res.end(++streams === 1 ? `${last}\n\ndata: [DONE]\n\n` : last);
+				} else {
+					res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '# Demo\n' } }] }));
+				}
+			});
+		});
+
+		try {
+			const provider = getProvider('openai-compatible');
+			const settings = {
+				baseUrl: `${url}/v1/`,
+				model: 'local-model',
+				apiKey: 'secret-token',
+				headers: { 'X-Team': 'docs' }
+			};
+			const tokens = [];
+
+			assert.deepStrictEqual(provider.validateConfig(settings), []);
+			assert.deepStrictEqual(await provider.listModels(settings), ['local-model']);
+			assert.strictEqual(await provider.generate('prompt', settings), '# Demo\n');
+			assert.strictEqual(await provider.stream('prompt', settings, token => tokens.push(token)), '# Demo\n');
+			assert.deepStrictEqual(tokens, ['# Demo', '\n']);
+			assert.strictEqual(await provider.stream('prompt', settings, () => {}), '# Demo\n');
+			assert.ok(seenHeaders.every(headers => headers.authorization === 'Bearer secret-token'));
+			assert.ok(seenHeaders.every(headers => headers['x-team'] === 'docs'));
+		} finally {
+			server.close();
+		}
+	});
+
+	test('Ollama stream should stop when aborted and keep the streamed tokens', async () => {
+		const { server, url } = await startStubServer((req, res) => {
+			// Send one token and then keep the connection open
+			res.write(JSON.stringify({ response: '# Partial', done: false }) + '\n');
+		});
+
+		try {
+			const abortController = new AbortController();
+			const tokens = [];
+			const settings = { endpoint: url, model: 'llama3.2:latest' };
+
+			await assert.rejects(getProvider('ollama').stream('prompt', settings, token => {
+				tokens.push(token);
+				abortController.abort();
+			}, { signal: abortController.signal }), { message: 'README generation was cancelled.' });
+			assert.deepStrictEqual(tokens, ['# Partial']);
+		} finally {
+			server.closeAllConnections();
+			server.close();
+		}
+	});
+});
@@ -0,0 +1,235 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeHunks, applyHunks } = require('../lineDiff');
+const { extractProtectedBlocks, restoreProtectedBlocks } = require('../protectedRegions');
+const { findSections, extractSectionFromResponse } = require('../markdown');
+const { findReadmeDrift } = require('../readmeDrift');
+const { repairReadme, findReadmeProblems } = require('../readmeValidation');
+const { factCheckReadme } = require('../readmeFactCheck');
+
+suite('README Editing Test Suite', () => {
+	const current = '# Demo\n\nIntro\n\n## Install\n\nnpm i demo\n\n## Notes\n\nHand-written\n';
+	const generated = '# Demo\n\nBetter intro\n\n## Install\n\nnpm install demo\n\n## Notes\n\nHand-written\n';
+
+	test('computeHunks should find each changed region', () => {
+		const hunks = computeHunks(current, generated);
+		assert.strictEqual(hunks.length, 2);
+		assert.deepStrictEqual(hunks[0], { oldStart: 2, oldLines: ['Intro'], newLines: ['Better intro'] });
+		assert.deepStrictEqual(hunks[1], { oldStart: 6, oldLines: ['npm i demo'], newLines: ['npm install demo'] });
+	});
+
+	test('applyHunks should apply only the selected hunks', () => {
+		const hunks = computeHunks(current, generated);
+		assert.strictEqual(applyHunks(current, hunks), generated);
+		assert.strictEqual(applyHunks(current, [hunks[1]]), current.replace('npm i demo', 'npm install demo'));
+	});
+
+	test('applyHunks should keep CRLF line endings', () => {
+		const crlf = current.replace(/\n/g, '\r\n');
+		const merged = applyHunks(crlf, computeHunks(crlf, generated));
+		assert.strictEqual(merged, generated.replace(/\n/g, '\r\n'));
+	});
+
+	const protectedReadme = [
+		'# Demo',
+		'',
+		'## Deployment',
+		'',
+		'<!-- autoreadme:keep start -->',
+		'Deploy from the release branch only.',
+		'<!-- autoreadme:keep end -->',
+		'',
+		'## License',
+		''
+	].join('\n');
+
+	test('extractProtectedBlocks should find blocks and their headings', () => {
+		const blocks = extractProtectedBlocks(protectedReadme);
+		assert.strictEqual(blocks.length, 1);
+		assert.strictEqual(blocks[0].heading, 'Deployment');
+		assert.strictEqual(blocks[0].lines[1], 'Deploy from the release branch only.');
+		assert.throws(() => extractProtectedBlocks('<!-- autoreadme:keep start -->\ntext'), /Unclosed/);
+	});
+
+	test('restoreProtectedBlocks should carry blocks over verbatim at the matching heading', () => {
+		const generated = '# Demo\n\n## Deployment\n\nUse the CI pipeline.\n\n## License\n\nMIT\n';
+		const restored = restoreProtectedBlocks(generated, extractProtectedBlocks(protectedReadme));
+		assert.strictEqual(restored, [
+			'# Demo',
+			'',
+			'## Deployment',
+			'',
+			'Use the CI pipeline.',
+			'',
+			'<!-- autoreadme:keep start -->',
+			'Deploy from the release branch only.',
+			'<!-- autoreadme:keep end -->',
+			'',
+			'## License',
+			'',
+			'MIT',
+			''
+		].join('\n'));
+	});
+
+	test('restoreProtectedBlocks should fail when the heading was dropped', () => {
+		assert.throws(
+			() => restoreProtectedBlocks('# Demo\n\n## Usage\n', extractProtectedBlocks(protectedReadme)),
+			/dropped the heading "Deployment"/
+		);
+	});
+
+	test('findSections should split on ## headings and ignore code fences', () => {
+		const sections = findSections('# Demo\n\n## Install\n\nnpm i\n\n### Notes\n\n## Usage\n\n```\n## not a heading\n```\n');
+		assert.deepStrictEqual(sections, [
+			{ heading: 'Install', line: 2, endLine: 7 },
+			{ heading: 'Usage', line: 8, endLine: 13 }
+		]);
+	});
+
+	test('extractSectionFromResponse should strip fences and chatter around the section', () => {
+		const response = 'Here is the updated section:\n```markdown\n## Installation\n\nnpm install demo\n```';
+		assert.strictEqual(extractSectionFromResponse(response, '## Install'), '## Install\n\nnpm install demo');
+	});
+
+	test('findReadmeDrift should report scripts, dependencies, licenses, files and commands that no longer match', () => {
+		const facts = {
+			license: 'MIT',
+			scripts: [{ name: 'build' }],
+			binaries: [{ name: 'demo-cli' }, { name: 'demo-sync' }],
+			dependencies: [{ name: 'axios' }]
+		};
+		const readme = [
+			'# Demo',
+			'',
+			'## Usage',
+			'',
+			'```bash',
+			'npm run build && npm run deploy',
+			'demo-cli --help',
+			'```',
+			'',
+			'See [the guide](docs/guide.md) and [the changelog](https://example.com/CHANGELOG.md).',
+			'',
+			'## Dependencies',
+			'',
+			'| Package | Version |',
+			'| --- | --- |',
+			'| `axios` | ^1.8.2 |',
+			'| `lodash` | ^4.17.21 |',
+			'- Node.js 18 or later',
+			'',
+			'## License',
+			'',
+			'Released under the Apache License 2.0.'
+		].join('\n');
+
+		const drift = findReadmeDrift(readme, facts, __dirname);
+		assert.deepStrictEqual(drift.map(entry => [entry.code, entry.line, entry.section && entry.section.heading]), [
+			['undocumented-command', 2, 'Usage'],
+			['unknown-script', 5, 'Usage'],
+			['missing-file', 9, 'Usage'],
+			['removed-dependency', 16, 'Dependencies'],
+			['license-mismatch', 21, 'License']
+		]);
+		assert.ok(drift[0].message.includes('demo-sync'));
+		assert.deepStrictEqual([drift[1].start, drift[1].end], [17, 31]);
+
+		// Without a usage section the missing command is reported at the end, not on the title
+		const withoutUsage = findReadmeDrift('# Demo\n\nIntro\n\n## License\n\nMIT\n', { ...facts, license: null }, __dirname);
+		assert.deepStrictEqual(withoutUsage.map(entry => [entry.code, entry.line, entry.start, entry.end, entry.section]), [
+			['undocumented-command', 6, 0, 3, null],
+			['undocumented-command', 6, 0, 3, null]
+		]);
+	});
+
+	test('repairReadme should unwrap the README, drop chatter, close fences and fix heading levels', () => {
+		const response = [
+			'Sure! Here is the README for your project:',
+			'',
+			'```markdown',
+			'# Demo',
+			'',
+			'# Install',
+			'',
+			'#### From npm',
+			'',
+			'```bash',
+			'npm install demo',
+			'',
+			'## Usage',
+			'',
+			'Run it.',
+			'```',
+			'',
+			'Let me know if you would like any changes!'
+		].join('\n');
+		const { markdown, fixes } = repairReadme(response);
+		assert.strictEqual(markdown, '# Demo\n\n## Install\n\n### From npm\n\n```bash\nnpm install demo\n```\n\n### Usage\n\nRun it.');
+		assert.strictEqual(fixes.length, 3);
+		assert.deepStrictEqual(repairReadme('# Demo\n\nIntro\n').fixes, []);
+	});
+
+	test('repairReadme should keep a closing paragraph that belongs to the README', () => {
+		const readme = '# Demo\n\nIntro\n\n## Contributing\n\nFeel free to open an issue or submit a pull request.\n';
+		assert.deepStrictEqual(repairReadme(readme), { markdown: readme, fixes: [] });
+
+		const { markdown, fixes } = repairReadme(`${readme}\n---\n\nLet me know if you would like any changes!\n`);
+		assert.strictEqual(markdown, readme);
+		assert.deepStrictEqual(fixes, ['Removed the text after the README.']);
+	});
+
+	test('findReadmeProblems should report a missing title and links to files that do not exist', () => {
+		const workspaceData = { files: ['LICENSE', 'docs/guide.md'], directories: ['docs'] };
+		const problems = findReadmeProblems('## Demo\n\nSee [the guide](guide.md#setup), [docs](../docs/) and [missing](setup.md).\n\n`[example](x.md)`\n',
+			workspaceData, { readmeRelativePath: 'docs/README.md' });
+		assert.deepStrictEqual(problems.map(problem => problem.code), ['missing-title', 'missing-file']);
+		assert.deepStrictEqual([problems[1].line, problems[1].start, problems[1].end], [2, 54, 73]);
+	});
+
+	test('factCheckReadme should flag scripts, targets, paths and packages the project does not have', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-readme-test-'));
+		fs.writeFileSync(path.join(root, 'Makefile'), 'test:\n\tnpm test\n');
+		const workspaceData = { files: ['package.json', 'index.js', 'scripts/seed.js'], directories: ['scripts'] };
+		const facts = {
+			name: 'demo',
+			scripts: [{ name: 'test', run: 'npm test' }, { name: 'dev', run: 'npm run dev' }],
+			binaries: [],
+			dependencies: [{ name: 'express' }]
+		};
+		const readme = [
+			'# Demo',
+			'',
+			'```bash',
+			'# npm run missing is only a comment',
+			'npm install && npm run build && npm test',
+			'make test lint',
+			'node scripts/seed.js && python manage.py migrate',
+			'npm install express left-pad',
+			'```',
+			'',
+			'```js',
+			"const express = require('express');",
+			"import fs from 'fs';",
+			"import { z } from 'zod';",
+			'```'
+		].join('\n');
+
+		try {
+			const claims = factCheckReadme(readme, root, workspaceData, facts);
+			assert.deepStrictEqual(claims.map(claim => [claim.code, claim.line]), [
+				['unknown-script', 4],
+				['unknown-make-target', 5],
+				['missing-path', 6],
+				['unknown-dependency', 7],
+				['unknown-dependency', 13]
+			]);
+			assert.deepStrictEqual([claims[0].start, claims[0].end], [23, 28]);
+			assert.ok(claims[2].message.includes('manage.py'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
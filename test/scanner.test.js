@@ -0,0 +1,409 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { scanWorkspace, getSourceCodeSamples } = require('../utils');
+const { compileGlob } = require('../glob');
+const { loadProjectConfig, validateProjectConfig } = require('../projectConfig');
+const { detectProjectTypes, formatProjectTypes } = require('../projectDetection');
+const { detectWorkspaceLayout, formatPackageTable, applyPackageTable, rebaseIgnorePatterns } = require('../workspaces');
+const { extractEnvironmentVariables, renderConfigurationTable, applyConfigurationTable } = require('../envExtractor');
+const { extractContainerSetup, renderContainerSection, applyContainerSection } = require('../dockerExtractor');
+const { buildImportGraph, collapseImportGraph, renderMermaidDiagram } = require('../importGraph');
+const { createWorkspace } = require('./helpers');
+
+suite('Scanner Test Suite', () => {
+	test('compileGlob should follow gitignore-style matching', () => {
+		assert.strictEqual(compileGlob('*.min.js')('public/js/app.min.js', false), true);
+		assert.strictEqual(compileGlob('*.min.js')('public/js/app.js', false), false);
+		assert.strictEqual(compileGlob('fixtures/')('test/fixtures', true), true);
+		assert.strictEqual(compileGlob('fixtures/')('test/fixtures', false), false);
+		assert.strictEqual(compileGlob('/vendor')('lib/vendor', true), false);
+		assert.strictEqual(compileGlob('src/**/generated')('src/a/b/generated', true), true);
+	});
+
+	test('scanWorkspace should skip files matching ignore globs', async () => {
+		const root = createWorkspace({
+			'index.js': 'module.exports = 1;',
+			'lib/app.min.js': 'x',
+			'test/fixtures/sample.js': 'y'
+		});
+
+		try {
+			const result = await scanWorkspace(root, [], [], { ignoreGlobs: ['*.min.js', 'fixtures/'] });
+			assert.ok(result.files.includes('index.js'));
+			assert.ok(!result.files.includes(path.join('lib', 'app.min.js')));
+			assert.ok(!result.directories.includes(path.join('test', 'fixtures')));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('loadProjectConfig should read and validate .autoreadme.json', () => {
+		const root = createWorkspace({
+			'.autoreadme.json': JSON.stringify({ provider: 'ollama', sections: ['Installation', 'Usage'], tone: 'friendly' })
+		});
+		const invalidRoot = createWorkspace({ '.autoreadme.json': JSON.stringify({ sections: 'Usage', output: '../README.md' }) });
+
+		try {
+			assert.deepStrictEqual(loadProjectConfig(root).sections, ['Installation', 'Usage']);
+			assert.throws(() => loadProjectConfig(invalidRoot), /"sections" must be an array of strings\. "output" must be a path inside the project\./);
+			assert.strictEqual(loadProjectConfig(path.join(root, 'missing')), null);
+			assert.deepStrictEqual(validateProjectConfig({ output: '..docs/README.md' }), []);
+			assert.strictEqual(validateProjectConfig({ output: '..' }).length, 1);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+			fs.rmSync(invalidRoot, { recursive: true, force: true });
+		}
+	});
+
+	test('scanWorkspace should honour nested .gitignore and .autoreadmeignore files', async () => {
+		const root = createWorkspace({
+			'.gitignore': 'coverage-*/\n*.txt\n',
+			'.autoreadmeignore': 'vendor/\n',
+			'index.js': 'module.exports = 1;',
+			'notes.txt': 'noise',
+			'coverage-final/report.js': 'x',
+			'vendor/lib.js': 'x',
+			'packages/app/.gitignore': 'generated/\n!keep.txt\n',
+			'packages/app/keep.txt': 'kept',
+			'packages/app/generated/out.js': 'x',
+			'packages/app/main.js': 'x'
+		});
+
+		try {
+			const result = await scanWorkspace(root);
+			assert.ok(result.files.includes('index.js'));
+			assert.ok(result.files.includes(path.join('packages', 'app', 'main.js')));
+			assert.ok(!result.files.includes('notes.txt'));
+			assert.ok(!result.directories.includes('coverage-final'));
+			assert.ok(!result.directories.includes('vendor'));
+			assert.ok(!result.directories.includes(path.join('packages', 'app', 'generated')));
+			assert.ok(result.files.includes(path.join('packages', 'app', 'keep.txt')), 'nested negation should re-include keep.txt');
+
+			const unfiltered = await scanWorkspace(root, [], [], { useIgnoreFiles: false });
+			assert.ok(unfiltered.directories.includes('vendor'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('scanWorkspace should accept glob patterns with negation in the ignore settings', async () => {
+		const root = createWorkspace({
+			'src/app.js': 'x',
+			'src/app.min.js': 'x',
+			'src/keep.min.js': 'x',
+			'test/fixtures/a.js': 'x'
+		});
+
+		try {
+			const result = await scanWorkspace(root, ['test/fixtures'], ['*.min.js', '!keep.min.js']);
+			assert.ok(result.files.includes(path.join('src', 'app.js')));
+			assert.ok(!result.files.includes(path.join('src', 'app.min.js')));
+			assert.ok(result.files.includes(path.join('src', 'keep.min.js')));
+			assert.ok(!result.directories.includes(path.join('test', 'fixtures')));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('detectWorkspaceLayout should enumerate npm, Cargo and go.work members', () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ private: true, workspaces: ['packages/*', '!packages/legacy'] }),
+			'packages/core/package.json': JSON.stringify({ name: '@demo/core', description: 'Core | utilities' }),
+			'packages/cli/package.json': JSON.stringify({ name: '@demo/cli' }),
+			'packages/legacy/package.json': JSON.stringify({ name: 'legacy' }),
+			'packages/notes/README.md': 'not a package',
+			'Cargo.toml': '[workspace]\nmembers = [\n  "crates/*",\n]\nexclude = ["crates/scratch"]\n',
+			'crates/parser/Cargo.toml': '[package]\nname = "demo-parser"\ndescription = "Parses things"\n',
+			'crates/scratch/Cargo.toml': '[package]\nname = "scratch"\n',
+			'go.work': 'go 1.22\n\nuse (\n\t./tools/gen // generator\n)\n',
+			'tools/gen/go.mod': 'module example.com/demo/gen\n'
+		});
+		const pnpmRoot = createWorkspace({
+			'pnpm-workspace.yaml': "packages:\n  - 'apps/**'\n  # comment\n  - \"!apps/**/test\"\n",
+			'apps/web/package.json': JSON.stringify({ name: 'web' }),
+			'apps/web/test/package.json': JSON.stringify({ name: 'fixture' })
+		});
+
+		try {
+			const layout = detectWorkspaceLayout(root);
+			assert.deepStrictEqual(layout.tools, ['npm', 'cargo', 'go']);
+			assert.deepStrictEqual(layout.packages.map(member => [member.name, member.path]), [
+				['@demo/cli', 'packages/cli'],
+				['@demo/core', 'packages/core'],
+				['demo-parser', 'crates/parser'],
+				['example.com/demo/gen', 'tools/gen']
+			]);
+			assert.strictEqual(layout.packages[2].description, 'Parses things');
+
+			const pnpmLayout = detectWorkspaceLayout(pnpmRoot);
+			assert.deepStrictEqual(pnpmLayout.tools, ['pnpm']);
+			assert.deepStrictEqual(pnpmLayout.packages.map(member => member.path), ['apps/web']);
+
+			assert.strictEqual(detectWorkspaceLayout(path.join(root, 'packages', 'core')), null);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+			fs.rmSync(pnpmRoot, { recursive: true, force: true });
+		}
+	});
+
+	test('detectWorkspaceLayout should leave out members outside the repository', () => {
+		const parent = createWorkspace({
+			'repo/package.json': JSON.stringify({ private: true, workspaces: ['packages/*', '../shared', 'packages/../../shared'] }),
+			'repo/packages/core/package.json': JSON.stringify({ name: 'core' }),
+			'repo/go.work': 'go 1.22\n\nuse ../tools\n',
+			'shared/package.json': JSON.stringify({ name: 'shared' }),
+			'tools/go.mod': 'module example.com/tools\n'
+		});
+
+		try {
+			const layout = detectWorkspaceLayout(path.join(parent, 'repo'));
+			assert.deepStrictEqual(layout.packages.map(member => member.path), ['packages/core']);
+		} finally {
+			fs.rmSync(parent, { recursive: true, force: true });
+		}
+	});
+
+	test('applyPackageTable should replace or insert the package table of a root README', () => {
+		const layout = { packages: [{ name: 'core', path: 'packages/core', description: 'A | B' }] };
+		const table = formatPackageTable(layout, 'docs');
+		assert.ok(table.includes('| [core](../packages/core/README.md) | `packages/core` | A \\| B |'));
+
+		const replaced = applyPackageTable('# Demo\n\n## Packages\n\nWrong table\n\n## License\n\nMIT', table);
+		assert.strictEqual(replaced, `# Demo\n\n## Packages\n\n${table}\n\n## License\n\nMIT`);
+
+		const inserted = applyPackageTable('# Demo\n\nIntro\n\n## License\n\nMIT', table);
+		assert.strictEqual(inserted, `# Demo\n\nIntro\n\n## Packages\n\n${table}\n\n## License\n\nMIT`);
+
+		assert.deepStrictEqual(rebaseIgnorePatterns(['*.log', 'packages/core/fixtures/', '!/packages/core/keep', 'docs/api'], 'packages/core'),
+			['*.log', '/fixtures/', '!/keep']);
+	});
+
+	test('detectProjectTypes should weight every ecosystem instead of keeping the last one', async () => {
+		const root = createWorkspace({
+			'pyproject.toml': '[project]\nname = "api"\n',
+			'api/app.py': 'print(1)',
+			'api/models.py': 'x = 1',
+			'api/routes.py': 'y = 2',
+			'package.json': JSON.stringify({ name: 'frontend' }),
+			'web/index.js': 'console.log(1);',
+			'mobile/pubspec.yaml': 'name: app\ndependencies:\n  flutter:\n    sdk: flutter\n',
+			'mobile/lib/main.dart': 'void main() {}'
+		});
+		const dotnetRoot = createWorkspace({ 'Demo.sln': '', 'src/Program.cs': 'class Program {}', 'mix.exs': 'defmodule Demo.MixProject do\nend\n' });
+
+		try {
+			const projectTypes = detectProjectTypes(root);
+			assert.deepStrictEqual(projectTypes.map(entry => entry.type), ['python', 'node', 'flutter']);
+			assert.ok(projectTypes[0].confidence > projectTypes[1].confidence);
+			assert.deepStrictEqual(projectTypes[2].manifests, ['mobile/pubspec.yaml']);
+
+			const result = await scanWorkspace(root);
+			assert.strictEqual(result.projectType, 'python');
+			assert.deepStrictEqual(result.mainLanguages.slice(0, 4), ['python', 'javascript', 'dart', 'flutter']);
+			assert.match(formatProjectTypes(result), /^python \(\d+%\), node \(\d+%\), flutter \(\d+%\)$/);
+
+			assert.deepStrictEqual(detectProjectTypes(dotnetRoot).map(entry => entry.type).sort(), ['dotnet', 'elixir']);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+			fs.rmSync(dotnetRoot, { recursive: true, force: true });
+		}
+	});
+	
+	test('extractEnvironmentVariables should read sources and .env templates but never real .env files', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'svc' }),
+			'src/server.js': 'const port = process.env.PORT || 3000;\nconst { DB_URL, LOG_LEVEL = "info" } = process.env;\n',
+			'app/settings.py': 'import os\nSECRET = os.environ["SECRET_KEY"]\nHOST = os.getenv("HOST", "0.0.0.0")\n',
+			'cmd/main.go': 'package main\n\nvar region = os.Getenv("AWS_REGION")\n',
+			'test/server.test.js': 'process.env.TEST_ONLY = "1";\n',
+			'.env.example': '# Connection string of the database\nDB_URL=postgres://localhost/svc\n',
+			'.env': 'LEAKED_TOKEN=hunter2\n',
+			'.env.json': '{"LEAKED_JSON": "hunter2"}'
+		});
+		
+		try {
+			const workspaceData = await scanWorkspace(root);
+			assert.ok(workspaceData.files.includes('.env.example'));
+			assert.ok(!workspaceData.files.some(filePath => filePath === '.env' || filePath === '.env.json'));
+			assert.ok(!JSON.stringify(workspaceData.fileContents).includes('hunter2'));
+			
+			const variables = extractEnvironmentVariables(root, workspaceData);
+			assert.deepStrictEqual(variables.map(variable => [variable.name, variable.default]), [
+				['AWS_REGION', null], ['DB_URL', null], ['HOST', '0.0.0.0'], ['LOG_LEVEL', 'info'], ['PORT', '3000'], ['SECRET_KEY', null]
+			]);
+			assert.deepStrictEqual(variables[1].usages, [path.join('src', 'server.js'), '.env.example']);
+			
+			const table = renderConfigurationTable(variables);
+			assert.ok(table.includes('| `DB_URL` | `src/server.js`, `.env.example` |  | Connection string of the database Example: `postgres://localhost/svc` |'));
+			assert.ok(table.includes('| `PORT` | `src/server.js` | `3000` |  |'));
+			
+			const readme = applyConfigurationTable('# svc\n\n## Configuration\n\nCopy .env.example to .env.\n\n## License\n\nMIT\n', table);
+			assert.ok(readme.includes(`Copy .env.example to .env.\n\n<!-- autoreadme:env start -->\n${table}\n<!-- autoreadme:env end -->\n\n## License`));
+			assert.strictEqual(applyConfigurationTable(applyConfigurationTable(readme, 'old'), table), readme);
+			assert.strictEqual(applyConfigurationTable(readme, ''), '# svc\n\n## Configuration\n\nCopy .env.example to .env.\n\n## License\n\nMIT\n');
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('extractEnvironmentVariables should skip reads in comments and strings', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'svc' }),
+			'src/server.js': [
+				'// const port = process.env.PORT || 3000;',
+				'/* process.env.HOST */',
+				'const help = "Set process.env.TOKEN first";',
+				'const url = `http://${process.env.API_HOST}/${"v1"}`;'
+			].join('\n'),
+			'app/settings.py': '"""Reads os.getenv("SECRET") at startup"""\n# os.environ["OLD"]\nDEBUG = os.getenv("DEBUG", "0")\n'
+		});
+		
+		try {
+			const variables = extractEnvironmentVariables(root, await scanWorkspace(root));
+			assert.deepStrictEqual(variables.map(variable => [variable.name, variable.default]), [['API_HOST', null], ['DEBUG', '0']]);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('extractContainerSetup should read Dockerfiles and layer compose overrides', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: '@demo/notes' }),
+			'Dockerfile': [
+				'ARG NODE_VERSION=20',
+				'FROM node:${NODE_VERSION}-alpine AS build',
+				'ENV NODE_ENV=production \\',
+				'    PORT=3000',
+				'FROM build',
+				'EXPOSE 3000/tcp',
+				'CMD ["node", "server.js"]'
+			].join('\n'),
+			'docker-compose.yml': [
+				'x-restart: &restart',
+				'  restart: unless-stopped',
+				'services:',
+				'  web:',
+				'    <<: *restart',
+				'    build: .',
+				'    ports:',
+				'      - "8080:3000"',
+				'    depends_on: [db]',
+				'  db:',
+				'    image: postgres:16  # pinned',
+				'    volumes:',
+				'      - type: volume',
+				'        source: db-data',
+				'        target: /var/lib/postgresql/data'
+			].join('\n'),
+			'docker-compose.override.yml': 'services:\n  web:\n    ports: ["9229:9229"]\n',
+			'docker-compose.prod.yml': 'services:\n  web:\n    image: demo/notes\n'
+		});
+		
+		try {
+			const workspaceData = await scanWorkspace(root);
+			const setup = extractContainerSetup(root, workspaceData, '@demo/notes');
+			assert.deepStrictEqual(setup.dockerfiles.map(dockerfile => [dockerfile.image, dockerfile.baseImage, dockerfile.expose, dockerfile.cmd]), [
+				['notes', 'node:20-alpine', ['3000'], 'node server.js']
+			]);
+			assert.deepStrictEqual(setup.dockerfiles[0].env, [{ name: 'NODE_ENV', value: 'production' }, { name: 'PORT', value: '3000' }]);
+			assert.deepStrictEqual(setup.compose.files, ['docker-compose.yml', 'docker-compose.override.yml']);
+			assert.deepStrictEqual(setup.compose.extraFiles, ['docker-compose.prod.yml']);
+			assert.deepStrictEqual(setup.compose.services.map(service => [service.name, service.ports, service.volumes, service.dependsOn]), [
+				['web', ['8080:3000', '9229:9229'], [], ['db']],
+				['db', [], ['db-data:/var/lib/postgresql/data'], []]
+			]);
+			
+			const section = renderContainerSection(setup);
+			assert.ok(section.includes('```bash\ndocker build -t notes .\ndocker run --rm -p 3000:3000 notes\n```'));
+			assert.ok(section.includes('```bash\ndocker compose up --build\ndocker compose down\n```'));
+			assert.ok(section.includes('| `web` | Built from `.` | `8080:3000`, `9229:9229` |  | `db` |'));
+			
+			const readme = applyContainerSection('# notes\n\nSyncs notes.\n\n## License\n\nMIT\n', section);
+			assert.ok(readme.includes(`## Running with containers\n\n<!-- autoreadme:containers start -->\n${section}\n<!-- autoreadme:containers end -->\n\n## License`));
+			assert.strictEqual(applyContainerSection(readme, section), readme);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('collapseImportGraph should group files per directory once the graph is too large', async () => {
+		const root = createWorkspace({
+			'app/__init__.py': 'from .core import db\nfrom app.api import routes\nfrom . import (\n    settings,\n)\n',
+			'app/settings.py': '',
+			'app/core/__init__.py': '',
+			'app/core/db.py': '',
+			'app/api/__init__.py': '',
+			'app/api/routes.py': 'from ..core.db import connect\n',
+			'tests/test_app.py': 'import app\n',
+			'web/index.ts': "import { api } from './lib/api.js';\nexport * from './lib';\n",
+			'web/lib/api.ts': 'export const api = 1;',
+			'web/lib/index.ts': "export { api } from './api';\n"
+		});
+		
+		try {
+			const graph = buildImportGraph(root, await scanWorkspace(root));
+			assert.deepStrictEqual(graph.edges.map(edge => `${edge.from} -> ${edge.to}`).sort(), [
+				'app/__init__.py -> app/api/__init__.py',
+				'app/__init__.py -> app/api/routes.py',
+				'app/__init__.py -> app/core/__init__.py',
+				'app/__init__.py -> app/core/db.py',
+				'app/__init__.py -> app/settings.py',
+				'app/api/routes.py -> app/core/db.py',
+				'web/index.ts -> web/lib/api.ts',
+				'web/index.ts -> web/lib/index.ts',
+				'web/lib/index.ts -> web/lib/api.ts'
+			]);
+			
+			const collapsed = collapseImportGraph(graph, 6);
+			assert.deepStrictEqual(collapsed.nodes.map(node => node.label), ['app/__init__.py', 'app/api/', 'app/core/', 'app/settings.py', 'web/index.ts', 'web/lib/']);
+			assert.ok(renderMermaidDiagram(collapsed).includes('    n2("app/api/")\n'));
+			assert.deepStrictEqual(collapseImportGraph(graph, 2).edges, []);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('collapseImportGraph should keep the most connected files of a flat layout', () => {
+		const files = ['index.js', ...Array.from({ length: 44 }, (_, i) => `module${i}.js`)];
+		const graph = {
+			files,
+			edges: [
+				...files.slice(1).map(file => ({ from: 'index.js', to: file })),
+				{ from: 'module1.js', to: 'module0.js' },
+				{ from: 'module2.js', to: 'module0.js' }
+			]
+		};
+		
+		const collapsed = collapseImportGraph(graph);
+		assert.strictEqual(collapsed.nodes.length, 40);
+		assert.deepStrictEqual(collapsed.nodes.slice(0, 4).map(node => node.label), ['index.js', 'module0.js', 'module1.js', 'module10.js']);
+		assert.ok(collapsed.nodes.every(node => !node.directory));
+		assert.strictEqual(collapsed.edges.length, 41);
+		assert.ok(renderMermaidDiagram(collapsed).includes('    n3 --> n2'));
+	});
+	
+	test('scanWorkspace should rank entry points, imported modules and exports ahead of other sources', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'demo', bin: { demo: './bin/demo.js' }, exports: { '.': './dist/index.js' } }),
+			'bin/demo.js': "require('../src/run');\n",
+			'src/index.ts': "export * from './core';\nexport { run } from './run';\n",
+			'src/run.ts': "import { core } from './core';\nexport function run() {}\n",
+			'src/core.ts': 'export const core = 1;\n',
+			'src/helpers.ts': 'export function a() {}\nexport function b() {}\n',
+			'src/aaa.ts': 'const unused = 1;\n'
+		});
+		
+		try {
+			const data = await scanWorkspace(root);
+			assert.deepStrictEqual(data.centralFiles.map(file => file.filePath.split(path.sep).join('/')),
+				['bin/demo.js', 'src/index.ts', 'src/core.ts', 'src/run.ts', 'src/helpers.ts']);
+			assert.ok(data.centralFiles[0].entryPoint);
+			assert.strictEqual(data.centralFiles[2].importedBy, 2);
+			assert.ok(data.fileContents[path.join('bin', 'demo.js')], 'entry points outside the scanned directories should be loaded');
+			assert.ok(getSourceCodeSamples(data).startsWith(`Source code (${path.join('bin', 'demo.js')}):`));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
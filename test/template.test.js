@@ -0,0 +1,258 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { scanWorkspace } = require('../utils');
+const { extractProjectFacts } = require('../projectFacts');
+const { renderTemplateReadme, renderTemplateSection } = require('../templateReadme');
+const { buildBadges, renderBadgeRow, applyBadgeRow } = require('../badges');
+const { extractCliDefinitions, renderCliReference, applyCliReference } = require('../cliExtractor');
+const { extractExtensionContributions, renderExtensionTables, applyExtensionTables } = require('../vscodeExtension');
+const { createWorkspace } = require('./helpers');
+
+suite('README Template Test Suite', () => {
+	test('extractProjectFacts should read package.json and the license file', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({
+				name: '@demo/notes-sync',
+				description: 'Syncs Markdown notes to S3.',
+				version: '1.2.0',
+				bin: { 'notes-sync': 'bin/cli.js' },
+				scripts: { start: 'node bin/cli.js', build: 'tsc -p .' },
+				engines: { node: '>=18' },
+				dependencies: { axios: '^1.8.2' },
+				devDependencies: { typescript: '^5.4.0' }
+			}),
+			'pnpm-lock.yaml': '',
+			'LICENSE': 'MIT License\n\nCopyright (c) 2024 Demo\n',
+			'bin/cli.js': 'console.log("hi");'
+		});
+
+		try {
+			const facts = extractProjectFacts(root, await scanWorkspace(root));
+			assert.strictEqual(facts.name, '@demo/notes-sync');
+			assert.strictEqual(facts.license, 'MIT');
+			assert.deepStrictEqual(facts.install, [{ ecosystem: 'node', directory: '.', commands: ['pnpm install', 'pnpm add -g @demo/notes-sync'] }]);
+			assert.deepStrictEqual(facts.scripts.map(script => script.run), ['pnpm run start', 'pnpm run build']);
+			assert.deepStrictEqual(facts.engines, [{ name: 'Node.js', version: '>=18' }]);
+			assert.deepStrictEqual(facts.dependencies.map(dependency => `${dependency.name}@${dependency.version} (${dependency.scope})`),
+				['axios@^1.8.2 (runtime)', 'typescript@^5.4.0 (development)']);
+
+			const readme = renderTemplateReadme(facts);
+			assert.strictEqual(readme, renderTemplateReadme(extractProjectFacts(root, await scanWorkspace(root))));
+			assert.ok(readme.startsWith('# @demo/notes-sync\n\nSyncs Markdown notes to S3.\n\nVersion 1.2.0\n\n## Installation'));
+			assert.ok(readme.includes('```bash\nnotes-sync --help\n```'));
+			assert.ok(readme.includes('| `pnpm run build` | `tsc -p .` |'));
+			assert.ok(readme.includes('## License\n\nThis project is licensed under the MIT license. See [LICENSE](LICENSE) for details.'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('extractProjectFacts should combine ecosystems and read TOML manifests', async () => {
+		const root = createWorkspace({
+			'pyproject.toml': [
+				'[project]',
+				'name = "notes-api"',
+				'description = "REST API for notes"',
+				'requires-python = ">=3.10"',
+				'dependencies = [',
+				'  "fastapi>=0.110",',
+				'  "uvicorn[standard]",',
+				']',
+				'',
+				'[project.scripts]',
+				'notes-api = "notes_api.main:run"',
+				''
+			].join('\n'),
+			'notes_api/main.py': 'def run():\n    pass\n',
+			'web/package.json': JSON.stringify({ name: 'notes-web', scripts: { dev: 'vite' }, devDependencies: { vite: '^5.2.0' } }),
+			'web/src/main.js': 'console.log(1);'
+		});
+
+		try {
+			const facts = extractProjectFacts(root, await scanWorkspace(root));
+			assert.strictEqual(facts.name, 'notes-api');
+			assert.deepStrictEqual(facts.install.map(entry => [entry.ecosystem, entry.directory, entry.commands]), [
+				['python', '.', ['pip install .']],
+				['node', 'web', ['npm install']]
+			]);
+			assert.deepStrictEqual(facts.binaries, [{ name: 'notes-api', target: 'notes_api.main:run' }]);
+			assert.deepStrictEqual(facts.dependencies.slice(0, 2).map(dependency => [dependency.name, dependency.version]), [['fastapi', '>=0.110'], ['uvicorn', '*']]);
+
+			const readme = renderTemplateReadme(facts);
+			assert.ok(readme.includes('### Node.js (`web`)\n\n```bash\ncd web\nnpm install\n```'));
+			assert.ok(readme.includes('| `cd web && npm run dev` | `vite` |'));
+			assert.ok(readme.includes('| Package | Version | Scope | Ecosystem |'));
+
+			assert.ok(renderTemplateSection(facts, 'installation').startsWith('## Installation\n\nRequirements:\n\n- Python >=3.10'));
+			assert.strictEqual(renderTemplateSection(facts, 'Contributing'), null);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('extractProjectFacts should read pubspec.yaml and Conda environments', async () => {
+		const root = createWorkspace({
+			'pubspec.yaml': [
+				'name: notes_app',
+				'version: 1.2.0',
+				'environment:',
+				"  sdk: '>=3.0.0 <4.0.0'",
+				'dependencies:',
+				'  http: ^1.2.0',
+				'  notes_core:',
+				'    path: ../core',
+				'executables:',
+				'  notes:'
+			].join('\n'),
+			'bin/notes.dart': 'void main() {}',
+			'tools/environment.yml': 'name: notes-tools\ndependencies:\n  - python=3.11\n  - numpy>=1.26\n  - pip:\n    - requests==2.31\n'
+		});
+
+		try {
+			const facts = extractProjectFacts(root, await scanWorkspace(root));
+			assert.strictEqual(facts.name, 'notes_app');
+			assert.strictEqual(facts.version, '1.2.0');
+			assert.deepStrictEqual(facts.binaries, [{ name: 'notes', target: 'bin/notes.dart' }]);
+			assert.deepStrictEqual(facts.dependencies.map(dependency => [dependency.name, dependency.version]), [
+				['http', '^1.2.0'], ['notes_core', '*'], ['numpy', '>=1.26'], ['requests', '==2.31']
+			]);
+			assert.ok(facts.engines.some(engine => engine.name === 'Dart SDK' && engine.version === '>=3.0.0 <4.0.0'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('buildBadges should derive every badge from the project files', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({
+				name: 'notes-sync',
+				version: '1.2.0',
+				license: 'MIT',
+				private: true,
+				repository: { type: 'git', url: 'git+https://github.com/demo/notes-sync.git' },
+				engines: { node: '>=18' }
+			}),
+			'LICENSE': 'MIT License\n',
+			'.github/workflows/release.yml': 'name: Release\non: push\n',
+			'.github/workflows/ci.yml': 'name: CI\non: [push]\njobs:\n  test:\n    steps:\n      - uses: codecov/codecov-action@v4\n'
+		});
+
+		try {
+			const badges = buildBadges(root, extractProjectFacts(root, await scanWorkspace(root)));
+			assert.deepStrictEqual(badges, [
+				{ alt: 'License', image: 'https://img.shields.io/badge/license-MIT-blue', link: 'LICENSE' },
+				{ alt: 'Version', image: 'https://img.shields.io/badge/version-1.2.0-blue', link: null },
+				{ alt: 'Node.js >=18', image: 'https://img.shields.io/badge/node-%3E%3D18-brightgreen', link: null },
+				{ alt: 'CI', image: 'https://github.com/demo/notes-sync/actions/workflows/ci.yml/badge.svg', link: 'https://github.com/demo/notes-sync/actions/workflows/ci.yml' },
+				{ alt: 'Coverage', image: 'https://codecov.io/gh/demo/notes-sync/graph/badge.svg', link: 'https://codecov.io/gh/demo/notes-sync' }
+			]);
+
+			const row = renderBadgeRow(badges.slice(0, 2));
+			assert.strictEqual(row, '[![License](https://img.shields.io/badge/license-MIT-blue)](LICENSE) ![Version](https://img.shields.io/badge/version-1.2.0-blue)');
+
+			const withBadges = applyBadgeRow('# notes-sync\n\nSyncs notes.\n', row);
+			assert.strictEqual(withBadges, `# notes-sync\n\n<!-- autoreadme:badges start -->\n${row}\n<!-- autoreadme:badges end -->\n\nSyncs notes.\n`);
+			assert.strictEqual(applyBadgeRow(applyBadgeRow(withBadges, 'old'), row), withBadges);
+			assert.strictEqual(applyBadgeRow(withBadges, ''), '# notes-sync\n\nSyncs notes.\n');
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('extractCliDefinitions should read commands, options and defaults from argument parsers', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({ name: 'notes-sync', bin: { notes: 'bin/cli.js' } }),
+			'bin/cli.js': [
+				"const { program } = require('commander');",
+				"program.description('Syncs notes.').option('-c, --config <file>', 'Config file', 'notes.json');",
+				"const serve = program.command('serve <dir>').description('Serves the notes');",
+				"serve.option('-p, --port <port>', 'Port to listen on', 3000);"
+			].join('\n'),
+			'tools/convert.py': [
+				'import argparse',
+				'parser = argparse.ArgumentParser(prog="convert", description="Converts notes.")',
+				'parser.add_argument("input", help="Input file")',
+				'parser.add_argument("--dry-run", action="store_true", help="Do nothing")'
+			].join('\n'),
+			'src/main.rs': [
+				'use clap::Parser;',
+				'',
+				'/// Indexes notes',
+				'#[derive(Parser)]',
+				'#[command(name = "indexer")]',
+				'struct Cli {',
+				'    /// Output directory',
+				'    #[arg(short, long, default_value = "index")]',
+				'    out: String,',
+				'}'
+			].join('\n')
+		});
+		
+		try {
+			const workspaceData = await scanWorkspace(root);
+			const programs = extractCliDefinitions(root, workspaceData, extractProjectFacts(root, workspaceData).binaries);
+			assert.deepStrictEqual(programs.map(program => [program.program, program.framework]), [['notes', 'commander'], ['indexer', 'clap'], ['convert', 'argparse']]);
+			assert.deepStrictEqual(programs[0].commands[1], {
+				name: 'serve',
+				description: 'Serves the notes',
+				arguments: [{ name: '<dir>', description: '', required: true }],
+				options: [{ flags: '-p, --port <port>', description: 'Port to listen on', default: '3000', takesValue: true }]
+			});
+			assert.deepStrictEqual(programs[2].commands[0].options, [{ flags: '--dry-run', description: 'Do nothing', default: null, takesValue: false }]);
+			assert.deepStrictEqual(extractCliDefinitions(root, { files: [] }, [{ name: 'none' }, { name: 'root', target: '.' }]), []);
+			
+			const reference = renderCliReference(programs.slice(0, 1));
+			assert.ok(reference.includes('| `-c, --config <file>` | Config file | `notes.json` |'));
+			assert.ok(reference.includes('```bash\nnotes --config notes.json\nnotes serve dir --port 3000\n```'));
+			assert.ok(renderCliReference(programs.slice(1, 2)).includes('| `-o, --out <OUT>` | Output directory | `index` |'));
+			
+			const readme = applyCliReference('# notes-sync\n\n## Usage\n\nRun it.\n\n## License\n\nMIT\n', reference);
+			assert.ok(readme.includes(`Run it.\n\n<!-- autoreadme:cli start -->\n${reference}\n<!-- autoreadme:cli end -->\n\n## License`));
+			assert.strictEqual(applyCliReference(readme, reference), readme);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+	
+	test('extractExtensionContributions should tabulate what a VS Code extension contributes', async () => {
+		const root = createWorkspace({
+			'package.json': JSON.stringify({
+				name: 'notes-vscode',
+				displayName: '%displayName%',
+				engines: { vscode: '^1.85.0' },
+				activationEvents: ['onStartupFinished'],
+				contributes: {
+					commands: [{ command: 'notes.sync', title: '%sync.title%', category: 'Notes' }],
+					configuration: { properties: { 'notes.mode': { type: 'string', default: 'auto', enum: ['auto', 'manual'], description: 'When to sync.' } } },
+					keybindings: [{ command: 'notes.sync', key: 'ctrl+alt+s', mac: 'cmd+alt+s', when: 'editorFocus' }],
+					menus: { 'editor/context': [{ command: 'notes.sync', group: 'navigation' }] }
+				}
+			}),
+			'package.nls.json': JSON.stringify({ displayName: 'Notes', 'sync.title': 'Sync Notes' }),
+			'src/extension.js': 'exports.activate = () => {};'
+		});
+		
+		try {
+			const workspaceData = await scanWorkspace(root);
+			assert.strictEqual(workspaceData.projectType, 'vscode-extension');
+			
+			const contributions = extractExtensionContributions(root);
+			assert.strictEqual(contributions.name, 'Notes');
+			assert.deepStrictEqual(contributions.commands, [{ command: 'notes.sync', title: 'Notes: Sync Notes' }]);
+			
+			const tables = renderExtensionTables(contributions);
+			assert.ok(tables.includes('| `notes.mode` | string | `"auto"` | When to sync. One of `auto`, `manual`. |'));
+			assert.ok(tables.includes('| `ctrl+alt+s` (macOS: `cmd+alt+s`) | Notes: Sync Notes | `editorFocus` |'));
+			assert.ok(tables.includes('| `editor/context` | Notes: Sync Notes |  |'));
+			assert.ok(tables.endsWith('### Activation events\n\n- `onStartupFinished`'));
+			
+			const readme = applyExtensionTables('# Notes\n\n## Contributions\n\nSync from the palette.\n\n## License\n\nMIT\n', tables);
+			assert.ok(readme.includes(`Sync from the palette.\n\n<!-- autoreadme:contributes start -->\n${tables}\n<!-- autoreadme:contributes end -->\n\n## License`));
+			assert.strictEqual(applyExtensionTables(readme, tables), readme);
+			assert.strictEqual(extractExtensionContributions(path.join(root, 'src')), null);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * Minimal readers for the TOML manifests the scanner cares about (Cargo.toml, pyproject.toml).
+ * They understand tables, strings, string arrays and inline tables, which is all those manifests
+ * use for the values we read; anything else is ignored.
+ */
+
+/**
+ * Returns the body of a TOML table, up to the next table header
+ * @param {string} toml - The TOML document
+ * @param {string} table - The table name, e.g. `workspace`
+ * @returns {string|null} - The table body, or null when the table is missing
+ */
+function getTomlTable(toml, table) {
+    const lines = toml.split(/\r?\n/);
+    const start = lines.findIndex(line => line.trim() === `[${table}]`);
+    if (start === -1) {
+        return null;
+    }
+    
+    const end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+    return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n');
+}
+
+/**
+ * Reads a string value from a TOML table body
+ * @param {string|null} body - The table body
+ * @param {string} key - The key
+ * @returns {string|null} - The value
+ */
+function getTomlString(body, key) {
+    const match = body && body.match(new RegExp(`^\\s*${key}\\s*=\\s*(["'])(.*?)\\1`, 'm'));
+    return match ? match[2] : null;
+}
+
+/**
+ * Reads an array of strings, possibly spanning several lines, from a TOML table body
+ * @param {string|null} body - The table body
+ * @param {string} key - The key
+ * @returns {string[]} - The values
+ */
+function getTomlStringArray(body, key) {
+    // Brackets inside quoted items, e.g. "requests[socks]", do not end the array
+    const match = body && body.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[((?:[^\\]"']|"[^"]*"|'[^']*')*)\\]`, 'm'));
+    if (!match) {
+        return [];
+    }
+    
+    const values = [];
+    for (const item of match[1].replace(/#.*$/gm, '').matchAll(/(["'])(.*?)\1/g)) {
+        values.push(item[2]);
+    }
+    return values;
+}
+
+/**
+ * Reads the `key = value` entries of a TOML table body, keeping values as written
+ * @param {string|null} body - The table body
+ * @returns {Object<string, string>} - Raw values keyed by (unquoted) key, in document order
+ */
+function getTomlEntries(body) {
+    const entries = {};
+    if (!body) {
+        return entries;
+    }
+    
+    for (const line of body.split(/\r?\n/)) {
+        const match = line.match(/^\s*("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.+?)\s*(?:#[^"']*)?$/);
+        if (match) {
+            entries[match[1].replace(/^(["'])(.*)\1$/, '$2')] = match[2];
+        }
+    }
+    
+    return entries;
+}
+
+/**
+ * Turns a raw TOML value into a string: the string itself, or the `version` of an inline table
+ * @param {string} value - A raw value from getTomlEntries
+ * @returns {string} - The value, or an empty string when there is nothing readable
+ */
+function getTomlValueString(value) {
+    const string = value.match(/^(["'])(.*)\1$/);
+    if (string) {
+        return string[2];
+    }
+    
+    const version = value.match(/\bversion\s*=\s*(["'])(.*?)\1/);
+    return version ? version[2] : '';
+}
+
+module.exports = {
+    getTomlTable,
+    getTomlString,
+    getTomlStringArray,
+    getTomlEntries,
+    getTomlValueString
+};
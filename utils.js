@@ -1,6 +1,10 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { IgnoreRules } = require('./ignoreRules');
+const { detectProjectTypes, isManifestFile } = require('./projectDetection');
+const { isEnvFile, isEnvTemplateFile } = require('./envExtractor');
+const { isDockerfile, isComposeFile } = require('./dockerExtractor');
+const { addCentralFiles, getCentralFiles } = require('./centralFiles');
 
 /**
  * Determines if a file is likely to be important for README generation
@@ -31,7 +35,7 @@ function isLikelyImportantFile(filePath) {
         '.html', '.css'
     ];
     
-    if (importantRootFiles.includes(fileName)) {
+    if (importantRootFiles.includes(fileName) || isManifestFile(fileName) || isDockerfile(fileName) || isComposeFile(fileName)) {
         return true;
     }
     
@@ -87,22 +91,30 @@ function isLikelyImportantDirectory(dirName) {
 /**
  * Scans the workspace and returns a list of files and directories
  * @param {string} rootPath - The root path of the workspace
- * @param {string[]} ignoreDirs - Directories to ignore
- * @param {string[]} ignoreFiles - Files to ignore
+ * @param {string[]} ignoreDirs - Directory names or glob patterns to ignore (`!pattern` re-includes)
+ * @param {string[]} ignoreFiles - File names or glob patterns to ignore (`!pattern` re-includes)
+ * @param {Object} [options] - Additional scan options
+ * @param {string[]} [options.ignoreGlobs] - Glob patterns of workspace-relative paths to ignore
+ * @param {boolean} [options.useIgnoreFiles] - Whether to honour .gitignore and .autoreadmeignore files (default true)
  * @returns {Promise<Object>} - Object containing files and directories
  */
-async function scanWorkspace(rootPath, ignoreDirs = [], ignoreFiles = []) {
+async function scanWorkspace(rootPath, ignoreDirs = [], ignoreFiles = [], options = {}) {
     const defaultIgnoreDirs = ['.git', 'node_modules', '.vscode', 'dist', 'build', 'out'];
-    const defaultIgnoreFiles = ['.DS_Store', '.gitignore', 'package-lock.json', 'yarn.lock'];
+    const defaultIgnoreFiles = ['.DS_Store', '.gitignore', '.autoreadmeignore', 'package-lock.json', 'yarn.lock'];
     
-    const dirsToIgnore = [...defaultIgnoreDirs, ...ignoreDirs];
-    const filesToIgnore = [...defaultIgnoreFiles, ...ignoreFiles];
+    const ignoreRules = new IgnoreRules();
+    ignoreRules.add('defaults', defaultIgnoreDirs, { directoriesOnly: true });
+    ignoreRules.add('defaults', defaultIgnoreFiles, { filesOnly: true });
+    ignoreRules.add('settings', ignoreDirs, { directoriesOnly: true });
+    ignoreRules.add('settings', ignoreFiles, { filesOnly: true });
+    ignoreRules.add('project', options.ignoreGlobs || []);
     
     const result = {
         files: [],
         directories: [],
         fileContents: {},
         projectType: 'unknown',
+        projectTypes: [],
         mainLanguages: []
     };
     
@@ -110,31 +122,43 @@ async function scanWorkspace(rootPath, ignoreDirs = [], ignoreFiles = []) {
     await identifyProjectType(rootPath, result);
     
     // Second pass: Scan for important files based on project type
-    await scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore);
+    await scanImportantFiles(rootPath, result, {
+        basePath: rootPath,
+        ignoreRules,
+        useIgnoreFiles: options.useIgnoreFiles !== false
+    });
+    
+    // Third pass: Rank the files at the core of the project and load those the file limit cut off
+    addCentralFiles(rootPath, result, filePath => filePath.split('/').some((part, index, parts) =>
+        ignoreRules.isIgnored(parts.slice(0, index + 1).join('/'), index < parts.length - 1)));
     
     return result;
 }
 
 /**
- * Identifies the project type and main languages
+ * Identifies the project types and main languages
  * @param {string} rootPath - The root path of the workspace
  * @param {Object} result - The result object to update
  * @returns {Promise<void>}
  */
 async function identifyProjectType(rootPath, result) {
+    // A project can combine several ecosystems, e.g. a Python backend with a package.json for its frontend
+    result.projectTypes = detectProjectTypes(rootPath);
+    result.projectType = result.projectTypes.length > 0 ? result.projectTypes[0].type : 'unknown';
+    for (const projectType of result.projectTypes) {
+        result.mainLanguages.push(...projectType.languages.filter(language => !result.mainLanguages.includes(language)));
+    }
+    
     try {
         const entries = fs.readdirSync(rootPath, { withFileTypes: true });
         
-        // Check for key files that identify project type
+        // Check for key files that tell more about the project
         for (const entry of entries) {
             if (entry.isFile()) {
                 const fileName = entry.name.toLowerCase();
                 
                 // JavaScript/Node.js project
                 if (fileName === 'package.json') {
-                    result.projectType = 'node';
-                    result.mainLanguages.push('javascript');
-                    
                     // Read package.json to get more info
                     try {
                         const packageJson = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'), 'utf8'));
@@ -160,56 +184,22 @@ async function identifyProjectType(rootPath, result) {
                     }
                 }
                 
-                // Python project
-                else if (fileName === 'requirements.txt' || fileName === 'setup.py' || fileName === 'pyproject.toml') {
-                    result.projectType = 'python';
-                    result.mainLanguages.push('python');
-                    
-                    // Read requirements.txt to get dependencies
-                    if (fileName === 'requirements.txt') {
-                        try {
-                            result.fileContents['requirements.txt'] = fs.readFileSync(
-                                path.join(rootPath, 'requirements.txt'), 'utf8'
-                            );
-                        } catch (error) {
-                            console.error('Error reading requirements.txt:', error);
-                        }
+                // Read requirements.txt to get dependencies
+                else if (fileName === 'requirements.txt') {
+                    try {
+                        result.fileContents['requirements.txt'] = fs.readFileSync(
+                            path.join(rootPath, 'requirements.txt'), 'utf8'
+                        );
+                    } catch (error) {
+                        console.error('Error reading requirements.txt:', error);
                     }
                 }
                 
-                // Java/Maven project
-                else if (fileName === 'pom.xml') {
-                    result.projectType = 'java';
-                    result.mainLanguages.push('java');
-                }
-                
-                // Rust project
-                else if (fileName === 'cargo.toml') {
-                    result.projectType = 'rust';
-                    result.mainLanguages.push('rust');
-                }
-                
-                // Go project
-                else if (fileName === 'go.mod') {
-                    result.projectType = 'go';
-                    result.mainLanguages.push('go');
-                }
-                
-                // Ruby project
-                else if (fileName === 'gemfile') {
-                    result.projectType = 'ruby';
-                    result.mainLanguages.push('ruby');
-                }
-                
-                // PHP/Composer project
-                else if (fileName === 'composer.json') {
-                    result.projectType = 'php';
-                    result.mainLanguages.push('php');
-                }
-                
                 // Docker project
-                else if (fileName === 'dockerfile' || fileName === 'docker-compose.yml') {
-                    result.mainLanguages.push('docker');
+                else if (isDockerfile(fileName) || isComposeFile(fileName)) {
+                    if (!result.mainLanguages.includes('docker')) {
+                        result.mainLanguages.push('docker');
+                    }
                 }
                 
                 // Existing README
@@ -242,14 +232,18 @@ async function identifyProjectType(rootPath, result) {
 
 /**
  * Scans for important files based on project type
- * @param {string} rootPath - The root path of the workspace
+ * @param {string} rootPath - The directory to scan
  * @param {Object} result - The result object to update
- * @param {string[]} dirsToIgnore - Directories to ignore
- * @param {string[]} filesToIgnore - Files to ignore
+ * @param {Object} scanOptions - Options shared by the whole scan
+ * @param {string} scanOptions.basePath - The workspace root that recorded paths are relative to
+ * @param {import('./ignoreRules').IgnoreRules} scanOptions.ignoreRules - The ignore rules
+ * @param {boolean} scanOptions.useIgnoreFiles - Whether to read .gitignore and .autoreadmeignore files
  * @param {number} depth - Current directory depth
  * @returns {Promise<void>}
  */
-async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore, depth = 0) {
+async function scanImportantFiles(rootPath, result, scanOptions, depth = 0) {
+    const { basePath, ignoreRules } = scanOptions;
+    
     try {
         // Limit depth to prevent excessive scanning
         const maxDepth = 5; // Increased from 3 to 5 for more thorough scanning
@@ -257,10 +251,15 @@ async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore,
             return;
         }
         
+        // Nested ignore files only apply to their own directory
+        if (scanOptions.useIgnoreFiles) {
+            ignoreRules.loadIgnoreFiles(rootPath, path.relative(basePath, rootPath));
+        }
+        
         const entries = fs.readdirSync(rootPath, { withFileTypes: true });
         
-        // Get source file extensions for this project type
-        const sourceExtensions = getSourceFileExtensions(result.projectType, result.mainLanguages);
+        // Get source file extensions for the detected project types
+        const sourceExtensions = getWorkspaceSourceExtensions(result);
         
         // Calculate max files to collect based on project type
         const maxFiles = calculateMaxFiles(result.projectType);
@@ -268,13 +267,13 @@ async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore,
         
         for (const entry of entries) {
             const entryPath = path.join(rootPath, entry.name);
-            const relativePath = path.relative(rootPath, entryPath);
+            const relativePath = path.relative(basePath, entryPath);
             
             if (entry.isDirectory()) {
                 const dirName = entry.name;
                 
                 // Skip ignored directories
-                if (dirsToIgnore.includes(dirName)) {
+                if (ignoreRules.isIgnored(relativePath, true)) {
                     continue;
                 }
                 
@@ -286,8 +285,7 @@ async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore,
                     await scanImportantFiles(
                         entryPath, 
                         result, 
-                        dirsToIgnore, 
-                        filesToIgnore, 
+                        scanOptions, 
                         depth + 1
                     );
                 }
@@ -295,7 +293,16 @@ async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore,
                 const fileName = entry.name;
                 
                 // Skip ignored files
-                if (filesToIgnore.includes(fileName)) {
+                if (ignoreRules.isIgnored(relativePath, false)) {
+                    continue;
+                }
+                
+                // Real .env files hold secrets and are never read; committed templates such as
+                // .env.example are only listed, for the environment variable extraction
+                if (isEnvFile(fileName)) {
+                    if (isEnvTemplateFile(fileName)) {
+                        result.files.push(relativePath);
+                    }
                     continue;
                 }
                 
@@ -320,6 +327,8 @@ async function scanImportantFiles(rootPath, result, dirsToIgnore, filesToIgnore,
                         if (['.md', '.txt', '.json', '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.h', 
                               '.go', '.rb', '.php', '.cs', '.html', '.css', '.yml', '.yaml', '.toml', 
                               '.ini', '.cfg'].includes(ext) ||
+                            sourceExtensions.includes(ext) ||
+                            isManifestFile(fileName) ||
                             fileName.toLowerCase() === 'dockerfile' || 
                             fileName.toLowerCase() === 'makefile' ||
                             fileName.toLowerCase() === 'license') {
@@ -382,6 +391,7 @@ function calculateMaxFiles(projectType) {
     // Adjust based on project type
     switch (projectType) {
         case 'node':
+        case 'vscode-extension':
             return baseMax + 20; // Node.js projects often have many small files
             
         case 'python':
@@ -401,103 +411,6 @@ function calculateMaxFiles(projectType) {
     }
 }
 
-/**
- * Generates a README using Ollama
- * @param {Object} workspaceData - Data from the workspace scan
- * @param {string} userContext - Additional context provided by the user
- * @param {string} ollamaEndpoint - Endpoint for Ollama API
- * @param {string} ollamaModel - Model to use for generation
- * @returns {Promise<string>} - Generated README content
- */
-async function generateReadmeWithOllama(workspaceData, userContext, ollamaEndpoint = 'http://localhost:11434', ollamaModel = 'llama3') {
-    try {
-        // Prepare the prompt for Ollama
-        const filesList = workspaceData.files.join('\n');
-        const dirsList = workspaceData.directories.join('\n');
-        
-        // Get important file contents
-        const packageJsonContent = workspaceData.fileContents['package.json'] || '';
-        const existingReadmeContent = workspaceData.fileContents['README.md'] || '';
-        
-        // Prepare important file contents to include in the prompt
-        let importantFileContents = '';
-        
-        // Add package.json content
-        if (packageJsonContent) {
-            importantFileContents += `package.json content:\n${JSON.stringify(packageJsonContent, null, 2)}\n\n`;
-        }
-        
-        // Add existing README content for reference
-        if (existingReadmeContent) {
-            importantFileContents += `Existing README.md content (for reference):\n${existingReadmeContent}\n\n`;
-        }
-        
-        // Add other important file contents based on project type
-        const importantFiles = getImportantFilesForProjectType(workspaceData.projectType, workspaceData.mainLanguages);
-        
-        for (const fileName of importantFiles) {
-            // Find the file in the workspace data
-            const fileKey = Object.keys(workspaceData.fileContents).find(key => 
-                key.toLowerCase() === fileName.toLowerCase() || key.endsWith(`/${fileName.toLowerCase()}`)
-            );
-            
-            if (fileKey && workspaceData.fileContents[fileKey]) {
-                importantFileContents += `${fileName} content:\n${workspaceData.fileContents[fileKey]}\n\n`;
-            }
-        }
-        
-        // Add source code samples (limit to a few key files)
-        const sourceCodeSamples = getSourceCodeSamples(workspaceData);
-        if (sourceCodeSamples) {
-            importantFileContents += sourceCodeSamples;
-        }
-        
-        // Create a prompt for Ollama
-        const prompt = `
-You are an expert developer tasked with creating a comprehensive README.md file for a project.
-Based on the following project structure and file contents, generate a well-structured README.md file.
-
-Project Type: ${workspaceData.projectType}
-Main Languages/Frameworks: ${workspaceData.mainLanguages.join(', ')}
-
-Project Files:
-${filesList}
-
-Project Directories:
-${dirsList}
-
-Important File Contents:
-${importantFileContents}
-
-Additional context from the user:
-${userContext}
-
-Please generate a comprehensive README.md file that includes:
-1. Project title and description
-2. Installation instructions
-3. Usage examples
-4. Features
-5. Dependencies
-6. License information (if available)
-7. Any other relevant sections based on the project structure
-
-Format the README using proper Markdown syntax.
-`;
-
-        // Make API call to Ollama
-        const response = await axios.post(`${ollamaEndpoint}/api/generate`, {
-            model: ollamaModel,
-            prompt: prompt,
-            stream: false
-        });
-
-        return response.data.response;
-    } catch (error) {
-        console.error('Error generating README with Ollama:', error);
-        throw new Error(`Failed to generate README: ${error.message}`);
-    }
-}
-
 /**
  * Gets a list of important files to include in the prompt based on project type
  * @param {string} projectType - The type of project
@@ -509,6 +422,7 @@ function getImportantFilesForProjectType(projectType, languages) {
     
     switch (projectType) {
         case 'node':
+        case 'vscode-extension':
             return [...commonFiles, 'package.json', 'tsconfig.json', 'webpack.config.js', '.npmrc', '.npmignore'];
             
         case 'python':
@@ -529,124 +443,54 @@ function getImportantFilesForProjectType(projectType, languages) {
         case 'php':
             return [...commonFiles, 'composer.json', 'composer.lock'];
             
-        default:
-            return commonFiles;
-    }
-}
-
-/**
- * Gets source code samples from the workspace data
- * @param {Object} workspaceData - Data from the workspace scan
- * @returns {string} - Source code samples formatted for the prompt
- */
-function getSourceCodeSamples(workspaceData) {
-    let samples = '';
-    const maxSamples = 10; // Increased from 3 to 10 samples
-    let sampleCount = 0;
-    
-    // Get main source files based on project type
-    const mainFilePatterns = getMainFilePatterns(workspaceData.projectType, workspaceData.mainLanguages);
-    
-    // First, prioritize key files based on project type
-    const priorityFiles = getPriorityFilesForProjectType(workspaceData.projectType, workspaceData.mainLanguages);
-    
-    // Add priority files first
-    for (const priorityPattern of priorityFiles) {
-        if (sampleCount >= maxSamples) break;
-        
-        for (const filePath of Object.keys(workspaceData.fileContents)) {
-            if (sampleCount >= maxSamples) break;
+        case 'kotlin':
+            return [...commonFiles, 'build.gradle.kts', 'settings.gradle.kts', 'build.gradle', 'settings.gradle'];
             
-            const fileName = filePath.split('/').pop().toLowerCase();
-            if (priorityPattern.test(fileName)) {
-                samples += `Source code (${filePath}):\n\`\`\`\n${workspaceData.fileContents[filePath]}\n\`\`\`\n\n`;
-                sampleCount++;
-            }
-        }
-    }
-    
-    // Then add files matching the main patterns
-    for (const pattern of mainFilePatterns) {
-        if (sampleCount >= maxSamples) break;
-        
-        for (const filePath of Object.keys(workspaceData.fileContents)) {
-            if (sampleCount >= maxSamples) break;
+        case 'dotnet':
+            return [...commonFiles, 'Directory.Build.props', 'global.json', 'NuGet.config'];
             
-            // Skip files we've already included
-            if (samples.includes(`Source code (${filePath}):`)) continue;
+        case 'swift':
+            return [...commonFiles, 'Package.swift'];
             
-            if (filePath.match(pattern)) {
-                samples += `Source code (${filePath}):\n\`\`\`\n${workspaceData.fileContents[filePath]}\n\`\`\`\n\n`;
-                sampleCount++;
-            }
-        }
-    }
-    
-    // If we still have room, add some additional source files
-    if (sampleCount < maxSamples) {
-        // Get source file extensions based on project type
-        const sourceExtensions = getSourceFileExtensions(workspaceData.projectType, workspaceData.mainLanguages);
-        
-        for (const filePath of Object.keys(workspaceData.fileContents)) {
-            if (sampleCount >= maxSamples) break;
+        case 'dart':
+        case 'flutter':
+            return [...commonFiles, 'pubspec.yaml', 'analysis_options.yaml'];
             
-            // Skip files we've already included
-            if (samples.includes(`Source code (${filePath}):`)) continue;
+        case 'elixir':
+            return [...commonFiles, 'mix.exs'];
             
-            const ext = path.extname(filePath).toLowerCase();
-            if (sourceExtensions.includes(ext)) {
-                samples += `Source code (${filePath}):\n\`\`\`\n${workspaceData.fileContents[filePath]}\n\`\`\`\n\n`;
-                sampleCount++;
-            }
-        }
+        case 'c':
+        case 'cpp':
+            return [...commonFiles, 'CMakeLists.txt', 'meson.build', 'meson_options.txt', 'conanfile.txt', 'vcpkg.json'];
+            
+        case 'deno':
+            return [...commonFiles, 'deno.json', 'deno.jsonc', 'import_map.json'];
+            
+        case 'conda':
+            return [...commonFiles, 'environment.yml', 'environment.yaml', 'requirements.txt', 'pyproject.toml'];
+            
+        default:
+            return commonFiles;
     }
-    
-    return samples;
 }
 
 /**
- * Gets priority files for a specific project type
- * @param {string} projectType - The type of project
- * @param {string[]} languages - The main languages used in the project
- * @returns {RegExp[]} - List of patterns for priority files
+ * Gets source code samples from the workspace data: the central files first, then other scanned sources
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string} - Source code samples formatted for the prompt
  */
-function getPriorityFilesForProjectType(projectType, languages) {
-    const patterns = [];
-    
-    switch (projectType) {
-        case 'node':
-            patterns.push(/^index\.(js|ts)$/i, /^main\.(js|ts)$/i, /^app\.(js|ts)$/i);
-            if (languages.includes('react')) {
-                patterns.push(/^app\.(jsx|tsx)$/i, /^index\.(jsx|tsx)$/i);
-            }
-            break;
-            
-        case 'python':
-            patterns.push(/^main\.py$/i, /^app\.py$/i, /^__init__\.py$/i);
-            break;
-            
-        case 'java':
-            patterns.push(/^main\.java$/i, /^application\.java$/i);
-            break;
-            
-        case 'rust':
-            patterns.push(/^main\.rs$/i, /^lib\.rs$/i);
-            break;
-            
-        case 'go':
-            patterns.push(/^main\.go$/i);
-            break;
-            
-        case 'ruby':
-            patterns.push(/^main\.rb$/i, /^application\.rb$/i);
-            break;
-            
-        case 'php':
-            patterns.push(/^index\.php$/i);
-            break;
-    }
+function getSourceCodeSamples(workspaceData) {
+    const maxSamples = 10;
+    const sourceExtensions = getWorkspaceSourceExtensions(workspaceData);
+    const otherSources = Object.keys(workspaceData.fileContents)
+        .filter(filePath => sourceExtensions.includes(path.extname(filePath).toLowerCase()));
+    const samplePaths = [...new Set([...getCentralFiles(workspaceData).map(file => file.filePath), ...otherSources])]
+        .filter(filePath => typeof workspaceData.fileContents[filePath] === 'string')
+        .slice(0, maxSamples);
     
-    return patterns;
+    return samplePaths
+        .map(filePath => `Source code (${filePath}):\n\`\`\`\n${workspaceData.fileContents[filePath]}\n\`\`\`\n\n`)
+        .join('');
 }
 
 /**
@@ -658,6 +502,7 @@ function getPriorityFilesForProjectType(projectType, languages) {
 function getSourceFileExtensions(projectType, languages) {
     switch (projectType) {
         case 'node':
+        case 'vscode-extension':
             const jsExts = ['.js', '.jsx', '.ts', '.tsx'];
             if (languages.includes('react')) {
                 return ['.jsx', '.tsx', '.js', '.ts'];
@@ -682,67 +527,56 @@ function getSourceFileExtensions(projectType, languages) {
         case 'php':
             return ['.php'];
             
-        default:
-            return ['.js', '.py', '.java', '.c', '.cpp', '.h', '.go', '.rb', '.php', '.cs'];
-    }
-}
-
-/**
- * Gets patterns for main source files based on project type
- * @param {string} projectType - The type of project
- * @param {string[]} languages - The main languages used in the project
- * @returns {RegExp[]} - List of patterns for main source files
- */
-function getMainFilePatterns(projectType, languages) {
-    const patterns = [];
-    
-    switch (projectType) {
-        case 'node':
-            patterns.push(/index\.(js|ts)$/i, /main\.(js|ts)$/i, /app\.(js|ts)$/i);
-            if (languages.includes('react')) {
-                patterns.push(/App\.(js|tsx)$/i, /index\.(js|tsx)$/i);
-            }
-            break;
+        case 'kotlin':
+            return ['.kt', '.kts', '.java'];
             
-        case 'python':
-            patterns.push(/main\.py$/i, /__init__\.py$/i, /app\.py$/i);
-            break;
+        case 'dotnet':
+            return ['.cs', '.fs', '.vb'];
             
-        case 'java':
-            patterns.push(/Main\.java$/i, /Application\.java$/i);
-            break;
+        case 'swift':
+            return ['.swift'];
             
-        case 'rust':
-            patterns.push(/main\.rs$/i, /lib\.rs$/i);
-            break;
+        case 'dart':
+        case 'flutter':
+            return ['.dart'];
             
-        case 'go':
-            patterns.push(/main\.go$/i);
-            break;
+        case 'elixir':
+            return ['.ex', '.exs'];
             
-        case 'ruby':
-            patterns.push(/main\.rb$/i, /application\.rb$/i);
-            break;
+        case 'c':
+        case 'cpp':
+            return ['.c', '.cc', '.cpp', '.cxx', '.h', '.hpp'];
             
-        case 'php':
-            patterns.push(/index\.php$/i);
-            break;
+        case 'deno':
+            return ['.ts', '.tsx', '.js', '.jsx'];
+            
+        case 'conda':
+            return ['.py', '.ipynb'];
+            
+        default:
+            return ['.js', '.py', '.java', '.c', '.cpp', '.h', '.go', '.rb', '.php', '.cs'];
     }
+}
+
+/**
+ * Gets the source file extensions of every project type detected in the workspace
+ * @param {Object} workspaceData - Data from the workspace scan
+ * @returns {string[]} - List of source file extensions
+ */
+function getWorkspaceSourceExtensions(workspaceData) {
+    const projectTypes = workspaceData.projectTypes && workspaceData.projectTypes.length > 0
+        ? workspaceData.projectTypes.map(entry => entry.type)
+        : [workspaceData.projectType];
     
-    // Add generic patterns for any project type
-    patterns.push(/README\.md$/i, /CONTRIBUTING\.md$/i);
-    
-    return patterns;
+    return [...new Set(projectTypes.flatMap(projectType => getSourceFileExtensions(projectType, workspaceData.mainLanguages)))];
 }
 
 module.exports = {
     scanWorkspace,
-    generateReadmeWithOllama,
     getImportantFilesForProjectType,
     getSourceCodeSamples,
-    getMainFilePatterns,
-    getPriorityFilesForProjectType,
     getSourceFileExtensions,
+    getWorkspaceSourceExtensions,
     calculateMaxFiles,
     isLikelyImportantFile,
     isLikelyImportantDirectory
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTable, applyMarkedBlock } = require('./markdown');
+
+// Markers around the generated tables, so they can be refreshed without touching the prose around them
+const EXTENSION_START = '<!-- autoreadme:contributes start -->';
+const EXTENSION_END = '<!-- autoreadme:contributes end -->';
+
+// Headings of the section the tables go into, most specific first
+const CONTRIBUTION_HEADINGS = ['contributions', 'extension settings', 'commands', 'features'];
+
+/**
+ * Reads a JSON file, returning null when it does not exist or cannot be parsed
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Object|null} - The parsed JSON
+ */
+function readJsonIfExists(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a package.json belongs to a VS Code extension
+ * @param {Object|null} manifest - The parsed package.json
+ * @returns {boolean} - Whether it declares `engines.vscode`
+ */
+function isVscodeExtensionManifest(manifest) {
+    return Boolean(manifest && manifest.engines && manifest.engines.vscode);
+}
+
+/**
+ * Collapses a description to one line
+ * @param {string} text - The description
+ * @returns {string} - The description on one line
+ */
+function collapseText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lists what a VS Code extension contributes, resolving `%key%` placeholders from package.nls.json
+ * @param {string} rootPath - The root path of the extension
+ * @returns {Object|null} - Commands, settings, keybindings, menus and activation events, or null when the project is not an extension
+ */
+function extractExtensionContributions(rootPath) {
+    const manifest = readJsonIfExists(path.join(rootPath, 'package.json'));
+    if (!isVscodeExtensionManifest(manifest)) {
+        return null;
+    }
+    
+    const nls = readJsonIfExists(path.join(rootPath, 'package.nls.json')) || {};
+    const localize = text => (typeof text === 'string' ? text.replace(/^%(.+)%$/, (match, key) => {
+        const value = nls[key];
+        return typeof value === 'string' ? value : (value && value.message) || match;
+    }) : text);
+    const contributes = manifest.contributes || {};
+    const asArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+    
+    const commands = asArray(contributes.commands).map(command => ({
+        command: command.command,
+        title: [localize(command.category), localize(command.title)].filter(Boolean).join(': ')
+    }));
+    const titles = new Map(commands.map(command => [command.command, command.title]));
+    
+    const settings = asArray(contributes.configuration).flatMap(configuration => Object.entries(configuration.properties || {}))
+        .map(([key, property]) => ({
+            key,
+            type: asArray(property.type).join(' | '),
+            default: property.default,
+            enum: property.enum || null,
+            description: collapseText(localize(property.markdownDescription || property.description))
+        }));
+    
+    const keybindings = asArray(contributes.keybindings).map(keybinding => ({
+        key: keybinding.key,
+        mac: keybinding.mac || null,
+        command: keybinding.command,
+        title: titles.get(keybinding.command) || '',
+        when: keybinding.when || ''
+    }));
+    
+    const menus = Object.entries(contributes.menus || {}).flatMap(([location, entries]) => asArray(entries)
+        .filter(entry => entry.command)
+        .map(entry => ({ location, command: entry.command, title: titles.get(entry.command) || '', when: entry.when || '' })));
+    
+    return {
+        name: localize(manifest.displayName) || manifest.name,
+        engine: manifest.engines.vscode,
+        commands,
+        settings,
+        keybindings,
+        menus,
+        activationEvents: asArray(manifest.activationEvents)
+    };
+}
+
+/**
+ * Formats a setting default for a table cell
+ * @param {any} value - The default from the configuration schema
+ * @returns {string} - The default as inline code, or an empty string without one
+ */
+function formatDefault(value) {
+    if (value === undefined) {
+        return '';
+    }
+    return `\`${JSON.stringify(value)}\``;
+}
+
+/**
+ * Formats a setting description, followed by its allowed values
+ * @param {Object} setting - A setting from extractExtensionContributions
+ * @returns {string} - The description
+ */
+function formatSettingDescription(setting) {
+    if (!setting.enum) {
+        return setting.description;
+    }
+    const values = `One of ${setting.enum.map(value => `\`${value}\``).join(', ')}.`;
+    if (!setting.description) {
+        return values;
+    }
+    return `${setting.description}${/[.!?]$/.test(setting.description) ? '' : '.'} ${values}`;
+}
+
+/**
+ * Renders the contributions of an extension as tables of commands, settings, keybindings and menus
+ * and a list of activation events
+ * @param {Object|null} contributions - Contributions from extractExtensionContributions
+ * @returns {string} - The tables, or an empty string when the extension contributes nothing
+ */
+function renderExtensionTables(contributions) {
+    if (!contributions) {
+        return '';
+    }
+    
+    const parts = [];
+    
+    if (contributions.commands.length > 0) {
+        parts.push('### Commands');
+        parts.push(renderTable(['Command', 'Title'], contributions.commands.map(command => [`\`${command.command}\``, command.title])));
+    }
+    
+    if (contributions.settings.length > 0) {
+        parts.push('### Settings');
+        parts.push(renderTable(['Setting', 'Type', 'Default', 'Description'], contributions.settings.map(setting => [
+            `\`${setting.key}\``,
+            setting.type,
+            formatDefault(setting.default),
+            formatSettingDescription(setting)
+        ])));
+    }
+    
+    if (contributions.keybindings.length > 0) {
+        parts.push('### Keybindings');
+        parts.push(renderTable(['Key', 'Command', 'When'], contributions.keybindings.map(keybinding => [
+            `\`${keybinding.key}\`${keybinding.mac ? ` (macOS: \`${keybinding.mac}\`)` : ''}`,
+            keybinding.title || `\`${keybinding.command}\``,
+            keybinding.when ? `\`${keybinding.when}\`` : ''
+        ])));
+    }
+    
+    if (contributions.menus.length > 0) {
+        parts.push('### Menus');
+        parts.push(renderTable(['Menu', 'Command', 'When'], contributions.menus.map(menu => [
+            `\`${menu.location}\``,
+            menu.title || `\`${menu.command}\``,
+            menu.when ? `\`${menu.when}\`` : ''
+        ])));
+    }
+    
+    if (contributions.activationEvents.length > 0) {
+        parts.push('### Activation events');
+        parts.push(contributions.activationEvents.map(event => `- \`${event}\``).join('\n'));
+    }
+    
+    return parts.join('\n\n');
+}
+
+/**
+ * Puts the contribution tables into the Contributions section of a README, refreshing the tables an earlier
+ * generation inserted, or adding the section before the license and contributing sections
+ * @param {string} markdown - The README
+ * @param {string} tables - The tables from renderExtensionTables; empty tables remove them
+ * @returns {string} - The README with up-to-date tables
+ */
+function applyExtensionTables(markdown, tables) {
+    return applyMarkedBlock(markdown, {
+        start: EXTENSION_START,
+        end: EXTENSION_END,
+        block: tables,
+        headings: CONTRIBUTION_HEADINGS,
+        defaultHeading: 'Contributions'
+    });
+}
+
+module.exports = {
+    isVscodeExtensionManifest,
+    extractExtensionContributions,
+    renderExtensionTables,
+    applyExtensionTables
+};
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { compileGlob } = require('./glob');
+const { findSections, normalizeHeading } = require('./markdown');
+const { getTomlTable, getTomlString, getTomlStringArray } = require('./toml');
+const { parseYaml } = require('./yaml');
+
+// Directories never searched for workspace members
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules', 'target', 'vendor', 'dist', 'build', 'out'];
+
+// How deep `**` in a member pattern is followed
+const MAX_MEMBER_DEPTH = 5;
+
+// Command that installs or builds every member, per workspace tool
+const INSTALL_COMMANDS = {
+    npm: 'npm install',
+    yarn: 'yarn install',
+    pnpm: 'pnpm install',
+    cargo: 'cargo build --workspace',
+    go: 'go work sync'
+};
+
+/**
+ * Reads a file, returning null when it does not exist or cannot be read
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} - The file content
+ */
+function readFileIfExists(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the `use` directives of a go.work file
+ * @param {string} goWork - The file content
+ * @returns {string[]} - The module directories
+ */
+function parseGoWork(goWork) {
+    const directories = [];
+    const content = goWork.replace(/\/\/.*$/gm, '');
+    
+    for (const block of content.matchAll(/^\s*use\s*\(([^)]*)\)/gm)) {
+        directories.push(...block[1].split(/\s+/).filter(Boolean));
+    }
+    for (const single of content.matchAll(/^\s*use\s+([^\s(]+)/gm)) {
+        directories.push(single[1]);
+    }
+    
+    return directories.map(directory => directory.replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Lists the directories under the root up to a depth
+ * @param {string} rootPath - The root path of the workspace
+ * @param {number} maxDepth - How many levels to descend
+ * @param {string} [relativeDir] - The directory being listed, relative to the root
+ * @returns {string[]} - Relative directory paths using / separators
+ */
+function listDirectories(rootPath, maxDepth, relativeDir = '') {
+    if (maxDepth === 0) {
+        return [];
+    }
+    
+    let entries;
+    try {
+        entries = fs.readdirSync(path.join(rootPath, relativeDir), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    
+    const directories = [];
+    for (const entry of entries) {
+        if (entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+            const childDir = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            directories.push(childDir, ...listDirectories(rootPath, maxDepth - 1, childDir));
+        }
+    }
+    return directories;
+}
+
+/**
+ * Expands workspace member patterns into the directories that contain a manifest
+ * @param {string} rootPath - The root path of the workspace
+ * @param {string[]} patterns - Member globs; patterns starting with `!` exclude directories
+ * @param {string} manifest - The file every member must contain
+ * @returns {string[]} - Relative member directories inside the workspace using / separators, sorted
+ */
+function expandMemberPatterns(rootPath, patterns, manifest) {
+    const normalize = pattern => pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+    const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(normalize).filter(pattern => pattern && pattern !== '.');
+    const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => compileGlob(`/${normalize(pattern.slice(1))}`));
+    
+    const members = new Set();
+    for (const pattern of includes) {
+        if (!/[*?[]/.test(pattern)) {
+            // Members outside the repository, e.g. `../shared`, are not scanned or given a README
+            const member = path.posix.normalize(pattern);
+            if (!member.startsWith('..') && !path.posix.isAbsolute(member) && !path.win32.isAbsolute(member)) {
+                members.add(member);
+            }
+            continue;
+        }
+        
+        const depth = pattern.includes('**') ? MAX_MEMBER_DEPTH : pattern.split('/').length;
+        const matches = compileGlob(`/${pattern}`);
+        for (const directory of listDirectories(rootPath, depth)) {
+            if (matches(directory, true)) {
+                members.add(directory);
+            }
+        }
+    }
+    
+    return [...members]
+        .filter(directory => !excludes.some(matches => matches(directory, true)))
+        .filter(directory => fs.existsSync(path.join(rootPath, directory, manifest)))
+        .sort();
+}
+
+/**
+ * Describes the member packages of a JavaScript workspace
+ * @param {string} rootPath - The root path of the workspace
+ * @param {string[]} directories - The member directories
+ * @returns {Object[]} - The packages
+ */
+function describeNodePackages(rootPath, directories) {
+    return directories.map(directory => {
+        let packageJson = {};
+        try {
+            packageJson = JSON.parse(readFileIfExists(path.join(rootPath, directory, 'package.json')));
+        } catch (error) {
+            console.error(`Error parsing ${directory}/package.json:`, error);
+        }
+        return {
+            name: packageJson.name || path.posix.basename(directory),
+            path: directory,
+            description: packageJson.description || '',
+            manifest: 'package.json'
+        };
+    });
+}
+
+/**
+ * Detects a workspace layout and enumerates its member packages
+ *
+ * Recognises npm and Yarn `workspaces` in package.json, pnpm-workspace.yaml, Cargo `[workspace]`
+ * members and go.work `use` directives. A repository can combine several of them.
+ * @param {string} rootPath - The root path of the workspace
+ * @returns {{ tools: string[], packages: { name: string, path: string, description: string, manifest: string, tool: string }[] }|null} - The layout, or null when the repository is not a monorepo
+ */
+function detectWorkspaceLayout(rootPath) {
+    const tools = [];
+    const packages = [];
+    const addPackages = (tool, members) => {
+        if (members.length > 0) {
+            tools.push(tool);
+            packages.push(...members.map(member => ({ ...member, tool })));
+        }
+    };
+    
+    // JavaScript: pnpm keeps its members in its own file, npm and Yarn in package.json
+    const pnpmWorkspace = readFileIfExists(path.join(rootPath, 'pnpm-workspace.yaml'));
+    if (pnpmWorkspace !== null) {
+        let workspace = null;
+        try {
+            workspace = parseYaml(pnpmWorkspace);
+        } catch (error) {
+            console.error('Error parsing pnpm-workspace.yaml:', error);
+        }
+        
+        const patterns = workspace && Array.isArray(workspace.packages) ? workspace.packages.filter(pattern => typeof pattern === 'string') : [];
+        const directories = expandMemberPatterns(rootPath, patterns, 'package.json');
+        addPackages('pnpm', describeNodePackages(rootPath, directories));
+    } else {
+        let packageJson = null;
+        try {
+            packageJson = JSON.parse(readFileIfExists(path.join(rootPath, 'package.json')));
+        } catch (error) {
+            console.error('Error parsing package.json:', error);
+        }
+        
+        const workspaces = packageJson && packageJson.workspaces;
+        const patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+        const directories = expandMemberPatterns(rootPath, patterns, 'package.json');
+        const tool = fs.existsSync(path.join(rootPath, 'yarn.lock')) ? 'yarn' : 'npm';
+        addPackages(tool, describeNodePackages(rootPath, directories));
+    }
+    
+    // Rust: [workspace] members, minus exclude
+    const cargoToml = readFileIfExists(path.join(rootPath, 'Cargo.toml'));
+    const cargoWorkspace = cargoToml && getTomlTable(cargoToml, 'workspace');
+    if (typeof cargoWorkspace === 'string') {
+        const patterns = [
+            ...getTomlStringArray(cargoWorkspace, 'members'),
+            ...getTomlStringArray(cargoWorkspace, 'exclude').map(pattern => `!${pattern}`)
+        ];
+        addPackages('cargo', expandMemberPatterns(rootPath, patterns, 'Cargo.toml').map(directory => {
+            const crate = getTomlTable(readFileIfExists(path.join(rootPath, directory, 'Cargo.toml')) || '', 'package');
+            return {
+                name: getTomlString(crate, 'name') || path.posix.basename(directory),
+                path: directory,
+                description: getTomlString(crate, 'description') || '',
+                manifest: 'Cargo.toml'
+            };
+        }));
+    }
+    
+    // Go: modules listed in go.work
+    const goWork = readFileIfExists(path.join(rootPath, 'go.work'));
+    if (goWork !== null) {
+        addPackages('go', expandMemberPatterns(rootPath, parseGoWork(goWork), 'go.mod').map(directory => {
+            const goMod = readFileIfExists(path.join(rootPath, directory, 'go.mod')) || '';
+            const module = goMod.match(/^\s*module\s+(\S+)/m);
+            return {
+                name: module ? module[1] : path.posix.basename(directory),
+                path: directory,
+                description: '',
+                manifest: 'go.mod'
+            };
+        }));
+    }
+    
+    return packages.length > 0 ? { tools, packages } : null;
+}
+
+/**
+ * Finds the workspace package a directory belongs to
+ * @param {{ packages: Object[] }|null} layout - The detected layout
+ * @param {string} relativeDir - A directory relative to the workspace root
+ * @returns {Object|undefined} - The package, or undefined for directories outside every package
+ */
+function findPackageForDirectory(layout, relativeDir) {
+    const directory = relativeDir.split(path.sep).join('/');
+    return layout ? layout.packages.find(candidate => directory === candidate.path || directory.startsWith(`${candidate.path}/`)) : undefined;
+}
+
+/**
+ * Rewrites ignore globs of the repository root so they apply inside one package
+ *
+ * Unanchored patterns apply everywhere and are kept, anchored patterns are kept when they point
+ * into the package and dropped otherwise.
+ * @param {string[]} patterns - Glob patterns relative to the repository root
+ * @param {string} packagePath - The package directory relative to the repository root
+ * @returns {string[]} - Glob patterns relative to the package directory
+ */
+function rebaseIgnorePatterns(patterns, packagePath) {
+    const rebased = [];
+    
+    for (const pattern of patterns) {
+        const negated = pattern.startsWith('!');
+        const glob = negated ? pattern.slice(1) : pattern;
+        
+        if (!glob.replace(/\/+$/, '').includes('/')) {
+            rebased.push(pattern);
+        } else if (glob.replace(/^\//, '').startsWith(`${packagePath}/`)) {
+            rebased.push(`${negated ? '!' : ''}/${glob.replace(/^\//, '').slice(packagePath.length + 1)}`);
+        }
+    }
+    
+    return rebased;
+}
+
+/**
+ * Returns the commands that install every package of the workspace, one per tool
+ * @param {{ tools: string[] }} layout - The detected layout
+ * @returns {string[]} - The commands
+ */
+function getInstallCommands(layout) {
+    return layout.tools.map(tool => INSTALL_COMMANDS[tool]);
+}
+
+/**
+ * Renders the package table of the root README
+ * @param {{ packages: Object[] }} layout - The detected layout
+ * @param {string} [readmeDir] - Directory of the root README relative to the workspace root, for the links
+ * @returns {string} - A Markdown table linking every package README
+ */
+function formatPackageTable(layout, readmeDir = '') {
+    const escape = text => text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const rows = layout.packages.map(candidate => {
+        const link = path.posix.relative(readmeDir.split(path.sep).join('/'), `${candidate.path}/README.md`);
+        return `| [${escape(candidate.name)}](${link}) | \`${candidate.path}\` | ${escape(candidate.description)} |`;
+    });
+    
+    return ['| Package | Path | Description |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Puts the package table under the `## Packages` heading of a root README, adding the section
+ * before the first `##` section when the model left it out
+ * @param {string} markdown - The generated root README
+ * @param {string} packageTable - The table from formatPackageTable
+ * @returns {string} - The README with an up-to-date package table
+ */
+function applyPackageTable(markdown, packageTable) {
+    const lines = markdown.split(/\r?\n/);
+    const sections = findSections(markdown);
+    const section = sections.find(candidate => normalizeHeading(candidate.heading) === 'packages');
+    
+    if (section) {
+        lines.splice(section.line + 1, section.endLine - section.line - 1, '', packageTable);
+    } else {
+        const insertAt = sections.length > 0 ? sections[0].line : lines.length;
+        lines.splice(insertAt, 0, '## Packages', '', packageTable, '');
+    }
+    
+    return lines.join('\n');
+}
+
+module.exports = {
+    detectWorkspaceLayout,
+    findPackageForDirectory,
+    rebaseIgnorePatterns,
+    getInstallCommands,
+    formatPackageTable,
+    applyPackageTable
+};
@@ -0,0 +1,273 @@
+/**
+ * Minimal reader for the YAML files the scanner parses (docker-compose.yml, compose.yaml, pubspec.yaml,
+ * Conda environment.yml and pnpm-workspace.yaml).
+ * It understands block mappings and sequences, flow collections, quoted and block scalars, anchors,
+ * aliases and `<<` merge keys, which covers how compose files are written; tags and multiple
+ * documents are ignored.
+ */
+
+/**
+ * Removes a trailing comment from a line, leaving `#` inside quotes alone
+ * @param {string} line - The line
+ * @returns {string} - The line without its comment
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let index = 0; index < line.length; index++) {
+        const char = line[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+            return line.slice(0, index);
+        }
+    }
+    return line;
+}
+
+/**
+ * Splits a flow collection body on its top-level commas
+ * @param {string} body - The text between the brackets
+ * @returns {string[]} - The entries, trimmed
+ */
+function splitFlow(body) {
+    const entries = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    for (let index = 0; index < body.length; index++) {
+        const char = body[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                current += char + body[++index];
+                continue;
+            }
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            entries.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    
+    if (current.trim()) {
+        entries.push(current.trim());
+    }
+    return entries;
+}
+
+/**
+ * Finds the `key: value` separator of a mapping entry
+ * @param {string} text - The entry
+ * @returns {number} - Index of the colon, or -1 when the text is not a mapping entry
+ */
+function findKeySeparator(text) {
+    const quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(\s|$)/);
+    if (quoted) {
+        return text.indexOf(':', quoted[1].length);
+    }
+    if (/^[[{"']/.test(text)) {
+        return -1;
+    }
+    const match = text.match(/:(\s|$)/);
+    return match ? match.index : -1;
+}
+
+/**
+ * Converts a scalar or flow collection to its value
+ * @param {string} text - The scalar text
+ * @param {Map<string, any>} anchors - Anchored values, by name
+ * @returns {any} - The value
+ */
+function parseScalar(text, anchors) {
+    let value = text.trim();
+    
+    if (value.startsWith('*')) {
+        return anchors.get(value.slice(1));
+    }
+    const anchor = value.match(/^&(\S+)\s*/);
+    if (anchor) {
+        const result = parseScalar(value.slice(anchor[0].length), anchors);
+        anchors.set(anchor[1], result);
+        return result;
+    }
+    value = value.replace(/^!!?\S+\s+/, '');
+    
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return splitFlow(value.slice(1, -1)).map(entry => parseScalar(entry, anchors));
+    }
+    if (value.startsWith('{') && value.endsWith('}')) {
+        const result = {};
+        for (const entry of splitFlow(value.slice(1, -1))) {
+            const separator = findKeySeparator(entry);
+            if (separator === -1) {
+                result[parseScalar(entry, anchors)] = null;
+            } else {
+                result[parseScalar(entry.slice(0, separator), anchors)] = parseScalar(entry.slice(separator + 1), anchors);
+            }
+        }
+        return result;
+    }
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value === '' || value === '~' || value === 'null') {
+        return null;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (/^[-+]?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Parses a YAML document into plain objects, arrays and scalars
+ * @param {string} yaml - The YAML document
+ * @returns {any} - The value of the first document, or null when it is empty
+ */
+function parseYaml(yaml) {
+    const raw = yaml.split(/\r?\n/);
+    const lines = [];
+    const anchors = new Map();
+    
+    for (let index = 0; index < raw.length; index++) {
+        const text = stripComment(raw[index]).replace(/\s+$/, '');
+        if (/^(---|\.\.\.)(\s|$)/.test(text)) {
+            if (lines.length > 0) {
+                break;
+            }
+            continue;
+        }
+        if (text.trim()) {
+            lines.push({ indent: text.length - text.trimStart().length, text: text.trim() });
+        }
+    }
+    
+    let position = 0;
+    
+    /**
+     * Reads a value written after a key or dash: a scalar on the same line, a block scalar,
+     * a multi-line flow collection or a nested block
+     * @param {string} rest - The text after the key or dash
+     * @param {number} indent - Indentation of the key or dash
+     * @returns {any} - The value
+     */
+    const parseValue = (rest, indent) => {
+        const anchor = rest.match(/^&(\S+)$/);
+        if (rest === '' || anchor) {
+            const next = lines[position];
+            const nested = next && (next.indent > indent || (next.indent === indent && /^-(\s|$)/.test(next.text)))
+                ? parseBlock(next.indent)
+                : null;
+            if (anchor) {
+                anchors.set(anchor[1], nested);
+            }
+            return nested;
+        }
+        
+        if (/^[|>][-+0-9]*$/.test(rest)) {
+            const block = [];
+            while (position < lines.length && lines[position].indent > indent) {
+                block.push(lines[position].text);
+                position++;
+            }
+            return block.join(rest.startsWith('|') ? '\n' : ' ');
+        }
+        
+        // Flow collections may continue over several lines until their brackets balance
+        let text = rest;
+        const depth = value => (value.match(/[[{]/g) || []).length - (value.match(/[\]}]/g) || []).length;
+        while (/^(&\S+\s+)?[[{]/.test(text) && depth(text) > 0 && position < lines.length) {
+            text += ` ${lines[position].text}`;
+            position++;
+        }
+        return parseScalar(text, anchors);
+    };
+    
+    /**
+     * Reads the mapping or sequence whose entries start at the given indentation
+     * @param {number} indent - Indentation of the entries
+     * @returns {Object|any[]} - The mapping or sequence
+     */
+    const parseBlock = indent => {
+        if (/^-(\s|$)/.test(lines[position].text)) {
+            const sequence = [];
+            while (position < lines.length && lines[position].indent === indent && /^-(\s|$)/.test(lines[position].text)) {
+                const line = lines[position];
+                const rest = line.text.slice(1).trim();
+                if (rest !== '' && (findKeySeparator(rest) !== -1 || /^-(\s|$)/.test(rest))) {
+                    // `- key: value` starts a mapping, and `- - value` a sequence, indented past the dash
+                    line.indent = indent + line.text.length - rest.length;
+                    line.text = rest;
+                    sequence.push(parseBlock(line.indent));
+                } else {
+                    position++;
+                    sequence.push(parseValue(rest, indent));
+                }
+            }
+            return sequence;
+        }
+        
+        const mapping = {};
+        while (position < lines.length && lines[position].indent === indent && !/^-(\s|$)/.test(lines[position].text)) {
+            const line = lines[position];
+            const separator = findKeySeparator(line.text);
+            position++;
+            if (separator === -1) {
+                continue;
+            }
+            
+            const key = parseScalar(line.text.slice(0, separator), anchors);
+            const value = parseValue(line.text.slice(separator + 1).trim(), indent);
+            if (key === '<<') {
+                for (const merged of [].concat(value || [])) {
+                    Object.entries(merged || {}).forEach(([mergedKey, mergedValue]) => {
+                        if (!(mergedKey in mapping)) {
+                            mapping[mergedKey] = mergedValue;
+                        }
+                    });
+                }
+            } else {
+                mapping[key] = value;
+            }
+        }
+        return mapping;
+    };
+    
+    if (lines.length === 0) {
+        return null;
+    }
+    if (lines.length === 1 && findKeySeparator(lines[0].text) === -1 && !/^-(\s|$)/.test(lines[0].text)) {
+        return parseScalar(lines[0].text, anchors);
+    }
+    return parseBlock(lines[0].indent);
+}
+
+module.exports = {
+    parseYaml
+};